@@ -0,0 +1,28 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Shared by the api/ routes (the leading underscore keeps this file from being deployed as a route itself).
+
+// The routes read and write with the service role: the row-level policies in src/roles.js leave the anon key no way
+// to submit uploads or change roles. Null without SUPABASE_SERVICE_ROLE_KEY; every route then answers 503.
+export const supabase = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
+
+export function parseBody(body) {
+  if (typeof body !== 'string') return body || {};
+  try { return JSON.parse(body); } catch { return {}; }
+}
+
+// The user whose access token is in `Authorization: Bearer <token>`, or null
+export async function getRequestUser(req) {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  if (!token) return null;
+  const { data, error } = await supabase.auth.getUser(token);
+  return error ? null : data?.user || null;
+}
+
+// Scheduled routes run only for the Vercel cron or a caller holding CRON_SECRET
+export function isCronRequest(req) {
+  const cronSecret = process.env.CRON_SECRET;
+  return req.headers['x-vercel-cron'] === '1' || (!!cronSecret && req.headers.authorization === `Bearer ${cronSecret}`);
+}
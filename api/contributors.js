@@ -0,0 +1,68 @@
+import { createClient } from '@supabase/supabase-js';
+import { supabase, parseBody, getRequestUser } from './_shared.js';
+import { isContributor, contributorName, getContributorStats } from '../src/contributors.js';
+
+// Contributor accounts.
+//
+// POST /api/contributors   { email, password, displayName }
+//   Signs up a contributor through the normal Supabase flow, so the account cannot sign in until its email address
+//   is confirmed; refused when the project has email confirmation turned off. The role lives in app_metadata, which
+//   only the service role can write, so a contributor can never pass the admin checks. Needs SUPABASE_SERVICE_ROLE_KEY.
+// GET /api/contributors    Authorization: Bearer <contributor access token>
+//   The signed-in contributor's profile, reputation stats and last 100 submissions.
+
+async function createContributor(req, res) {
+  const body = parseBody(req.body);
+  const email = String(body.email || '').trim().toLowerCase();
+  const displayName = String(body.displayName || '').trim();
+  if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) return res.status(400).json({ error: 'Enter a valid email' });
+  if (String(body.password || '').length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
+  if (displayName.length < 2 || displayName.length > 40) return res.status(400).json({ error: 'Display name must be 2-40 characters' });
+
+  // A client of its own for the sign-up, so the new user's session never replaces the shared client's service role
+  const signUpClient = createClient(process.env.VITE_SUPABASE_URL, process.env.VITE_SUPABASE_ANON_KEY, { auth: { persistSession: false, autoRefreshToken: false } });
+  const { data, error } = await signUpClient.auth.signUp({
+    email, password: body.password,
+    options: { data: { display_name: displayName }, emailRedirectTo: `https://${req.headers.host}/submit` },
+  });
+  if (error) return res.status(/already/i.test(error.message) ? 409 : 400).json({ error: error.message });
+  // Supabase answers a sign-up for a taken address with a user that has no identities
+  if (!data.user?.identities?.length) return res.status(409).json({ error: 'An account with this email already exists' });
+  if (data.session) {
+    // A session straight away means confirmation is off: anyone could get a signed-in account
+    await supabase.auth.admin.deleteUser(data.user.id);
+    return res.status(503).json({ error: 'Contributor sign-up needs email confirmation turned on' });
+  }
+  const { error: roleError } = await supabase.auth.admin.updateUserById(data.user.id, { app_metadata: { role: 'contributor' } });
+  if (roleError) throw roleError;
+  return res.status(201).json({ id: data.user.id, displayName, confirmationSent: true });
+}
+
+async function getProfile(req, res) {
+  const user = await getRequestUser(req);
+  if (!isContributor(user)) return res.status(401).json({ error: 'Unauthorized' });
+
+  const { data: uploads, error } = await supabase.from('pending_uploads')
+    .select('id,submission_id,file_name,file_type,suggested_tournament_name,suggested_date,status,auto_approved,created_at,reviewed_at')
+    .eq('contributor_id', user.id)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return res.status(200).json({
+    contributor: { id: user.id, email: user.email, displayName: contributorName(user) },
+    stats: getContributorStats(uploads),
+    history: (uploads || []).slice(0, 100),
+  });
+}
+
+export default async function handler(req, res) {
+  if (!supabase) return res.status(503).json({ error: 'Contributor accounts are not configured' });
+  try {
+    if (req.method === 'POST') return await createContributor(req, res);
+    if (req.method === 'GET') return await getProfile(req, res);
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Contributor request failed:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,63 @@
+import { supabase, parseBody, getRequestUser } from './_shared.js';
+import { MAX_CARD_LIST_SIZE, parseCardList, stageCardList, swapCardList } from '../src/cardImport.js';
+import { recordCardVersion } from '../src/cardVersions.js';
+import { hasPermission } from '../src/roles.js';
+import { recordAudit } from '../src/auditLog.js';
+
+// Card list import (see src/cardImport.js). Admin only.
+//
+// POST /api/import-cards   Authorization: Bearer <admin access token>
+//   { csv, fileName?, dryRun? }
+// Always answers with the column-mapping report. With `dryRun`, or when the report has errors, nothing is written;
+// otherwise the cards are staged, swapped in atomically and stored as a new card database version:
+//   { report, imported, count?, archivedListId?, version? }
+
+async function loadLiveCards() {
+  const cards = [];
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await supabase.from('pt_cards').select('*').order('id').range(from, from + 999);
+    if (error) throw error;
+    cards.push(...data);
+    if (data.length < 1000) return cards;
+  }
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  if (!supabase) return res.status(503).json({ error: 'Card import is not configured' });
+  try {
+    const user = await getRequestUser(req);
+    if (!hasPermission(user, 'admin')) return res.status(user ? 403 : 401).json({ error: user ? 'Admins only' : 'Unauthorized' });
+
+    const body = parseBody(req.body);
+    if (typeof body.csv !== 'string' || !body.csv.trim()) return res.status(400).json({ error: 'csv is required' });
+    if (Buffer.byteLength(body.csv) > MAX_CARD_LIST_SIZE) return res.status(413).json({ error: `The file is over ${MAX_CARD_LIST_SIZE / 1024 / 1024} MB` });
+    const fileName = String(body.fileName || 'pt_card_list.csv');
+
+    const { rows, report } = parseCardList(body.csv);
+    if (body.dryRun || !report.canImport) return res.status(200).json({ report, imported: false });
+
+    const previous = await loadLiveCards();
+    const listId = await stageCardList(supabase, { rows, fileName, actor: user });
+    const archivedListId = await swapCardList(supabase, listId, user);
+
+    // The new list is live from here on; history failures are reported without failing the import
+    let version = null;
+    try {
+      version = await recordCardVersion(supabase, user, { fileName, before: previous, after: rows });
+    } catch (e) {
+      console.warn('Card version history write failed:', e.message);
+    }
+    await recordAudit(supabase, user, {
+      action: 'cards.replace', targetType: 'pt_cards', targetName: fileName,
+      before: { count: previous.length }, after: { count: rows.length, archivedListId, versionId: version?.versionId ?? null },
+    });
+    return res.status(200).json({ report, imported: true, count: rows.length, archivedListId, version });
+  } catch (error) {
+    console.error('Card import failed:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
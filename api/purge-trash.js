@@ -0,0 +1,24 @@
+import { supabase, isCronRequest } from './_shared.js';
+import { TRASH_RETENTION_DAYS, findExpiredTrash, purgeTrashed } from '../src/trash.js';
+import { recordAudit } from '../src/auditLog.js';
+
+// Scheduled purge of the trash (see src/trash.js): permanently deletes events, upload history rows and card lists
+// that were deleted more than TRASH_RETENTION_DAYS ago. Runs daily from vercel.json; needs SUPABASE_SERVICE_ROLE_KEY.
+
+export default async function handler(req, res) {
+  if (!isCronRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+  if (!supabase) return res.status(503).json({ error: 'Trash purge is not configured' });
+
+  try {
+    const expired = await findExpiredTrash(supabase);
+    const purged = {};
+    for (const [kind, ids] of Object.entries(expired)) purged[kind] = await purgeTrashed(supabase, kind, ids);
+    if (Object.values(purged).some(Boolean)) {
+      await recordAudit(supabase, null, { action: 'trash.purge', targetType: 'trash', targetName: `Older than ${TRASH_RETENTION_DAYS} days`, after: { ...purged, ids: expired } });
+    }
+    return res.status(200).json({ purged });
+  } catch (error) {
+    console.error('Trash purge failed:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,56 @@
+import { supabase, parseBody, getRequestUser } from './_shared.js';
+import { ROLES, getRole, hasPermission } from '../src/roles.js';
+import { recordAudit } from '../src/auditLog.js';
+
+// Site roles (see src/roles.js). Admin only; needs SUPABASE_SERVICE_ROLE_KEY.
+//
+// GET /api/roles     Authorization: Bearer <admin access token>
+//   Every account with its role: [{ id, email, name, role, lastSignIn }]
+// POST /api/roles    { userId, role }
+//   Sets the account's app_metadata.role. Admins cannot change their own role, so the site always keeps one.
+
+async function listUsers() {
+  const users = [];
+  for (let page = 1; ; page++) {
+    const { data, error } = await supabase.auth.admin.listUsers({ page, perPage: 1000 });
+    if (error) throw error;
+    users.push(...data.users);
+    if (data.users.length < 1000) return users;
+  }
+}
+
+export default async function handler(req, res) {
+  try {
+    if (!supabase) return res.status(503).json({ error: 'Role management is not configured' });
+    const user = await getRequestUser(req);
+    if (!hasPermission(user, 'admin')) return res.status(user ? 403 : 401).json({ error: user ? 'Admins only' : 'Unauthorized' });
+
+    if (req.method === 'GET') {
+      const users = await listUsers();
+      return res.status(200).json(users.map(u => ({
+        id: u.id, email: u.email, name: u.user_metadata?.display_name || null, role: getRole(u), lastSignIn: u.last_sign_in_at || null,
+      })));
+    }
+
+    if (req.method === 'POST') {
+      const { userId, role } = parseBody(req.body);
+      if (!userId || !ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+      if (userId === user.id) return res.status(400).json({ error: 'You cannot change your own role' });
+      const { data: target, error: getError } = await supabase.auth.admin.getUserById(userId);
+      if (getError || !target?.user) return res.status(404).json({ error: 'User not found' });
+      const { error } = await supabase.auth.admin.updateUserById(userId, { app_metadata: { ...target.user.app_metadata, role } });
+      if (error) throw error;
+      await recordAudit(supabase, user, {
+        action: 'role.change', targetType: 'users', targetId: userId, targetName: target.user.email,
+        before: { role: getRole(target.user) }, after: { role },
+      });
+      return res.status(200).json({ id: userId, role });
+    }
+
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Role request failed:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,28 @@
+import { supabase, isCronRequest } from './_shared.js';
+
+// Daily copy of the Live Spec actuals into livespec_windows (see src/regression.js), one row per monthly eval window.
+// Refreshes site_content.fangraphs_actuals first, so each window's last copy covers it to the end even on days
+// nobody opens Live Spec. Runs from vercel.json; needs SUPABASE_SERVICE_ROLE_KEY.
+
+export default async function handler(req, res) {
+  if (!isCronRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+  if (!supabase) return res.status(503).json({ error: 'Live Spec snapshots are not configured' });
+
+  try {
+    const { error: refreshError } = await supabase.functions.invoke('fetch-fangraphs-actuals');
+    if (refreshError) console.warn('Actuals refresh failed, copying the last fetch:', refreshError.message);
+
+    const { data, error } = await supabase.from('site_content').select('content').eq('id', 'fangraphs_actuals').single();
+    if (error) throw error;
+    const { bat, pit, startdate, updatedAt } = data?.content || {};
+    if (!startdate || !bat?.length) return res.status(200).json({ skipped: 'No actuals for an eval window' });
+
+    const enddate = (updatedAt || new Date().toISOString()).slice(0, 10);
+    const { error: saveError } = await supabase.from('livespec_windows').upsert({ startdate, enddate, bat, pit, updated_at: new Date().toISOString() }, { onConflict: 'startdate' });
+    if (saveError) throw saveError;
+    return res.status(200).json({ startdate, enddate, batters: bat.length, pitchers: (pit || []).length });
+  } catch (error) {
+    console.error('Live Spec snapshot failed:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
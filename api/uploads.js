@@ -0,0 +1,163 @@
+import { randomUUID } from 'node:crypto';
+import { supabase, parseBody, getRequestUser } from './_shared.js';
+import { MAX_UPLOAD_SIZE, hashContent, validateHeaders, validateCSV, getUploadParts } from '../src/uploadValidation.js';
+import { mergeUploadParts } from '../src/uploadMerge.js';
+import { isContributor, contributorName, getContributorStats } from '../src/contributors.js';
+import { scoreUploadAnomaly } from '../src/uploadAnomaly.js';
+import { detectUploadOverlap } from '../src/uploadOverlap.js';
+import { hasPermission } from '../src/roles.js';
+import { recordAudit } from '../src/auditLog.js';
+
+// Server-side stat upload: the same validation the upload form runs, then either a review submission or a direct merge.
+//
+// POST /api/uploads   Content-Type: application/json
+//   { csv, fileName?, date: 'YYYY-MM-DD', tournamentId?, suggestedTournamentName?, uploaderName?, notes?, mode?: 'review' | 'merge', cumulative? }
+//
+// mode 'review' (default) stores each part of the file in pending_uploads for the review queue; anyone may submit.
+// With a signed-in contributor's token the parts are linked to their account, and a trusted contributor's file is
+// merged right away (status 'approved') unless it is flagged: critical issues, date already uploaded, anomaly or overlap.
+// mode 'merge' merges straight into the tournament and needs `Authorization: Bearer <access token>` of a reviewer or admin.
+// `cumulative: true` marks the file as running totals: only the games since the tournament's last snapshot are merged
+// (at approval time for review submissions).
+// The response is the issue report, plus `status`: pending | approved | merged | duplicate | rejected.
+// A file without the exact columns of a batting, pitching, combined or splits export is rejected with just `error`.
+
+// A trusted contributor's file skips review only when nothing about it would make a reviewer look twice
+async function canAutoApprove({ contributor, tournament, parts, report, body }) {
+  if (!contributor || !tournament || report.hasCritical || report.dateAlreadyUploaded) return false;
+  const { data: record, error } = await supabase.from('pending_uploads').select('id,submission_id,status,auto_approved').eq('contributor_id', contributor.id);
+  if (error) throw error;
+  if (!getContributorStats(record).trusted) return false;
+  if (parts.some(p => scoreUploadAnomaly(p.validation.cleanRows, p.fileType, tournament).level === 'suspect')) return false;
+  const { data: history, error: historyError } = await supabase.from('upload_history').select('id,file_type,upload_date,player_data,undone').eq('tournament_id', tournament.id).is('deleted_at', null);
+  if (historyError) throw historyError;
+  return parts.every(p => {
+    const { verdict } = detectUploadOverlap(p.validation.cleanRows, p.fileType, history);
+    return verdict === 'clean' || (verdict === 'cumulative' && body.cumulative);
+  });
+}
+
+function buildReport(validation, parts) {
+  return {
+    fileType: validation.stats.type,
+    rows: validation.stats.rows,
+    players: validation.stats.players,
+    hasCritical: validation.hasCritical,
+    issues: validation.issues,
+    removedRows: validation.removedRows.map(({ row, name, ovr, reasons }) => ({ row, name, ovr, reasons })),
+    parts: parts.map(p => ({ fileType: p.fileType, playerCount: p.validation.cleanRows.length, removedCount: p.validation.removedRows.length, matchPercent: p.matchPercent, hasCritical: p.validation.hasCritical })),
+  };
+}
+
+// `approved` records parts that were already merged (trusted contributor); they stay out of the contributor's reputation
+async function submitForReview({ parts, tournament, body, dateAlreadyUploaded, contributor, approved = false }) {
+  const ids = [];
+  const submissionId = randomUUID();
+  for (const { fileType, validation, matchPercent } of parts) {
+    const { data, error } = await supabase.from('pending_uploads').insert({
+      suggested_tournament_id: tournament?.id || null,
+      suggested_tournament_name: String(body.suggestedTournamentName || '').trim() || tournament?.name || '',
+      suggested_date: body.date,
+      user_notes: String(body.notes || '').trim() || null,
+      uploader_name: contributor ? contributorName(contributor) : String(body.uploaderName || '').trim() || null,
+      contributor_id: contributor?.id || null,
+      submission_id: submissionId,
+      file_type: fileType,
+      file_name: body.fileName || 'upload.csv',
+      raw_data: validation.rawRows,
+      clean_data: validation.cleanRows,
+      removed_rows: validation.removedRows,
+      validation_issues: validation.issues,
+      player_match_percent: matchPercent,
+      date_already_uploaded: dateAlreadyUploaded,
+      has_critical_issues: validation.hasCritical,
+      is_cumulative: !!body.cumulative,
+      status: approved ? 'approved' : 'pending',
+      ...(approved && { auto_approved: true, reviewed_at: new Date().toISOString(), assigned_tournament_id: tournament.id, assigned_date: body.date }),
+    }).select('id').single();
+    if (error) throw error;
+    ids.push(data.id);
+  }
+  return ids;
+}
+
+// The validated parts of an upload merged into `tournament`; for a cumulative file, also what each part's delta came to
+async function mergeIntoTournament({ parts, tournament, date, fileHash, cumulative }) {
+  const merged = await mergeUploadParts(supabase, {
+    tournament, date, fileHash, cumulative,
+    parts: parts.map(part => ({ fileType: part.fileType, rows: part.validation.cleanRows })),
+  });
+  return {
+    historyIds: merged.historyIds,
+    cumulative: cumulative
+      ? merged.parts.map(({ fileType, rows, previousDate, unchanged, regressed }) => ({ fileType, mergedCount: rows.length, previousDate, unchanged, regressed }))
+      : [],
+  };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  if (!supabase) return res.status(503).json({ error: 'Uploads are not configured' });
+
+  const body = parseBody(req.body);
+  const mode = body.mode || 'review';
+  if (typeof body.csv !== 'string' || !body.csv.trim()) return res.status(400).json({ error: 'Missing csv' });
+  if (Buffer.byteLength(body.csv) > MAX_UPLOAD_SIZE) return res.status(413).json({ error: 'File too large' });
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(body.date || '')) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  if (!['review', 'merge'].includes(mode)) return res.status(400).json({ error: `Unknown mode "${mode}"` });
+  if (!body.tournamentId && (mode === 'merge' || !String(body.suggestedTournamentName || '').trim())) {
+    return res.status(400).json({ error: mode === 'merge' ? 'tournamentId is required to merge' : 'Provide tournamentId or suggestedTournamentName' });
+  }
+
+  try {
+    const user = await getRequestUser(req);
+    if (mode === 'merge' && !hasPermission(user, 'review')) return res.status(user ? 403 : 401).json({ error: user ? 'Merging needs the reviewer role' : 'Unauthorized' });
+    const contributor = isContributor(user) ? user : null;
+
+    let tournament = null;
+    if (body.tournamentId) {
+      // Events in the trash take no new stats
+      const { data } = await supabase.from('tournaments').select('*').eq('id', body.tournamentId).is('deleted_at', null).single();
+      if (!data) return res.status(404).json({ error: 'Tournament not found' });
+      tournament = data;
+    }
+
+    const validation = validateCSV(body.csv, body.fileName);
+    // The exact export columns the upload form insists on; validateCSV alone only sniffs the file type
+    const headerCheck = validateHeaders(validation.headers);
+    if (!headerCheck.valid) return res.status(422).json({ status: 'rejected', error: headerCheck.error });
+    const parts = getUploadParts(validation, tournament);
+    const fileHash = await hashContent(body.csv);
+    const report = {
+      ...buildReport(validation, parts),
+      duplicate: !!tournament?.uploaded_hashes?.includes(fileHash),
+      dateAlreadyUploaded: !!tournament?.uploaded_dates?.includes(body.date),
+    };
+
+    if (report.duplicate) return res.status(409).json({ status: 'duplicate', ...report });
+    if (!parts.length) return res.status(422).json({ status: 'rejected', ...report });
+
+    if (mode === 'merge') {
+      if (validation.hasCritical) return res.status(422).json({ status: 'rejected', ...report });
+      const { historyIds, cumulative } = await mergeIntoTournament({ parts, tournament, date: body.date, fileHash, cumulative: !!body.cumulative });
+      await recordAudit(supabase, user, { action: 'tournament.upload', targetType: 'tournaments', targetId: tournament.id, targetName: tournament.name, after: { historyIds, date: body.date, fileName: body.fileName || null } });
+      return res.status(200).json({ status: 'merged', ...report, ...(body.cumulative && { cumulative }) });
+    }
+
+    if (await canAutoApprove({ contributor, tournament, parts, report, body })) {
+      const { historyIds } = await mergeIntoTournament({ parts, tournament, date: body.date, fileHash, cumulative: !!body.cumulative });
+      const pendingIds = await submitForReview({ parts, tournament, body, dateAlreadyUploaded: false, contributor, approved: true });
+      await recordAudit(supabase, user, { action: 'upload.approve', targetType: 'tournaments', targetId: tournament.id, targetName: tournament.name, after: { historyIds, uploadIds: pendingIds, date: body.date, autoApproved: true } });
+      return res.status(201).json({ status: 'approved', pendingIds, ...report });
+    }
+
+    const pendingIds = await submitForReview({ parts, tournament, body, dateAlreadyUploaded: report.dateAlreadyUploaded, contributor });
+    return res.status(201).json({ status: 'pending', pendingIds, ...report });
+  } catch (error) {
+    console.error('Upload ingestion failed:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -1,13 +1,30 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo, createContext, useContext } from 'react';
 import ReactDOM from 'react-dom';
-import { BrowserRouter, Routes, Route, NavLink, useLocation } from 'react-router-dom';
+import { BrowserRouter, Routes, Route, NavLink, Link, useLocation, useParams, useSearchParams, useNavigationType } from 'react-router-dom';
 import Papa from 'papaparse';
-import { supabase } from './supabase.js';
+import { supabase, contributorSupabase } from './supabase.js';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
 import { IMG_CUSTOMIZE_VIEW, IMG_PITCHING_FILTERS, IMG_BATTING_COLS_TOP, IMG_BATTING_COLS_BOTTOM, IMG_EXPORT_CSV, IMG_TOURNAMENT_NAV, IMG_STATISTICS_PAGE, IMG_VIEW_DROPDOWN, IMG_PITCHING_POSITION_TOP, IMG_COMBINED_COLS_TOP, IMG_COMBINED_COLS_BOTTOM, IMG_ALL_PLAYERS_FILTER } from './tutorialImages.js';
-import { LIVE_CARD_COLORS, LIVE_CARD_OVR } from './liveCardColors.js';
-import { UZIPS_BAT, UZIPS_PIT, UZIPS_SNAPSHOT_DATE } from './uzipsSnapshot.js';
 import { BAT_REGRESSION, PIT_REGRESSION } from './regressionCoeffs.js';
+import { parseIP, formatIP, withDerivedRates, combineStatRows, buildStatsFromUploads, getEventFriendliness, buildEnvBaselines, getNeutralFactors, withNeutralStats, combineNeutralStats, STAT_FILE_TYPES, isSplitFileType, getRowSplitSide, countUnmatchedSplitRows, applyUploadRows, revertUploadRows } from './tournamentStats.js';
+import { getDefaultFilters, encodeStatsView, decodeStatsView } from './statsView.js';
+import { FORMULA_FIELDS, compileFormula, derivedKey, derivedKeysByType, withDerivedColumns, loadColumnStore, saveColumnStore } from './columnSets.js';
+import { withEstimates, getCardTier, getSampleSize, getReliability, ESTIMATE_METRICS, formatEstimate } from './statEstimates.js';
+import { exportTable } from './tableExport.js';
+import { MAX_UPLOAD_SIZE, hashContent, validateHeaders, splitCombinedRows, validateCSV, getUploadParts } from './uploadValidation.js';
+import { OVERLAP_FIELDS, detectUploadOverlap } from './uploadOverlap.js';
+import { mergeUploadParts } from './uploadMerge.js';
+import { scoreUploadAnomaly } from './uploadAnomaly.js';
+import { buildTournamentProfiles, rankTournaments, pickTournament } from './tournamentMatch.js';
+import { isContributor, contributorName, getContributorStats, needsAttention, TRUSTED_MIN_APPROVED, TRUSTED_MIN_REPUTATION } from './contributors.js';
+import { ROLES, ROLE_LABELS, getRole, hasPermission, describeScope } from './roles.js';
+import { AUDIT_ACTIONS, TARGET_TYPES, auditActionLabel, recordAudit, pickFields, getRevertPlan, sameValues } from './auditLog.js';
+import { TRASH_RETENTION_DAYS, daysUntilPurge, purgeTrashed } from './trash.js';
+import { ratingLabel, cardKey, recordCardVersion, loadCardTimeline, ovrAt } from './cardVersions.js';
+import { MAX_CARD_LIST_SIZE, swapCardList } from './cardImport.js';
+import { fitRegression, correlation } from './regression.js';
+import { realizingVersion, joinOutcomes, scoreBacktest } from './backtest.js';
+import { uzipsUrl, indexProjectionRows, parseProjectionFile, listProjectionSnapshots, loadProjectionSnapshot, saveProjectionSnapshot } from './projections.js';
 import * as XLSX from 'xlsx';
 
 const ThemeContext = createContext();
@@ -284,21 +301,33 @@ function AuthProvider({ children }) {
     return () => subscription.unsubscribe();
   }, []);
 
-  const isAdmin = !!session;
+  // What the signed-in user may do is set by their role (see roles.js), not by being signed in
+  const role = getRole(session?.user);
+  const can = (scope) => hasPermission(session?.user, scope);
 
-  const requestAuth = (onSuccess) => {
-    if (isAdmin) { onSuccess(); return; }
-    setPendingAction(() => onSuccess);
+  // Run onSuccess once the user holds `scope`, asking them to sign in (or switch accounts) first
+  const requestAuth = (onSuccess, scope = 'admin') => {
+    if (can(scope)) { onSuccess(); return; }
+    setPendingAction({ run: onSuccess, scope });
     setShowLoginModal(true);
-    setAuthError('');
+    setAuthError(session ? `Your account (${ROLE_LABELS[role]}) can't do this. Sign in as ${describeScope(scope)}.` : '');
   };
 
   const handleLogin = async () => {
-    const { error } = await supabase.auth.signInWithPassword({ email, password });
+    const { data, error } = await supabase.auth.signInWithPassword({ email, password });
     if (error) { setAuthError(error.message); return; }
-    setShowLoginModal(false);
+    if (isContributor(data?.user)) {
+      await supabase.auth.signOut();
+      setAuthError('This is a contributor account. Sign in on the Submit Data page instead.');
+      return;
+    }
     setEmail(''); setPassword('');
-    if (pendingAction) { pendingAction(); setPendingAction(null); }
+    if (pendingAction && !hasPermission(data.user, pendingAction.scope)) {
+      setAuthError(`Signed in as ${ROLE_LABELS[getRole(data.user)]}. This needs ${describeScope(pendingAction.scope)}.`);
+      return;
+    }
+    setShowLoginModal(false);
+    if (pendingAction) { pendingAction.run(); setPendingAction(null); }
   };
 
   const logout = async () => {
@@ -308,12 +337,12 @@ function AuthProvider({ children }) {
 
   const styles = getStyles(theme);
   return (
-    <AuthContext.Provider value={{ isAdmin, requestAuth, logout }}>
+    <AuthContext.Provider value={{ role, can, requestAuth, logout, session }}>
       {children}
       {showLoginModal && (
         <div style={styles.modalOverlay}><div style={styles.modal}>
-          <h3 style={styles.modalTitle}>Admin Login</h3>
-          <p style={styles.modalText}>Log in to access admin features.</p>
+          <h3 style={styles.modalTitle}>{session ? 'Switch Account' : 'Admin Login'}</h3>
+          <p style={styles.modalText}>Log in to access {pendingAction ? describeScope(pendingAction.scope).toLowerCase() : 'admin'} features.</p>
           {authError && <p style={styles.authError}>{authError}</p>}
           <input type="email" placeholder="Email..." value={email} onChange={(e) => setEmail(e.target.value)} style={{...styles.input, marginBottom: 8}} autoFocus />
           <input type="password" placeholder="Password..." value={password} onChange={(e) => setPassword(e.target.value)} onKeyDown={(e) => e.key === 'Enter' && handleLogin()} style={styles.input} />
@@ -329,32 +358,38 @@ function AuthProvider({ children }) {
 
 function useAuth() { return useContext(AuthContext); }
 
-// Helper: Update position counts and get primary position
-function updatePositionTracking(existing, instancePos) {
-  const positionCounts = { ...(existing._positionCounts || {}) };
-  const pos = (instancePos || '').toUpperCase().trim();
-  if (pos) {
-    positionCounts[pos] = (positionCounts[pos] || 0) + 1;
-  }
-  const positions = Object.keys(positionCounts).sort((a, b) => positionCounts[b] - positionCounts[a]);
-  const primaryPos = positions[0] || existing.pos || pos;
-  return { _positionCounts: positionCounts, positions, pos: primaryPos };
-}
+// Optional contributor sign-in for the submit form. It runs on its own Supabase client, so a contributor
+// session never shows up as the admin session above (and admin checks reject contributor accounts anyway).
+function useContributorSession() {
+  const [session, setSession] = useState(null);
 
-// Helper: Initialize position tracking for new player
-function initPositionTracking(instancePos) {
-  const pos = (instancePos || '').toUpperCase().trim();
-  return {
-    _positionCounts: pos ? { [pos]: 1 } : {},
-    positions: pos ? [pos] : [],
-    pos: pos
+  useEffect(() => {
+    contributorSupabase.auth.getSession().then(({ data: { session } }) => setSession(session));
+    const { data: { subscription } } = contributorSupabase.auth.onAuthStateChange((_event, session) => setSession(session));
+    return () => subscription.unsubscribe();
+  }, []);
+
+  const contributor = isContributor(session?.user) ? session.user : null;
+
+  const signIn = async (email, password) => {
+    const { data, error } = await contributorSupabase.auth.signInWithPassword({ email, password });
+    if (error) throw error;
+    if (!isContributor(data?.user)) {
+      await contributorSupabase.auth.signOut();
+      throw new Error('Not a contributor account — admins use the admin login');
+    }
   };
-}
 
-function parseVariant(v) { 
-  if (!v) return 'N';
-  const val = String(v).toUpperCase().trim();
-  return (val === 'Y' || val === 'YES' || val === '1' || val === 'TRUE') ? 'Y' : 'N';
+  // The account can sign in once its email address is confirmed
+  const signUp = async (email, password, displayName) => {
+    const res = await fetch('/api/contributors', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ email, password, displayName }) });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.error || `Sign-up failed (${res.status})`);
+  };
+
+  const signOut = () => contributorSupabase.auth.signOut();
+
+  return { contributor, token: contributor ? session.access_token : null, signIn, signUp, signOut };
 }
 
 function getOvrColor(ovr, colorblind) {
@@ -409,7 +444,7 @@ function BannerProvider({ children }) {
 
 function NewsBanner() {
   const { theme } = useTheme();
-  const { isAdmin, requestAuth } = useAuth();
+  const { can, requestAuth } = useAuth();
   const { bannerText, setBannerText } = useContext(BannerContext);
   const styles = getStyles(theme);
   const [isEditing, setIsEditing] = useState(false);
@@ -418,6 +453,7 @@ function NewsBanner() {
   const saveBanner = async () => {
     try {
       await supabase.from('site_content').upsert({ id: 'news_banner', content: { text: editText }, updated_at: new Date().toISOString() });
+      logContentEdit('news_banner', { text: bannerText }, { text: editText });
       setBannerText(editText);
       setIsEditing(false);
     } catch (e) {
@@ -429,7 +465,7 @@ function NewsBanner() {
     requestAuth(() => {
       setEditText(bannerText);
       setIsEditing(true);
-    });
+    }, 'content');
   };
 
   return (
@@ -456,7 +492,7 @@ function NewsBanner() {
               </React.Fragment>
             ))}
           </div>
-          {isAdmin && (
+          {can('content') && (
             <button onClick={startEditing} style={styles.newsBannerEditBtn}>✎</button>
           )}
         </div>
@@ -481,7 +517,7 @@ const NAV_ITEMS = [
 
 function Layout({ children, notification, pendingCount = 0 }) {
   const { theme, team, setTeamTheme, teamColors, isColorblind, toggleColorblind } = useTheme();
-  const { isAdmin } = useAuth();
+  const { can } = useAuth();
   const styles = getStyles(theme);
   const isMobile = useIsMobile();
   const [menuOpen, setMenuOpen] = useState(false);
@@ -516,7 +552,7 @@ function Layout({ children, notification, pendingCount = 0 }) {
           {item.label}
         </NavLink>
       ))}
-      {isAdmin && (
+      {can('review') && (
         <NavLink
           to="/review"
           style={({isActive}) => mobile
@@ -526,6 +562,26 @@ function Layout({ children, notification, pendingCount = 0 }) {
           Review {pendingCount > 0 && <span style={styles.navBadge}>{pendingCount}</span>}
         </NavLink>
       )}
+      {can('admin') && (
+        <NavLink
+          to="/audit"
+          style={({isActive}) => mobile
+            ? {...mobileNavLink, ...(isActive ? mobileNavLinkActive : {})}
+            : {...styles.navLink, ...(isActive ? styles.navLinkActive : {})}}
+        >
+          Audit
+        </NavLink>
+      )}
+      {can('admin') && (
+        <NavLink
+          to="/trash"
+          style={({isActive}) => mobile
+            ? {...mobileNavLink, ...(isActive ? mobileNavLinkActive : {})}
+            : {...styles.navLink, ...(isActive ? styles.navLinkActive : {})}}
+        >
+          Trash
+        </NavLink>
+      )}
     </nav>
   );
 
@@ -594,31 +650,31 @@ function StatsPage() {
   const { theme, isColorblind } = useTheme();
   const styles = getStyles(theme);
   const isMobile = useIsMobile();
-  const { isAdmin, requestAuth } = useAuth();
+  const { can, requestAuth } = useAuth();
+  // Reviewers manage events and their stats; deleting an event is admin-only
+  const canReview = can('review');
+  const canManage = can('tournaments');
   const fileInputRef = React.useRef(null);
+  // The table view (tournament, tab, filters, sort, date range, columns) is mirrored in the query string
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigationType = useNavigationType();
+  // Saved column sets and derived columns, per table type (kept in localStorage)
+  const [columnStore, setColumnStore] = useState(loadColumnStore);
+  const [initialView] = useState(() => decodeStatsView(searchParams.toString(), derivedKeysByType(columnStore)));
   const [tournaments, setTournaments] = useState([]);
   const [selectedTournament, setSelectedTournament] = useState(null);
-  const [activeTab, setActiveTab] = useState('pitching');
+  const [activeTab, setActiveTab] = useState(initialView.tab);
   const [isLoading, setIsLoading] = useState(true);
   const [showNewTournament, setShowNewTournament] = useState(false);
   const [newTournamentName, setNewTournamentName] = useState('');
   const [newTournamentType, setNewTournamentType] = useState('daily');
-  const [filters, setFilters] = useState({
-    search: '',
-    position: 'all',
-    sortBy: 'fipMinus',
-    sortDir: 'asc',
-    gFilter: { enabled: false, operator: '>=', value: 0 },
-    paFilter: { enabled: false, operator: '>=', value: 0 },
-    abFilter: { enabled: false, operator: '>=', value: 0 },
-    ipFilter: { enabled: true, operator: '>=', value: 400 },
-    // Card tier filters (all enabled by default)
-    cardTiers: { perfect: true, diamond: true, gold: true, silver: true, bronze: true, iron: true },
-    // Variant filter: 'all', 'yes', 'no'
-    variantFilter: 'all'
-  });
-  const [showPer9, setShowPer9] = useState(false);
-  const [showTraditional, setShowTraditional] = useState(true);
+  const [filters, setFilters] = useState(initialView.filters);
+  const [showPer9, setShowPer9] = useState(initialView.columns.showPer9);
+  const [showTraditional, setShowTraditional] = useState(initialView.columns.showTraditional);
+  const [showSplits, setShowSplits] = useState(initialView.columns.showSplits);
+  const [showEstimates, setShowEstimates] = useState(initialView.columns.showEstimates);
+  const [showNeutral, setShowNeutral] = useState(initialView.columns.showNeutral);
+  const [showColumnEditor, setShowColumnEditor] = useState(false);
   const [notification, setNotification] = useState(null);
   const [friendlyToast, setFriendlyToast] = useState(false);
   const [showAdvancedFilters, setShowAdvancedFilters] = useState(false);
@@ -631,11 +687,21 @@ function StatsPage() {
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [pendingUploadFiles, setPendingUploadFiles] = useState(null);
   const [isUploading, setIsUploading] = useState(false);
+  // Files are running totals: merge only the games since the last snapshot (remembered per browser)
+  const [cumulativeUpload, setCumulativeUpload] = useState(() => localStorage.getItem('cumulativeUpload') === '1');
   const [selectedPlayer, setSelectedPlayer] = useState(null);
   const [selectedPlayerType, setSelectedPlayerType] = useState(null);
+  const [compareSelection, setCompareSelection] = useState([]);
+  const [showCompare, setShowCompare] = useState(false);
   const [showFriendlinessTooltip, setShowFriendlinessTooltip] = useState(false);
   const [currentPage, setCurrentPage] = useState(1);
   const ROWS_PER_PAGE = 100;
+  // Date-range view: 'all' shows the stored cumulative totals, anything else is rebuilt from upload_history
+  const [dateRange, setDateRange] = useState(initialView.dateRange);
+  const [rangeStats, setRangeStats] = useState(null);
+  const [isLoadingRange, setIsLoadingRange] = useState(false);
+  const [cardUpdateDate, setCardUpdateDate] = useState(null);
+  const uploadHistoryCache = useRef({});
 
   // Card data for hover cards
   const [cardData, setCardData] = useState([]);
@@ -707,10 +773,101 @@ function StatsPage() {
     setSelectedPlayerType(null);
   };
 
+  const compareIds = useMemo(() => new Set(compareSelection.map(p => p.id)), [compareSelection]);
+  const toggleCompare = (player) => {
+    setCompareSelection(sel => sel.some(p => p.id === player.id)
+      ? sel.filter(p => p.id !== player.id)
+      : sel.length >= 4 ? sel : [...sel, player]);
+  };
+
+  // Comparison picks are rows of the current table, so they don't survive a change of table
+  useEffect(() => {
+    setCompareSelection([]);
+  }, [activeTab, selectedTournament?.id, dateRange]);
+
   // Reset pagination when filters change
   useEffect(() => {
     setCurrentPage(1);
-  }, [filters.search, filters.position, filters.gFilter.enabled, filters.paFilter.enabled, filters.abFilter.enabled, filters.ipFilter.enabled, filters.variantFilter, filters.cardTiers]);
+  }, [filters.search, filters.position, filters.gFilter.enabled, filters.paFilter.enabled, filters.abFilter.enabled, filters.ipFilter.enabled, filters.variantFilter, filters.cardTiers, dateRange]);
+
+  // Last view written to (or read from) the URL; null until the first sync
+  const lastViewQuery = useRef(null);
+
+  // Back/forward between views: apply the URL's view to state
+  useEffect(() => {
+    if (isLoading || navigationType !== 'POP') return;
+    const view = decodeStatsView(searchParams.toString(), derivedKeysByType(columnStore));
+    const found = view.tournamentId && tournaments.find(t => t.id === view.tournamentId);
+    if (found) {
+      setSelectedTournament(found);
+      setSidebarTab(found.category || 'tournaments');
+    }
+    setActiveTab(view.tab);
+    setFilters(f => ({ ...view.filters, derivedFilters: f.derivedFilters }));
+    setDateRange(view.dateRange);
+    setShowPer9(view.columns.showPer9);
+    setShowTraditional(view.columns.showTraditional);
+    setShowEstimates(view.columns.showEstimates);
+    setShowNeutral(view.columns.showNeutral);
+    setShowSplits(view.columns.showSplits);
+    setCurrentPage(1);
+    lastViewQuery.current = null;
+  }, [searchParams]);
+
+  // State -> URL. Each view change is a history entry, except edits to the search box (which would add one per keystroke)
+  const viewQuery = encodeStatsView({
+    tournamentId: selectedTournament?.id,
+    tab: activeTab,
+    filters,
+    dateRange,
+    columns: { showPer9, showTraditional, showEstimates, showNeutral, showSplits }
+  });
+  useEffect(() => {
+    if (isLoading) return;
+    if (viewQuery === searchParams.toString()) { lastViewQuery.current = viewQuery; return; }
+    const withoutSearch = (query) => { const p = new URLSearchParams(query); p.delete('q'); return p.toString(); };
+    const replace = lastViewQuery.current === null || withoutSearch(lastViewQuery.current) === withoutSearch(viewQuery);
+    setSearchParams(viewQuery, { replace });
+    lastViewQuery.current = viewQuery;
+  }, [viewQuery, isLoading]);
+
+  // Last pt_cards upload marks the most recent ratings patch
+  useEffect(() => {
+    supabase.from('site_content').select('content').eq('id', 'pt_cards_upload').single().then(({ data }) => {
+      if (data?.content?.uploaded_at) setCardUpdateDate(data.content.uploaded_at.split('T')[0]);
+    });
+  }, []);
+
+  // Rebuild batting/pitching from just the uploads inside the selected date range
+  useEffect(() => {
+    if (!selectedTournament || dateRange.preset === 'all') { setRangeStats(null); return; }
+    const { from, to } = getDateRangeBounds(dateRange);
+    let cancelled = false;
+    (async () => {
+      setIsLoadingRange(true);
+      try {
+        let uploads = uploadHistoryCache.current[selectedTournament.id];
+        if (!uploads) {
+          const { data, error } = await supabase
+            .from('upload_history')
+            .select('file_type,upload_date,player_data,undone')
+            .eq('tournament_id', selectedTournament.id)
+            .is('deleted_at', null)
+            .order('created_at', { ascending: true });
+          if (error) throw error;
+          uploads = data || [];
+          uploadHistoryCache.current[selectedTournament.id] = uploads;
+        }
+        const inRange = uploads.filter(u => (!from || u.upload_date >= from) && (!to || u.upload_date <= to));
+        if (!cancelled) setRangeStats({ tournamentId: selectedTournament.id, ...buildStatsFromUploads(inRange) });
+      } catch (e) {
+        console.error('Date range load error:', e);
+        if (!cancelled) showNotif('Failed to load upload history', 'error');
+      }
+      if (!cancelled) setIsLoadingRange(false);
+    })();
+    return () => { cancelled = true; };
+  }, [selectedTournament, dateRange, cardUpdateDate]);
 
   useEffect(() => { loadData(); }, []);
 
@@ -725,22 +882,23 @@ function StatsPage() {
   const loadData = async () => {
     setIsLoading(true);
     try {
-      const { data, error } = await supabase.from('tournaments').select('*').order('created_at', { ascending: false });
+      const { data, error } = await supabase.from('tournaments').select('*').is('deleted_at', null).order('created_at', { ascending: false });
       if (error) throw error;
       const parsed = (data || []).map(t => ({ 
         id: t.id, 
         name: t.name, 
         createdAt: t.created_at, 
         category: t.category || 'tournaments', 
-        batting: t.batting || [], 
-        pitching: t.pitching || [], 
+        batting: (t.batting || []).map(p => withDerivedRates(p, 'batting')), 
+        pitching: (t.pitching || []).map(p => withDerivedRates(p, 'pitching')), 
         uploadedHashes: t.uploaded_hashes || [],
         eventType: t.event_type || 'daily',
         uploadedDates: t.uploaded_dates || [],
         rotatingFormat: t.rotating_format || false
       }));
       setTournaments(parsed);
-      const lastSelectedId = localStorage.getItem('selectedTournamentId');
+      // A shared link's tournament wins over the one last opened on this device
+      const lastSelectedId = initialView.tournamentId || localStorage.getItem('selectedTournamentId');
       if (lastSelectedId) { 
         const found = parsed.find(t => t.id === lastSelectedId); 
         if (found) { 
@@ -796,6 +954,7 @@ function StatsPage() {
         uploadedDates: []
       };
       await saveTournament(newT); 
+      logAudit({ action: 'tournament.create', targetType: 'tournaments', targetId: newT.id, targetName: fullName, after: { name: fullName, category: sidebarTab, event_type: newTournamentType } });
       setTournaments([newT, ...tournaments]); 
       setSelectedTournament(newT);
       localStorage.setItem('selectedTournamentId', newT.id); 
@@ -803,18 +962,20 @@ function StatsPage() {
       setNewTournamentType('daily');
       setShowNewTournament(false);
       showNotif('Created!');
-    }, 'upload');
+    }, 'tournaments');
   };
 
   const deleteTournament = (id) => {
     requestAuth(async () => {
-      if (!confirm('Delete this tournament?')) return;
-      try { await supabase.from('tournaments').delete().eq('id', id);
+      if (!confirm(`Move this tournament to the trash? It can be restored for ${TRASH_RETENTION_DAYS} days.`)) return;
+      try {
+        const trashed = await moveToTrash('tournaments', id);
+        logAudit({ action: 'tournament.delete', targetType: 'tournaments', targetId: id, targetName: tournaments.find(t => t.id === id)?.name, before: { deleted_at: null, deleted_by: null }, after: trashed });
         setTournaments(tournaments.filter(t => t.id !== id));
         if (selectedTournament?.id === id) { setSelectedTournament(null); localStorage.removeItem('selectedTournamentId'); }
-        showNotif('Deleted');
+        showNotif('Moved to trash');
       } catch (e) { showNotif('Delete failed', 'error'); }
-    });
+    }, 'admin');
   };
 
   const toggleLegacy = (tournament) => {
@@ -828,13 +989,14 @@ function StatsPage() {
       
       const updatedTournament = { ...tournament, category: originalCategory };
       await saveTournament(updatedTournament);
+      logAudit({ action: 'tournament.category', targetType: 'tournaments', targetId: tournament.id, targetName: tournament.name, before: { category: tournament.category }, after: { category: originalCategory } });
       setTournaments(tournaments.map(t => t.id === tournament.id ? updatedTournament : t));
       if (selectedTournament?.id === tournament.id) {
         setSelectedTournament(updatedTournament);
       }
       setSidebarTab(originalCategory);
       showNotif(isCurrentlyLegacy ? 'Restored from Legacy' : 'Moved to Legacy');
-    });
+    }, 'tournaments');
   };
 
   const moveCategory = (tournament) => {
@@ -842,13 +1004,14 @@ function StatsPage() {
       const newCategory = tournament.category === 'tournaments' ? 'drafts' : 'tournaments';
       const updatedTournament = { ...tournament, category: newCategory };
       await saveTournament(updatedTournament);
+      logAudit({ action: 'tournament.category', targetType: 'tournaments', targetId: tournament.id, targetName: tournament.name, before: { category: tournament.category }, after: { category: newCategory } });
       setTournaments(tournaments.map(t => t.id === tournament.id ? updatedTournament : t));
       if (selectedTournament?.id === tournament.id) {
         setSelectedTournament(updatedTournament);
       }
       setSidebarTab(newCategory);
       showNotif(`Moved to ${newCategory === 'tournaments' ? 'Tournaments' : 'Drafts'}`);
-    });
+    }, 'tournaments');
   };
 
   const startRename = (tournament) => {
@@ -864,6 +1027,7 @@ function StatsPage() {
     }
     const updatedTournament = { ...tournament, name: trimmed };
     await saveTournament(updatedTournament);
+    logAudit({ action: 'tournament.rename', targetType: 'tournaments', targetId: tournament.id, targetName: trimmed, before: { name: tournament.name }, after: { name: trimmed } });
     setTournaments(tournaments.map(t => t.id === tournament.id ? updatedTournament : t));
     if (selectedTournament?.id === tournament.id) {
       setSelectedTournament(updatedTournament);
@@ -881,122 +1045,6 @@ function StatsPage() {
     setPendingUploadFiles(null);
     setIsUploading(false);
   };
-  const parseIP = (ip) => { if (!ip) return 0; const str = String(ip); if (str.includes('.')) { const [w, f] = str.split('.'); return parseFloat(w) + (parseFloat(f) / 3); } return parseFloat(ip) || 0; };
-  const formatIP = (d) => { const w = Math.floor(d), f = Math.round((d - w) * 3); return f === 0 ? w.toString() : f === 3 ? (w + 1).toString() : `${w}.${f}`; };
-  const parseNum = (v) => { const n = parseFloat(v); return isNaN(n) ? 0 : n; };
-  const parsePct = (v) => { if (!v) return '0.0'; return String(v).replace('%', ''); };
-
-  const combinePlayerStats = (existing, newP, type) => {
-    // Include variant in player key so variants are treated as separate cards
-    const getPlayerKey = (p) => `${p.name}|${p.ovr}|${p.vari || 'N'}`;
-    const playerMap = new Map();
-    (existing || []).forEach(p => { playerMap.set(getPlayerKey(p), { ...p }); });
-    newP.forEach(p => {
-      const key = getPlayerKey(p);
-      if (playerMap.has(key)) {
-        const ex = playerMap.get(key);
-        if (type === 'pitching') {
-          const totalIP = parseIP(ex.ip) + parseIP(p.ip);
-          const exIP = parseIP(ex.ip), pIP = parseIP(p.ip);
-          playerMap.set(key, { ...ex, g: ex.g + p.g, gs: ex.gs + p.gs, ip: formatIP(totalIP), bf: ex.bf + p.bf,
-            era: totalIP > 0 ? ((parseFloat(ex.era) * exIP + parseFloat(p.era) * pIP) / totalIP).toFixed(2) : '0.00',
-            avg: totalIP > 0 ? ((parseFloat(ex.avg) * exIP + parseFloat(p.avg) * pIP) / totalIP).toFixed(3) : '.000',
-            obp: totalIP > 0 ? ((parseFloat(ex.obp) * exIP + parseFloat(p.obp) * pIP) / totalIP).toFixed(3) : '.000',
-            babip: totalIP > 0 ? ((parseFloat(ex.babip) * exIP + parseFloat(p.babip) * pIP) / totalIP).toFixed(3) : '.000',
-            whip: totalIP > 0 ? ((parseFloat(ex.whip) * exIP + parseFloat(p.whip) * pIP) / totalIP).toFixed(2) : '0.00',
-            braPer9: totalIP > 0 ? ((parseFloat(ex.braPer9) * exIP + parseFloat(p.braPer9) * pIP) / totalIP).toFixed(2) : '0.00',
-            hrPer9: totalIP > 0 ? ((parseFloat(ex.hrPer9) * exIP + parseFloat(p.hrPer9) * pIP) / totalIP).toFixed(2) : '0.00',
-            hPer9: totalIP > 0 ? ((parseFloat(ex.hPer9) * exIP + parseFloat(p.hPer9) * pIP) / totalIP).toFixed(2) : '0.00',
-            bbPer9: totalIP > 0 ? ((parseFloat(ex.bbPer9) * exIP + parseFloat(p.bbPer9) * pIP) / totalIP).toFixed(2) : '0.00',
-            kPer9: totalIP > 0 ? ((parseFloat(ex.kPer9) * exIP + parseFloat(p.kPer9) * pIP) / totalIP).toFixed(2) : '0.00',
-            lobPct: totalIP > 0 ? ((parseFloat(ex.lobPct) * exIP + parseFloat(p.lobPct) * pIP) / totalIP).toFixed(1) : '0.0',
-            eraPlus: totalIP > 0 ? Math.round((ex.eraPlus * exIP + p.eraPlus * pIP) / totalIP) : 0,
-            fip: totalIP > 0 ? ((parseFloat(ex.fip) * exIP + parseFloat(p.fip) * pIP) / totalIP).toFixed(2) : '0.00',
-            fipMinus: totalIP > 0 ? Math.round((ex.fipMinus * exIP + p.fipMinus * pIP) / totalIP) : 0,
-            war: (parseFloat(ex.war) + parseFloat(p.war)).toFixed(1),
-            siera: totalIP > 0 ? ((parseFloat(ex.siera) * exIP + parseFloat(p.siera) * pIP) / totalIP).toFixed(2) : '0.00'
-          });
-        } else {
-          const totalPA = ex.pa + p.pa;
-          playerMap.set(key, { ...ex, g: ex.g + p.g, gs: ex.gs + p.gs, pa: totalPA, ab: ex.ab + p.ab,
-            h: ex.h + p.h, doubles: ex.doubles + p.doubles, triples: ex.triples + p.triples, hr: ex.hr + p.hr,
-            so: ex.so + p.so, gidp: ex.gidp + p.gidp,
-            bbPct: totalPA > 0 ? ((parseFloat(ex.bbPct) * ex.pa + parseFloat(p.bbPct) * p.pa) / totalPA).toFixed(1) : '0.0',
-            avg: totalPA > 0 ? ((parseFloat(ex.avg) * ex.pa + parseFloat(p.avg) * p.pa) / totalPA).toFixed(3) : '.000',
-            obp: totalPA > 0 ? ((parseFloat(ex.obp) * ex.pa + parseFloat(p.obp) * p.pa) / totalPA).toFixed(3) : '.000',
-            slg: totalPA > 0 ? ((parseFloat(ex.slg) * ex.pa + parseFloat(p.slg) * p.pa) / totalPA).toFixed(3) : '.000',
-            woba: totalPA > 0 ? ((parseFloat(ex.woba) * ex.pa + parseFloat(p.woba) * p.pa) / totalPA).toFixed(3) : '.000',
-            ops: totalPA > 0 ? ((parseFloat(ex.ops) * ex.pa + parseFloat(p.ops) * p.pa) / totalPA).toFixed(3) : '.000',
-            opsPlus: totalPA > 0 ? Math.round((ex.opsPlus * ex.pa + p.opsPlus * p.pa) / totalPA) : 0,
-            babip: totalPA > 0 ? ((parseFloat(ex.babip) * ex.pa + parseFloat(p.babip) * p.pa) / totalPA).toFixed(3) : '.000',
-            wrcPlus: totalPA > 0 ? Math.round((ex.wrcPlus * ex.pa + p.wrcPlus * p.pa) / totalPA) : 0,
-            wraa: (parseFloat(ex.wraa) + parseFloat(p.wraa)).toFixed(1),
-            war: (parseFloat(ex.war) + parseFloat(p.war)).toFixed(1),
-            sbPct: totalPA > 0 ? ((parseFloat(ex.sbPct) * ex.pa + parseFloat(p.sbPct) * p.pa) / totalPA).toFixed(1) : '0.0',
-            ubr: (parseFloat(ex.ubr || ex.bsr || 0) + parseFloat(p.ubr || p.bsr || 0)).toFixed(1)
-          });
-        }
-      } else { playerMap.set(key, { ...p }); }
-    });
-    return Array.from(playerMap.values());
-  };
-
-  const normalizePlayerData = (row, type) => {
-    if (type === 'pitching') {
-      return { id: crypto.randomUUID(), name: row.Name?.trim() || 'Unknown', pos: row.POS?.trim() || '', throws: row.T || '',
-        ovr: parseNum(row.OVR), vari: parseVariant(row.VAR), g: parseNum(row.G), gs: parseNum(row.GS), ip: row.IP || '0', bf: parseNum(row.BF),
-        era: row.ERA || '0.00', avg: row.AVG || '.000', obp: row.OBP || '.000', babip: row.BABIP || '.000',
-        whip: row.WHIP || '0.00', braPer9: row['BRA/9'] || '0.00', hrPer9: row['HR/9'] || '0.00', hPer9: row['H/9'] || '0.00',
-        bbPer9: row['BB/9'] || '0.00', kPer9: row['K/9'] || '0.00', lobPct: parsePct(row['LOB%']),
-        eraPlus: parseNum(row['ERA+']), fip: row.FIP || '0.00', fipMinus: parseNum(row['FIP-']),
-        war: row.WAR || '0.0', siera: row.SIERA || '0.00'
-      };
-    } else {
-      return { id: crypto.randomUUID(), name: row.Name?.trim() || 'Unknown', pos: row.POS?.trim() || '', bats: row.B || '',
-        ovr: parseNum(row.OVR), vari: parseVariant(row.VAR), g: parseNum(row.G), gs: parseNum(row.GS), pa: parseNum(row.PA), ab: parseNum(row.AB),
-        h: parseNum(row.H), doubles: parseNum(row['2B']), triples: parseNum(row['3B']), hr: parseNum(row.HR), bbPct: parsePct(row['BB%']),
-        so: parseNum(row.K), gidp: parseNum(row.GIDP), avg: row.AVG || '.000', obp: row.OBP || '.000', slg: row.SLG || '.000',
-        woba: row.wOBA || '.000', ops: row.OPS || '.000', opsPlus: parseNum(row['OPS+']), babip: row.BABIP || '.000',
-        wrcPlus: parseNum(row['wRC+']), wraa: row.wRAA || '0.0', war: row.WAR || '0.0', sbPct: parsePct(row['SB%']), ubr: row.UBR || row.BsR || '0.0'
-      };
-    }
-  };
-
-  const PITCHING_HEADERS = ['POS', 'Name', 'T', 'OVR', 'VAR', 'G', 'GS', 'IP', 'BF', 'ERA', 'AVG', 'OBP', 'BABIP', 'WHIP', 'BRA/9', 'HR/9', 'H/9', 'BB/9', 'K/9', 'LOB%', 'ERA+', 'FIP', 'FIP-', 'WAR', 'SIERA'];
-  const BATTING_HEADERS = ['POS', 'Name', 'B', 'OVR', 'VAR', 'G', 'GS', 'PA', 'AB', 'H', '2B', '3B', 'HR', 'BB%', 'K', 'GIDP', 'AVG', 'OBP', 'SLG', 'wOBA', 'OPS', 'OPS+', 'BABIP', 'wRC+', 'wRAA', 'WAR', 'SB%', 'UBR'];
-  const COMBINED_HEADERS = ['POS','Name','B','T','OVR','VAR','G','GS','PA','AB','H','2B','3B','HR','BB%','K','GIDP','AVG','OBP','SLG','wOBA','OPS','OPS+','BABIP','wRC+','wRAA','WAR','SB%','UBR','G_1','GS_1','IP','BF','ERA','AVG_1','OBP_1','BABIP_1','WHIP','BRA/9','HR/9','H/9','BB/9','K/9','LOB%','ERA+','FIP','FIP-','WAR_1','SIERA'];
-
-  const PITCHER_POSITIONS = ['SP', 'RP', 'CL', 'MR'];
-
-  const splitCombinedRows = sharedSplitCombinedRows;
-  const MAX_FILE_SIZE = 1024 * 1024;
-
-  const hashContent = async (content) => {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(content);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
-  };
-
-  const validateHeaders = (headers) => {
-    const h = headers.map(x => x.trim());
-    // Combined format detection (has _1 suffix columns)
-    if (h.includes('G_1') || h.includes('WAR_1')) {
-      const missing = COMBINED_HEADERS.filter(x => !h.includes(x));
-      if (missing.length === 0) return { valid: true, type: 'combined' };
-      return { valid: false, error: `Combined format mismatch. Missing: ${missing.join(', ')}` };
-    }
-    if (h.length === PITCHING_HEADERS.length && PITCHING_HEADERS.every((x, i) => x === h[i])) return { valid: true, type: 'pitching' };
-    if (h.length === BATTING_HEADERS.length && BATTING_HEADERS.every((x, i) => x === h[i])) return { valid: true, type: 'batting' };
-    // Backward compat: old batting headers with DEF and BsR
-    const OLD_BATTING_HEADERS = ['POS', 'Name', 'B', 'OVR', 'VAR', 'DEF', 'G', 'GS', 'PA', 'AB', 'H', '2B', '3B', 'HR', 'BB%', 'K', 'GIDP', 'AVG', 'OBP', 'SLG', 'wOBA', 'OPS', 'OPS+', 'BABIP', 'wRC+', 'wRAA', 'WAR', 'SB%', 'BsR'];
-    if (h.length === OLD_BATTING_HEADERS.length && OLD_BATTING_HEADERS.every((x, i) => x === h[i])) return { valid: true, type: 'batting' };
-    const isPitch = h.includes('IP') || h.includes('ERA');
-    const isBat = h.includes('AB') || h.includes('PA');
-    if (isPitch) { const missing = PITCHING_HEADERS.filter(x => !h.includes(x)); return { valid: false, error: `Pitching mismatch. Missing: ${missing.join(', ')}` }; }
-    if (isBat) { const missing = BATTING_HEADERS.filter(x => !h.includes(x)); return { valid: false, error: `Batting mismatch. Missing: ${missing.join(', ')}` }; }
-    return { valid: false, error: 'Unrecognized CSV format.' };
-  };
 
   const handleFileUpload = (event) => {
     const input = event.target;
@@ -1017,7 +1065,7 @@ function StatsPage() {
     }
     
     for (const file of files) {
-      if (file.size > MAX_FILE_SIZE) { 
+      if (file.size > MAX_UPLOAD_SIZE) { 
         showNotif('File too large', 'error'); 
         return; 
       }
@@ -1054,7 +1102,10 @@ function StatsPage() {
         let currentTournament = { ...selectedTournament };
         let uploadedHashes = [...(currentTournament.uploadedHashes || [])];
         let uploadedDates = [...(currentTournament.uploadedDates || [])];
-        let totalBatting = 0, totalPitching = 0, skippedDupes = 0;
+        let totalBatting = 0, totalPitching = 0, totalSplits = 0, skippedDupes = 0, unmatchedSplits = 0;
+        const uploadDate = selectedDate || new Date().toISOString().split('T')[0];
+        const cumulativeNotes = [];
+        const historyIds = [];
         
         for (const file of pendingUploadFiles) {
           const fileContent = await file.text();
@@ -1067,59 +1118,51 @@ function StatsPage() {
           const validRows = parseResult.data.filter(r => r.Name?.trim());
           if (!validRows.length) continue;
 
+          // One part per file type: a combined export feeds both batting and pitching
+          let parts;
           if (validation.type === 'combined') {
-            // Split combined CSV into batting and pitching
             const { battingRows, pitchingRows } = splitCombinedRows(validRows);
-            if (battingRows.length > 0) {
-              const processed = battingRows.map(r => normalizePlayerData(r, 'batting'));
-              const merged = combinePlayerStats(currentTournament.batting, processed, 'batting');
-              currentTournament = { ...currentTournament, batting: merged };
-              totalBatting += processed.length;
-              await supabase.from('upload_history').insert({
-                tournament_id: selectedTournament.id, tournament_name: selectedTournament.name,
-                file_type: 'batting', upload_date: selectedDate || new Date().toISOString().split('T')[0],
-                player_count: battingRows.length, player_data: battingRows,
-              });
-            }
-            if (pitchingRows.length > 0) {
-              const processed = pitchingRows.map(r => normalizePlayerData(r, 'pitching'));
-              const merged = combinePlayerStats(currentTournament.pitching, processed, 'pitching');
-              currentTournament = { ...currentTournament, pitching: merged };
-              totalPitching += processed.length;
-              await supabase.from('upload_history').insert({
-                tournament_id: selectedTournament.id, tournament_name: selectedTournament.name,
-                file_type: 'pitching', upload_date: selectedDate || new Date().toISOString().split('T')[0],
-                player_count: pitchingRows.length, player_data: pitchingRows,
-              });
-            }
+            parts = [{ fileType: 'batting', rows: battingRows }, { fileType: 'pitching', rows: pitchingRows }];
+          } else if (isSplitFileType(validation.type)) {
+            const splitRows = validRows.filter(r => getRowSplitSide(r));
+            if (splitRows.length < validRows.length) showNotif(`${validRows.length - splitRows.length} rows with an unrecognized Split value were skipped`, 'error');
+            parts = [{ fileType: validation.type, rows: splitRows }];
           } else {
-            const processed = validRows.map(r => normalizePlayerData(r, validation.type));
-            const merged = combinePlayerStats(currentTournament[validation.type], processed, validation.type);
-            currentTournament = { ...currentTournament, [validation.type]: merged };
-            if (validation.type === 'batting') totalBatting += processed.length;
-            else totalPitching += processed.length;
-            await supabase.from('upload_history').insert({
-              tournament_id: selectedTournament.id, tournament_name: selectedTournament.name,
-              file_type: validation.type, upload_date: selectedDate || new Date().toISOString().split('T')[0],
-              player_count: validRows.length, player_data: validRows,
-            });
+            parts = [{ fileType: validation.type, rows: validRows }];
           }
-          uploadedHashes.push(fileHash);
-        }
-        
-        // Add the selected date to uploadedDates if not already present
-        if (selectedDate && !uploadedDates.includes(selectedDate)) {
-          uploadedDates.push(selectedDate);
+          parts = parts.filter(part => part.rows.length);
+          if (!parts.length) continue;
+          const merged = await mergeUploadParts(supabase, {
+            tournament: { id: currentTournament.id, name: currentTournament.name, batting: currentTournament.batting, pitching: currentTournament.pitching, uploaded_dates: uploadedDates, uploaded_hashes: uploadedHashes },
+            parts, date: uploadDate, fileHash, cumulative: cumulativeUpload,
+          });
+          for (const part of merged.parts) {
+            const target = STAT_FILE_TYPES[part.fileType];
+            if (cumulativeUpload) cumulativeNotes.push(`${part.fileType}: ${describeCumulativeDelta(part)}`);
+            if (isSplitFileType(part.fileType)) {
+              unmatchedSplits += countUnmatchedSplitRows(currentTournament[target], part.rows, target);
+              totalSplits += part.rows.length;
+            } else if (target === 'batting') totalBatting += part.rows.length;
+            else totalPitching += part.rows.length;
+          }
+          currentTournament = { ...currentTournament, batting: merged.tournament.batting, pitching: merged.tournament.pitching };
+          uploadedDates = merged.tournament.uploaded_dates;
+          uploadedHashes = merged.tournament.uploaded_hashes;
+          historyIds.push(...merged.historyIds);
         }
         
         currentTournament.uploadedHashes = uploadedHashes;
         currentTournament.uploadedDates = uploadedDates;
-        await saveTournament(currentTournament);
+        if (historyIds.length) logAudit({ action: 'tournament.upload', targetType: 'tournaments', targetId: selectedTournament.id, targetName: selectedTournament.name, after: { historyIds, date: uploadDate } });
+        delete uploadHistoryCache.current[selectedTournament.id];
         setTournaments(tournaments.map(t => t.id === selectedTournament.id ? currentTournament : t));
         setSelectedTournament(currentTournament);
-        let msg = totalBatting || totalPitching ? `✓ ${totalBatting ? totalBatting + ' batters' : ''}${totalPitching ? (totalBatting ? ', ' : '') + totalPitching + ' pitchers' : ''}` : 'No new data';
+        const parts = [totalBatting && `${totalBatting} batters`, totalPitching && `${totalPitching} pitchers`, totalSplits && `${totalSplits} split lines`].filter(Boolean);
+        let msg = parts.length ? `✓ ${parts.join(', ')}` : 'No new data';
         if (skippedDupes) msg += ` (${skippedDupes} dupes skipped)`;
-        showNotif(msg, (!totalBatting && !totalPitching) ? 'error' : undefined);
+        if (unmatchedSplits) msg += ` (${unmatchedSplits} split lines had no overall line yet — upload the overall export first)`;
+        if (cumulativeNotes.length) msg += ` — cumulative ${cumulativeNotes.join(' | ')}`;
+        showNotif(msg, !parts.length ? 'error' : undefined);
       } catch (e) { 
         console.error('Upload error:', e);
         showNotif('Upload error', 'error'); 
@@ -1130,7 +1173,7 @@ function StatsPage() {
       }
     };
     
-    requestAuth(doUpload);
+    requestAuth(doUpload, 'review');
   };
 
   // Helper to get Pacific Time date
@@ -1140,6 +1183,19 @@ function StatsPage() {
     return pacificTime;
   };
 
+  // Resolve a date-range preset into inclusive YYYY-MM-DD bounds (null = open-ended)
+  const getDateRangeBounds = ({ preset, from, to }) => {
+    const daysAgo = (n) => {
+      const d = getPacificDate();
+      d.setDate(d.getDate() - n);
+      return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    };
+    if (preset === 'last7') return { from: daysAgo(6), to: null };
+    if (preset === 'last30') return { from: daysAgo(29), to: null };
+    if (preset === 'sinceCards') return { from: cardUpdateDate, to: null };
+    return { from: from || null, to: to || null };
+  };
+
   // Generate 21-day calendar going BACKWARDS from today (Pacific Time) - exactly 3 weeks
   const generate21DayCalendar = () => {
     const now = new Date();
@@ -1196,7 +1252,7 @@ function StatsPage() {
 
   // Admin function to toggle date status
   const toggleDateStatus = async (dateStr) => {
-    if (!isAdmin) return;
+    if (!canReview) return;
     
     let currentTournament = { ...selectedTournament };
     let uploadedDates = [...(currentTournament.uploadedDates || [])];
@@ -1211,11 +1267,22 @@ function StatsPage() {
     
     currentTournament.uploadedDates = uploadedDates;
     await saveTournament(currentTournament);
+    logAudit({ action: 'tournament.dates', targetType: 'tournaments', targetId: selectedTournament.id, targetName: selectedTournament.name, before: { uploaded_dates: selectedTournament.uploadedDates || [] }, after: { uploaded_dates: uploadedDates } });
     setTournaments(tournaments.map(t => t.id === selectedTournament.id ? currentTournament : t));
     setSelectedTournament(currentTournament);
     showNotif(uploadedDates.includes(dateStr) ? 'Date marked as uploaded' : 'Date marked as missing');
   };
 
+  const updateColumnStore = (type, typeStore) => setColumnStore(s => {
+    const next = { ...s, [type]: typeStore };
+    saveColumnStore(next);
+    return next;
+  });
+  const setDerivedFilter = (key, updates) => setFilters(f => ({
+    ...f,
+    derivedFilters: { ...f.derivedFilters, [key]: { enabled: false, operator: '>=', value: 0, ...f.derivedFilters?.[key], ...updates } }
+  }));
+
   const passesFilter = (v, f) => { if (!f.enabled) return true; const nv = parseFloat(v) || 0, fv = parseFloat(f.value) || 0; return f.operator === '>' ? nv > fv : f.operator === '>=' ? nv >= fv : f.operator === '=' ? nv === fv : f.operator === '<=' ? nv <= fv : nv < fv; };
 
   const getFilteredData = (data, type) => {
@@ -1257,6 +1324,11 @@ function StatsPage() {
     } else {
       f = f.filter(p => passesFilter(parseIP(p.ip), filters.ipFilter));
     }
+    (columnStore[type]?.derived || []).forEach(col => {
+      const key = derivedKey(col);
+      const df = filters.derivedFilters?.[key];
+      if (df?.enabled) f = f.filter(p => p[key] !== null && passesFilter(p[key], df));
+    });
     
     const calcPer600PA = (val, pa) => { const paNum = parseFloat(pa) || 0; return paNum === 0 ? 0 : parseFloat(val || 0) / paNum * 600; };
     const calcWarPer200IP = (war, ip) => { const ipNum = parseIP(ip); return ipNum === 0 ? 0 : parseFloat(war || 0) / ipNum * 200; };
@@ -1277,23 +1349,20 @@ function StatsPage() {
     return f;
   };
 
-  const toggleSort = (field) => { if (filters.sortBy === field) setFilters(f => ({ ...f, sortDir: f.sortDir === 'asc' ? 'desc' : 'asc' })); else setFilters(f => ({ ...f, sortBy: field, sortDir: 'desc' })); };
-  const updateStatFilter = (name, updates) => setFilters(f => ({ ...f, [name]: { ...f[name], ...updates } }));
-  const resetFilters = () => {
-    const isPitching = activeTab === 'pitching';
-    setFilters({
-      search: '',
-      position: 'all',
-      sortBy: isPitching ? 'fipMinus' : 'woba',
-      sortDir: isPitching ? 'asc' : 'desc',
-      gFilter: { enabled: false, operator: '>=', value: 0 },
-      paFilter: isPitching ? { enabled: false, operator: '>=', value: 0 } : { enabled: true, operator: '>=', value: 1000 },
-      abFilter: { enabled: false, operator: '>=', value: 0 },
-      ipFilter: isPitching ? { enabled: true, operator: '>=', value: 400 } : { enabled: false, operator: '>=', value: 0 },
-      cardTiers: { perfect: true, diamond: true, gold: true, silver: true, bronze: true, iron: true },
-      variantFilter: 'all'
+  // Turning regressed stats on re-sorts by the estimate of the current sort stat (and back when turned off)
+  const toggleEstimates = () => {
+    const next = !showEstimates;
+    setShowEstimates(next);
+    setFilters(f => {
+      if (next && ESTIMATE_METRICS[f.sortBy]) return { ...f, sortBy: `est${f.sortBy[0].toUpperCase()}${f.sortBy.slice(1)}` };
+      const raw = Object.keys(ESTIMATE_METRICS).find(m => f.sortBy === `est${m[0].toUpperCase()}${m.slice(1)}`);
+      if (!next && raw) return { ...f, sortBy: raw };
+      return f;
     });
   };
+  const toggleSort = (field) => { if (filters.sortBy === field) setFilters(f => ({ ...f, sortDir: f.sortDir === 'asc' ? 'desc' : 'asc' })); else setFilters(f => ({ ...f, sortBy: field, sortDir: 'desc' })); };
+  const updateStatFilter = (name, updates) => setFilters(f => ({ ...f, [name]: { ...f[name], ...updates } }));
+  const resetFilters = () => setFilters(getDefaultFilters(activeTab === 'pitching' ? 'pitching' : 'batting'));
   const getActiveFilterCount = () => { 
     let c = 0; 
     if (filters.position !== 'all') c++; 
@@ -1302,19 +1371,10 @@ function StatsPage() {
     const disabledTiers = Object.values(filters.cardTiers).filter(v => !v).length;
     if (disabledTiers > 0) c++;
     if (filters.variantFilter !== 'all') c++;
+    (columnStore[activeTab]?.derived || []).forEach(col => { if (filters.derivedFilters?.[derivedKey(col)]?.enabled) c++; });
     return c; 
   };
   
-  const getCardTier = (ovr) => {
-    const val = parseInt(ovr) || 0;
-    if (val >= 100) return 'perfect';
-    if (val >= 90) return 'diamond';
-    if (val >= 80) return 'gold';
-    if (val >= 70) return 'silver';
-    if (val >= 60) return 'bronze';
-    return 'iron';
-  };
-  
   const toggleCardTier = (tier) => {
     setFilters(f => ({
       ...f,
@@ -1332,68 +1392,6 @@ function StatsPage() {
     return { L: ((counts.L / total) * 100).toFixed(0), S: ((counts.S / total) * 100).toFixed(0), R: ((counts.R / total) * 100).toFixed(0) };
   };
 
-  const getEventFriendliness = (batting, pitching) => {
-    if (!batting?.length || !pitching?.length) return null;
-    // Qualified batters: 200+ PA
-    const qBat = batting.filter(p => (parseFloat(p.pa) || 0) >= 200);
-    // Qualified pitchers: 100+ IP
-    const qPit = pitching.filter(p => parseIP(p.ip) >= 100);
-    if (!qBat.length || !qPit.length) return null;
-
-    // Step 1: League averages
-    const mean = (arr, fn) => arr.reduce((s, p) => s + fn(p), 0) / arr.length;
-    const lgAvg = mean(qBat, p => parseFloat(p.avg) || 0);
-    const lgOps = mean(qBat, p => parseFloat(p.ops) || 0);
-    const lgSlg = mean(qBat, p => parseFloat(p.slg) || 0);
-    const lgBabip = mean(qBat, p => parseFloat(p.babip) || 0);
-    const lgBbPct = mean(qBat, p => parseFloat(p.bbPct) || 0);
-    const lgWrcPlus = mean(qBat, p => parseFloat(p.wrcPlus) || 0);
-    const totalHR = qBat.reduce((s, p) => s + ((parseFloat(p.hr) || 0) * (p._instanceCount || 1)), 0);
-    const totalPA = qBat.reduce((s, p) => s + (parseFloat(p.pa) || 0), 0);
-    const lgHrPa = totalPA > 0 ? totalHR / totalPA : 0;
-    const lgEra = mean(qPit, p => parseFloat(p.era) || 0);
-    const lgFip = mean(qPit, p => parseFloat(p.fip) || 0);
-    const lgSiera = mean(qPit, p => parseFloat(p.siera) || 0);
-    const lgWhip = mean(qPit, p => parseFloat(p.whip) || 0);
-    const lgK9 = mean(qPit, p => parseFloat(p.kPer9) || 0);
-    const lgHr9 = mean(qPit, p => parseFloat(p.hrPer9) || 0);
-
-    // Step 2: Game-neutral baselines (from 6 neutral tournament formats)
-    const baselines = { ops: 0.689, wrcPlus: 97.2, avg: 0.242, slg: 0.383, babip: 0.284, hrPa: 0.040, bbPct: 8.1, era: 3.19, fip: 3.69, siera: 3.32, whip: 1.106, k9: 8.49, hr9: 0.954 };
-
-    // Step 3: Percent deviations (positive = hitter-friendly)
-    const dev = (val, base) => ((val - base) / base) * 100;
-    const metrics = [
-      { key: 'OPS', lg: lgOps, base: baselines.ops, weight: 2.0, dev: dev(lgOps, baselines.ops) },
-      { key: 'wRC+', lg: lgWrcPlus, base: baselines.wrcPlus, weight: 2.0, dev: dev(lgWrcPlus, baselines.wrcPlus) },
-      { key: 'AVG', lg: lgAvg, base: baselines.avg, weight: 0.5, dev: dev(lgAvg, baselines.avg) },
-      { key: 'SLG', lg: lgSlg, base: baselines.slg, weight: 1.5, dev: dev(lgSlg, baselines.slg) },
-      { key: 'BABIP', lg: lgBabip, base: baselines.babip, weight: 0.5, dev: dev(lgBabip, baselines.babip) },
-      { key: 'HR/PA', lg: lgHrPa, base: baselines.hrPa, weight: 2.0, dev: dev(lgHrPa, baselines.hrPa) },
-      { key: 'BB%', lg: lgBbPct, base: baselines.bbPct, weight: 0.5, dev: dev(lgBbPct, baselines.bbPct) },
-      { key: 'ERA', lg: lgEra, base: baselines.era, weight: 0.0, dev: dev(lgEra, baselines.era) },
-      { key: 'FIP', lg: lgFip, base: baselines.fip, weight: 1.0, dev: dev(lgFip, baselines.fip) },
-      { key: 'SIERA', lg: lgSiera, base: baselines.siera, weight: 1.0, dev: dev(lgSiera, baselines.siera) },
-      { key: 'WHIP', lg: lgWhip, base: baselines.whip, weight: 1.0, dev: dev(lgWhip, baselines.whip) },
-      { key: 'K/9', lg: lgK9, base: baselines.k9, weight: 1.5, dev: -dev(lgK9, baselines.k9), displayDev: dev(lgK9, baselines.k9) },
-      { key: 'HR/9', lg: lgHr9, base: baselines.hr9, weight: 2.0, dev: dev(lgHr9, baselines.hr9) },
-    ];
-
-    // Step 4: Weighted composite
-    const totalWeight = metrics.reduce((s, m) => s + m.weight, 0); // 18.5
-    const envScore = metrics.reduce((s, m) => s + m.dev * m.weight, 0) / totalWeight;
-
-    // Step 5: Verdict
-    let label;
-    if (envScore > 5) label = 'Hitter-Friendly';
-    else if (envScore > 2) label = 'Slightly Hitter-Friendly';
-    else if (envScore >= -2) label = 'Neutral';
-    else if (envScore >= -5) label = 'Slightly Pitcher-Friendly';
-    else label = 'Pitcher-Friendly';
-
-    return { label, envScore, metrics };
-  };
-
   const getCsvCount = (t) => (t.uploadedDates?.length || 0);
   const getDataQuality = (count) => {
     const g = isColorblind ? CB_POSITIVE : '#22C55E';
@@ -1403,10 +1401,28 @@ function StatsPage() {
     return { label: `LOW(${count}u)`, color: r };
   };
 
+  // Neutral run environment, derived from every loaded event
+  const envBaselines = useMemo(() => buildEnvBaselines(tournaments), [tournaments]);
+
   const filteredTournaments = tournaments.filter(t => (t.category || 'tournaments') === sidebarTab).filter(t => !tournamentSearch || t.name.toLowerCase().includes(tournamentSearch.toLowerCase())).sort((a, b) => a.name.localeCompare(b.name));
   if (isLoading) return <Layout notification={notification}><div style={styles.loading}><div className="loading-spinner"></div><p>Loading...</p></div></Layout>;
-  const filteredData = selectedTournament ? getFilteredData(selectedTournament[activeTab] || [], activeTab) : [];
-  const totalData = selectedTournament ? (selectedTournament[activeTab]?.length || 0) : 0;
+  // Stats currently on screen: the cumulative tournament, or the date-range rebuild once it has loaded
+  const viewStats = dateRange.preset !== 'all' && rangeStats?.tournamentId === selectedTournament?.id ? rangeStats : selectedTournament;
+  // Platoon split columns only make sense once a splits export has been uploaded for this table
+  const hasSplitData = activeTab !== 'analysis' && (viewStats?.[activeTab] || []).some(p => p._splits && Object.keys(p._splits).length > 0);
+  const eventEnv = viewStats ? getEventFriendliness(viewStats.batting, viewStats.pitching, envBaselines) : null;
+  const neutralFactors = eventEnv ? getNeutralFactors(eventEnv.averages, envBaselines) : null;
+  // Regressed estimates use the whole table for tier means, so they're computed before filtering
+  const columnConfig = activeTab !== 'analysis' ? columnStore[activeTab] : null;
+  const activeColumnSet = columnConfig?.sets.find(s => s.id === columnConfig.activeSetId) || null;
+  const builtInColumns = activeTab === 'pitching' ? PITCHING_COLUMNS : BATTING_COLUMNS;
+  const estimatedRows = viewStats && activeTab !== 'analysis' ? withEstimates(withNeutralStats(withDerivedColumns(viewStats[activeTab] || [], activeTab, columnConfig?.derived), activeTab, neutralFactors), activeTab) : [];
+  const filteredData = selectedTournament ? getFilteredData(estimatedRows, activeTab) : [];
+  const totalData = selectedTournament ? (viewStats[activeTab]?.length || 0) : 0;
+  const exportStats = (format) => {
+    const columns = getStatsExportColumns(activeTab, { columnKeys: activeColumnSet?.columns, derivedColumns: columnConfig?.derived, showPer9, showTraditional, isDraft: selectedTournament?.category === 'drafts', showEstimates, showNeutral: showNeutral && !!neutralFactors, showSplits: showSplits && hasSplitData });
+    exportTable({ name: `${selectedTournament.name} ${activeTab}`, columns, rows: filteredData, format });
+  };
 
   return (
     <>
@@ -1479,7 +1495,7 @@ function StatsPage() {
                         <button style={styles.legacyBtn} onClick={(e) => { e.stopPropagation(); setRenamingTournament(null); }} title="Cancel">✕</button>
                       </>
                     ) : (
-                      isAdmin && (
+                      canManage && (
                         <div style={{ position: 'relative' }}>
                           <button
                             style={styles.legacyBtn}
@@ -1520,6 +1536,7 @@ function StatsPage() {
                                     const newValue = !t.rotatingFormat;
                                     const updated = { ...t, rotatingFormat: newValue };
                                     await supabase.from('tournaments').update({ rotating_format: newValue }).eq('id', t.id);
+                                    logAudit({ action: 'tournament.rotating', targetType: 'tournaments', targetId: t.id, targetName: t.name, before: { rotating_format: !newValue }, after: { rotating_format: newValue } });
                                     setTournaments(tournaments.map(x => x.id === t.id ? updated : x));
                                     if (selectedTournament?.id === t.id) setSelectedTournament(updated);
                                     showNotif(newValue ? 'Marked as rotating format' : 'Removed rotating format');
@@ -1534,12 +1551,14 @@ function StatsPage() {
                                 onMouseLeave={(e) => e.target.style.background = 'transparent'}
                                 onClick={() => { toggleLegacy(t); setOpenMenuId(null); }}
                               >{isLegacy ? '↩️ Restore from Legacy' : '📦 Move to Legacy'}</button>
-                              <button
-                                style={{ display: 'flex', alignItems: 'center', gap: 8, width: '100%', padding: '10px 14px', background: 'transparent', border: 'none', color: theme.error, fontSize: 13, cursor: 'pointer', textAlign: 'left' }}
-                                onMouseEnter={(e) => e.target.style.background = `${theme.error}12`}
-                                onMouseLeave={(e) => e.target.style.background = 'transparent'}
-                                onClick={() => { deleteTournament(t.id); setOpenMenuId(null); }}
-                              >🗑️ Delete</button>
+                              {can('admin') && (
+                                <button
+                                  style={{ display: 'flex', alignItems: 'center', gap: 8, width: '100%', padding: '10px 14px', background: 'transparent', border: 'none', color: theme.error, fontSize: 13, cursor: 'pointer', textAlign: 'left' }}
+                                  onMouseEnter={(e) => e.target.style.background = `${theme.error}12`}
+                                  onMouseLeave={(e) => e.target.style.background = 'transparent'}
+                                  onClick={() => { deleteTournament(t.id); setOpenMenuId(null); }}
+                                >🗑️ Delete</button>
+                              )}
                             </div>
                           )}
                         </div>
@@ -1549,7 +1568,7 @@ function StatsPage() {
                 </div>);
               })}
           </div>
-          {sidebarTab !== 'legacy' && isAdmin && (
+          {sidebarTab !== 'legacy' && canManage && (
             <button style={styles.newTournamentBtn} onClick={() => setShowNewTournament(true)}>+ New</button>
           )}
         </aside>
@@ -1558,14 +1577,14 @@ function StatsPage() {
             <div style={styles.tournamentHeader}>
               <div style={styles.tournamentMeta}>
                 <h2 style={styles.tournamentTitleMain}>{selectedTournament.name}</h2>
-                {((selectedTournament.pitching?.length || 0) > 0 || (selectedTournament.batting?.length || 0) > 0) && (
+                {((viewStats.pitching?.length || 0) > 0 || (viewStats.batting?.length || 0) > 0) && (
                   <div style={{ display: 'flex', gap: 16 }}>
                     <div style={{...styles.handednessContainer, alignSelf: 'center'}}>
-                      {(selectedTournament.pitching?.length || 0) > 0 && (() => { const s = getHandednessStats(selectedTournament.pitching, 'throws'); return <span style={{...styles.handednessGroup, color: theme.textPrimary}}>T: L{s.L}% S{s.S}% R{s.R}%</span>; })()}
-                      {(selectedTournament.batting?.length || 0) > 0 && (() => { const s = getHandednessStats(selectedTournament.batting, 'bats'); return <span style={{...styles.handednessGroup, color: theme.textPrimary}}>B: L{s.L}% S{s.S}% R{s.R}%</span>; })()}
+                      {(viewStats.pitching?.length || 0) > 0 && (() => { const s = getHandednessStats(viewStats.pitching, 'throws'); return <span style={{...styles.handednessGroup, color: theme.textPrimary}}>T: L{s.L}% S{s.S}% R{s.R}%</span>; })()}
+                      {(viewStats.batting?.length || 0) > 0 && (() => { const s = getHandednessStats(viewStats.batting, 'bats'); return <span style={{...styles.handednessGroup, color: theme.textPrimary}}>B: L{s.L}% S{s.S}% R{s.R}%</span>; })()}
                     </div>
                     {(() => {
-                      const f = getEventFriendliness(selectedTournament.batting, selectedTournament.pitching);
+                      const f = eventEnv;
                       if (!f) return null;
                       const isHitter = f.label.includes('Hitter');
                       const isPitcher = f.label.includes('Pitcher');
@@ -1602,6 +1621,9 @@ function StatsPage() {
                                   );
                                 })}
                               </div>
+                              <div style={{ marginTop: 8, fontSize: 10, color: theme.textDim }}>
+                                {envBaselines._derived ? `Base = median across ${envBaselines._events} rated events` : `Base = built-in neutral defaults (fewer than 3 rated events)`}
+                              </div>
                             </div>
                           )}
                         </span>
@@ -1612,7 +1634,7 @@ function StatsPage() {
               </div>
               <div style={styles.headerActions}>
                 <button style={styles.missingDataBtn} onClick={() => setShowMissingData(true)} title="View missing data calendar">📅 Missing Data</button>
-                {isAdmin && (
+                {canReview && (
                   <button style={styles.uploadBtn} onClick={triggerFileUpload}>↑ Upload CSV</button>
                 )}
               </div>
@@ -1624,6 +1646,7 @@ function StatsPage() {
                 <div style={styles.datePickerModal}>
                   <h3 style={styles.modalTitle}>Select Data Date</h3>
                   <p style={styles.modalText}>What date is this CSV data for?</p>
+                  <CumulativeUploadToggle checked={cumulativeUpload} onChange={setCumulativeUpload} />
                   <div style={styles.datePickerGrid}>
                     {generate21DayCalendar().map((day, idx) => {
                       const isUploaded = hasDataForDate(day.dateStr, selectedTournament.uploadedDates, selectedTournament.eventType);
@@ -1669,9 +1692,9 @@ function StatsPage() {
                   <h3 style={styles.modalTitle}>📅 Missing Data Calendar</h3>
                   <p style={styles.modalText}>
                     {selectedTournament.eventType === 'weekly' ? 'Weekly event - one upload covers entire week' : 'Daily event - one upload per day'}
-                    {isAdmin && <span style={styles.adminHint}> • Click dates to toggle status</span>}
+                    {canReview && <span style={styles.adminHint}> • Click dates to toggle status</span>}
                   </p>
-                  {isAdmin && (
+                  {canManage && (
                     <label style={{ 
                       display: 'flex', alignItems: 'center', gap: 8, 
                       marginBottom: 12, padding: '8px 12px', 
@@ -1687,6 +1710,7 @@ function StatsPage() {
                           setSelectedTournament(updated);
                           setTournaments(tournaments.map(t => t.id === selectedTournament.id ? updated : t));
                           await supabase.from('tournaments').update({ rotating_format: newValue }).eq('id', selectedTournament.id);
+                          logAudit({ action: 'tournament.rotating', targetType: 'tournaments', targetId: selectedTournament.id, targetName: selectedTournament.name, before: { rotating_format: !newValue }, after: { rotating_format: newValue } });
                           showNotif(newValue ? 'Marked as rotating format' : 'Removed rotating format');
                         }}
                       />
@@ -1732,10 +1756,10 @@ function StatsPage() {
                                     ...styles.calendarDay,
                                     ...(isUploaded ? styles.calendarDayComplete : styles.calendarDayMissing),
                                     ...(day.isToday ? styles.calendarDayToday : {}),
-                                    ...(isAdmin ? styles.calendarDayClickable : {})
+                                    ...(canReview ? styles.calendarDayClickable : {})
                                   }}
-                                  title={isUploaded ? 'Data uploaded' + (isAdmin ? ' - Click to mark as missing' : '') : "Missing this day's data. Please submit a CSV if you have history for this event." + (isAdmin ? ' - Click to mark as uploaded' : '')}
-                                  onClick={() => isAdmin && toggleDateStatus(day.dateStr)}
+                                  title={isUploaded ? 'Data uploaded' + (canReview ? ' - Click to mark as missing' : '') : "Missing this day's data. Please submit a CSV if you have history for this event." + (canReview ? ' - Click to mark as uploaded' : '')}
+                                  onClick={() => canReview && toggleDateStatus(day.dateStr)}
                                 >
                                   <span style={styles.calendarDayNum}>{day.dayOfMonth}</span>
                                   <span style={{...styles.calendarDayStatus, color: isUploaded ? theme.success : theme.warning}}>{isUploaded ? '✓' : '??'}</span>
@@ -1760,15 +1784,15 @@ function StatsPage() {
             )}
             <div style={styles.tabRow}>
               <div style={styles.tabs}>
-                <button style={{...styles.tab, ...(activeTab === 'pitching' ? styles.tabActive : {})}} onClick={() => { setActiveTab('pitching'); setFilters(f => ({...f, position: 'all', sortBy: 'fipMinus', sortDir: 'asc', ipFilter: { enabled: true, operator: '>=', value: 400 }, paFilter: { enabled: false, operator: '>=', value: 0 }})); setCurrentPage(1); }}>Pitching <span style={styles.tabCount}>{selectedTournament.pitching?.length || 0}</span></button>
-                <button style={{...styles.tab, ...(activeTab === 'batting' ? styles.tabActive : {})}} onClick={() => { setActiveTab('batting'); setFilters(f => ({...f, position: 'all', sortBy: 'woba', sortDir: 'desc', paFilter: { enabled: true, operator: '>=', value: 1000 }, ipFilter: { enabled: false, operator: '>=', value: 0 }})); setCurrentPage(1); }}>Batting <span style={styles.tabCount}>{selectedTournament.batting?.length || 0}</span></button>
+                <button style={{...styles.tab, ...(activeTab === 'pitching' ? styles.tabActive : {})}} onClick={() => { setActiveTab('pitching'); setFilters(f => ({...f, position: 'all', sortBy: 'fipMinus', sortDir: 'asc', ipFilter: { enabled: true, operator: '>=', value: 400 }, paFilter: { enabled: false, operator: '>=', value: 0 }})); setCurrentPage(1); }}>Pitching <span style={styles.tabCount}>{viewStats.pitching?.length || 0}</span></button>
+                <button style={{...styles.tab, ...(activeTab === 'batting' ? styles.tabActive : {})}} onClick={() => { setActiveTab('batting'); setFilters(f => ({...f, position: 'all', sortBy: 'woba', sortDir: 'desc', paFilter: { enabled: true, operator: '>=', value: 1000 }, ipFilter: { enabled: false, operator: '>=', value: 0 }})); setCurrentPage(1); }}>Batting <span style={styles.tabCount}>{viewStats.batting?.length || 0}</span></button>
                 {cardData.length > 0 && <button style={{...styles.tab, ...(activeTab === 'analysis' ? styles.tabActive : {})}} onClick={() => setActiveTab('analysis')}>Analysis</button>}
               </div>
             </div>
             {activeTab === 'analysis' ? (
               <CorrelationTab
-                battingData={selectedTournament.batting || []}
-                pitchingData={selectedTournament.pitching || []}
+                battingData={viewStats.batting || []}
+                pitchingData={viewStats.pitching || []}
                 cardData={cardData}
                 theme={theme}
               />
@@ -1803,6 +1827,24 @@ function StatsPage() {
                 </select>
               </div>
               <div style={styles.controlDivider} />
+              <div style={styles.controlGroup}>
+                <select value={dateRange.preset} onChange={(e) => setDateRange(r => ({ ...r, preset: e.target.value }))} style={styles.filterSelect} title="Rebuild stats from only the uploads in this date range">
+                  <option value="all">All dates</option>
+                  <option value="last7">Last 7 days</option>
+                  <option value="last30">Last 30 days</option>
+                  {cardUpdateDate && <option value="sinceCards">Since card update ({cardUpdateDate})</option>}
+                  <option value="custom">Custom range</option>
+                </select>
+                {dateRange.preset === 'custom' && (
+                  <>
+                    <input type="date" value={dateRange.from} max={dateRange.to || undefined} onChange={(e) => setDateRange(r => ({ ...r, from: e.target.value }))} style={styles.filterSelect} />
+                    <span style={{ color: theme.textMuted, fontSize: 12 }}>to</span>
+                    <input type="date" value={dateRange.to} min={dateRange.from || undefined} onChange={(e) => setDateRange(r => ({ ...r, to: e.target.value }))} style={styles.filterSelect} />
+                  </>
+                )}
+                {isLoadingRange && <span style={{ color: theme.textMuted, fontSize: 12 }}>Loading...</span>}
+              </div>
+              <div style={styles.controlDivider} />
               <div style={styles.controlGroup}>
                 <button style={{...styles.controlBtn, ...(showAdvancedFilters ? styles.controlBtnActive : {}), ...(getActiveFilterCount() > 0 ? styles.controlBtnHighlight : {})}} onClick={() => setShowAdvancedFilters(!showAdvancedFilters)}>
                   Filters {getActiveFilterCount() > 0 && <span style={styles.filterBadge}>{getActiveFilterCount()}</span>}
@@ -1810,10 +1852,22 @@ function StatsPage() {
               </div>
               <div style={styles.controlDivider} />
               <div style={styles.controlGroup}>
-                <button style={{...styles.controlBtn, ...(showPer9 ? styles.controlBtnActive : {})}} onClick={() => setShowPer9(!showPer9)} title="Show advanced rate statistics (WAR/200IP, WAR/600PA, wRAA/600PA, UBR/600PA)">Advanced Stats</button>
-                <button style={{...styles.controlBtn, ...(!showTraditional ? styles.controlBtnActive : {})}} onClick={() => setShowTraditional(!showTraditional)} title="Hide traditional counting stats (G, GS, AB, H, 2B, 3B, HR, BF, ERA, AVG, OBP, WHIP, H/9)">Hide Traditional</button>
+                <select value={activeColumnSet?.id || ''} onChange={(e) => updateColumnStore(activeTab, { ...columnConfig, activeSetId: e.target.value || null })} style={{...styles.filterSelect, borderLeft: `1px solid ${theme.border}`, borderRadius: 4}} title="Saved column set">
+                  <option value="">Default columns</option>
+                  {columnConfig?.sets.map(set => <option key={set.id} value={set.id}>{set.name}</option>)}
+                </select>
+                <button style={styles.controlBtn} onClick={() => setShowColumnEditor(true)} title="Pick, reorder and save columns, or add a derived stat from a formula">Columns…</button>
+                <button style={{...styles.controlBtn, ...(showPer9 ? styles.controlBtnActive : {}), ...(activeColumnSet ? { opacity: 0.4 } : {})}} onClick={() => setShowPer9(!showPer9)} disabled={!!activeColumnSet} title={activeColumnSet ? 'A saved column set is in use' : 'Show advanced rate statistics (WAR/200IP, WAR/600PA, wRAA/600PA, UBR/600PA)'}>Advanced Stats</button>
+                <button style={{...styles.controlBtn, ...(!showTraditional ? styles.controlBtnActive : {}), ...(activeColumnSet ? { opacity: 0.4 } : {})}} onClick={() => setShowTraditional(!showTraditional)} disabled={!!activeColumnSet} title={activeColumnSet ? 'A saved column set is in use' : 'Hide traditional counting stats (G, GS, AB, H, 2B, 3B, HR, BF, ERA, AVG, OBP, WHIP, H/9)'}>Hide Traditional</button>
+                <button style={{...styles.controlBtn, ...(showEstimates ? styles.controlBtnActive : {})}} onClick={toggleEstimates} title="Show stats regressed toward the card-tier mean, with 80% intervals, so small samples don't outrank proven cards">Regressed</button>
+                <button style={{...styles.controlBtn, ...(showNeutral ? styles.controlBtnActive : {})}} onClick={() => setShowNeutral(!showNeutral)} title="Show stats adjusted to a neutral run environment, so hitters and pitchers can be compared across formats">Neutral</button>
+                {hasSplitData && <button style={{...styles.controlBtn, ...(showSplits ? styles.controlBtnActive : {})}} onClick={() => setShowSplits(!showSplits)} title={activeTab === 'pitching' ? 'Show results vs left-handed and right-handed batters' : 'Show results vs left-handed and right-handed pitchers'}>Platoon Splits</button>}
                 {getActiveFilterCount() > 0 && <button style={styles.resetBtn} onClick={resetFilters}>Reset</button>}
               </div>
+              <div style={styles.controlDivider} />
+              <div style={styles.controlGroup}>
+                <ExportMenu onExport={exportStats} disabled={filteredData.length === 0} style={{...styles.filterSelect, borderLeft: `1px solid ${theme.border}`, borderRadius: 4}} title="Download every filtered row in the current sort order and columns" />
+              </div>
               <div style={styles.resultsCount}>{filteredData.length} / {totalData}</div>
             </div>
             {showAdvancedFilters && (
@@ -1830,6 +1884,13 @@ function StatsPage() {
                     <StatFilter label="IP" filter={filters.ipFilter} onChange={(u) => updateStatFilter('ipFilter', u)} theme={theme} />
                   )}
                 </div>
+                {columnConfig?.derived.length > 0 && (
+                  <div style={{...styles.filterGroup, marginTop: 10, flexWrap: 'wrap'}}>
+                    {columnConfig.derived.map(col => (
+                      <StatFilter key={col.id} label={col.label} filter={filters.derivedFilters?.[derivedKey(col)] || { enabled: false, operator: '>=', value: 0 }} onChange={(u) => setDerivedFilter(derivedKey(col), u)} theme={theme} />
+                    ))}
+                  </div>
+                )}
                 
                 {/* Card Tier Toggles */}
                 <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 10 }}>
@@ -1891,10 +1952,18 @@ function StatsPage() {
                 </div>}
               </div>
             )}
+            {compareSelection.length > 0 && (
+              <div style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '8px 12px', marginBottom: 8, background: theme.panelBg, border: `1px solid ${theme.border}`, borderRadius: 6, fontSize: 13 }}>
+                <span style={{ color: theme.textSecondary }}>{compareSelection.map(p => p.name).join(', ')}</span>
+                <span style={{ color: theme.textDim, fontSize: 12 }}>({compareSelection.length}/4)</span>
+                <button onClick={() => setShowCompare(true)} disabled={compareSelection.length < 2} style={{ marginLeft: 'auto', padding: '6px 14px', background: compareSelection.length < 2 ? theme.inputBg : theme.accent, color: compareSelection.length < 2 ? theme.textDim : '#fff', border: 'none', borderRadius: 4, cursor: compareSelection.length < 2 ? 'default' : 'pointer', fontWeight: 600, fontSize: 12 }}>Compare</button>
+                <button onClick={() => setCompareSelection([])} style={{ padding: '6px 10px', background: 'transparent', color: theme.textMuted, border: `1px solid ${theme.border}`, borderRadius: 4, cursor: 'pointer', fontSize: 12 }}>Clear</button>
+              </div>
+            )}
             <div style={styles.tableContainer}>
               {activeTab === 'pitching' 
-                ? <PitchingTable data={filteredData.slice((currentPage - 1) * ROWS_PER_PAGE, currentPage * ROWS_PER_PAGE)} sortBy={filters.sortBy} sortDir={filters.sortDir} onSort={toggleSort} theme={theme} showPer9={showPer9} showTraditional={showTraditional} onPlayerClick={handlePlayerClick} onPlayerHover={handlePlayerHover} onPlayerHoverEnd={handlePlayerHoverEnd} isDraft={selectedTournament?.category === 'drafts'} />
-                : <BattingTable data={filteredData.slice((currentPage - 1) * ROWS_PER_PAGE, currentPage * ROWS_PER_PAGE)} sortBy={filters.sortBy} sortDir={filters.sortDir} onSort={toggleSort} theme={theme} showPer9={showPer9} showTraditional={showTraditional} onPlayerClick={handlePlayerClick} onPlayerHover={handlePlayerHover} onPlayerHoverEnd={handlePlayerHoverEnd} isDraft={selectedTournament?.category === 'drafts'} />}
+                ? <PitchingTable data={filteredData.slice((currentPage - 1) * ROWS_PER_PAGE, currentPage * ROWS_PER_PAGE)} sortBy={filters.sortBy} sortDir={filters.sortDir} onSort={toggleSort} theme={theme} showPer9={showPer9} showTraditional={showTraditional} onPlayerClick={handlePlayerClick} onPlayerHover={handlePlayerHover} onPlayerHoverEnd={handlePlayerHoverEnd} isDraft={selectedTournament?.category === 'drafts'} selectedIds={compareIds} onToggleSelect={toggleCompare} showSplits={showSplits && hasSplitData} showEstimates={showEstimates} showNeutral={showNeutral && !!neutralFactors} columnKeys={activeColumnSet?.columns} derivedColumns={columnConfig?.derived} />
+                : <BattingTable data={filteredData.slice((currentPage - 1) * ROWS_PER_PAGE, currentPage * ROWS_PER_PAGE)} sortBy={filters.sortBy} sortDir={filters.sortDir} onSort={toggleSort} theme={theme} showPer9={showPer9} showTraditional={showTraditional} onPlayerClick={handlePlayerClick} onPlayerHover={handlePlayerHover} onPlayerHoverEnd={handlePlayerHoverEnd} isDraft={selectedTournament?.category === 'drafts'} selectedIds={compareIds} onToggleSelect={toggleCompare} showSplits={showSplits && hasSplitData} showEstimates={showEstimates} showNeutral={showNeutral && !!neutralFactors} columnKeys={activeColumnSet?.columns} derivedColumns={columnConfig?.derived} />}
             </div>
             {filteredData.length > ROWS_PER_PAGE && (
               <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 12, padding: '12px 0', borderTop: `1px solid ${theme.border}` }}>
@@ -1931,6 +2000,32 @@ function StatsPage() {
           cardData={cardData}
         />
       )}
+      {showColumnEditor && columnConfig && (
+        <ColumnSetEditor
+          type={activeTab}
+          store={columnConfig}
+          builtIns={builtInColumns}
+          defaultKeys={getTableColumns(builtInColumns, { derivedColumns: columnConfig.derived, showPer9, showTraditional }).map(c => c.key)}
+          sampleRow={filteredData[0]}
+          theme={theme}
+          onChange={(typeStore) => updateColumnStore(activeTab, typeStore)}
+          onClose={() => setShowColumnEditor(false)}
+        />
+      )}
+      {showCompare && compareSelection.length >= 2 && (
+        <PlayerCompareModal
+          entries={compareSelection.map(p => ({
+            key: p.id,
+            label: p.name,
+            context: `${selectedTournament?.name || ''} • OVR ${p.ovr}${p.vari === 'Y' ? ' (V)' : ''}`,
+            card: findCardMatch(p.name, activeTab, cardData),
+            stats: p,
+          }))}
+          playerType={activeTab}
+          theme={theme}
+          onClose={() => setShowCompare(false)}
+        />
+      )}
       {hoveredCard && ReactDOM.createPortal(
         <div style={{ position: 'fixed', top: hoverPosition.top, left: hoverPosition.left, display: 'flex', gap: 8, pointerEvents: 'none', zIndex: 99999 }}>
           <PlayerRatingCard card={hoveredCard} theme={theme} isPitcher={hoverType === 'pitching'} embedded />
@@ -1968,136 +2063,292 @@ function parseMarkdown(text) {
     .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank">$1</a>').replace(/\n/g, '<br />');
 }
 
-function InfoPage() {
+// Admin list of site accounts with a role picker for each (api/roles)
+function RolesPanel() {
   const { theme } = useTheme();
-  const styles = getStyles(theme);
-  const { isAdmin, requestAuth, logout } = useAuth();
-  const [content, setContent] = useState({ title: 'Info & FAQ', sections: [] });
-  const [isLoading, setIsLoading] = useState(true);
-  const [isEditing, setIsEditing] = useState(false);
-  const [editContent, setEditContent] = useState({ title: '', sections: [] });
-  const [notification, setNotification] = useState(null);
-  const [isRebuilding, setIsRebuilding] = useState(false);
-  const [cardUploadStatus, setCardUploadStatus] = useState('');
-  const [isUploadingCards, setIsUploadingCards] = useState(false);
+  const { session } = useAuth();
+  const [users, setUsers] = useState(null);
+  const [error, setError] = useState('');
+
+  const authHeaders = { Authorization: `Bearer ${session?.access_token}` };
+
+  useEffect(() => {
+    fetch('/api/roles', { headers: authHeaders })
+      .then(async res => { const body = await res.json().catch(() => ({})); if (!res.ok) throw new Error(body.error || `Failed (${res.status})`); setUsers(body); })
+      .catch(e => setError(e.message));
+  }, [session?.access_token]);
+
+  const changeRole = async (user, role) => {
+    setError('');
+    const res = await fetch('/api/roles', { method: 'POST', headers: { ...authHeaders, 'Content-Type': 'application/json' }, body: JSON.stringify({ userId: user.id, role }) });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) { setError(body.error || `Failed (${res.status})`); return; }
+    setUsers(us => us.map(u => u.id === user.id ? { ...u, role } : u));
+  };
+
+  return (
+    <div style={{ marginTop: 16, padding: 16, background: theme.cardBg, borderRadius: 8, border: `1px solid ${theme.border}` }}>
+      <div style={{ fontSize: 14, fontWeight: 600, color: theme.textPrimary, marginBottom: 8 }}>Roles</div>
+      {error && <div style={{ fontSize: 12, color: theme.error, marginBottom: 8 }}>{error}</div>}
+      {!users ? (!error && <div style={{ fontSize: 12, color: theme.textMuted }}>Loading accounts...</div>) : (
+        <table style={{ width: '100%', fontSize: 12, borderCollapse: 'collapse' }}>
+          <tbody>
+            {users.map(u => (
+              <tr key={u.id} style={{ borderTop: `1px solid ${theme.border}` }}>
+                <td style={{ padding: '6px 4px', color: theme.textPrimary }}>{u.name || u.email}{u.name && <span style={{ color: theme.textMuted }}> · {u.email}</span>}</td>
+                <td style={{ padding: '6px 4px', color: theme.textMuted }}>{u.lastSignIn ? `last in ${u.lastSignIn.split('T')[0]}` : 'never signed in'}</td>
+                <td style={{ padding: '6px 4px', textAlign: 'right' }}>
+                  <select
+                    value={u.role}
+                    disabled={u.id === session?.user?.id}
+                    onChange={(e) => changeRole(u, e.target.value)}
+                    style={{ background: theme.inputBg, color: theme.textPrimary, border: `1px solid ${theme.border}`, borderRadius: 4, padding: '3px 6px', fontSize: 12 }}
+                  >
+                    {ROLES.map(r => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// Admin upload of pt_card_list.csv: a dry run through api/import-cards shows the column report, then the import swaps the list in
+function CardImportPanel() {
+  const { theme } = useTheme();
+  const { session } = useAuth();
   const [cardCount, setCardCount] = useState(null);
-  const cardFileRef = React.useRef(null);
+  const [pending, setPending] = useState(null); // { csv, fileName, report }
+  const [status, setStatus] = useState(null); // { message, error }
+  const [isBusy, setIsBusy] = useState(false);
+  const fileRef = useRef(null);
 
-  // Check card count on mount
   useEffect(() => {
     supabase.from('pt_cards').select('id', { count: 'exact', head: true }).then(({ count }) => {
       if (count !== null) setCardCount(count);
     });
   }, []);
 
-  const handleCardUpload = async (e) => {
+  const postImport = async (payload) => {
+    const res = await fetch('/api/import-cards', {
+      method: 'POST', headers: { Authorization: `Bearer ${session?.access_token}`, 'Content-Type': 'application/json' }, body: JSON.stringify(payload),
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.error || `Failed (${res.status})`);
+    return body;
+  };
+
+  const handleFile = async (e) => {
     const file = e.target.files?.[0];
+    if (fileRef.current) fileRef.current.value = '';
     if (!file) return;
-    setIsUploadingCards(true);
-    setCardUploadStatus('Parsing CSV...');
-    const reader = new FileReader();
-    reader.onload = async (ev) => {
+    setPending(null);
+    if (file.size > MAX_CARD_LIST_SIZE) { setStatus({ message: `Error: ${file.name} is over ${MAX_CARD_LIST_SIZE / 1024 / 1024} MB`, error: true }); return; }
+    setIsBusy(true);
+    setStatus({ message: 'Checking columns...' });
+    try {
+      const csv = await file.text();
+      const { report } = await postImport({ csv, fileName: file.name, dryRun: true });
+      setPending({ csv, fileName: file.name, report });
+      setStatus(null);
+    } catch (err) {
+      setStatus({ message: `Error: ${err.message}`, error: true });
+    }
+    setIsBusy(false);
+  };
+
+  const runImport = async () => {
+    setIsBusy(true);
+    setStatus({ message: `Importing ${pending.report.rowCount} cards...` });
+    try {
+      // The backtest needs the predictions made from the ratings this import replaces
       try {
-        let csvText = ev.target.result;
-        // Strip // prefix from header row if present
-        if (csvText.startsWith('//')) csvText = csvText.substring(2);
-        // Normalize line endings to \n, then strip trailing commas per line
-        csvText = csvText.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-        csvText = csvText.split('\n').map(line => line.replace(/,+$/, '')).join('\n');
-        const parsed = Papa.parse(csvText, { header: true, skipEmptyLines: true });
-        const criticalErrors = parsed.errors.filter(e => e.type !== 'FieldMismatch');
-        if (criticalErrors.length > 5) { setCardUploadStatus(`Too many parse errors (${criticalErrors.length})`); setIsUploadingCards(false); return; }
-
-        const colMap = {
-          'Card Title': 'card_title', 'LastName': 'last_name', 'FirstName': 'first_name',
-          'Position': 'position', 'Bats': 'bats', 'Throws': 'throws', 'Pitcher Role': 'pitcher_role',
-          'Contact': 'contact_overall', 'Contact vL': 'contact_vl', 'Contact vR': 'contact_vr',
-          'Gap': 'gap_overall', 'Gap vL': 'gap_vl', 'Gap vR': 'gap_vr',
-          'Power': 'power_overall', 'Power vL': 'power_vl', 'Power vR': 'power_vr',
-          'Eye': 'eye_overall', 'Eye vL': 'eye_vl', 'Eye vR': 'eye_vr',
-          'Avoid Ks': 'avoid_ks_overall', 'Avoid K vL': 'avoid_ks_vl', 'Avoid K vR': 'avoid_ks_vr',
-          'BABIP': 'babip_bat_overall', 'BABIP vL': 'babip_bat_vl', 'BABIP vR': 'babip_bat_vr',
-          'Stuff': 'stuff_overall', 'Stuff vL': 'stuff_vl', 'Stuff vR': 'stuff_vr',
-          'Movement': 'movement_overall', 'Movement vL': 'movement_vl', 'Movement vR': 'movement_vr',
-          'Control': 'control_overall', 'Control vL': 'control_vl', 'Control vR': 'control_vr',
-          'pHR': 'p_hr_overall', 'pHR vL': 'p_hr_vl', 'pHR vR': 'p_hr_vr',
-          'pBABIP': 'p_babip_overall', 'pBABIP vL': 'p_babip_vl', 'pBABIP vR': 'p_babip_vr',
-          'Fastball': 'fastball', 'Slider': 'slider', 'Curveball': 'curveball', 'Changeup': 'changeup',
-          'Cutter': 'cutter', 'Sinker': 'sinker', 'Splitter': 'splitter', 'Forkball': 'forkball',
-          'Screwball': 'screwball', 'Circlechange': 'circlechange', 'Knucklecurve': 'knucklecurve',
-          'Knuckleball': 'knuckleball', 'Stamina': 'stamina', 'Velocity': 'velocity',
-          'Speed': 'speed', 'Steal Rate': 'steal_rate', 'Stealing': 'stealing', 'Baserunning': 'baserunning',
-          'Infield Range': 'if_range', 'Infield Error': 'if_error', 'Infield Arm': 'if_arm', 'DP': 'dp',
-          'CatcherAbil': 'c_ability', 'Catcher Arm': 'c_arm',
-          'OF Range': 'of_range', 'OF Error': 'of_error', 'OF Arm': 'of_arm',
-          'Pos Rating P': 'pos_p', 'Pos Rating C': 'pos_c', 'Pos Rating 1B': 'pos_1b',
-          'Pos Rating 2B': 'pos_2b', 'Pos Rating 3B': 'pos_3b', 'Pos Rating SS': 'pos_ss',
-          'Pos Rating LF': 'pos_lf', 'Pos Rating CF': 'pos_cf', 'Pos Rating RF': 'pos_rf',
-          'Card ID': 'card_id',
-          'Card Value': 'card_value',
-          'Card Type': 'card_type',
-          'Card Badge': 'card_badge',
-          'Last 10 Price': 'last_10_price',
-          'packs': 'packs',
-        };
+        await snapshotLiveSpecPredictions(session?.user);
+      } catch (e) {
+        console.warn('Live Spec prediction snapshot failed:', e.message);
+      }
+      const result = await postImport({ csv: pending.csv, fileName: pending.fileName });
+      const { version } = result;
+      setStatus({ message: version
+        ? `Done! Imported ${result.count} cards: ${version.added} new, ${version.removed} removed, ${version.changed} re-rated.`
+        : `Done! Imported ${result.count} cards (the version history could not be saved).` });
+      setCardCount(result.count);
+      setPending(null);
+      forgetLiveCardMaps();
+    } catch (err) {
+      setStatus({ message: `Error: ${err.message}`, error: true });
+    }
+    setIsBusy(false);
+  };
 
-        console.log('PapaParse headers:', parsed.meta?.fields?.slice(0, 15));
-        console.log('PapaParse row count:', parsed.data?.length);
-        console.log('PapaParse first row sample:', parsed.data?.[0] ? Object.entries(parsed.data[0]).slice(0, 5) : 'none');
+  const report = pending?.report;
+  const missingOptional = report?.missing.filter(m => !m.required) || [];
+  const warningCount = (report?.unmapped.length || 0) + missingOptional.length + (report?.problems.length || 0);
+  const note = { fontSize: 12, color: theme.textSecondary, marginTop: 6 };
 
-        const rows = parsed.data.map(row => {
-          const mapped = {};
-          for (const [csvCol, dbCol] of Object.entries(colMap)) {
-            const val = row[csvCol];
-            if (dbCol === 'card_title' || dbCol === 'last_name' || dbCol === 'first_name' || dbCol === 'pitcher_role' || dbCol === 'velocity' || dbCol === 'card_badge') {
-              mapped[dbCol] = val || null;
-            } else {
-              mapped[dbCol] = parseInt(val) || 0;
-            }
-          }
-          return mapped;
-        }).filter(r => r.last_name);
-        console.log('Mapped rows with last_name:', rows.length);
-        if (rows.length <= 5) console.log('All mapped rows:', JSON.stringify(rows));
-
-        setCardUploadStatus(`Parsed ${rows.length} cards. Clearing old data...`);
-
-        // Clear existing data - use gt(0) to match all rows
-        const { error: delError } = await supabase.from('pt_cards').delete().gt('id', 0);
-        if (delError) console.warn('Delete warning:', delError.message);
-
-        // Insert in small batches to avoid payload limits
-        let inserted = 0;
-        const batchSize = 100;
-        for (let i = 0; i < rows.length; i += batchSize) {
-          const batch = rows.slice(i, i + batchSize);
-          setCardUploadStatus(`Uploading ${i + batch.length} / ${rows.length}...`);
-          const { error, data: insertedData } = await supabase.from('pt_cards').insert(batch).select('id');
-          if (error) {
-            setCardUploadStatus(`Error at row ${i}: ${error.message}`);
-            console.error('Insert error at batch', i, error);
-            setIsUploadingCards(false);
-            return;
-          }
-          inserted += (insertedData?.length || batch.length);
-        }
-        await supabase.from('site_content').upsert({ id: 'pt_cards_upload', content: { uploaded_at: new Date().toISOString() }, updated_at: new Date().toISOString() });
-        setCardUploadStatus(`Done! Uploaded ${inserted} cards.`);
-        setCardCount(inserted);
-      } catch (err) {
-        setCardUploadStatus(`Error: ${err.message}`);
-      }
-      setIsUploadingCards(false);
-    };
-    reader.readAsText(file);
-    if (cardFileRef.current) cardFileRef.current.value = '';
+  return (
+    <div style={{ marginTop: 16, padding: 16, background: theme.cardBg, borderRadius: 8, border: `1px solid ${theme.border}` }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 8 }}>
+        <span style={{ fontSize: 14, fontWeight: 600, color: theme.textPrimary }}>Player Rating Cards</span>
+        {cardCount !== null && <span style={{ fontSize: 12, color: theme.textMuted }}>{cardCount} cards loaded</span>}
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+        <input type="file" accept=".csv" ref={fileRef} onChange={handleFile} style={{ display: 'none' }} />
+        <button
+          onClick={() => fileRef.current?.click()}
+          disabled={isBusy}
+          style={{ padding: '8px 16px', background: theme.accent, color: '#fff', border: 'none', borderRadius: 6, cursor: isBusy ? 'not-allowed' : 'pointer', fontWeight: 600, fontSize: 13 }}
+        >
+          {isBusy ? 'Working...' : 'Upload pt_card_list.csv'}
+        </button>
+      </div>
+      {report && (
+        <div style={{ marginTop: 12, padding: 12, background: theme.panelBg, borderRadius: 6, border: `1px solid ${report.canImport ? theme.border : theme.error}` }}>
+          <div style={{ fontSize: 13, fontWeight: 600, color: theme.textPrimary }}>
+            {pending.fileName}: {report.rowCount} cards{warningCount > 0 && <span style={{ color: theme.warning }}> · {warningCount} warning{warningCount !== 1 ? 's' : ''}</span>}
+          </div>
+          {report.errors.map(err => <div key={err} style={{ ...note, color: theme.error }}>✕ {err}</div>)}
+          {missingOptional.length > 0 && <div style={note}>Missing columns, stored as 0 / empty: {missingOptional.map(m => m.header).join(', ')}</div>}
+          {report.unmapped.length > 0 && <div style={note}>Columns that will be ignored: {report.unmapped.join(', ')}</div>}
+          {report.problems.map(p => (
+            <div key={`${p.header} ${p.message}`} style={note}>
+              <span style={{ color: theme.warning }}>⚠</span> {p.header} {p.message} in {p.count} row{p.count !== 1 ? 's' : ''}
+              <span style={{ color: theme.textMuted }}> — {p.examples.map(x => `row ${x.row}: "${x.value}"`).join(', ')}{p.count > p.examples.length ? ', …' : ''}</span>
+            </div>
+          ))}
+          <div style={{ display: 'flex', gap: 8, marginTop: 10 }}>
+            <button onClick={runImport} disabled={isBusy || !report.canImport} style={{ padding: '6px 14px', background: report.canImport ? theme.success : theme.inputBg, color: report.canImport ? '#fff' : theme.textDim, border: 'none', borderRadius: 6, cursor: isBusy || !report.canImport ? 'not-allowed' : 'pointer', fontWeight: 600, fontSize: 13 }}>
+              Import {report.rowCount} cards
+            </button>
+            <button onClick={() => setPending(null)} disabled={isBusy} style={{ padding: '6px 14px', background: 'transparent', color: theme.textSecondary, border: `1px solid ${theme.border}`, borderRadius: 6, cursor: 'pointer', fontSize: 13 }}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+      {status && <div style={{ marginTop: 8, fontSize: 12, color: status.error ? theme.error : theme.success }}>{status.message}</div>}
+    </div>
+  );
+}
+
+// uZIPS projection snapshots (projections.js): fetch today's through the FanGraphs proxy, or upload the exports
+function ProjectionsPanel() {
+  const { theme } = useTheme();
+  const { session } = useAuth();
+  const [versions, setVersions] = useState(null);
+  const [date, setDate] = useState(() => new Date().toISOString().slice(0, 10));
+  const [pending, setPending] = useState({}); // { bat, pit, source }
+  const [status, setStatus] = useState(null); // { message, error }
+  const [isBusy, setIsBusy] = useState(false);
+  const batRef = useRef(null);
+  const pitRef = useRef(null);
+
+  const loadVersions = () => listProjectionSnapshots(supabase).then(setVersions).catch(e => setStatus({ message: `Error: ${e.message}`, error: true }));
+  useEffect(() => { loadVersions(); }, []);
+
+  const fetchFromFangraphs = async () => {
+    setIsBusy(true);
+    setStatus({ message: 'Fetching uZIPS from FanGraphs...' });
+    try {
+      const fetchSide = async (side) => {
+        const res = await fetch(`/api/fangraphs?url=${encodeURIComponent(uzipsUrl(side))}`);
+        const body = await res.json().catch(() => null);
+        if (!res.ok || !body) throw new Error(body?.error || `FanGraphs request failed (${res.status})`);
+        return indexProjectionRows(Array.isArray(body) ? body : body.data || [], side);
+      };
+      const [bat, pit] = await Promise.all([fetchSide('bat'), fetchSide('pit')]);
+      setPending({ bat, pit, source: 'fangraphs' });
+      setStatus(null);
+    } catch (err) {
+      setStatus({ message: `Error: ${err.message}`, error: true });
+    }
+    setIsBusy(false);
+  };
+
+  const handleFile = (side) => async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const projections = parseProjectionFile(await file.text(), side);
+      setPending(p => ({ ...(p.source === 'upload' ? p : {}), [side]: projections, source: 'upload' }));
+      setStatus(null);
+    } catch (err) {
+      setStatus({ message: `Error: ${file.name}: ${err.message}`, error: true });
+    }
+  };
+
+  const save = async () => {
+    if (versions?.some(v => v.snapshot_date === date) && !confirm(`Replace the uZIPS snapshot of ${date}?`)) return;
+    setIsBusy(true);
+    try {
+      const id = await saveProjectionSnapshot(supabase, session?.user, { date, ...pending });
+      await logAudit({
+        action: 'projections.refresh', targetType: 'uzips_snapshots', targetId: id, targetName: date,
+        after: { source: pending.source, bat: Object.keys(pending.bat).length, pit: Object.keys(pending.pit).length },
+      });
+      forgetUzips();
+      setPending({});
+      setStatus({ message: `Done! Saved the ${date} snapshot. Live Spec now compares against it by default.` });
+      loadVersions();
+    } catch (err) {
+      setStatus({ message: `Error: ${err.message}`, error: true });
+    }
+    setIsBusy(false);
   };
 
+  const button = (active) => ({ padding: '8px 16px', background: active ? theme.accent : theme.inputBg, color: active ? '#fff' : theme.textSecondary, border: active ? 'none' : `1px solid ${theme.border}`, borderRadius: 6, cursor: isBusy ? 'not-allowed' : 'pointer', fontWeight: 600, fontSize: 13 });
+  const count = (side) => pending[side] ? `${Object.keys(pending[side]).length} ${side === 'bat' ? 'batters' : 'pitchers'}` : `no ${side === 'bat' ? 'batting' : 'pitching'} file yet`;
+
+  return (
+    <div style={{ marginTop: 16, padding: 16, background: theme.cardBg, borderRadius: 8, border: `1px solid ${theme.border}` }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 8 }}>
+        <span style={{ fontSize: 14, fontWeight: 600, color: theme.textPrimary }}>uZIPS Projections</span>
+        {versions && <span style={{ fontSize: 12, color: theme.textMuted }}>{versions.length ? `latest ${versions[0].snapshot_date} · ${versions.length} stored` : 'using the bundled snapshot'}</span>}
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+        <input type="date" value={date} onChange={(e) => setDate(e.target.value)} style={{ background: theme.inputBg, color: theme.textPrimary, border: `1px solid ${theme.border}`, borderRadius: 4, padding: '6px 8px', fontSize: 13 }} />
+        <button onClick={fetchFromFangraphs} disabled={isBusy} style={button(true)}>{isBusy ? 'Working...' : 'Fetch from FanGraphs'}</button>
+        <input type="file" accept=".csv,.json" ref={batRef} onChange={handleFile('bat')} style={{ display: 'none' }} />
+        <input type="file" accept=".csv,.json" ref={pitRef} onChange={handleFile('pit')} style={{ display: 'none' }} />
+        <button onClick={() => batRef.current?.click()} disabled={isBusy} style={button(false)}>Upload batting</button>
+        <button onClick={() => pitRef.current?.click()} disabled={isBusy} style={button(false)}>Upload pitching</button>
+      </div>
+      {pending.source && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 10, fontSize: 12, color: theme.textSecondary }}>
+          <span>{pending.source === 'fangraphs' ? 'From FanGraphs' : 'From files'}: {count('bat')}, {count('pit')}</span>
+          <button onClick={save} disabled={isBusy || !pending.bat || !pending.pit} style={{ padding: '6px 14px', background: pending.bat && pending.pit ? theme.success : theme.inputBg, color: pending.bat && pending.pit ? '#fff' : theme.textDim, border: 'none', borderRadius: 6, cursor: isBusy || !pending.bat || !pending.pit ? 'not-allowed' : 'pointer', fontWeight: 600, fontSize: 13 }}>
+            Save as {date}
+          </button>
+          <button onClick={() => setPending({})} disabled={isBusy} style={{ padding: '6px 14px', background: 'transparent', color: theme.textSecondary, border: `1px solid ${theme.border}`, borderRadius: 6, cursor: 'pointer', fontSize: 13 }}>
+            Cancel
+          </button>
+        </div>
+      )}
+      {status && <div style={{ marginTop: 8, fontSize: 12, color: status.error ? theme.error : theme.success }}>{status.message}</div>}
+    </div>
+  );
+}
+
+function InfoPage() {
+  const { theme } = useTheme();
+  const styles = getStyles(theme);
+  const { role, can, requestAuth, logout } = useAuth();
+  const [content, setContent] = useState({ title: 'Info & FAQ', sections: [] });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isEditing, setIsEditing] = useState(false);
+  const [editContent, setEditContent] = useState({ title: '', sections: [] });
+  const [notification, setNotification] = useState(null);
+  const [isRebuilding, setIsRebuilding] = useState(false);
+
   useEffect(() => { loadContent(); }, []);
   const loadContent = async () => { setIsLoading(true); try { const { data } = await supabase.from('site_content').select('*').eq('id', 'info').single(); if (data?.content) setContent(data.content); } catch (e) {} setIsLoading(false); };
-  const saveContent = async () => { try { await supabase.from('site_content').upsert({ id: 'info', content: editContent, updated_at: new Date().toISOString() }); setContent(editContent); setIsEditing(false); showNotif('Saved!'); } catch (e) { showNotif('Failed', 'error'); } };
+  const saveContent = async () => { try { await supabase.from('site_content').upsert({ id: 'info', content: editContent, updated_at: new Date().toISOString() }); logContentEdit('info', content, editContent); setContent(editContent); setIsEditing(false); showNotif('Saved!'); } catch (e) { showNotif('Failed', 'error'); } };
   const showNotif = (message, type = 'success') => { setNotification({ message, type }); setTimeout(() => setNotification(null), 3000); };
-  const startEditing = () => { requestAuth(() => { setEditContent(JSON.parse(JSON.stringify(content))); setIsEditing(true); }); };
+  const startEditing = () => { requestAuth(() => { setEditContent(JSON.parse(JSON.stringify(content))); setIsEditing(true); }, 'content'); };
   const addSection = () => { setEditContent(c => ({ ...c, sections: [...c.sections, { heading: 'New Section', body: 'Content...' }] })); };
   const updateSection = (i, field, value) => { setEditContent(c => { const s = [...c.sections]; s[i] = { ...s[i], [field]: value }; return { ...c, sections: s }; }); };
   const removeSection = (i) => { setEditContent(c => ({ ...c, sections: c.sections.filter((_, idx) => idx !== i) })); };
@@ -2111,186 +2362,24 @@ function InfoPage() {
     
     try {
       // Get all tournaments
-      const { data: tournaments, error: tError } = await supabase.from('tournaments').select('*');
+      const { data: tournaments, error: tError } = await supabase.from('tournaments').select('*').is('deleted_at', null);
       if (tError) throw tError;
       
-      // Get all upload history
-      const { data: uploads, error: uError } = await supabase.from('upload_history').select('*').order('created_at', { ascending: true });
+      // Get all upload history, leaving out the trash
+      const { data: uploads, error: uError } = await supabase.from('upload_history').select('*').is('deleted_at', null).order('created_at', { ascending: true });
       if (uError) throw uError;
       
-      const parseNum = (v) => { const n = parseFloat(v); return isNaN(n) ? 0 : n; };
-      const parsePct = (v) => { if (!v) return '0.0'; return String(v).replace('%', ''); };
-      const parseIP = (ip) => { const str = String(ip); if (str.includes('.')) { const [whole, frac] = str.split('.'); return parseFloat(whole) + (parseFloat(frac) / 3); } return parseFloat(ip) || 0; };
-      const formatIP = (ipDecimal) => { const whole = Math.floor(ipDecimal); const frac = Math.round((ipDecimal - whole) * 3); return frac === 0 ? String(whole) : `${whole}.${frac}`; };
-      
       let rebuiltCount = 0;
       
       for (const tournament of tournaments) {
-        const tournamentUploads = uploads.filter(u => u.tournament_id === tournament.id);
+        const tournamentUploads = uploads.filter(u => u.tournament_id === tournament.id && !u.undone);
         if (tournamentUploads.length === 0) continue;
         
-        const battingMap = new Map();
-        const pitchingMap = new Map();
-        
         // Get unique upload dates for calendar
         const uploadDates = [...new Set(tournamentUploads.map(u => u.upload_date))];
         
-        // Process each upload
-        for (const upload of tournamentUploads) {
-          const playerData = upload.player_data || [];
-          
-          // Process each row as an individual instance
-          for (const row of playerData) {
-            const name = (row.Name || '').trim();
-            const ovr = parseNum(row.OVR);
-            const vari = parseVariant(row.VAR);
-            const key = `${name}|${ovr}|${vari}`;
-            
-            if (upload.file_type === 'batting') {
-              const instance = {
-                id: crypto.randomUUID(),
-                name, pos: row.POS?.trim() || '', bats: row.B || '', ovr, vari,
-                g: parseNum(row.G), gs: parseNum(row.GS), pa: parseNum(row.PA), ab: parseNum(row.AB),
-                h: parseNum(row.H), doubles: parseNum(row['2B']), triples: parseNum(row['3B']), hr: parseNum(row.HR),
-                so: parseNum(row.K), gidp: parseNum(row.GIDP),
-                avg: row.AVG || '.000', obp: row.OBP || '.000', slg: row.SLG || '.000',
-                woba: row.wOBA || '.000', ops: row.OPS || '.000', opsPlus: parseNum(row['OPS+']),
-                babip: row.BABIP || '.000', wrcPlus: parseNum(row['wRC+']),
-                wraa: row.wRAA || '0.0', war: row.WAR || '0.0',
-                bbPct: parsePct(row['BB%']), sbPct: parsePct(row['SB%']), ubr: row.UBR || row.BsR || '0.0'
-              };
-              
-              if (battingMap.has(key)) {
-                const existing = battingMap.get(key);
-                const oldCount = existing._instanceCount || 1;
-                const newCount = oldCount + 1;
-                
-                // Track position counts
-                const positionCounts = { ...(existing._positionCounts || {}) };
-                const instancePos = instance.pos?.toUpperCase() || '';
-                if (instancePos) {
-                  positionCounts[instancePos] = (positionCounts[instancePos] || 0) + 1;
-                }
-                
-                // Get all positions and primary (most played)
-                const positions = Object.keys(positionCounts).sort((a, b) => positionCounts[b] - positionCounts[a]);
-                const primaryPos = positions[0] || existing.pos;
-                
-                battingMap.set(key, {
-                  ...existing,
-                  _instanceCount: newCount,
-                  _positionCounts: positionCounts,
-                  positions: positions,
-                  pos: primaryPos,
-                  g: existing.g + instance.g,
-                  gs: existing.gs + instance.gs,
-                  pa: existing.pa + instance.pa,
-                  ab: existing.ab + instance.ab,
-                  war: (parseFloat(existing.war || 0) + parseFloat(instance.war || 0)).toFixed(1),
-                  wraa: (parseFloat(existing.wraa || 0) + parseFloat(instance.wraa || 0)).toFixed(1),
-                  ubr: (parseFloat(existing.ubr || existing.bsr || 0) + parseFloat(instance.ubr || instance.bsr || 0)).toFixed(1),
-                  ovr: instance.ovr, vari: instance.vari,
-                  bats: instance.bats || existing.bats,
-                  h: Math.round(((existing.h * oldCount) + instance.h) / newCount),
-                  doubles: Math.round(((existing.doubles * oldCount) + instance.doubles) / newCount),
-                  triples: Math.round(((existing.triples * oldCount) + instance.triples) / newCount),
-                  hr: Math.round(((existing.hr * oldCount) + instance.hr) / newCount),
-                  so: Math.round(((existing.so * oldCount) + instance.so) / newCount),
-                  gidp: Math.round(((existing.gidp * oldCount) + instance.gidp) / newCount),
-                  avg: (((parseFloat(existing.avg || 0) * oldCount) + parseFloat(instance.avg || 0)) / newCount).toFixed(3),
-                  obp: (((parseFloat(existing.obp || 0) * oldCount) + parseFloat(instance.obp || 0)) / newCount).toFixed(3),
-                  slg: (((parseFloat(existing.slg || 0) * oldCount) + parseFloat(instance.slg || 0)) / newCount).toFixed(3),
-                  ops: (((parseFloat(existing.ops || 0) * oldCount) + parseFloat(instance.ops || 0)) / newCount).toFixed(3),
-                  woba: (((parseFloat(existing.woba || 0) * oldCount) + parseFloat(instance.woba || 0)) / newCount).toFixed(3),
-                  babip: (((parseFloat(existing.babip || 0) * oldCount) + parseFloat(instance.babip || 0)) / newCount).toFixed(3),
-                  opsPlus: Math.round(((parseFloat(existing.opsPlus || 0) * oldCount) + parseFloat(instance.opsPlus || 0)) / newCount),
-                  wrcPlus: Math.round(((parseFloat(existing.wrcPlus || 0) * oldCount) + parseFloat(instance.wrcPlus || 0)) / newCount),
-                  bbPct: (((parseFloat(existing.bbPct || 0) * oldCount) + parseFloat(instance.bbPct || 0)) / newCount).toFixed(1),
-                  sbPct: (((parseFloat(existing.sbPct || 0) * oldCount) + parseFloat(instance.sbPct || 0)) / newCount).toFixed(1)
-                });
-              } else {
-                const instancePos = instance.pos?.toUpperCase() || '';
-                instance._instanceCount = 1;
-                instance._positionCounts = instancePos ? { [instancePos]: 1 } : {};
-                instance.positions = instancePos ? [instancePos] : [];
-                instance.pos = instancePos;
-                battingMap.set(key, instance);
-              }
-            } else {
-              // Pitching
-              const instance = {
-                id: crypto.randomUUID(),
-                name, pos: row.POS?.trim() || '', throws: row.T || '', ovr, vari,
-                g: parseNum(row.G), gs: parseNum(row.GS), ip: row.IP || '0', bf: parseNum(row.BF),
-                era: row.ERA || '0.00', avg: row.AVG || '.000', obp: row.OBP || '.000',
-                babip: row.BABIP || '.000', whip: row.WHIP || '0.00',
-                braPer9: row['BRA/9'] || '0.00', hrPer9: row['HR/9'] || '0.00',
-                hPer9: row['H/9'] || '0.00', bbPer9: row['BB/9'] || '0.00', kPer9: row['K/9'] || '0.00',
-                lobPct: parsePct(row['LOB%']), eraPlus: parseNum(row['ERA+']),
-                fip: row.FIP || '0.00', fipMinus: parseNum(row['FIP-']),
-                war: row.WAR || '0.0', siera: row.SIERA || '0.00'
-              };
-              
-              if (pitchingMap.has(key)) {
-                const existing = pitchingMap.get(key);
-                const oldCount = existing._instanceCount || 1;
-                const newCount = oldCount + 1;
-                
-                // Track position counts
-                const positionCounts = { ...(existing._positionCounts || {}) };
-                const instancePos = instance.pos?.toUpperCase() || '';
-                if (instancePos) {
-                  positionCounts[instancePos] = (positionCounts[instancePos] || 0) + 1;
-                }
-                
-                // Get all positions and primary (most played)
-                const positions = Object.keys(positionCounts).sort((a, b) => positionCounts[b] - positionCounts[a]);
-                const primaryPos = positions[0] || existing.pos;
-                
-                pitchingMap.set(key, {
-                  ...existing,
-                  _instanceCount: newCount,
-                  _positionCounts: positionCounts,
-                  positions: positions,
-                  pos: primaryPos,
-                  g: existing.g + instance.g,
-                  gs: existing.gs + instance.gs,
-                  ip: formatIP(parseIP(existing.ip) + parseIP(instance.ip)),
-                  bf: existing.bf + instance.bf,
-                  war: (parseFloat(existing.war || 0) + parseFloat(instance.war || 0)).toFixed(1),
-                  ovr: instance.ovr, vari: instance.vari,
-                  throws: instance.throws || existing.throws,
-                  era: (((parseFloat(existing.era || 0) * oldCount) + parseFloat(instance.era || 0)) / newCount).toFixed(2),
-                  avg: (((parseFloat(existing.avg || 0) * oldCount) + parseFloat(instance.avg || 0)) / newCount).toFixed(3),
-                  obp: (((parseFloat(existing.obp || 0) * oldCount) + parseFloat(instance.obp || 0)) / newCount).toFixed(3),
-                  babip: (((parseFloat(existing.babip || 0) * oldCount) + parseFloat(instance.babip || 0)) / newCount).toFixed(3),
-                  whip: (((parseFloat(existing.whip || 0) * oldCount) + parseFloat(instance.whip || 0)) / newCount).toFixed(2),
-                  braPer9: (((parseFloat(existing.braPer9 || 0) * oldCount) + parseFloat(instance.braPer9 || 0)) / newCount).toFixed(2),
-                  hrPer9: (((parseFloat(existing.hrPer9 || 0) * oldCount) + parseFloat(instance.hrPer9 || 0)) / newCount).toFixed(2),
-                  hPer9: (((parseFloat(existing.hPer9 || 0) * oldCount) + parseFloat(instance.hPer9 || 0)) / newCount).toFixed(2),
-                  bbPer9: (((parseFloat(existing.bbPer9 || 0) * oldCount) + parseFloat(instance.bbPer9 || 0)) / newCount).toFixed(2),
-                  kPer9: (((parseFloat(existing.kPer9 || 0) * oldCount) + parseFloat(instance.kPer9 || 0)) / newCount).toFixed(2),
-                  lobPct: (((parseFloat(existing.lobPct || 0) * oldCount) + parseFloat(instance.lobPct || 0)) / newCount).toFixed(1),
-                  eraPlus: Math.round(((parseFloat(existing.eraPlus || 0) * oldCount) + parseFloat(instance.eraPlus || 0)) / newCount),
-                  fip: (((parseFloat(existing.fip || 0) * oldCount) + parseFloat(instance.fip || 0)) / newCount).toFixed(2),
-                  fipMinus: Math.round(((parseFloat(existing.fipMinus || 0) * oldCount) + parseFloat(instance.fipMinus || 0)) / newCount),
-                  siera: (((parseFloat(existing.siera || 0) * oldCount) + parseFloat(instance.siera || 0)) / newCount).toFixed(2)
-                });
-              } else {
-                const instancePos = instance.pos?.toUpperCase() || '';
-                instance._instanceCount = 1;
-                instance._positionCounts = instancePos ? { [instancePos]: 1 } : {};
-                instance.positions = instancePos ? [instancePos] : [];
-                instance.pos = instancePos;
-                pitchingMap.set(key, instance);
-              }
-            }
-          }
-        }
-        
-        // Update tournament with rebuilt data and upload dates
-        const battingData = Array.from(battingMap.values());
-        const pitchingData = Array.from(pitchingMap.values());
+        // Re-sum every upload's counting stats from scratch
+        const { batting: battingData, pitching: pitchingData } = buildStatsFromUploads(tournamentUploads);
         
         const { error: updateError } = await supabase.from('tournaments').update({
           batting: battingData,
@@ -2305,6 +2394,7 @@ function InfoPage() {
         }
       }
       
+      logAudit({ action: 'tournament.rebuild', targetType: 'tournaments', targetName: 'All events', after: { rebuilt: rebuiltCount } });
       showNotif(`Rebuilt ${rebuiltCount} tournaments!`);
     } catch (e) {
       console.error('Rebuild error:', e);
@@ -2321,7 +2411,7 @@ function InfoPage() {
       <div style={styles.pageContent}>
         <div style={styles.pageHeader}>
           <h2 style={styles.pageTitle}>{isEditing ? 'Edit Info' : content.title}</h2>
-          {!isEditing && isAdmin && <button onClick={startEditing} style={styles.editBtn}>Edit</button>}
+          {!isEditing && can('content') && <button onClick={startEditing} style={styles.editBtn}>Edit</button>}
         </div>
         {isEditing ? (<div style={styles.editContainer}>
           <div style={styles.editField}><label style={styles.editLabel}>Title</label><input type="text" value={editContent.title} onChange={(e) => setEditContent(c => ({ ...c, title: e.target.value }))} style={styles.input} /></div>
@@ -2342,42 +2432,30 @@ function InfoPage() {
         {/* Admin Login Section */}
         <div style={styles.adminLoginSection}>
           <h3 style={styles.adminLoginTitle}>🔐 Admin Access</h3>
-          {isAdmin ? (
+          {can('account') ? (
             <div>
               <div style={styles.adminLoginStatus}>
-                <span style={styles.adminLoginBadge}>✓ Logged in as Admin</span>
+                <span style={styles.adminLoginBadge}>✓ Logged in as {ROLE_LABELS[role]}</span>
                 <button onClick={logout} style={styles.adminLogoutBtn}>Logout</button>
-                <button
-                  onClick={() => requestAuth(rebuildAllStats)}
-                  disabled={isRebuilding}
-                  style={{...styles.adminLogoutBtn, background: '#f59e0b', marginLeft: 8}}
-                >
-                  {isRebuilding ? 'Rebuilding...' : '🔧 Rebuild All Stats'}
-                </button>
-              </div>
-              {/* Card Data Upload */}
-              <div style={{ marginTop: 16, padding: 16, background: theme.cardBg, borderRadius: 8, border: `1px solid ${theme.border}` }}>
-                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 8 }}>
-                  <span style={{ fontSize: 14, fontWeight: 600, color: theme.textPrimary }}>Player Rating Cards</span>
-                  {cardCount !== null && <span style={{ fontSize: 12, color: theme.textMuted }}>{cardCount} cards loaded</span>}
-                </div>
-                <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
-                  <input type="file" accept=".csv" ref={cardFileRef} onChange={handleCardUpload} style={{ display: 'none' }} />
+                {can('admin') && (
                   <button
-                    onClick={() => cardFileRef.current?.click()}
-                    disabled={isUploadingCards}
-                    style={{ padding: '8px 16px', background: theme.accent, color: '#fff', border: 'none', borderRadius: 6, cursor: isUploadingCards ? 'not-allowed' : 'pointer', fontWeight: 600, fontSize: 13 }}
+                    onClick={() => requestAuth(rebuildAllStats, 'admin')}
+                    disabled={isRebuilding}
+                    style={{...styles.adminLogoutBtn, background: '#f59e0b', marginLeft: 8}}
                   >
-                    {isUploadingCards ? 'Uploading...' : 'Upload pt_card_list.csv'}
+                    {isRebuilding ? 'Rebuilding...' : '🔧 Rebuild All Stats'}
                   </button>
-                </div>
-                {cardUploadStatus && <div style={{ marginTop: 8, fontSize: 12, color: cardUploadStatus.startsWith('Error') ? theme.error : theme.success }}>{cardUploadStatus}</div>}
+                )}
               </div>
+              {role === 'viewer' && <p style={{ ...styles.adminLoginText, marginTop: 12 }}>This account has no site role yet. Ask an admin to give it one.</p>}
+              {can('admin') && <CardImportPanel />}
+              {can('admin') && <ProjectionsPanel />}
+              {can('admin') && <RolesPanel />}
             </div>
           ) : (
             <div style={styles.adminLoginPrompt}>
               <p style={styles.adminLoginText}>Admins can log in here to access additional features.</p>
-              <button onClick={() => requestAuth(() => {})} style={styles.adminLoginBtn}>Admin Login</button>
+              <button onClick={() => requestAuth(() => {}, 'account')} style={styles.adminLoginBtn}>Admin Login</button>
             </div>
           )}
         </div>
@@ -2389,7 +2467,8 @@ function InfoPage() {
 function VideosPage() {
   const { theme } = useTheme();
   const styles = getStyles(theme);
-  const { isAdmin, requestAuth } = useAuth();
+  const { can, requestAuth } = useAuth();
+  const canEdit = can('content');
   const [videos, setVideos] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [showAddForm, setShowAddForm] = useState(false);
@@ -2400,7 +2479,7 @@ function VideosPage() {
 
   useEffect(() => { loadVideos(); }, []);
   const loadVideos = async () => { setIsLoading(true); try { const { data } = await supabase.from('site_content').select('*').eq('id', 'videos').single(); if (data?.content?.videos) setVideos(data.content.videos); } catch (e) {} setIsLoading(false); };
-  const saveVideos = async (newVideos) => { try { await supabase.from('site_content').upsert({ id: 'videos', content: { videos: newVideos }, updated_at: new Date().toISOString() }); setVideos(newVideos); } catch (e) { showNotif('Failed', 'error'); } };
+  const saveVideos = async (newVideos) => { try { await supabase.from('site_content').upsert({ id: 'videos', content: { videos: newVideos }, updated_at: new Date().toISOString() }); logContentEdit('videos', { videos }, { videos: newVideos }); setVideos(newVideos); } catch (e) { showNotif('Failed', 'error'); } };
   const showNotif = (message, type = 'success') => { setNotification({ message, type }); setTimeout(() => setNotification(null), 3000); };
   const extractVideoId = (url) => {
     const ytMatch = url.match(/(?:youtube\.com\/(?:watch\?v=|embed\/)|youtu\.be\/)([a-zA-Z0-9_-]{11})/);
@@ -2413,8 +2492,8 @@ function VideosPage() {
   };
   const getThumbnail = (v) => v.platform === 'youtube' ? `https://img.youtube.com/vi/${v.id}/mqdefault.jpg` : null;
   const getEmbedUrl = (v) => v.platform === 'youtube' ? `https://www.youtube.com/embed/${v.id}` : v.platform === 'twitch-clip' ? `https://clips.twitch.tv/embed?clip=${v.id}&parent=${window.location.hostname}` : `https://player.twitch.tv/?video=${v.id}&parent=${window.location.hostname}`;
-  const addVideo = () => { requestAuth(() => { const info = extractVideoId(newVideoUrl); if (!info) { showNotif('Invalid URL', 'error'); return; } saveVideos([{ ...info, title: newVideoTitle || 'Untitled', addedAt: new Date().toISOString() }, ...videos]); setNewVideoUrl(''); setNewVideoTitle(''); setShowAddForm(false); showNotif('Added!'); }); };
-  const removeVideo = (i) => { requestAuth(() => { if (!confirm('Remove?')) return; saveVideos(videos.filter((_, idx) => idx !== i)); showNotif('Removed'); }); };
+  const addVideo = () => { requestAuth(() => { const info = extractVideoId(newVideoUrl); if (!info) { showNotif('Invalid URL', 'error'); return; } saveVideos([{ ...info, title: newVideoTitle || 'Untitled', addedAt: new Date().toISOString() }, ...videos]); setNewVideoUrl(''); setNewVideoTitle(''); setShowAddForm(false); showNotif('Added!'); }, 'content'); };
+  const removeVideo = (i) => { requestAuth(() => { if (!confirm('Remove?')) return; saveVideos(videos.filter((_, idx) => idx !== i)); showNotif('Removed'); }, 'content'); };
 
   if (isLoading) return <Layout notification={notification}><div style={styles.loading}><div className="loading-spinner"></div><p>Loading...</p></div></Layout>;
 
@@ -2423,7 +2502,7 @@ function VideosPage() {
       <div style={styles.pageContent}>
         <div style={styles.pageHeader}>
           <h2 style={styles.pageTitle}>Videos</h2>
-          {isAdmin && <button onClick={() => setShowAddForm(true)} style={styles.addBtn}>+ Add</button>}
+          {canEdit && <button onClick={() => setShowAddForm(true)} style={styles.addBtn}>+ Add</button>}
         </div>
         {showAddForm && (<div style={styles.addVideoForm}>
           <input type="text" placeholder="Title" value={newVideoTitle} onChange={(e) => setNewVideoTitle(e.target.value)} style={styles.input} />
@@ -2443,7 +2522,7 @@ function VideosPage() {
                 {getThumbnail(v) ? <img src={getThumbnail(v)} alt={v.title} style={styles.thumbnail} /> : <div style={styles.thumbnailPlaceholder}>▶</div>}
               </div>
               <div style={styles.videoInfo}><span style={styles.videoTitle}>{v.title}</span><span style={styles.videoPlatform}>{v.platform === 'youtube' ? 'YouTube' : 'Twitch'}</span></div>
-              {isAdmin && <button onClick={() => removeVideo(i)} style={styles.removeVideoBtn}>✕</button>}
+              {canEdit && <button onClick={() => removeVideo(i)} style={styles.removeVideoBtn}>✕</button>}
             </div>))}
           </div>
         )}
@@ -2455,7 +2534,8 @@ function VideosPage() {
 function ArticlesPage() {
   const { theme } = useTheme();
   const styles = getStyles(theme);
-  const { isAdmin, requestAuth } = useAuth();
+  const { can, requestAuth } = useAuth();
+  const canEdit = can('content');
   const [articles, setArticles] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [showAddForm, setShowAddForm] = useState(false);
@@ -2484,6 +2564,7 @@ function ArticlesPage() {
         content: { articles: newArticles }, 
         updated_at: new Date().toISOString() 
       });
+      logContentEdit('articles', { articles }, { articles: newArticles });
       setArticles(newArticles);
     } catch (e) {
       showNotif('Failed to save', 'error');
@@ -2535,7 +2616,7 @@ function ArticlesPage() {
         showNotif('Failed to upload PDF', 'error');
       }
       setUploading(false);
-    });
+    }, 'content');
   };
 
   const removeArticle = (articleId) => {
@@ -2548,7 +2629,7 @@ function ArticlesPage() {
       }
       await saveArticles(articles.filter(a => a.id !== articleId));
       showNotif('Article removed');
-    });
+    }, 'content');
   };
 
   const formatDate = (dateStr) => {
@@ -2563,7 +2644,7 @@ function ArticlesPage() {
       <div style={styles.pageContent}>
         <div style={styles.pageHeader}>
           <h2 style={styles.pageTitle}>📄 Articles</h2>
-          {isAdmin && <button onClick={() => setShowAddForm(true)} style={styles.addBtn}>+ Add Article</button>}
+          {canEdit && <button onClick={() => setShowAddForm(true)} style={styles.addBtn}>+ Add Article</button>}
         </div>
 
         {showAddForm && (
@@ -2645,7 +2726,7 @@ function ArticlesPage() {
                   >
                     📖 Read
                   </button>
-                  {isAdmin && <button onClick={() => removeArticle(article.id)} style={styles.articleRemoveBtn}>✕</button>}
+                  {canEdit && <button onClick={() => removeArticle(article.id)} style={styles.articleRemoveBtn}>✕</button>}
                 </div>
               </div>
             ))}
@@ -2689,6 +2770,7 @@ function PlayerTrendModal({ player, playerType, tournamentId, theme, onClose, ca
         .select('*')
         .eq('tournament_id', tournamentId)
         .eq('file_type', playerType)
+        .is('deleted_at', null)
         .order('created_at', { ascending: true });
 
       if (historyError) throw historyError;
@@ -2910,6 +2992,9 @@ function PlayerTrendModal({ player, playerType, tournamentId, theme, onClose, ca
             <span style={modalStyles.playerMeta}>
               {player.pos} • OVR {player.ovr} • {playerType === 'pitching' ? `${player.throws || 'R'}HP` : `Bats ${player.bats || 'R'}`}
             </span>
+            {matchedCard?.card_id && (
+              <Link to={`/player/${matchedCard.card_id}`} style={{ color: theme.accent, fontSize: 12, fontWeight: 600, textDecoration: 'none' }}>All tournaments →</Link>
+            )}
           </div>
           <button style={modalStyles.closeBtn} onClick={onClose}>✕</button>
         </div>
@@ -3062,6 +3147,17 @@ function PlayerTrendModal({ player, playerType, tournamentId, theme, onClose, ca
                 </>
               )}
             </div>
+            {player._est && (
+              <div style={modalStyles.statRow}>
+                {Object.entries(player._est).map(([metric, e]) => (
+                  <div key={metric} style={modalStyles.statBox} title={`Raw ${formatEstimate(e.raw, metric)} regressed toward the card tier mean (${Math.round(e.reliability * 100)}% weight on this sample)`}>
+                    <div style={modalStyles.statLabel}>Regressed {ESTIMATE_METRICS[metric].label}</div>
+                    <div style={{...modalStyles.statValue, fontSize: 20}}>{formatEstimate(e.est, metric)}</div>
+                    <div style={{fontSize: 10, color: theme.textMuted, marginTop: 2}}>80%: {formatEstimate(e.lo, metric)}–{formatEstimate(e.hi, metric)}</div>
+                  </div>
+                ))}
+              </div>
+            )}
           </>
         )}
         </div>
@@ -3070,6 +3166,189 @@ function PlayerTrendModal({ player, playerType, tournamentId, theme, onClose, ca
   );
 }
 
+// ============ PlayerCompareModal Component ============
+
+// Rating categories compared for each card type: [label, overall field, vL field, vR field]
+const COMPARE_RATINGS = {
+  batting: [
+    ['Contact', 'contact_overall', 'contact_vl', 'contact_vr'], ['Gap', 'gap_overall', 'gap_vl', 'gap_vr'],
+    ['Power', 'power_overall', 'power_vl', 'power_vr'], ['Eye', 'eye_overall', 'eye_vl', 'eye_vr'],
+    ['Avoid Ks', 'avoid_ks_overall', 'avoid_ks_vl', 'avoid_ks_vr'], ['BABIP', 'babip_bat_overall', 'babip_bat_vl', 'babip_bat_vr'],
+    ['Speed', 'speed'],
+  ],
+  pitching: [
+    ['Stuff', 'stuff_overall', 'stuff_vl', 'stuff_vr'], ['Movement', 'movement_overall', 'movement_vl', 'movement_vr'],
+    ['Control', 'control_overall', 'control_vl', 'control_vr'], ['HR/9', 'p_hr_overall', 'p_hr_vl', 'p_hr_vr'],
+    ['BABIP', 'p_babip_overall', 'p_babip_vl', 'p_babip_vr'], ['Stamina', 'stamina'],
+  ],
+};
+
+// Stat categories, normalized per 600 PA / 200 IP. `better` is null for context-only rows (no winner).
+const COMPARE_STATS = {
+  batting: [
+    { label: 'PA', get: (r, c) => c.pa, better: null, fmt: v => v },
+    { label: 'AVG', get: r => parseFloat(r.avg), better: 'high', fmt: v => v.toFixed(3) },
+    { label: 'OBP', get: r => parseFloat(r.obp), better: 'high', fmt: v => v.toFixed(3) },
+    { label: 'SLG', get: r => parseFloat(r.slg), better: 'high', fmt: v => v.toFixed(3) },
+    { label: 'wOBA', get: r => parseFloat(r.woba), better: 'high', fmt: v => v.toFixed(3) },
+    { label: 'wRC+', get: r => parseFloat(r.wrcPlus), better: 'high', fmt: v => Math.round(v) },
+    { label: 'wOBA (neutral)', get: r => r.neutralWoba ?? null, better: 'high', fmt: v => v.toFixed(3) },
+    { label: 'wRC+ (neutral)', get: r => r.neutralWrcPlus ?? null, better: 'high', fmt: v => Math.round(v) },
+    { label: 'HR/600', get: (r, c) => c.hr / c.pa * 600, better: 'high', fmt: v => v.toFixed(1) },
+    { label: 'BB/600', get: (r, c) => c.bb / c.pa * 600, better: 'high', fmt: v => v.toFixed(1) },
+    { label: 'K/600', get: (r, c) => c.so / c.pa * 600, better: 'low', fmt: v => v.toFixed(1) },
+    { label: 'wRAA/600', get: (r, c) => c.wraa / c.pa * 600, better: 'high', fmt: v => v.toFixed(1) },
+    { label: 'UBR/600', get: (r, c) => c.ubr / c.pa * 600, better: 'high', fmt: v => v.toFixed(1) },
+    { label: 'WAR/600', get: (r, c) => c.war / c.pa * 600, better: 'high', fmt: v => v.toFixed(2) },
+  ],
+  pitching: [
+    { label: 'IP', get: (r, c) => c.outs / 3, better: null, fmt: v => formatIP(v) },
+    { label: 'ERA', get: r => parseFloat(r.era), better: 'low', fmt: v => v.toFixed(2) },
+    { label: 'FIP', get: r => parseFloat(r.fip), better: 'low', fmt: v => v.toFixed(2) },
+    { label: 'FIP-', get: r => parseFloat(r.fipMinus), better: 'low', fmt: v => Math.round(v) },
+    { label: 'SIERA', get: r => parseFloat(r.siera), better: 'low', fmt: v => v.toFixed(2) },
+    { label: 'FIP- (neutral)', get: r => r.neutralFipMinus ?? null, better: 'low', fmt: v => Math.round(v) },
+    { label: 'SIERA (neutral)', get: r => r.neutralSiera ?? null, better: 'low', fmt: v => v.toFixed(2) },
+    { label: 'WHIP', get: r => parseFloat(r.whip), better: 'low', fmt: v => v.toFixed(2) },
+    { label: 'K/200', get: (r, c) => c.k / c.outs * 600, better: 'high', fmt: v => v.toFixed(0) },
+    { label: 'BB/200', get: (r, c) => c.bb / c.outs * 600, better: 'low', fmt: v => v.toFixed(0) },
+    { label: 'HR/200', get: (r, c) => c.hr / c.outs * 600, better: 'low', fmt: v => v.toFixed(1) },
+    { label: 'WAR/200', get: (r, c) => c.war / c.outs * 600, better: 'high', fmt: v => v.toFixed(2) },
+  ],
+};
+
+// entries: [{ key, label, context, card, stats, matchOvr }]. `stats` undefined means
+// "aggregate this card across every tournament", which is looked up here.
+function PlayerCompareModal({ entries, playerType, theme, onClose }) {
+  const styles = getStyles(theme);
+  const { isColorblind } = useTheme();
+  const [allEventStats, setAllEventStats] = useState({});
+  const [isLoading, setIsLoading] = useState(entries.some(e => e.stats === undefined));
+  const entryKeys = entries.map(e => e.key).join(',');
+
+  useEffect(() => {
+    if (!entries.some(e => e.stats === undefined)) return;
+    const loadAllEvents = async () => {
+      try {
+        const { data, error } = await supabase.from('tournaments').select('id, batting, pitching').is('deleted_at', null);
+        if (error) throw error;
+        const events = (data || []).map(t => ({
+          batting: (t.batting || []).map(p => withDerivedRates(p, 'batting')),
+          pitching: (t.pitching || []).map(p => withDerivedRates(p, 'pitching'))
+        }));
+        const baselines = buildEnvBaselines(events);
+        const factors = events.map(t => {
+          const env = getEventFriendliness(t.batting, t.pitching, baselines);
+          return env && getNeutralFactors(env.averages, baselines);
+        });
+        const byKey = {};
+        entries.filter(e => e.stats === undefined).forEach(e => {
+          // Neutral stats are adjusted per event, then sample-weighted across events
+          const parts = events.map((t, i) => {
+            const matches = findCardStatRows(e.card, t[playerType], e.matchOvr);
+            if (!matches.length) return null;
+            const [row] = withNeutralStats([combineStatRows(matches, playerType)], playerType, factors[i]);
+            return { row, sample: playerType === 'pitching' ? row._counts.outs : row._counts.pa };
+          }).filter(Boolean);
+          const combined = combineStatRows(parts.map(x => x.row), playerType);
+          byKey[e.key] = combined && { ...combined, ...combineNeutralStats(parts, playerType) };
+        });
+        setAllEventStats(byKey);
+      } catch (e) { console.error('Failed to load tournament stats for comparison:', e); }
+      setIsLoading(false);
+    };
+    loadAllEvents();
+  }, [entryKeys, playerType]);
+
+  const columns = entries.map(e => {
+    const stats = e.stats === undefined ? allEventStats[e.key] : e.stats;
+    return { ...e, stats: stats ? withDerivedRates(stats, playerType) : null };
+  });
+
+  // Best value(s) in a category, or none when fewer than two cards have it
+  const winnersOf = (values, better) => {
+    const present = values.filter(v => v !== null && isFinite(v));
+    if (!better || present.length < 2) return values.map(() => false);
+    const best = better === 'low' ? Math.min(...present) : Math.max(...present);
+    if (present.every(v => v === best)) return values.map(() => false);
+    return values.map(v => v === best);
+  };
+
+  const ratingRows = COMPARE_RATINGS[playerType].map(([label, field]) => {
+    const values = columns.map(c => c.card ? (parseInt(c.card[field]) || 0) : null);
+    return { label, values, display: values.map(v => v ?? '—'), winners: winnersOf(values, 'high') };
+  });
+  const statRows = COMPARE_STATS[playerType].map(stat => {
+    const values = columns.map(c => {
+      const counts = c.stats?._counts;
+      if (!counts || !(playerType === 'pitching' ? counts.outs : counts.pa)) return null;
+      return stat.get(c.stats, counts);
+    });
+    return { label: stat.label, values, display: values.map(v => v === null || !isFinite(v) ? '—' : stat.fmt(v)), winners: winnersOf(values, stat.better) };
+  });
+  const wins = columns.map((_, i) => [...ratingRows, ...statRows].filter(r => r.winners[i]).length);
+  const mostWins = Math.max(...wins);
+
+  const winColor = isColorblind ? CB_POSITIVE : '#22C55E';
+  const sectionTh = { ...styles.th, textAlign: 'left', cursor: 'default', position: 'static' };
+  const renderRows = (rows) => rows.map((r, idx) => (
+    <tr key={r.label} style={{...styles.tr, ...(idx % 2 === 1 ? styles.trAlt : {})}}>
+      <td style={styles.tdName}>{r.label}</td>
+      {r.display.map((v, i) => (
+        <td key={columns[i].key} style={{...styles.td, ...(r.winners[i] ? { color: winColor, fontWeight: 700, background: withAlpha(winColor, 0.12) } : {})}}>{v}</td>
+      ))}
+    </tr>
+  ));
+
+  return (
+    <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.8)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000 }} onClick={onClose}>
+      <div style={{ background: theme.cardBg, borderRadius: 12, padding: 24, width: '95%', maxWidth: 260 + columns.length * 220, maxHeight: '90vh', overflow: 'auto', border: `1px solid ${theme.border}`, boxShadow: '0 20px 60px rgba(0,0,0,0.5)' }} onClick={e => e.stopPropagation()}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: 16 }}>
+          <h2 style={{...styles.pageTitle, fontSize: 22}}>Compare {playerType === 'pitching' ? 'Pitchers' : 'Hitters'}</h2>
+          <button style={{ background: 'transparent', border: 'none', color: theme.textMuted, fontSize: 24, cursor: 'pointer', padding: 4 }} onClick={onClose}>✕</button>
+        </div>
+
+        <div style={{...styles.tableContainer, overflowX: 'auto'}}>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={{...sectionTh, width: 120}}></th>
+                {columns.map((c, i) => (
+                  <th key={c.key} style={{...styles.th, cursor: 'default', position: 'static', verticalAlign: 'top', padding: '10px 8px'}}>
+                    <div style={{ color: c.card ? getOvrColor(c.card.card_value, isColorblind) : theme.textPrimary, fontSize: 13 }}>{c.label}</div>
+                    <div style={{ fontSize: 10, color: theme.textDim, fontWeight: 500, textTransform: 'none', marginTop: 2 }}>{c.context}</div>
+                    <div style={{ fontSize: 11, color: wins[i] === mostWins && mostWins > 0 ? winColor : theme.textMuted, marginTop: 4 }}>{wins[i]} categor{wins[i] === 1 ? 'y' : 'ies'} won</div>
+                    {c.card?.card_id && <Link to={`/player/${c.card.card_id}`} style={{ fontSize: 10, color: theme.accent, textDecoration: 'none', textTransform: 'none' }}>Profile →</Link>}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              <tr><td colSpan={columns.length + 1} style={{ padding: '8px 6px 4px', fontSize: 11, fontWeight: 700, color: theme.textSecondary, textTransform: 'uppercase', letterSpacing: '0.04em' }}>Ratings (overall)</td></tr>
+              {renderRows(ratingRows)}
+              <tr>
+                <td style={{...styles.tdName, verticalAlign: 'top', color: theme.textMuted}}>Splits<br /><span style={{ fontSize: 10 }}>OVR / vL / vR</span></td>
+                {columns.map(c => (
+                  <td key={c.key} style={{ padding: '6px 4px', background: '#0f172a' }}>
+                    {c.card ? COMPARE_RATINGS[playerType].filter(r => r[2]).map(([label, ovr, vl, vr]) => (
+                      <SplitsGrid key={label} label={label} ovr={c.card[ovr]} vl={c.card[vl]} vr={c.card[vr]} />
+                    )) : <span style={{ color: theme.textDim, fontSize: 11 }}>No card match</span>}
+                  </td>
+                ))}
+              </tr>
+              <tr><td colSpan={columns.length + 1} style={{ padding: '12px 6px 4px', fontSize: 11, fontWeight: 700, color: theme.textSecondary, textTransform: 'uppercase', letterSpacing: '0.04em' }}>
+                Tournament stats (per {playerType === 'pitching' ? '200 IP' : '600 PA'}){isLoading && <span style={{ fontWeight: 400, textTransform: 'none', marginLeft: 8, color: theme.textDim }}>Loading...</span>}
+              </td></tr>
+              {renderRows(statRows)}
+            </tbody>
+          </table>
+        </div>
+        <p style={{ color: theme.textDim, fontSize: 11, margin: '10px 0 0' }}>Highlighted cells win the category. PA/IP are shown for context and are not scored.</p>
+      </div>
+    </div>
+  );
+}
+
 // ============ Player Rating Card Utilities ============
 
 const RATING_COLORS = [
@@ -3129,6 +3408,23 @@ function findCardMatch(playerName, playerType, cardData) {
   return matches[0];
 }
 
+// Reverse of findCardMatch: every stat row in `rows` that belongs to `card`.
+// When several cards share a name, pass matchOvr so rows are also matched on the card's OVR.
+function findCardStatRows(card, rows, matchOvr) {
+  if (!card || !rows?.length) return [];
+  const normalise = s => (s || '').toLowerCase().trim();
+  const nFirst = normalise(card.first_name), nLast = normalise(card.last_name);
+  const ovr = parseInt(card.card_value) || 0;
+  return rows.filter(p => {
+    const name = (p.name || '').trim();
+    const [first, last] = name.includes(',')
+      ? [name.split(',')[1] || '', name.split(',')[0]]
+      : [name.split(' ')[0] || '', name.split(' ').slice(1).join(' ')];
+    if (normalise(first) !== nFirst || normalise(last) !== nLast) return false;
+    return !matchOvr || !ovr || Math.round(parseFloat(p.ovr) || 0) === ovr;
+  });
+}
+
 // ============ CorrelationTab Component ============
 
 // ============ Spearman Rho helpers ============
@@ -3744,268 +4040,556 @@ function PlayerRatingCard({ card, position, theme, isPitcher, embedded }) {
   );
 }
 
-function PitchingTable({ data, sortBy, sortDir, onSort, theme, showPer9, showTraditional, onPlayerClick, onPlayerHover, onPlayerHoverEnd, isDraft }) {
+// Regressed value with its 80% interval (from withEstimates) as a small ± and a tooltip
+function EstimateCell({ p, metric, style }) {
+  const e = p._est?.[metric];
+  if (!e) return <td style={style}>—</td>;
+  const half = (e.hi - e.lo) / 2;
+  return (
+    <td style={style} title={`80% interval ${formatEstimate(e.lo, metric)}–${formatEstimate(e.hi, metric)} · raw ${formatEstimate(e.raw, metric)} · ${Math.round(e.reliability * 100)}% weight on own sample`}>
+      {formatEstimate(e.est, metric)}<span style={{ fontSize: 9, opacity: 0.6, marginLeft: 2 }}>±{formatEstimate(half, metric)}</span>
+    </td>
+  );
+}
+
+// ============ Stats table columns ============
+// Stat columns of PitchingTable / BattingTable in their default order. The identity columns (POS, Name, hand, OVR, VAR)
+// always come first and aren't part of a column set. `group` ties a column to the Hide Traditional / Advanced Stats
+// toggles when no saved set is active, `value` replaces the raw field and `style` highlights good/bad values.
+const calcIPperG = (ip, g) => g ? (parseIP(ip) / g).toFixed(2) : '0.00';
+const calcWarPer200IP = (war, ip) => { const ipNum = parseIP(ip); return ipNum === 0 ? '0.00' : (parseFloat(war || 0) / ipNum * 200).toFixed(2); };
+const calcPer600PA = (val, pa) => { const paNum = parseFloat(pa) || 0; return paNum === 0 ? '0.00' : (parseFloat(val || 0) / paNum * 600).toFixed(2); };
+const warStyle = (p, c) => ({ color: parseFloat(p.war) >= 0 ? c.pos : c.neg, fontWeight: 600 });
+
+const PITCHING_COLUMNS = [
+  { key: 'g', label: 'G', group: 'traditional' },
+  { key: 'gs', label: 'GS', group: 'traditional' },
+  { key: 'ip', label: 'IP' },
+  { key: 'ipPerG', label: 'IP/G', value: p => calcIPperG(p.ip, p.g) },
+  { key: 'bf', label: 'BF', group: 'traditional' },
+  { key: 'era', label: 'ERA', group: 'traditional' },
+  { key: 'avg', label: 'AVG', group: 'traditional' },
+  { key: 'obp', label: 'OBP', group: 'traditional' },
+  { key: 'babip', label: 'BABIP' },
+  { key: 'whip', label: 'WHIP', group: 'traditional' },
+  { key: 'braPer9', label: 'BRA/9' },
+  { key: 'hrPer9', label: 'HR/9' },
+  { key: 'hPer9', label: 'H/9', group: 'traditional' },
+  { key: 'bbPer9', label: 'BB/9' },
+  { key: 'kPer9', label: 'K/9' },
+  { key: 'lobPct', label: 'LOB%' },
+  { key: 'eraPlus', label: 'ERA+' },
+  { key: 'fip', label: 'FIP' },
+  { key: 'fipMinus', label: 'FIP-' },
+  { key: 'war', label: 'WAR', style: warStyle },
+  { key: 'warPer200IP', label: 'WAR/200', group: 'advanced', isRate: true, value: p => calcWarPer200IP(p.war, p.ip) },
+  { key: 'siera', label: 'SIERA', style: (p, c) => ({ color: parseFloat(p.siera) < 3.90 ? c.pos : parseFloat(p.siera) > 3.90 ? c.neg : undefined }) },
+];
+
+const BATTING_COLUMNS = [
+  { key: 'g', label: 'G', group: 'traditional' },
+  { key: 'gs', label: 'GS', group: 'traditional' },
+  { key: 'pa', label: 'PA' },
+  { key: 'ab', label: 'AB', group: 'traditional' },
+  { key: 'h', label: 'H', group: 'traditional' },
+  { key: 'doubles', label: '2B', group: 'traditional' },
+  { key: 'triples', label: '3B', group: 'traditional' },
+  { key: 'hr', label: 'HR', group: 'traditional' },
+  { key: 'bbPct', label: 'BB%' },
+  { key: 'so', label: 'K' },
+  { key: 'gidp', label: 'GIDP' },
+  { key: 'avg', label: 'AVG' },
+  { key: 'obp', label: 'OBP' },
+  { key: 'slg', label: 'SLG' },
+  { key: 'woba', label: 'wOBA', style: (p, c) => ({ color: parseFloat(p.woba) > 0.320 ? c.pos : parseFloat(p.woba) < 0.320 ? c.neg : undefined }) },
+  { key: 'ops', label: 'OPS' },
+  { key: 'opsPlus', label: 'OPS+' },
+  { key: 'babip', label: 'BABIP' },
+  { key: 'wrcPlus', label: 'wRC+' },
+  { key: 'wraa', label: 'wRAA' },
+  { key: 'wraaPer600PA', label: 'wRAA/600', group: 'advanced', isRate: true, value: p => calcPer600PA(p.wraa, p.pa) },
+  { key: 'war', label: 'WAR', style: warStyle },
+  { key: 'warPer600PA', label: 'WAR/600', group: 'advanced', isRate: true, value: p => calcPer600PA(p.war, p.pa) },
+  { key: 'sbPct', label: 'SB%' },
+  { key: 'ubr', label: 'UBR', value: p => p.ubr || p.bsr || '0.0' },
+  { key: 'ubrPer600PA', label: 'UBR/600', group: 'advanced', isRate: true, value: p => calcPer600PA(p.ubr || p.bsr || 0, p.pa) },
+];
+
+// Columns to show: the active saved set in its order, or the defaults (per the toggles) followed by any derived columns
+function getTableColumns(builtIns, { columnKeys, derivedColumns, showPer9, showTraditional }) {
+  const derived = (derivedColumns || []).map(col => ({ key: derivedKey(col), label: col.label, isRate: true, title: col.formula, value: p => p[derivedKey(col)] ?? '—' }));
+  if (columnKeys) {
+    const all = [...builtIns, ...derived];
+    return columnKeys.map(key => all.find(c => c.key === key)).filter(Boolean);
+  }
+  return [...builtIns.filter(c => (c.group !== 'traditional' || showTraditional) && (c.group !== 'advanced' || showPer9)), ...derived];
+}
+
+const renderStatCell = (c, p, styles, colors) => (
+  <td key={c.key} style={{...(c.isRate ? styles.tdRate : styles.td), ...(c.style ? c.style(p, colors) : {})}}>{c.value ? c.value(p) : p[c.key]}</td>
+);
+
+// Every column the Stats table currently shows, identity columns and toggled overlays included, for exportTable
+function getStatsExportColumns(type, { columnKeys, derivedColumns, showPer9, showTraditional, isDraft, showEstimates, showNeutral, showSplits }) {
+  const isPitching = type === 'pitching';
+  const identity = [{ key: 'pos', label: 'POS' }, { key: 'name', label: 'Name' }, isPitching ? { key: 'throws', label: 'T' } : { key: 'bats', label: 'B' }, { key: 'ovr', label: 'OVR' }, ...(isDraft ? [] : [{ key: 'vari', label: 'VAR' }])];
+  const stats = getTableColumns(isPitching ? PITCHING_COLUMNS : BATTING_COLUMNS, { columnKeys, derivedColumns, showPer9, showTraditional })
+    .map(({ key, label, value }) => ({ key, label, value }));
+  const estimates = showEstimates ? (isPitching ? ['fipMinus', 'siera', 'kPer9'] : ['woba', 'wrcPlus']).map(m => ({ key: `est${m[0].toUpperCase()}${m.slice(1)}`, label: `${ESTIMATE_METRICS[m].label} reg` })) : [];
+  const neutral = showNeutral ? (isPitching ? [['neutralFipMinus', 'FIP- neu'], ['neutralSiera', 'SIERA neu']] : [['neutralWoba', 'wOBA neu'], ['neutralWrcPlus', 'wRC+ neu']]).map(([key, label]) => ({ key, label })) : [];
+  const splitFields = isPitching ? [['Ip', 'IP'], ['Avg', 'AVG'], ['Fip', 'FIP'], ['KPer9', 'K/9']] : [['Pa', 'PA'], ['Avg', 'AVG'], ['Woba', 'wOBA'], ['Ops', 'OPS']];
+  const splits = showSplits ? [['vl', 'vL'], ['vr', 'vR']].flatMap(([side, sideLabel]) => splitFields.map(([field, label]) => ({ key: `${side}${field}`, label: `${label} ${sideLabel}` }))) : [];
+  return [...identity, ...stats, ...estimates, ...neutral, ...splits];
+}
+
+// "Export…" picker: choosing a format calls onExport(format) and resets the picker
+function ExportMenu({ onExport, disabled, style, title = 'Download the filtered, sorted rows' }) {
+  return (
+    <select value="" disabled={disabled} onChange={(e) => { if (e.target.value) onExport(e.target.value); }} style={style} title={title}>
+      <option value="">Export…</option>
+      <option value="csv">CSV</option>
+      <option value="xlsx">XLSX</option>
+      <option value="json">JSON</option>
+    </select>
+  );
+}
+
+function PitchingTable({ data, sortBy, sortDir, onSort, theme, showPer9, showTraditional, onPlayerClick, onPlayerHover, onPlayerHoverEnd, isDraft, selectedIds, onToggleSelect, showSplits, showEstimates, showNeutral, columnKeys, derivedColumns }) {
   const styles = getStyles(theme);
   const { isColorblind } = useTheme();
-  const SortHeader = ({ field, children, isRate }) => (
-    <th style={{...styles.th, ...(isRate ? styles.thRate : {}), ...(sortBy === field ? styles.thSorted : {})}} onClick={() => onSort(field)}>
+  const SortHeader = ({ field, children, isRate, title }) => (
+    <th style={{...styles.th, ...(isRate ? styles.thRate : {}), ...(sortBy === field ? styles.thSorted : {})}} onClick={() => onSort(field)} title={title}>
       {children}{sortBy === field && <span style={styles.sortIndicator}>{sortDir === 'asc' ? '↑' : '↓'}</span>}
     </th>
   );
-  const calcIPperG = (ip, g) => { if (!g) return '0.00'; const str = String(ip); let n = str.includes('.') ? parseFloat(str.split('.')[0]) + (parseFloat(str.split('.')[1]) / 3) : parseFloat(ip) || 0; return (n / g).toFixed(2); };
-  const parseIPVal = (ip) => { const str = String(ip); return str.includes('.') ? parseFloat(str.split('.')[0]) + (parseFloat(str.split('.')[1]) / 3) : parseFloat(ip) || 0; };
-  const calcWarPer200IP = (war, ip) => { const ipNum = parseIPVal(ip); return ipNum === 0 ? '0.00' : (parseFloat(war || 0) / ipNum * 200).toFixed(2); };
-  const pos = isColorblind ? CB_POSITIVE : '#22C55E';
-  const neg = isColorblind ? CB_NEGATIVE : '#EF4444';
+  const colors = { pos: isColorblind ? CB_POSITIVE : '#22C55E', neg: isColorblind ? CB_NEGATIVE : '#EF4444' };
+  const columns = getTableColumns(PITCHING_COLUMNS, { columnKeys, derivedColumns, showPer9, showTraditional });
   if (data.length === 0) return <div style={styles.emptyTable}>No pitching data</div>;
   return (<div style={styles.tableWrapper}><table style={styles.table}><thead><tr>
-    <SortHeader field="pos">POS</SortHeader><SortHeader field="name">Name</SortHeader><SortHeader field="throws">T</SortHeader><SortHeader field="ovr">OVR</SortHeader>{!isDraft && <SortHeader field="vari">VAR</SortHeader>}
-    {showTraditional && <SortHeader field="g">G</SortHeader>}{showTraditional && <SortHeader field="gs">GS</SortHeader>}<SortHeader field="ip">IP</SortHeader><SortHeader field="ipPerG">IP/G</SortHeader>
-    {showTraditional && <SortHeader field="bf">BF</SortHeader>}{showTraditional && <SortHeader field="era">ERA</SortHeader>}{showTraditional && <SortHeader field="avg">AVG</SortHeader>}{showTraditional && <SortHeader field="obp">OBP</SortHeader>}
-    <SortHeader field="babip">BABIP</SortHeader>{showTraditional && <SortHeader field="whip">WHIP</SortHeader>}<SortHeader field="braPer9">BRA/9</SortHeader><SortHeader field="hrPer9">HR/9</SortHeader>
-    {showTraditional && <SortHeader field="hPer9">H/9</SortHeader>}<SortHeader field="bbPer9">BB/9</SortHeader><SortHeader field="kPer9">K/9</SortHeader><SortHeader field="lobPct">LOB%</SortHeader>
-    <SortHeader field="eraPlus">ERA+</SortHeader><SortHeader field="fip">FIP</SortHeader><SortHeader field="fipMinus">FIP-</SortHeader><SortHeader field="war">WAR</SortHeader>
-    {showPer9 && <SortHeader field="warPer200IP" isRate>WAR/200</SortHeader>}<SortHeader field="siera">SIERA</SortHeader>
+    {onToggleSelect && <th style={{...styles.th, cursor: 'default'}} title="Select up to 4 to compare">⇄</th>}<SortHeader field="pos">POS</SortHeader><SortHeader field="name">Name</SortHeader><SortHeader field="throws">T</SortHeader><SortHeader field="ovr">OVR</SortHeader>{!isDraft && <SortHeader field="vari">VAR</SortHeader>}
+    {columns.map(c => <SortHeader key={c.key} field={c.key} isRate={c.isRate} title={c.title}>{c.label}</SortHeader>)}
+    {showEstimates && <><SortHeader field="estFipMinus" isRate>FIP- reg</SortHeader><SortHeader field="estSiera" isRate>SIERA reg</SortHeader><SortHeader field="estKPer9" isRate>K/9 reg</SortHeader></>}
+    {showNeutral && <><SortHeader field="neutralFipMinus" isRate>FIP- neu</SortHeader><SortHeader field="neutralSiera" isRate>SIERA neu</SortHeader></>}
+    {showSplits && <><SortHeader field="vlIp" isRate>IP vL</SortHeader><SortHeader field="vlAvg" isRate>AVG vL</SortHeader><SortHeader field="vlFip" isRate>FIP vL</SortHeader><SortHeader field="vlKPer9" isRate>K/9 vL</SortHeader>
+      <SortHeader field="vrIp" isRate>IP vR</SortHeader><SortHeader field="vrAvg" isRate>AVG vR</SortHeader><SortHeader field="vrFip" isRate>FIP vR</SortHeader><SortHeader field="vrKPer9" isRate>K/9 vR</SortHeader></>}
   </tr></thead><tbody>
     {data.map((p, idx) => (<tr key={p.id} style={{...styles.tr, ...(idx % 2 === 1 ? styles.trAlt : {})}}>
+      {onToggleSelect && <td style={styles.td}><input type="checkbox" checked={!!selectedIds?.has(p.id)} onChange={() => onToggleSelect(p)} style={{ cursor: 'pointer' }} /></td>}
       <td style={styles.td}>{p.pos}</td>
       <td className={onPlayerClick ? 'player-name-link' : ''} style={{...styles.tdName, cursor: onPlayerClick ? 'pointer' : 'default', color: getOvrColor(p.ovr, isColorblind)}} onClick={() => onPlayerClick && onPlayerClick(p, 'pitching')} onMouseEnter={(e) => onPlayerHover && onPlayerHover(e, p, 'pitching')} onMouseLeave={() => onPlayerHoverEnd && onPlayerHoverEnd()}>{p.name}</td>
       <td style={styles.td}>{p.throws}</td>
       <td style={{...styles.tdOvr, color: getOvrColor(p.ovr, isColorblind)}}>{p.ovr}</td>{!isDraft && <td style={styles.td}>{p.vari}</td>}
-      {showTraditional && <td style={styles.td}>{p.g}</td>}{showTraditional && <td style={styles.td}>{p.gs}</td>}<td style={styles.td}>{p.ip}</td><td style={styles.td}>{calcIPperG(p.ip, p.g)}</td>
-      {showTraditional && <td style={styles.td}>{p.bf}</td>}{showTraditional && <td style={styles.td}>{p.era}</td>}{showTraditional && <td style={styles.td}>{p.avg}</td>}{showTraditional && <td style={styles.td}>{p.obp}</td>}
-      <td style={styles.td}>{p.babip}</td>{showTraditional && <td style={styles.td}>{p.whip}</td>}<td style={styles.td}>{p.braPer9}</td><td style={styles.td}>{p.hrPer9}</td>
-      {showTraditional && <td style={styles.td}>{p.hPer9}</td>}<td style={styles.td}>{p.bbPer9}</td><td style={styles.td}>{p.kPer9}</td><td style={styles.td}>{p.lobPct}</td>
-      <td style={styles.td}>{p.eraPlus}</td><td style={styles.td}>{p.fip}</td><td style={styles.td}>{p.fipMinus}</td>
-      <td style={{...styles.td, color: parseFloat(p.war) >= 0 ? pos : neg, fontWeight: 600}}>{p.war}</td>
-      {showPer9 && <td style={styles.tdRate}>{calcWarPer200IP(p.war, p.ip)}</td>}
-      <td style={{...styles.td, color: parseFloat(p.siera) < 3.90 ? pos : parseFloat(p.siera) > 3.90 ? neg : undefined}}>{p.siera}</td>
+      {columns.map(c => renderStatCell(c, p, styles, colors))}
+      {showEstimates && ['fipMinus', 'siera', 'kPer9'].map(m => <EstimateCell key={m} p={p} metric={m} style={styles.tdRate} />)}
+      {showNeutral && ['neutralFipMinus', 'neutralSiera'].map(f => <td key={f} style={styles.tdRate}>{p[f] ?? '—'}</td>)}
+      {showSplits && ['vlIp', 'vlAvg', 'vlFip', 'vlKPer9', 'vrIp', 'vrAvg', 'vrFip', 'vrKPer9'].map(f => <td key={f} style={styles.tdRate}>{p[f] ?? '—'}</td>)}
     </tr>))}
   </tbody></table></div>);
 }
 
-function BattingTable({ data, sortBy, sortDir, onSort, theme, showPer9, showTraditional, onPlayerClick, onPlayerHover, onPlayerHoverEnd, isDraft }) {
+function BattingTable({ data, sortBy, sortDir, onSort, theme, showPer9, showTraditional, onPlayerClick, onPlayerHover, onPlayerHoverEnd, isDraft, selectedIds, onToggleSelect, showSplits, showEstimates, showNeutral, columnKeys, derivedColumns }) {
   const styles = getStyles(theme);
   const { isColorblind } = useTheme();
-  const SortHeader = ({ field, children, isRate }) => (
-    <th style={{...styles.th, ...(isRate ? styles.thRate : {}), ...(sortBy === field ? styles.thSorted : {})}} onClick={() => onSort(field)}>
+  const SortHeader = ({ field, children, isRate, title }) => (
+    <th style={{...styles.th, ...(isRate ? styles.thRate : {}), ...(sortBy === field ? styles.thSorted : {})}} onClick={() => onSort(field)} title={title}>
       {children}{sortBy === field && <span style={styles.sortIndicator}>{sortDir === 'asc' ? '↑' : '↓'}</span>}
     </th>
   );
-  const calcPer600PA = (val, pa) => { const paNum = parseFloat(pa) || 0; return paNum === 0 ? '0.00' : (parseFloat(val || 0) / paNum * 600).toFixed(2); };
-  const pos = isColorblind ? CB_POSITIVE : '#22C55E';
-  const neg = isColorblind ? CB_NEGATIVE : '#EF4444';
+  const colors = { pos: isColorblind ? CB_POSITIVE : '#22C55E', neg: isColorblind ? CB_NEGATIVE : '#EF4444' };
+  const columns = getTableColumns(BATTING_COLUMNS, { columnKeys, derivedColumns, showPer9, showTraditional });
   if (data.length === 0) return <div style={styles.emptyTable}>No batting data</div>;
   return (<div style={styles.tableWrapper}><table style={styles.table}><thead><tr>
-    <SortHeader field="pos">POS</SortHeader><SortHeader field="name">Name</SortHeader><SortHeader field="bats">B</SortHeader><SortHeader field="ovr">OVR</SortHeader>{!isDraft && <SortHeader field="vari">VAR</SortHeader>}
-    {showTraditional && <SortHeader field="g">G</SortHeader>}{showTraditional && <SortHeader field="gs">GS</SortHeader>}<SortHeader field="pa">PA</SortHeader>
-    {showTraditional && <SortHeader field="ab">AB</SortHeader>}{showTraditional && <SortHeader field="h">H</SortHeader>}{showTraditional && <SortHeader field="doubles">2B</SortHeader>}
-    {showTraditional && <SortHeader field="triples">3B</SortHeader>}{showTraditional && <SortHeader field="hr">HR</SortHeader>}<SortHeader field="bbPct">BB%</SortHeader>
-    <SortHeader field="so">K</SortHeader><SortHeader field="gidp">GIDP</SortHeader><SortHeader field="avg">AVG</SortHeader><SortHeader field="obp">OBP</SortHeader><SortHeader field="slg">SLG</SortHeader>
-    <SortHeader field="woba">wOBA</SortHeader><SortHeader field="ops">OPS</SortHeader><SortHeader field="opsPlus">OPS+</SortHeader><SortHeader field="babip">BABIP</SortHeader>
-    <SortHeader field="wrcPlus">wRC+</SortHeader><SortHeader field="wraa">wRAA</SortHeader>{showPer9 && <SortHeader field="wraaPer600PA" isRate>wRAA/600</SortHeader>}
-    <SortHeader field="war">WAR</SortHeader>{showPer9 && <SortHeader field="warPer600PA" isRate>WAR/600</SortHeader>}
-    <SortHeader field="sbPct">SB%</SortHeader><SortHeader field="ubr">UBR</SortHeader>{showPer9 && <SortHeader field="ubrPer600PA" isRate>UBR/600</SortHeader>}
+    {onToggleSelect && <th style={{...styles.th, cursor: 'default'}} title="Select up to 4 to compare">⇄</th>}<SortHeader field="pos">POS</SortHeader><SortHeader field="name">Name</SortHeader><SortHeader field="bats">B</SortHeader><SortHeader field="ovr">OVR</SortHeader>{!isDraft && <SortHeader field="vari">VAR</SortHeader>}
+    {columns.map(c => <SortHeader key={c.key} field={c.key} isRate={c.isRate} title={c.title}>{c.label}</SortHeader>)}
+    {showEstimates && <><SortHeader field="estWoba" isRate>wOBA reg</SortHeader><SortHeader field="estWrcPlus" isRate>wRC+ reg</SortHeader></>}
+    {showNeutral && <><SortHeader field="neutralWoba" isRate>wOBA neu</SortHeader><SortHeader field="neutralWrcPlus" isRate>wRC+ neu</SortHeader></>}
+    {showSplits && <><SortHeader field="vlPa" isRate>PA vL</SortHeader><SortHeader field="vlAvg" isRate>AVG vL</SortHeader><SortHeader field="vlWoba" isRate>wOBA vL</SortHeader><SortHeader field="vlOps" isRate>OPS vL</SortHeader>
+      <SortHeader field="vrPa" isRate>PA vR</SortHeader><SortHeader field="vrAvg" isRate>AVG vR</SortHeader><SortHeader field="vrWoba" isRate>wOBA vR</SortHeader><SortHeader field="vrOps" isRate>OPS vR</SortHeader></>}
   </tr></thead><tbody>
     {data.map((p, idx) => (<tr key={p.id} style={{...styles.tr, ...(idx % 2 === 1 ? styles.trAlt : {})}}>
+      {onToggleSelect && <td style={styles.td}><input type="checkbox" checked={!!selectedIds?.has(p.id)} onChange={() => onToggleSelect(p)} style={{ cursor: 'pointer' }} /></td>}
       <td style={styles.td}>{p.pos}</td>
       <td className={onPlayerClick ? 'player-name-link' : ''} style={{...styles.tdName, cursor: onPlayerClick ? 'pointer' : 'default', color: getOvrColor(p.ovr, isColorblind)}} onClick={() => onPlayerClick && onPlayerClick(p, 'batting')} onMouseEnter={(e) => onPlayerHover && onPlayerHover(e, p, 'batting')} onMouseLeave={() => onPlayerHoverEnd && onPlayerHoverEnd()}>{p.name}</td>
       <td style={styles.td}>{p.bats}</td>
       <td style={{...styles.tdOvr, color: getOvrColor(p.ovr, isColorblind)}}>{p.ovr}</td>{!isDraft && <td style={styles.td}>{p.vari}</td>}
-      {showTraditional && <td style={styles.td}>{p.g}</td>}{showTraditional && <td style={styles.td}>{p.gs}</td>}<td style={styles.td}>{p.pa}</td>
-      {showTraditional && <td style={styles.td}>{p.ab}</td>}{showTraditional && <td style={styles.td}>{p.h}</td>}{showTraditional && <td style={styles.td}>{p.doubles}</td>}
-      {showTraditional && <td style={styles.td}>{p.triples}</td>}{showTraditional && <td style={styles.td}>{p.hr}</td>}<td style={styles.td}>{p.bbPct}</td>
-      <td style={styles.td}>{p.so}</td><td style={styles.td}>{p.gidp}</td><td style={styles.td}>{p.avg}</td><td style={styles.td}>{p.obp}</td><td style={styles.td}>{p.slg}</td>
-      <td style={{...styles.td, color: parseFloat(p.woba) > 0.320 ? pos : parseFloat(p.woba) < 0.320 ? neg : undefined}}>{p.woba}</td>
-      <td style={styles.td}>{p.ops}</td><td style={styles.td}>{p.opsPlus}</td><td style={styles.td}>{p.babip}</td>
-      <td style={styles.td}>{p.wrcPlus}</td><td style={styles.td}>{p.wraa}</td>{showPer9 && <td style={styles.tdRate}>{calcPer600PA(p.wraa, p.pa)}</td>}
-      <td style={{...styles.td, color: parseFloat(p.war) >= 0 ? pos : neg, fontWeight: 600}}>{p.war}</td>
-      {showPer9 && <td style={styles.tdRate}>{calcPer600PA(p.war, p.pa)}</td>}
-      <td style={styles.td}>{p.sbPct}</td><td style={styles.td}>{p.ubr || p.bsr || '0.0'}</td>{showPer9 && <td style={styles.tdRate}>{calcPer600PA(p.ubr || p.bsr || 0, p.pa)}</td>}
+      {columns.map(c => renderStatCell(c, p, styles, colors))}
+      {showEstimates && ['woba', 'wrcPlus'].map(m => <EstimateCell key={m} p={p} metric={m} style={styles.tdRate} />)}
+      {showNeutral && ['neutralWoba', 'neutralWrcPlus'].map(f => <td key={f} style={styles.tdRate}>{p[f] ?? '—'}</td>)}
+      {showSplits && ['vlPa', 'vlAvg', 'vlWoba', 'vlOps', 'vrPa', 'vrAvg', 'vrWoba', 'vrOps'].map(f => <td key={f} style={styles.tdRate}>{p[f] ?? '—'}</td>)}
     </tr>))}
   </tbody></table></div>);
 }
 
-// Shared constants for combined CSV format
-const SHARED_PITCHER_POSITIONS = ['SP', 'RP', 'CL', 'MR'];
-const SHARED_COMBINED_HEADERS = ['POS','Name','B','T','OVR','VAR','G','GS','PA','AB','H','2B','3B','HR','BB%','K','GIDP','AVG','OBP','SLG','wOBA','OPS','OPS+','BABIP','wRC+','wRAA','WAR','SB%','UBR','G_1','GS_1','IP','BF','ERA','AVG_1','OBP_1','BABIP_1','WHIP','BRA/9','HR/9','H/9','BB/9','K/9','LOB%','ERA+','FIP','FIP-','WAR_1','SIERA'];
-
-function sharedSplitCombinedRows(rows) {
-  const battingRows = [];
-  const pitchingRows = [];
-  rows.forEach(row => {
-    const pos = (row.POS || '').trim().toUpperCase();
-    const isPitcher = SHARED_PITCHER_POSITIONS.includes(pos);
-    const hasPA = parseFloat(row.PA) > 0;
-    const hasIP = parseFloat(row.IP) >= 1;
-    if (isPitcher || hasIP) {
-      pitchingRows.push({
-        POS: pos, Name: row.Name, T: row.T, OVR: row.OVR, VAR: row.VAR,
-        G: row.G_1, GS: row.GS_1, IP: row.IP, BF: row.BF,
-        ERA: row.ERA, AVG: row.AVG_1, OBP: row.OBP_1, BABIP: row.BABIP_1,
-        WHIP: row.WHIP, 'BRA/9': row['BRA/9'], 'HR/9': row['HR/9'],
-        'H/9': row['H/9'], 'BB/9': row['BB/9'], 'K/9': row['K/9'],
-        'LOB%': row['LOB%'], 'ERA+': row['ERA+'], FIP: row.FIP,
-        'FIP-': row['FIP-'], WAR: row.WAR_1, SIERA: row.SIERA
-      });
-    }
-    if (!isPitcher || hasPA) {
-      battingRows.push({
-        POS: pos, Name: row.Name, B: row.B, OVR: row.OVR, VAR: row.VAR,
-        G: row.G, GS: row.GS, PA: row.PA, AB: row.AB,
-        H: row.H, '2B': row['2B'], '3B': row['3B'], HR: row.HR,
-        'BB%': row['BB%'], K: row.K, GIDP: row.GIDP,
-        AVG: row.AVG, OBP: row.OBP, SLG: row.SLG, wOBA: row.wOBA,
-        OPS: row.OPS, 'OPS+': row['OPS+'], BABIP: row.BABIP,
-        'wRC+': row['wRC+'], wRAA: row.wRAA, WAR: row.WAR,
-        'SB%': row['SB%'], UBR: row.UBR
-      });
-    }
+// Pick, reorder and save column sets for one table type, and build derived formula columns.
+// `store` is that type's { sets, derived, activeSetId }; every change is handed back through onChange.
+function ColumnSetEditor({ type, store, builtIns, defaultKeys, sampleRow, theme, onChange, onClose }) {
+  const styles = getStyles(theme);
+  const activeSet = store.sets.find(s => s.id === store.activeSetId);
+  const [editingId, setEditingId] = useState(activeSet?.id || null);
+  const [name, setName] = useState(activeSet?.name || '');
+  const [keys, setKeys] = useState(activeSet?.columns || defaultKeys);
+  const [draft, setDraft] = useState({ label: '', formula: '', digits: 2 });
+
+  const allColumns = [...builtIns, ...store.derived.map(col => ({ key: derivedKey(col), label: col.label, derived: col }))];
+  const labelOf = (key) => allColumns.find(c => c.key === key)?.label || key;
+
+  let formulaError = null;
+  let preview = null;
+  if (draft.formula.trim()) {
+    try {
+      const fn = compileFormula(draft.formula, type);
+      const v = sampleRow ? fn(sampleRow) : null;
+      preview = sampleRow ? `${sampleRow.name}: ${v === null ? '—' : v.toFixed(draft.digits)}` : null;
+    } catch (e) { formulaError = e.message; }
+  }
+
+  const loadSet = (id) => {
+    const set = store.sets.find(s => s.id === id);
+    setEditingId(set?.id || null);
+    setName(set?.name || '');
+    setKeys(set?.columns || defaultKeys);
+  };
+  const toggleKey = (key) => setKeys(k => k.includes(key) ? k.filter(x => x !== key) : [...k, key]);
+  const moveKey = (idx, dir) => setKeys(k => {
+    const next = [...k];
+    const target = idx + dir;
+    if (target < 0 || target >= next.length) return k;
+    [next[idx], next[target]] = [next[target], next[idx]];
+    return next;
   });
-  return { battingRows, pitchingRows };
+
+  const saveSet = (asNew) => {
+    const id = asNew || !editingId ? Date.now().toString(36) : editingId;
+    const set = { id, name: name.trim() || 'Untitled', columns: keys };
+    const sets = store.sets.some(s => s.id === id) ? store.sets.map(s => s.id === id ? set : s) : [...store.sets, set];
+    onChange({ ...store, sets, activeSetId: id });
+    setEditingId(id);
+  };
+  const deleteSet = () => {
+    if (!editingId) return;
+    onChange({ ...store, sets: store.sets.filter(s => s.id !== editingId), activeSetId: store.activeSetId === editingId ? null : store.activeSetId });
+    loadSet(null);
+  };
+
+  const addDerived = () => {
+    if (formulaError || !draft.formula.trim() || !draft.label.trim()) return;
+    const col = { id: Date.now().toString(36), label: draft.label.trim(), formula: draft.formula.trim(), digits: draft.digits };
+    onChange({ ...store, derived: [...store.derived, col] });
+    setKeys(k => [...k, derivedKey(col)]);
+    setDraft({ label: '', formula: '', digits: 2 });
+  };
+  // Removing a derived column also drops it from every saved set of this type
+  const removeDerived = (col) => {
+    const key = derivedKey(col);
+    onChange({ ...store, derived: store.derived.filter(d => d.id !== col.id), sets: store.sets.map(s => ({ ...s, columns: s.columns.filter(k => k !== key) })) });
+    setKeys(k => k.filter(x => x !== key));
+  };
+
+  const listBox = { background: theme.inputBg, border: `1px solid ${theme.border}`, borderRadius: 6, padding: 8, maxHeight: 320, overflowY: 'auto' };
+  const rowStyle = { display: 'flex', alignItems: 'center', gap: 6, padding: '3px 4px', fontSize: 12, color: theme.textSecondary };
+  const smallBtn = { ...styles.moveBtn, width: 22, height: 22, fontSize: 11 };
+
+  return (
+    <div style={styles.modalOverlay} onClick={onClose}>
+      <div style={{...styles.modal, maxWidth: 760, maxHeight: '90vh', overflowY: 'auto'}} onClick={e => e.stopPropagation()}>
+        <h3 style={styles.modalTitle}>{type === 'pitching' ? 'Pitching' : 'Batting'} Columns</h3>
+        <div style={{ display: 'flex', gap: 8, marginBottom: 12 }}>
+          <select value={editingId || ''} onChange={e => loadSet(e.target.value || null)} style={{...styles.operatorSelect, flex: 1}}>
+            <option value="">New column set</option>
+            {store.sets.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+          </select>
+          <input value={name} onChange={e => setName(e.target.value)} placeholder="Set name" style={{...styles.input, marginBottom: 0, flex: 2, padding: '5px 8px', fontSize: 12}} />
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
+          <div>
+            <div style={{ fontSize: 11, color: theme.textMuted, marginBottom: 4 }}>Available</div>
+            <div style={listBox}>
+              {allColumns.map(c => (
+                <label key={c.key} style={{...rowStyle, cursor: 'pointer'}} title={c.derived?.formula}>
+                  <input type="checkbox" checked={keys.includes(c.key)} onChange={() => toggleKey(c.key)} />
+                  <span style={{ flex: 1, color: c.derived ? theme.gold : undefined }}>{c.label}</span>
+                  {c.derived && <button style={{...smallBtn, background: theme.error, color: '#fff', border: 'none'}} onClick={e => { e.preventDefault(); removeDerived(c.derived); }} title="Delete this derived column">✕</button>}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <div style={{ fontSize: 11, color: theme.textMuted, marginBottom: 4 }}>Shown, in order ({keys.length})</div>
+            <div style={listBox}>
+              {keys.map((key, idx) => (
+                <div key={key} style={rowStyle}>
+                  <span style={{ flex: 1 }}>{labelOf(key)}</span>
+                  <button style={smallBtn} onClick={() => moveKey(idx, -1)} disabled={idx === 0}>↑</button>
+                  <button style={smallBtn} onClick={() => moveKey(idx, 1)} disabled={idx === keys.length - 1}>↓</button>
+                  <button style={smallBtn} onClick={() => toggleKey(key)}>✕</button>
+                </div>
+              ))}
+              {keys.length === 0 && <div style={{ fontSize: 12, color: theme.textDim, padding: 4 }}>No stat columns selected</div>}
+            </div>
+          </div>
+        </div>
+
+        <div style={{ marginTop: 16, padding: 12, background: theme.panelBg, borderRadius: 6 }}>
+          <div style={{ fontSize: 12, fontWeight: 600, color: theme.textSecondary, marginBottom: 8 }}>New derived column</div>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <input value={draft.label} onChange={e => setDraft(d => ({ ...d, label: e.target.value }))} placeholder="Label (e.g. XBH/600)" style={{...styles.input, marginBottom: 0, flex: 1, padding: '5px 8px', fontSize: 12}} />
+            <input value={draft.formula} onChange={e => setDraft(d => ({ ...d, formula: e.target.value }))} placeholder="(hr*4 + doubles*2)/pa*600" style={{...styles.input, marginBottom: 0, flex: 2, padding: '5px 8px', fontSize: 12, fontFamily: 'ui-monospace, monospace'}} />
+            <select value={draft.digits} onChange={e => setDraft(d => ({ ...d, digits: parseInt(e.target.value) }))} style={styles.operatorSelect} title="Decimal places">
+              {[0, 1, 2, 3].map(n => <option key={n} value={n}>{n} dp</option>)}
+            </select>
+            <button style={{...styles.addBtn, padding: '5px 12px', fontSize: 12}} onClick={addDerived} disabled={!!formulaError || !draft.formula.trim() || !draft.label.trim()}>Add</button>
+          </div>
+          <div style={{ fontSize: 11, marginTop: 6, color: formulaError ? theme.error : theme.textDim }}>
+            {formulaError || preview || 'Use + - * / ^, parentheses, min(), max(), abs(), sqrt() and the fields below.'}
+          </div>
+          <div style={{ fontSize: 10, marginTop: 4, color: theme.textDim, fontFamily: 'ui-monospace, monospace' }}>{FORMULA_FIELDS[type].join(' ')}</div>
+        </div>
+
+        <div style={styles.modalBtns}>
+          <button style={styles.saveBtn} onClick={() => saveSet(false)}>{editingId ? 'Save' : 'Save set'}</button>
+          {editingId && <button style={{...styles.saveBtn, background: theme.accent}} onClick={() => saveSet(true)}>Save as new</button>}
+          {editingId && <button style={{...styles.cancelBtn, background: theme.error}} onClick={deleteSet}>Delete set</button>}
+          <button style={styles.cancelBtn} onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
 }
 
-// CSV Validation Logic
-function validateCSV(content, filename) {
-  const issues = [];
-  const stats = { rows: 0, players: 0, type: 'unknown' };
-  
-  const parsed = Papa.parse(content, { header: true, skipEmptyLines: true });
-  
-  if (parsed.errors.length > 0) {
-    issues.push({ type: 'critical', title: 'CSV Parse Errors', details: 'The file has structural issues.', data: parsed.errors.map(e => `Row ${e.row}: ${e.message}`).join('\n') });
-  }
-  
-  const headers = parsed.meta.fields || [];
-  const rows = parsed.data || [];
-  stats.rows = rows.length;
-  
-  // Detect combined format (has _1 suffix columns like G_1, WAR_1)
-  const isCombined = headers.includes('G_1') || headers.includes('WAR_1');
+// Review submissions go through /api/uploads, which re-runs validation server-side before anything is stored.
+// Resolves with the issue report (status 'pending', 'approved' when merged for a trusted contributor, or 'duplicate' for a file
+// the tournament already has); other failures throw.
+// A signed-in contributor's access token links the submission to their account (and lets trusted contributors skip review).
+async function submitUploadForReview(payload, contributorToken = null) {
+  const headers = { 'Content-Type': 'application/json', ...(contributorToken && { Authorization: `Bearer ${contributorToken}` }) };
+  const res = await fetch('/api/uploads', { method: 'POST', headers, body: JSON.stringify({ ...payload, mode: 'review' }) });
+  const report = await res.json().catch(() => ({}));
+  if (res.ok || report.status === 'duplicate') return report;
+  throw new Error(report.error || (report.status === 'rejected' ? 'Not a recognized batting or pitching export' : `Upload failed (${res.status})`));
+}
 
-  if (isCombined) {
-    stats.type = 'combined';
-  } else {
-    const battingHeaders = ['PA', 'AB', 'H', '2B', '3B', 'HR', 'wOBA', 'wRC+', 'OPS'];
-    const pitchingHeaders = ['IP', 'ERA', 'WHIP', 'FIP', 'K/9', 'BB/9', 'SIERA'];
+// A tournament's merged uploads with their player lines, for content-level overlap checks
+async function loadTournamentUploads(tournamentId) {
+  const { data, error } = await supabase.from('upload_history').select('id,file_type,upload_date,player_data,undone').eq('tournament_id', tournamentId).is('deleted_at', null);
+  if (error) throw error;
+  return data || [];
+}
 
-    const hasBatting = battingHeaders.filter(h => headers.includes(h)).length >= 4;
-    const hasPitching = pitchingHeaders.filter(h => headers.includes(h)).length >= 4;
+// "12 cards had no new games; 1 card's totals went down and was skipped (A. Smith)"
+function describeCumulativeDelta({ previousDate, unchanged, regressed }) {
+  const notes = [previousDate ? `since the ${previousDate} snapshot` : 'no earlier snapshot, so the whole file counts as new games'];
+  if (unchanged) notes.push(`${unchanged} card${unchanged === 1 ? '' : 's'} without new games`);
+  if (regressed.length) notes.push(`${regressed.length} card${regressed.length === 1 ? '' : 's'} with lower totals than the last snapshot skipped (${regressed.slice(0, 3).map(r => r.name).join(', ')}${regressed.length > 3 ? ', …' : ''})`);
+  return notes.join('; ');
+}
 
-    if (hasBatting && !hasPitching) {
-      stats.type = 'batting';
-    } else if (hasPitching && !hasBatting) {
-      stats.type = 'pitching';
-    } else if (hasBatting && hasPitching) {
-      stats.type = 'combined';
-    } else {
-      issues.push({ type: 'critical', title: 'Unrecognized Format', details: 'Could not identify as batting or pitching CSV.', data: `Headers: ${headers.join(', ')}` });
+// Shared by the admin uploader and the submit form; the choice is remembered per browser
+function CumulativeUploadToggle({ checked, onChange }) {
+  const { theme } = useTheme();
+  const toggle = (value) => { localStorage.setItem('cumulativeUpload', value ? '1' : '0'); onChange(value); };
+  return (
+    <label style={{ display: 'flex', alignItems: 'flex-start', gap: 8, margin: '0 0 12px', fontSize: 12, color: theme.textPrimary, cursor: 'pointer' }}>
+      <input type="checkbox" checked={checked} onChange={(e) => toggle(e.target.checked)} style={{ marginTop: 2 }} />
+      <span>
+        Cumulative export (running totals)
+        <span style={{ display: 'block', color: theme.textMuted }}>Only the games since the last cumulative upload for this event are added.</span>
+      </span>
+    </label>
+  );
+}
+
+const OVERLAP_VERDICTS = {
+  duplicate: { label: 'Likely duplicate', icon: '⛔', color: 'error' },
+  cumulative: { label: 'Cumulative export', icon: '⚠️', color: 'error' },
+  partial: { label: 'Partial overlap', icon: '⚠️', color: 'warning' },
+  clean: { label: 'No overlap', icon: '✓', color: 'success' },
+};
+const OVERLAP_STATUS_LABELS = { exact: 'Identical', cumulative: '≥ all uploaded', contains: 'Contains', added: 'New games', new: 'New card' };
+const OVERLAP_FIELD_LABELS = { g: 'G', gs: 'GS', pa: 'PA', ab: 'AB', h: 'H', doubles: '2B', triples: '3B', hr: 'HR', bb: 'BB', so: 'K', k: 'K', outs: 'Outs', bf: 'BF', er: 'ER' };
+
+// checks: 'loading' | [{ fileType, report }], one per file part
+// A cumulative verdict is expected (not a problem) when the upload is declared as a running total
+function UploadOverlapChecks({ checks, cumulative }) {
+  const { theme } = useTheme();
+  if (checks === 'loading') return <div style={{ fontSize: 12, color: theme.textMuted, marginTop: 8 }}>Comparing with earlier uploads…</div>;
+  return checks.map(({ fileType, report }) => (
+    <UploadOverlapReport key={fileType} report={report} cumulative={cumulative} title={`${STAT_FILE_TYPES[fileType] === 'pitching' ? 'Pitching' : 'Batting'}${isSplitFileType(fileType) ? ' splits' : ''}`} />
+  ));
+}
+
+// Verdict + summary for one file part, with a per-card diff against what is already uploaded
+function UploadOverlapReport({ report, title, cumulative }) {
+  const { theme } = useTheme();
+  const [showDiff, setShowDiff] = useState(false);
+  const verdict = cumulative && report.verdict === 'cumulative' ? { ...OVERLAP_VERDICTS.cumulative, icon: 'Σ', color: 'success' } : OVERLAP_VERDICTS[report.verdict];
+  const fields = OVERLAP_FIELDS[STAT_FILE_TYPES[report.fileType]];
+  const rows = report.diff.slice(0, 50);
+  const cell = { padding: '3px 6px', borderTop: `1px solid ${theme.border}`, textAlign: 'right', whiteSpace: 'nowrap' };
+  return (
+    <div style={{ marginTop: 8, padding: '8px 10px', borderRadius: 6, border: `1px solid ${theme[verdict.color]}`, fontSize: 12 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+        <span style={{ color: theme[verdict.color], fontWeight: 600 }}>{verdict.icon} {title ? `${title}: ` : ''}{verdict.label}</span>
+        <span style={{ color: theme.textMuted, flex: 1 }}>{report.summary}</span>
+        {report.known > 0 && (
+          <button type="button" onClick={() => setShowDiff(!showDiff)} style={{ background: 'none', border: `1px solid ${theme.border}`, borderRadius: 4, color: theme.textSecondary, fontSize: 11, padding: '2px 8px', cursor: 'pointer' }}>
+            {showDiff ? 'Hide diff' : 'Show diff'}
+          </button>
+        )}
+      </div>
+      {showDiff && (
+        <div style={{ overflowX: 'auto', marginTop: 8 }}>
+          <table style={{ width: '100%', fontSize: 11, borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th style={{ ...cell, textAlign: 'left', borderTop: 'none' }}>Card</th>
+                <th style={{ ...cell, textAlign: 'left', borderTop: 'none' }}>Match</th>
+                {fields.map(f => <th key={f} style={{ ...cell, borderTop: 'none' }}>{OVERLAP_FIELD_LABELS[f]}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(line => (
+                <tr key={line.key}>
+                  <td style={{ ...cell, textAlign: 'left' }}>{line.name} <span style={{ color: theme.textMuted }}>{line.ovr}{line.vari === 'Y' ? ' V' : ''}{line.side ? ` vs ${line.side}` : ''}</span></td>
+                  <td style={{ ...cell, textAlign: 'left', color: line.status === 'exact' || line.status === 'cumulative' ? theme.error : line.status === 'contains' ? theme.warning : theme.textMuted }}>
+                    {OVERLAP_STATUS_LABELS[line.status]}{line.priorDate ? ` ${line.priorDate}` : ''}
+                  </td>
+                  {fields.map(f => {
+                    const delta = line.prior && line.status !== 'exact' ? line.counts[f] - line.prior[f] : null;
+                    return (
+                      <td key={f} style={cell} title={line.prior ? `Already uploaded: ${line.prior[f]}` : undefined}>
+                        {line.counts[f]}{delta !== null && <span style={{ color: delta < 0 ? theme.error : theme.textMuted }}> ({delta >= 0 ? '+' : ''}{delta})</span>}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {report.diff.length > rows.length && <div style={{ padding: 6, color: theme.textMuted }}>... and {report.diff.length - rows.length} more lines</div>}
+          <div style={{ padding: '6px 0 0', color: theme.textMuted }}>Numbers in brackets are the difference from what is already uploaded for that card.</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const SUBMISSION_STATUS_COLORS = { approved: 'success', rejected: 'error', pending: 'warning' };
+
+// Contributor sign-in / sign-up, and once signed in the contributor's record and submission history
+function ContributorPanel({ session, refreshKey }) {
+  const { theme } = useTheme();
+  const styles = getStyles(theme);
+  const [mode, setMode] = useState(null); // null | 'signin' | 'signup'
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [displayName, setDisplayName] = useState('');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [profile, setProfile] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+
+  useEffect(() => {
+    if (!session.token) { setProfile(null); return; }
+    let cancelled = false;
+    fetch('/api/contributors', { headers: { Authorization: `Bearer ${session.token}` } })
+      .then(res => res.ok ? res.json() : null)
+      .then(data => { if (!cancelled) setProfile(data); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [session.token, refreshKey]);
+
+  const submit = async () => {
+    setError('');
+    setNotice('');
+    setIsBusy(true);
+    try {
+      if (mode === 'signup') {
+        await session.signUp(email.trim(), password, displayName.trim());
+        setMode('signin'); setPassword('');
+        setNotice(`Check ${email.trim()} for a confirmation link, then sign in.`);
+      } else {
+        await session.signIn(email.trim(), password);
+        setMode(null); setEmail(''); setPassword(''); setDisplayName('');
+      }
+    } catch (e) {
+      setError(e.message);
     }
+    setIsBusy(false);
+  };
+
+  const box = { padding: '10px 14px', marginBottom: 16, borderRadius: 8, border: `1px solid ${theme.border}`, background: theme.panelBg, fontSize: 13, color: theme.textPrimary };
+  const linkBtn = { background: 'none', border: 'none', padding: 0, color: theme.accent, cursor: 'pointer', fontSize: 13 };
+
+  if (session.contributor) {
+    const stats = profile?.stats;
+    return (
+      <div style={box}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 10, flexWrap: 'wrap' }}>
+          <span>Submitting as <strong>{contributorName(session.contributor)}</strong></span>
+          {stats?.trusted && <span style={{ color: theme.success, fontWeight: 600 }}>★ Trusted</span>}
+          {stats && (
+            <span style={{ color: theme.textMuted }}>
+              {stats.approved} approved · {stats.rejected} rejected · {stats.pending} pending{stats.autoApproved > 0 && ` · ${stats.autoApproved} auto-merged`}
+              {stats.reputation !== null && ` · reputation ${stats.reputation}`}
+            </span>
+          )}
+          <span style={{ flex: 1 }} />
+          {profile?.history?.length > 0 && <button type="button" style={linkBtn} onClick={() => setShowHistory(!showHistory)}>{showHistory ? 'Hide history' : 'My submissions'}</button>}
+          <button type="button" style={linkBtn} onClick={session.signOut}>Sign out</button>
+        </div>
+        {stats && !stats.trusted && (
+          <div style={{ fontSize: 12, color: theme.textMuted, marginTop: 4 }}>
+            Uploads are approved automatically once reviewers have approved {TRUSTED_MIN_APPROVED}+ of your files and your reputation is {TRUSTED_MIN_REPUTATION}+.
+          </div>
+        )}
+        {showHistory && (
+          <table style={{ width: '100%', fontSize: 12, borderCollapse: 'collapse', marginTop: 8 }}>
+            <tbody>
+              {profile.history.slice(0, 25).map(h => (
+                <tr key={h.id} style={{ borderTop: `1px solid ${theme.border}` }}>
+                  <td style={{ padding: '4px 6px', color: theme.textMuted, whiteSpace: 'nowrap' }}>{h.suggested_date || h.created_at.split('T')[0]}</td>
+                  <td style={{ padding: '4px 6px' }}>{h.suggested_tournament_name || '—'}</td>
+                  <td style={{ padding: '4px 6px', color: theme.textMuted }}>{h.file_type}</td>
+                  <td style={{ padding: '4px 6px', color: theme[SUBMISSION_STATUS_COLORS[h.status]] || theme.textMuted, textAlign: 'right' }}>{h.status}{h.auto_approved ? ' (auto)' : ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    );
   }
-  
-  const requiredHeaders = ['Name', 'OVR', 'POS'];
-  const missingRequired = requiredHeaders.filter(h => !headers.includes(h));
-  if (missingRequired.length > 0) {
-    issues.push({ type: 'critical', title: 'Missing Required Headers', details: `Missing: ${missingRequired.join(', ')}` });
-  }
-  
-  const cleanRows = [];
-  const removedRows = [];
-  
-  rows.forEach((row, idx) => {
-    const rowNum = idx + 2;
-    const name = (row.Name || '').trim();
-    const ovr = parseInt(row.OVR) || 0;
-    
-    if (!name) return;
-    stats.players++;
-    
-    const rowIssues = [];
-    
-    // OVR validation
-    if (ovr < 1 || ovr > 125) {
-      rowIssues.push(`Invalid OVR: ${ovr}`);
-    }
-    
-    const pos = (row.POS || '').trim().toUpperCase();
-    const isPitcherRow = ['SP', 'RP', 'CL', 'MR'].includes(pos);
-
-    if (stats.type === 'batting' || (stats.type === 'combined' && !isPitcherRow)) {
-      const pa = parseInt(row.PA) || 0, ab = parseInt(row.AB) || 0, h = parseInt(row.H) || 0;
-      const hr = parseInt(row.HR) || 0, doubles = parseInt(row['2B']) || 0, triples = parseInt(row['3B']) || 0;
-      const avg = parseFloat(row.AVG) || 0, obp = parseFloat(row.OBP) || 0, slg = parseFloat(row.SLG) || 0;
-      const wrcPlus = parseInt(row['wRC+']) || 0, war = parseFloat(row.WAR) || 0;
-
-      if (h > ab && ab > 0) rowIssues.push(`H > AB (${h} > ${ab})`);
-      if (hr > h && h > 0) rowIssues.push(`HR > H (${hr} > ${h})`);
-      if (doubles + triples + hr > h) rowIssues.push(`XBH > H`);
-      if (ab > pa) rowIssues.push(`AB > PA (${ab} > ${pa})`);
-      if (avg > 0.500 && pa > 100) rowIssues.push(`AVG too high: ${avg}`);
-      if (obp > 0.600 && pa > 100) rowIssues.push(`OBP too high: ${obp}`);
-      if (slg > 1.000 && pa > 100) rowIssues.push(`SLG too high: ${slg}`);
-      if (wrcPlus > 250 && pa > 100) rowIssues.push(`wRC+ too high: ${wrcPlus}`);
-      if (war > 15 || war < -5) rowIssues.push(`WAR unrealistic: ${war}`);
-      if (obp < avg && pa > 50) rowIssues.push(`OBP < AVG (impossible)`);
-    } else if (stats.type === 'pitching' || (stats.type === 'combined' && isPitcherRow)) {
-      const ipField = row.IP;
-      const gField = stats.type === 'combined' ? (row.G_1 || row.G) : row.G;
-      const gsField = stats.type === 'combined' ? (row.GS_1 || row.GS) : row.GS;
-      const warField = stats.type === 'combined' ? (row.WAR_1 || row.WAR) : row.WAR;
-      const ip = parseFloat(ipField) || 0, era = parseFloat(row.ERA) || 0, whip = parseFloat(row.WHIP) || 0;
-      const kPer9 = parseFloat(row['K/9']) || 0, bbPer9 = parseFloat(row['BB/9']) || 0;
-      const war = parseFloat(warField) || 0, g = parseInt(gField) || 0, gs = parseInt(gsField) || 0;
-
-      if (era < 0) rowIssues.push(`Negative ERA: ${era}`);
-      if (era > 20 && ip > 20) rowIssues.push(`ERA too high: ${era}`);
-      if (whip < 0) rowIssues.push(`Negative WHIP: ${whip}`);
-      if (whip > 3.0 && ip > 20) rowIssues.push(`WHIP too high: ${whip}`);
-      if (kPer9 > 18) rowIssues.push(`K/9 impossible: ${kPer9}`);
-      if (bbPer9 > 15 && ip > 20) rowIssues.push(`BB/9 too high: ${bbPer9}`);
-      if (war > 12 || war < -4) rowIssues.push(`WAR unrealistic: ${war}`);
-      if (gs > g) rowIssues.push(`GS > G (impossible)`);
-    }
-    
-    if (rowIssues.length > 0) {
-      removedRows.push({ row: rowNum, name, ovr, reasons: rowIssues, data: row });
-    } else {
-      cleanRows.push(row);
-    }
-  });
-  
-  // Check wrong file type (skip for combined)
-  if (stats.type === 'batting') {
-    const pitcherPositions = rows.filter(r => ['SP', 'RP', 'CL', 'MR'].includes((r.POS || '').toUpperCase())).length;
-    if (pitcherPositions / stats.players > 0.5) {
-      issues.push({ type: 'critical', title: 'Wrong File Type?', details: `${Math.round(pitcherPositions / stats.players * 100)}% pitcher positions in batting file.` });
-    }
+
+  if (!mode) {
+    return (
+      <div style={{ ...box, color: theme.textMuted }}>
+        Contributor account (optional):{' '}
+        <button type="button" style={linkBtn} onClick={() => setMode('signin')}>Sign in</button>{' or '}
+        <button type="button" style={linkBtn} onClick={() => setMode('signup')}>create one</button>
+        {' '}to keep a history of your submissions and get trusted uploads approved automatically.
+      </div>
+    );
   }
-  
-  const hasCritical = issues.some(i => i.type === 'critical');
-  
-  return { issues, stats, headers, cleanRows, removedRows, hasCritical, rawRows: rows };
-}
 
-function calculatePlayerMatch(csvRows, tournamentPlayers, fileType) {
-  if (!csvRows || csvRows.length === 0) return 0;
-  if (!tournamentPlayers || tournamentPlayers.length === 0) return 0;
-  
-  // Create set of tournament player names (lowercase for case-insensitive matching)
-  const tournamentNames = new Set(tournamentPlayers.map(p => (p.name || '').toLowerCase().trim()));
-  
-  // Get unique player names from CSV (since same player may appear multiple times)
-  const csvPlayerNames = new Set();
-  csvRows.forEach(row => {
-    const name = (row.Name || '').toLowerCase().trim();
-    if (name) csvPlayerNames.add(name);
-  });
-  
-  // Count how many unique CSV players exist in tournament
-  let matches = 0;
-  csvPlayerNames.forEach(name => {
-    if (tournamentNames.has(name)) matches++;
-  });
-  
-  return Math.round((matches / csvPlayerNames.size) * 100);
+  return (
+    <div style={{ ...box, display: 'flex', flexDirection: 'column', gap: 8 }}>
+      <strong>{mode === 'signup' ? 'Create a contributor account' : 'Contributor sign-in'}</strong>
+      {error && <div style={{ ...styles.authError, margin: 0 }}>{error}</div>}
+      {notice && <div style={{ color: theme.success }}>{notice}</div>}
+      {mode === 'signup' && <input type="text" placeholder="Display name" value={displayName} onChange={(e) => setDisplayName(e.target.value)} style={styles.formInput} />}
+      <input type="email" placeholder="Email" value={email} onChange={(e) => setEmail(e.target.value)} style={styles.formInput} />
+      <input type="password" placeholder={mode === 'signup' ? 'Password (8+ characters)' : 'Password'} value={password} onChange={(e) => setPassword(e.target.value)} onKeyDown={(e) => e.key === 'Enter' && submit()} style={styles.formInput} />
+      <div style={styles.modalBtns}>
+        <button type="button" onClick={submit} disabled={isBusy} style={{ ...styles.saveBtn, opacity: isBusy ? 0.6 : 1 }}>{mode === 'signup' ? 'Create Account' : 'Sign In'}</button>
+        <button type="button" onClick={() => { setMode(null); setError(''); setNotice(''); }} style={styles.cancelBtn}>Cancel</button>
+      </div>
+      <button type="button" style={{ ...linkBtn, alignSelf: 'flex-start', fontSize: 12 }} onClick={() => { setMode(mode === 'signup' ? 'signin' : 'signup'); setError(''); setNotice(''); }}>
+        {mode === 'signup' ? 'Already have an account? Sign in' : 'New here? Create an account'}
+      </button>
+    </div>
+  );
 }
 
 // ==================== UPLOAD TUTORIAL ====================
@@ -4163,7 +4747,9 @@ function UploadTutorial({ theme }) {
 function SubmitDataPage() {
   const { theme } = useTheme();
   const styles = getStyles(theme);
-  const { isAdmin, requestAuth } = useAuth();
+  const { can, requestAuth } = useAuth();
+  // Reviewers merge straight into the event instead of submitting for review
+  const canReview = can('review');
   const [tournaments, setTournaments] = useState([]);
   const [selectedTournamentId, setSelectedTournamentId] = useState('');
   const [suggestNewEvent, setSuggestNewEvent] = useState(false);
@@ -4183,6 +4769,12 @@ function SubmitDataPage() {
   
   // Admin direct upload state
   const [adminConfirmData, setAdminConfirmData] = useState(null);
+
+  // Content-level overlap of the chosen file with what the tournament already has: null | 'loading' | [{ fileType, report }]
+  const [overlapChecks, setOverlapChecks] = useState(null);
+  const [cumulativeUpload, setCumulativeUpload] = useState(() => localStorage.getItem('cumulativeUpload') === '1');
+  const contributorSession = useContributorSession();
+  const [contributorRefresh, setContributorRefresh] = useState(0);
   
   // Info panel state
   const [infoContent, setInfoContent] = useState({ sections: [] });
@@ -4195,8 +4787,25 @@ function SubmitDataPage() {
     loadInfoContent();
   }, []);
 
+  useEffect(() => {
+    if (!uploadFile || !selectedTournamentId || suggestNewEvent) { setOverlapChecks(null); return; }
+    let cancelled = false;
+    setOverlapChecks('loading');
+    (async () => {
+      try {
+        const [content, history] = await Promise.all([uploadFile.text(), loadTournamentUploads(selectedTournamentId)]);
+        const parts = getUploadParts(validateCSV(content, uploadFile.name), null);
+        if (!cancelled) setOverlapChecks(parts.map(part => ({ fileType: part.fileType, report: detectUploadOverlap(part.validation.cleanRows, part.fileType, history) })));
+      } catch (e) {
+        console.error('Overlap check failed:', e);
+        if (!cancelled) setOverlapChecks(null);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [uploadFile, selectedTournamentId, suggestNewEvent]);
+
   const loadTournaments = async () => {
-    const { data } = await supabase.from('tournaments').select('id, name, category, uploaded_dates, event_type').order('name');
+    const { data } = await supabase.from('tournaments').select('id, name, category, uploaded_dates, event_type').is('deleted_at', null).order('name');
     setTournaments(data || []);
   };
 
@@ -4210,6 +4819,7 @@ function SubmitDataPage() {
   const saveInfoContent = async () => {
     try {
       await supabase.from('site_content').upsert({ id: 'submit_info', content: editInfoContent, updated_at: new Date().toISOString() });
+      logContentEdit('submit_info', infoContent, editInfoContent);
       setInfoContent(editInfoContent);
       setIsEditingInfo(false);
       showNotif('Info saved!');
@@ -4222,7 +4832,7 @@ function SubmitDataPage() {
     requestAuth(() => {
       setEditInfoContent(JSON.parse(JSON.stringify(infoContent)));
       setIsEditingInfo(true);
-    });
+    }, 'content');
   };
 
   const showNotif = (message, type = 'success') => {
@@ -4357,95 +4967,28 @@ function SubmitDataPage() {
     setIsSubmitting(true);
 
     try {
-      const { data: selectedTournament } = await supabase
-        .from('tournaments')
-        .select('*')
-        .eq('id', selectedTournamentId)
-        .single();
-
-      if (!selectedTournament) throw new Error('Tournament not found');
-
-      let totalSubmitted = { pitching: 0, batting: 0 };
+      let totalSubmitted = { pitching: 0, batting: 0, splits: 0 };
+      let duplicates = 0, autoApproved = 0;
 
       for (const item of validFiles) {
-        const content = await item.file.text();
-        const validation = validateCSV(content, item.file.name);
-        const dateAlreadyUploaded = selectedTournament?.uploaded_dates?.includes(item.date);
-
-        if (validation.stats.type === 'combined') {
-          const { battingRows, pitchingRows } = sharedSplitCombinedRows(validation.cleanRows);
-          if (pitchingRows.length > 0) {
-            const matchPercent = calculatePlayerMatch(pitchingRows, selectedTournament.pitching, 'pitching');
-            const { error } = await supabase.from('pending_uploads').insert({
-              suggested_tournament_id: selectedTournamentId,
-              suggested_tournament_name: selectedTournament.name,
-              suggested_date: item.date,
-              user_notes: `Bulk upload: ${item.file.name}`,
-              uploader_name: uploaderName.trim() || null,
-              file_type: 'pitching',
-              file_name: item.file.name,
-              raw_data: pitchingRows,
-              clean_data: pitchingRows,
-              removed_rows: [],
-              validation_issues: [],
-              player_match_percent: matchPercent,
-              date_already_uploaded: dateAlreadyUploaded,
-              has_critical_issues: false,
-              status: 'pending'
-            });
-            if (error) throw error;
-            totalSubmitted.pitching++;
-          }
-          if (battingRows.length > 0) {
-            const matchPercent = calculatePlayerMatch(battingRows, selectedTournament.batting, 'batting');
-            const { error } = await supabase.from('pending_uploads').insert({
-              suggested_tournament_id: selectedTournamentId,
-              suggested_tournament_name: selectedTournament.name,
-              suggested_date: item.date,
-              user_notes: `Bulk upload: ${item.file.name}`,
-              uploader_name: uploaderName.trim() || null,
-              file_type: 'batting',
-              file_name: item.file.name,
-              raw_data: battingRows,
-              clean_data: battingRows,
-              removed_rows: [],
-              validation_issues: [],
-              player_match_percent: matchPercent,
-              date_already_uploaded: dateAlreadyUploaded,
-              has_critical_issues: false,
-              status: 'pending'
-            });
-            if (error) throw error;
-            totalSubmitted.batting++;
-          }
-        } else {
-          const fileType = validation.stats.type;
-          const pool = fileType === 'pitching' ? selectedTournament.pitching : selectedTournament.batting;
-          const matchPercent = calculatePlayerMatch(validation.rawRows, pool, fileType);
-          const { error } = await supabase.from('pending_uploads').insert({
-            suggested_tournament_id: selectedTournamentId,
-            suggested_tournament_name: selectedTournament.name,
-            suggested_date: item.date,
-            user_notes: `Bulk upload: ${item.file.name}`,
-            uploader_name: uploaderName.trim() || null,
-            file_type: fileType,
-            file_name: item.file.name,
-            raw_data: validation.rawRows,
-            clean_data: validation.cleanRows,
-            removed_rows: validation.removedRows,
-            validation_issues: validation.issues,
-            player_match_percent: matchPercent,
-            date_already_uploaded: dateAlreadyUploaded,
-            has_critical_issues: validation.hasCritical,
-            status: 'pending'
-          });
-          if (error) throw error;
-          if (fileType === 'pitching') totalSubmitted.pitching++;
-          else totalSubmitted.batting++;
-        }
+        const report = await submitUploadForReview({
+          csv: await item.file.text(),
+          fileName: item.file.name,
+          date: item.date,
+          tournamentId: selectedTournamentId,
+          uploaderName: uploaderName.trim() || null,
+          notes: `Bulk upload: ${item.file.name}`,
+        }, contributorSession.token);
+        if (report.status === 'duplicate') { duplicates++; continue; }
+        if (report.status === 'approved') autoApproved++;
+        report.parts.forEach(part => {
+          if (isSplitFileType(part.fileType)) totalSubmitted.splits++;
+          else totalSubmitted[part.fileType]++;
+        });
       }
 
-      showNotif(`✓ Submitted ${totalSubmitted.pitching} pitching + ${totalSubmitted.batting} batting from ${validFiles.length} files for review`);
+      showNotif(`✓ Submitted ${totalSubmitted.pitching} pitching + ${totalSubmitted.batting} batting${totalSubmitted.splits ? ` + ${totalSubmitted.splits} splits` : ''} from ${validFiles.length} files for review${autoApproved ? ` (${autoApproved} auto-approved)` : ''}${duplicates ? ` (${duplicates} already uploaded, skipped)` : ''}`);
+      setContributorRefresh(k => k + 1);
       clearBulkFiles();
       setBulkMode(false);
 
@@ -4472,166 +5015,27 @@ function SubmitDataPage() {
 
     setIsSubmitting(true);
 
-    const parseNum = (v) => { const n = parseFloat(v); return isNaN(n) ? 0 : n; };
-    const parsePct = (v) => { if (!v) return '0.0'; return String(v).replace('%', ''); };
-    const parseIP = (ip) => { const str = String(ip); if (str.includes('.')) { const [whole, frac] = str.split('.'); return parseFloat(whole) + (parseFloat(frac) / 3); } return parseFloat(ip) || 0; };
-    const formatIP = (ipDecimal) => { const whole = Math.floor(ipDecimal); const frac = Math.round((ipDecimal - whole) * 3); return frac === 0 ? String(whole) : `${whole}.${frac}`; };
-
-    const processPitchingRows = (newData, currentPitchingData) => {
-      const playerMap = new Map();
-      currentPitchingData.forEach(p => playerMap.set(`${p.name}|${p.ovr}|${p.vari || 'N'}`, p));
-      newData.forEach(row => {
-        const name = (row.Name || '').trim();
-        const ovr = parseNum(row.OVR); const vari = parseVariant(row.VAR);
-        const key = `${name}|${ovr}|${vari}`;
-        const instance = {
-          id: crypto.randomUUID(), name, pos: row.POS?.trim() || '', throws: row.T || '', ovr, vari,
-          g: parseNum(row.G), gs: parseNum(row.GS), ip: row.IP || '0', bf: parseNum(row.BF),
-          era: row.ERA || '0.00', avg: row.AVG || '.000', obp: row.OBP || '.000',
-          babip: row.BABIP || '.000', whip: row.WHIP || '0.00',
-          braPer9: row['BRA/9'] || '0.00', hrPer9: row['HR/9'] || '0.00',
-          hPer9: row['H/9'] || '0.00', bbPer9: row['BB/9'] || '0.00', kPer9: row['K/9'] || '0.00',
-          lobPct: parsePct(row['LOB%']), eraPlus: parseNum(row['ERA+']),
-          fip: row.FIP || '0.00', fipMinus: parseNum(row['FIP-']),
-          war: row.WAR || '0.0', siera: row.SIERA || '0.00'
-        };
-        if (playerMap.has(key)) {
-          const existing = playerMap.get(key); const oldCount = existing._instanceCount || 1; const newCount = oldCount + 1;
-          const posTracking = updatePositionTracking(existing, instance.pos);
-          playerMap.set(key, { ...existing, _instanceCount: newCount, ...posTracking,
-            g: existing.g + instance.g, gs: existing.gs + instance.gs,
-            ip: formatIP(parseIP(existing.ip) + parseIP(instance.ip)), bf: existing.bf + instance.bf,
-            war: (parseFloat(existing.war || 0) + parseFloat(instance.war || 0)).toFixed(1),
-            ovr: instance.ovr, vari: instance.vari, throws: instance.throws || existing.throws,
-            era: (((parseFloat(existing.era || 0) * oldCount) + parseFloat(instance.era || 0)) / newCount).toFixed(2),
-            avg: (((parseFloat(existing.avg || 0) * oldCount) + parseFloat(instance.avg || 0)) / newCount).toFixed(3),
-            obp: (((parseFloat(existing.obp || 0) * oldCount) + parseFloat(instance.obp || 0)) / newCount).toFixed(3),
-            babip: (((parseFloat(existing.babip || 0) * oldCount) + parseFloat(instance.babip || 0)) / newCount).toFixed(3),
-            whip: (((parseFloat(existing.whip || 0) * oldCount) + parseFloat(instance.whip || 0)) / newCount).toFixed(2),
-            braPer9: (((parseFloat(existing.braPer9 || 0) * oldCount) + parseFloat(instance.braPer9 || 0)) / newCount).toFixed(2),
-            hrPer9: (((parseFloat(existing.hrPer9 || 0) * oldCount) + parseFloat(instance.hrPer9 || 0)) / newCount).toFixed(2),
-            hPer9: (((parseFloat(existing.hPer9 || 0) * oldCount) + parseFloat(instance.hPer9 || 0)) / newCount).toFixed(2),
-            bbPer9: (((parseFloat(existing.bbPer9 || 0) * oldCount) + parseFloat(instance.bbPer9 || 0)) / newCount).toFixed(2),
-            kPer9: (((parseFloat(existing.kPer9 || 0) * oldCount) + parseFloat(instance.kPer9 || 0)) / newCount).toFixed(2),
-            lobPct: (((parseFloat(existing.lobPct || 0) * oldCount) + parseFloat(instance.lobPct || 0)) / newCount).toFixed(1),
-            eraPlus: Math.round(((parseFloat(existing.eraPlus || 0) * oldCount) + parseFloat(instance.eraPlus || 0)) / newCount),
-            fip: (((parseFloat(existing.fip || 0) * oldCount) + parseFloat(instance.fip || 0)) / newCount).toFixed(2),
-            fipMinus: Math.round(((parseFloat(existing.fipMinus || 0) * oldCount) + parseFloat(instance.fipMinus || 0)) / newCount),
-            siera: (((parseFloat(existing.siera || 0) * oldCount) + parseFloat(instance.siera || 0)) / newCount).toFixed(2)
-          });
-        } else {
-          const posTracking = initPositionTracking(instance.pos);
-          playerMap.set(key, { ...instance, _instanceCount: 1, ...posTracking });
-        }
-      });
-      return Array.from(playerMap.values());
-    };
-
-    const processBattingRows = (newData, currentBattingData) => {
-      const playerMap = new Map();
-      currentBattingData.forEach(p => playerMap.set(`${p.name}|${p.ovr}|${p.vari || 'N'}`, p));
-      newData.forEach(row => {
-        const name = (row.Name || '').trim();
-        const ovr = parseNum(row.OVR); const vari = parseVariant(row.VAR);
-        const key = `${name}|${ovr}|${vari}`;
-        const instance = {
-          id: crypto.randomUUID(), name, pos: row.POS?.trim() || '', bats: row.B || '', ovr, vari,
-          g: parseNum(row.G), gs: parseNum(row.GS), pa: parseNum(row.PA), ab: parseNum(row.AB),
-          h: parseNum(row.H), doubles: parseNum(row['2B']), triples: parseNum(row['3B']), hr: parseNum(row.HR),
-          so: parseNum(row.K), gidp: parseNum(row.GIDP),
-          avg: row.AVG || '.000', obp: row.OBP || '.000', slg: row.SLG || '.000',
-          woba: row.wOBA || '.000', ops: row.OPS || '.000', opsPlus: parseNum(row['OPS+']),
-          babip: row.BABIP || '.000', wrcPlus: parseNum(row['wRC+']),
-          wraa: row.wRAA || '0.0', war: row.WAR || '0.0',
-          bbPct: parsePct(row['BB%']), sbPct: parsePct(row['SB%']), ubr: row.UBR || row.BsR || '0.0'
-        };
-        if (playerMap.has(key)) {
-          const existing = playerMap.get(key); const oldCount = existing._instanceCount || 1; const newCount = oldCount + 1;
-          const posTracking = updatePositionTracking(existing, instance.pos);
-          playerMap.set(key, { ...existing, _instanceCount: newCount, ...posTracking,
-            g: existing.g + instance.g, gs: existing.gs + instance.gs, pa: existing.pa + instance.pa, ab: existing.ab + instance.ab,
-            war: (parseFloat(existing.war || 0) + parseFloat(instance.war || 0)).toFixed(1),
-            wraa: (parseFloat(existing.wraa || 0) + parseFloat(instance.wraa || 0)).toFixed(1),
-            ubr: (parseFloat(existing.ubr || existing.bsr || 0) + parseFloat(instance.ubr || instance.bsr || 0)).toFixed(1),
-            ovr: instance.ovr, vari: instance.vari, bats: instance.bats || existing.bats,
-            h: Math.round(((existing.h * oldCount) + instance.h) / newCount),
-            doubles: Math.round(((existing.doubles * oldCount) + instance.doubles) / newCount),
-            triples: Math.round(((existing.triples * oldCount) + instance.triples) / newCount),
-            hr: Math.round(((existing.hr * oldCount) + instance.hr) / newCount),
-            so: Math.round(((existing.so * oldCount) + instance.so) / newCount),
-            gidp: Math.round(((existing.gidp * oldCount) + instance.gidp) / newCount),
-            avg: (((parseFloat(existing.avg || 0) * oldCount) + parseFloat(instance.avg || 0)) / newCount).toFixed(3),
-            obp: (((parseFloat(existing.obp || 0) * oldCount) + parseFloat(instance.obp || 0)) / newCount).toFixed(3),
-            slg: (((parseFloat(existing.slg || 0) * oldCount) + parseFloat(instance.slg || 0)) / newCount).toFixed(3),
-            ops: (((parseFloat(existing.ops || 0) * oldCount) + parseFloat(instance.ops || 0)) / newCount).toFixed(3),
-            woba: (((parseFloat(existing.woba || 0) * oldCount) + parseFloat(instance.woba || 0)) / newCount).toFixed(3),
-            babip: (((parseFloat(existing.babip || 0) * oldCount) + parseFloat(instance.babip || 0)) / newCount).toFixed(3),
-            opsPlus: Math.round(((parseFloat(existing.opsPlus || 0) * oldCount) + parseFloat(instance.opsPlus || 0)) / newCount),
-            wrcPlus: Math.round(((parseFloat(existing.wrcPlus || 0) * oldCount) + parseFloat(instance.wrcPlus || 0)) / newCount),
-            bbPct: (((parseFloat(existing.bbPct || 0) * oldCount) + parseFloat(instance.bbPct || 0)) / newCount).toFixed(1),
-            sbPct: (((parseFloat(existing.sbPct || 0) * oldCount) + parseFloat(instance.sbPct || 0)) / newCount).toFixed(1)
-          });
-        } else {
-          const posTracking = initPositionTracking(instance.pos);
-          playerMap.set(key, { ...instance, _instanceCount: 1, ...posTracking });
-        }
-      });
-      return Array.from(playerMap.values());
-    };
-
     try {
-      let { data: tournament } = await supabase.from('tournaments').select('*').eq('id', selectedTournamentId).single();
-      if (!tournament) throw new Error('Tournament not found');
+      let { data: tournament } = await supabase.from('tournaments').select('*').eq('id', selectedTournamentId).is('deleted_at', null).single();
+      if (!tournament) throw new Error('Tournament not found — it may be in the trash');
 
-      let totalAdded = { pitching: 0, batting: 0 };
-      let uploadedDates = [...(tournament.uploaded_dates || [])];
-      let battingData = [...(tournament.batting || [])];
-      let pitchingData = [...(tournament.pitching || [])];
+      const totalAdded = { pitching: 0, batting: 0, splits: 0 };
+      const historyIds = [];
 
       for (const item of validFiles) {
-        const content = await item.file.text();
-        const validation = validateCSV(content, item.file.name);
-
-        let pitchingRows = null, battingRows = null;
-        if (validation.stats.type === 'combined') {
-          const split = sharedSplitCombinedRows(validation.cleanRows);
-          pitchingRows = split.pitchingRows;
-          battingRows = split.battingRows;
-        } else if (validation.stats.type === 'pitching') {
-          pitchingRows = validation.cleanRows;
-        } else {
-          battingRows = validation.cleanRows;
-        }
-
-        if (pitchingRows && pitchingRows.length > 0) {
-          pitchingData = processPitchingRows(pitchingRows, pitchingData);
-          totalAdded.pitching += pitchingRows.length;
-          await supabase.from('upload_history').insert({
-            tournament_id: selectedTournamentId, tournament_name: tournament.name,
-            file_type: 'pitching', upload_date: item.date,
-            player_count: pitchingRows.length, player_data: pitchingRows,
-          });
-        }
-
-        if (battingRows && battingRows.length > 0) {
-          battingData = processBattingRows(battingRows, battingData);
-          totalAdded.batting += battingRows.length;
-          await supabase.from('upload_history').insert({
-            tournament_id: selectedTournamentId, tournament_name: tournament.name,
-            file_type: 'batting', upload_date: item.date,
-            player_count: battingRows.length, player_data: battingRows,
-          });
-        }
-
-        if (!uploadedDates.includes(item.date)) uploadedDates.push(item.date);
+        const validation = validateCSV(await item.file.text(), item.file.name);
+        const merged = await mergeUploadParts(supabase, {
+          tournament, date: item.date,
+          parts: getUploadParts(validation).map(part => ({ fileType: part.fileType, rows: part.validation.cleanRows })),
+        });
+        merged.parts.forEach(({ fileType, rows }) => { totalAdded[isSplitFileType(fileType) ? 'splits' : fileType] += rows.length; });
+        historyIds.push(...merged.historyIds);
+        tournament = merged.tournament;
       }
 
-      const { error: updateError } = await supabase.from('tournaments').update({
-        batting: battingData, pitching: pitchingData, uploaded_dates: uploadedDates
-      }).eq('id', selectedTournamentId);
-      if (updateError) throw updateError;
+      logAudit({ action: 'tournament.upload', targetType: 'tournaments', targetId: selectedTournamentId, targetName: tournament.name, after: { historyIds, dates: validFiles.map(f => f.date) } });
 
-      showNotif(`✓ Bulk upload complete: ${totalAdded.pitching} pitchers, ${totalAdded.batting} batters`);
+      showNotif(`✓ Bulk upload complete: ${totalAdded.pitching} pitchers, ${totalAdded.batting} batters${totalAdded.splits ? `, ${totalAdded.splits} split lines` : ''}`);
       clearBulkFiles();
       setBulkMode(false);
 
@@ -4651,119 +5055,59 @@ function SubmitDataPage() {
     setIsSubmitting(true);
 
     try {
-      // Get tournament for player matching
-      let selectedTournament = null;
-      if (selectedTournamentId) {
-        const { data: tournamentData } = await supabase.from('tournaments').select('*').eq('id', selectedTournamentId).single();
-        if (tournamentData) selectedTournament = tournamentData;
-      }
-
-      // Check if date already has data
-      let dateAlreadyUploaded = false;
-      if (selectedTournament?.uploaded_dates?.includes(selectedDate)) {
-        dateAlreadyUploaded = true;
-      }
-
-      // Parse and validate the combined CSV
       const content = await uploadFile.text();
-      const validation = validateCSV(content, uploadFile.name);
-
-      // Split combined rows into batting and pitching
-      const fileData = { pitching: null, batting: null };
-
-      if (validation.stats.type === 'combined') {
-        const { battingRows, pitchingRows } = sharedSplitCombinedRows(validation.cleanRows);
-        if (pitchingRows.length > 0) {
-          const pitchingValidation = { ...validation, cleanRows: pitchingRows, rawRows: pitchingRows, removedRows: [], issues: [], hasCritical: false, stats: { ...validation.stats, type: 'pitching' } };
-          let matchPercent = 0;
-          if (selectedTournament) matchPercent = calculatePlayerMatch(pitchingRows, selectedTournament.pitching, 'pitching');
-          fileData.pitching = { validation: pitchingValidation, matchPercent, fileName: uploadFile.name };
-        }
-        if (battingRows.length > 0) {
-          const battingValidation = { ...validation, cleanRows: battingRows, rawRows: battingRows, removedRows: [], issues: [], hasCritical: false, stats: { ...validation.stats, type: 'batting' } };
-          let matchPercent = 0;
-          if (selectedTournament) matchPercent = calculatePlayerMatch(battingRows, selectedTournament.batting, 'batting');
-          fileData.batting = { validation: battingValidation, matchPercent, fileName: uploadFile.name };
+
+      // If admin, show confirmation dialog instead of submitting for review
+      if (canReview && selectedTournamentId) {
+        const { data: selectedTournament } = await supabase.from('tournaments').select('*').eq('id', selectedTournamentId).is('deleted_at', null).single();
+        if (selectedTournament) {
+          const fileData = { pitching: null, batting: null, splits: null };
+          getUploadParts(validateCSV(content, uploadFile.name), selectedTournament).forEach(part => {
+            fileData[isSplitFileType(part.fileType) ? 'splits' : part.fileType] = { ...part, fileName: uploadFile.name };
+          });
+          setAdminConfirmData({
+            tournament: selectedTournament,
+            tournamentId: selectedTournamentId,
+            date: selectedDate,
+            dateAlreadyUploaded: !!selectedTournament.uploaded_dates?.includes(selectedDate),
+            cumulative: cumulativeUpload,
+            ...fileData
+          });
+          setIsSubmitting(false);
+          return;
         }
-      } else if (validation.stats.type === 'pitching') {
-        let matchPercent = 0;
-        if (selectedTournament) matchPercent = calculatePlayerMatch(validation.rawRows, selectedTournament.pitching, 'pitching');
-        fileData.pitching = { validation, matchPercent, fileName: uploadFile.name };
-      } else if (validation.stats.type === 'batting') {
-        let matchPercent = 0;
-        if (selectedTournament) matchPercent = calculatePlayerMatch(validation.rawRows, selectedTournament.batting, 'batting');
-        fileData.batting = { validation, matchPercent, fileName: uploadFile.name };
       }
 
-      // If admin, show confirmation dialog instead of submitting to pending
-      if (isAdmin && selectedTournament && selectedTournamentId) {
-        setAdminConfirmData({
-          tournament: selectedTournament,
-          tournamentId: selectedTournamentId,
-          date: selectedDate,
-          dateAlreadyUploaded,
-          pitching: fileData.pitching,
-          batting: fileData.batting
-        });
+      // Everyone else: the upload route validates the file again and queues each part for review
+      const report = await submitUploadForReview({
+        csv: content,
+        fileName: uploadFile.name,
+        date: selectedDate,
+        tournamentId: selectedTournamentId || null,
+        suggestedTournamentName: suggestNewEvent ? newEventName.trim() : null,
+        uploaderName: uploaderName.trim() || null,
+        notes: userNotes.trim() || null,
+        cumulative: cumulativeUpload,
+      }, contributorSession.token);
+      if (report.status === 'duplicate') {
+        showNotif('This exact file has already been uploaded for that tournament', 'error');
         setIsSubmitting(false);
         return;
       }
-
-      // Non-admin: submit to pending_uploads as before
-      const results = { pitching: null, batting: null };
-
-      if (fileData.pitching) {
-        const { validation: val, matchPercent, fileName } = fileData.pitching;
-        const { error } = await supabase.from('pending_uploads').insert({
-          suggested_tournament_id: selectedTournamentId || null,
-          suggested_tournament_name: suggestNewEvent ? newEventName.trim() : (selectedTournament?.name || ''),
-          suggested_date: selectedDate,
-          user_notes: userNotes.trim() || null,
-          uploader_name: uploaderName.trim() || null,
-          file_type: 'pitching',
-          file_name: fileName,
-          raw_data: val.rawRows,
-          clean_data: val.cleanRows,
-          removed_rows: val.removedRows,
-          validation_issues: val.issues,
-          player_match_percent: matchPercent,
-          date_already_uploaded: dateAlreadyUploaded,
-          has_critical_issues: val.hasCritical,
-          status: 'pending'
-        });
-        if (error) throw error;
-        results.pitching = { playerCount: val.cleanRows.length, removedCount: val.removedRows.length, hasCritical: val.hasCritical };
-      }
-
-      if (fileData.batting) {
-        const { validation: val, matchPercent, fileName } = fileData.batting;
-        const { error } = await supabase.from('pending_uploads').insert({
-          suggested_tournament_id: selectedTournamentId || null,
-          suggested_tournament_name: suggestNewEvent ? newEventName.trim() : (selectedTournament?.name || ''),
-          suggested_date: selectedDate,
-          user_notes: userNotes.trim() || null,
-          uploader_name: uploaderName.trim() || null,
-          file_type: 'batting',
-          file_name: fileName,
-          raw_data: val.rawRows,
-          clean_data: val.cleanRows,
-          removed_rows: val.removedRows,
-          validation_issues: val.issues,
-          player_match_percent: matchPercent,
-          date_already_uploaded: dateAlreadyUploaded,
-          has_critical_issues: val.hasCritical,
-          status: 'pending'
-        });
-        if (error) throw error;
-        results.batting = { playerCount: val.cleanRows.length, removedCount: val.removedRows.length, hasCritical: val.hasCritical };
-      }
+      const results = { pitching: null, batting: null, splits: null };
+      report.parts.forEach(part => {
+        results[isSplitFileType(part.fileType) ? 'splits' : part.fileType] = { playerCount: part.playerCount, removedCount: part.removedCount, hasCritical: part.hasCritical };
+      });
 
       setSubmitResult({
         success: true,
         pitching: results.pitching,
         batting: results.batting,
-        hasCritical: (results.pitching?.hasCritical || results.batting?.hasCritical)
+        splits: results.splits,
+        hasCritical: (results.pitching?.hasCritical || results.batting?.hasCritical || results.splits?.hasCritical),
+        autoApproved: report.status === 'approved'
       });
+      setContributorRefresh(k => k + 1);
 
       // Reset form
       setUploadFile(null);
@@ -4776,7 +5120,7 @@ function SubmitDataPage() {
 
     } catch (e) {
       console.error('Submit error:', e);
-      showNotif('Failed to submit', 'error');
+      showNotif('Failed to submit: ' + e.message, 'error');
     }
     setIsSubmitting(false);
   };
@@ -4786,7 +5130,7 @@ function SubmitDataPage() {
     if (!adminConfirmData) return;
     
     setIsSubmitting(true);
-    const { tournament, tournamentId, date, pitching, batting } = adminConfirmData;
+    const { tournament, tournamentId, date, cumulative, pitching, batting, splits } = adminConfirmData;
     
     if (!tournament || !tournamentId) {
       showNotif('No tournament selected. Please select an existing tournament for admin direct upload.', 'error');
@@ -4794,192 +5138,16 @@ function SubmitDataPage() {
       return;
     }
     
-    const parseNum = (v) => { const n = parseFloat(v); return isNaN(n) ? 0 : n; };
-    const parsePct = (v) => { if (!v) return '0.0'; return String(v).replace('%', ''); };
-    const parseIP = (ip) => { const str = String(ip); if (str.includes('.')) { const [whole, frac] = str.split('.'); return parseFloat(whole) + (parseFloat(frac) / 3); } return parseFloat(ip) || 0; };
-    const formatIP = (ipDecimal) => { const whole = Math.floor(ipDecimal); const frac = Math.round((ipDecimal - whole) * 3); return frac === 0 ? String(whole) : `${whole}.${frac}`; };
-    
     try {
-      let updatedTournament = { ...tournament };
-      let totalAdded = { pitching: 0, batting: 0 };
-      
-      // Process pitching
-      if (pitching) {
-        const existingData = updatedTournament.pitching || [];
-        const newData = pitching.validation.cleanRows;
-        const playerMap = new Map();
-        existingData.forEach(p => playerMap.set(`${p.name}|${p.ovr}|${p.vari || 'N'}`, p));
-        
-        newData.forEach(row => {
-          const name = (row.Name || '').trim();
-          const ovr = parseNum(row.OVR);
-          const vari = parseVariant(row.VAR);
-          const key = `${name}|${ovr}|${vari}`;
-          
-          const instance = {
-            id: crypto.randomUUID(),
-            name, pos: row.POS?.trim() || '', throws: row.T || '', ovr, vari,
-            g: parseNum(row.G), gs: parseNum(row.GS), ip: row.IP || '0', bf: parseNum(row.BF),
-            era: row.ERA || '0.00', avg: row.AVG || '.000', obp: row.OBP || '.000',
-            babip: row.BABIP || '.000', whip: row.WHIP || '0.00',
-            braPer9: row['BRA/9'] || '0.00', hrPer9: row['HR/9'] || '0.00',
-            hPer9: row['H/9'] || '0.00', bbPer9: row['BB/9'] || '0.00', kPer9: row['K/9'] || '0.00',
-            lobPct: parsePct(row['LOB%']), eraPlus: parseNum(row['ERA+']),
-            fip: row.FIP || '0.00', fipMinus: parseNum(row['FIP-']),
-            war: row.WAR || '0.0', siera: row.SIERA || '0.00'
-          };
-          
-          if (playerMap.has(key)) {
-            const existing = playerMap.get(key);
-            const oldCount = existing._instanceCount || 1;
-            const newCount = oldCount + 1;
-            const posTracking = updatePositionTracking(existing, instance.pos);
-            
-            playerMap.set(key, {
-              ...existing,
-              _instanceCount: newCount,
-              ...posTracking,
-              g: existing.g + instance.g,
-              gs: existing.gs + instance.gs,
-              ip: formatIP(parseIP(existing.ip) + parseIP(instance.ip)),
-              bf: existing.bf + instance.bf,
-              war: (parseFloat(existing.war || 0) + parseFloat(instance.war || 0)).toFixed(1),
-              ovr: instance.ovr, vari: instance.vari,
-              throws: instance.throws || existing.throws,
-              era: (((parseFloat(existing.era || 0) * oldCount) + parseFloat(instance.era || 0)) / newCount).toFixed(2),
-              avg: (((parseFloat(existing.avg || 0) * oldCount) + parseFloat(instance.avg || 0)) / newCount).toFixed(3),
-              obp: (((parseFloat(existing.obp || 0) * oldCount) + parseFloat(instance.obp || 0)) / newCount).toFixed(3),
-              babip: (((parseFloat(existing.babip || 0) * oldCount) + parseFloat(instance.babip || 0)) / newCount).toFixed(3),
-              whip: (((parseFloat(existing.whip || 0) * oldCount) + parseFloat(instance.whip || 0)) / newCount).toFixed(2),
-              braPer9: (((parseFloat(existing.braPer9 || 0) * oldCount) + parseFloat(instance.braPer9 || 0)) / newCount).toFixed(2),
-              hrPer9: (((parseFloat(existing.hrPer9 || 0) * oldCount) + parseFloat(instance.hrPer9 || 0)) / newCount).toFixed(2),
-              hPer9: (((parseFloat(existing.hPer9 || 0) * oldCount) + parseFloat(instance.hPer9 || 0)) / newCount).toFixed(2),
-              bbPer9: (((parseFloat(existing.bbPer9 || 0) * oldCount) + parseFloat(instance.bbPer9 || 0)) / newCount).toFixed(2),
-              kPer9: (((parseFloat(existing.kPer9 || 0) * oldCount) + parseFloat(instance.kPer9 || 0)) / newCount).toFixed(2),
-              lobPct: (((parseFloat(existing.lobPct || 0) * oldCount) + parseFloat(instance.lobPct || 0)) / newCount).toFixed(1),
-              eraPlus: Math.round(((parseFloat(existing.eraPlus || 0) * oldCount) + parseFloat(instance.eraPlus || 0)) / newCount),
-              fip: (((parseFloat(existing.fip || 0) * oldCount) + parseFloat(instance.fip || 0)) / newCount).toFixed(2),
-              fipMinus: Math.round(((parseFloat(existing.fipMinus || 0) * oldCount) + parseFloat(instance.fipMinus || 0)) / newCount),
-              siera: (((parseFloat(existing.siera || 0) * oldCount) + parseFloat(instance.siera || 0)) / newCount).toFixed(2)
-            });
-          } else {
-            const posTracking = initPositionTracking(instance.pos);
-            playerMap.set(key, { ...instance, _instanceCount: 1, ...posTracking });
-          }
-        });
-        
-        updatedTournament.pitching = Array.from(playerMap.values());
-        totalAdded.pitching = newData.length;
-        
-        // Save to upload_history
-        await supabase.from('upload_history').insert({
-          tournament_id: tournamentId,
-          tournament_name: tournament.name,
-          file_type: 'pitching',
-          upload_date: date,
-          player_count: newData.length,
-          player_data: newData,
-        });
-      }
-      
-      // Process batting
-      if (batting) {
-        const existingData = updatedTournament.batting || [];
-        const newData = batting.validation.cleanRows;
-        const playerMap = new Map();
-        existingData.forEach(p => playerMap.set(`${p.name}|${p.ovr}|${p.vari || 'N'}`, p));
-        
-        newData.forEach(row => {
-          const name = (row.Name || '').trim();
-          const ovr = parseNum(row.OVR);
-          const vari = parseVariant(row.VAR);
-          const key = `${name}|${ovr}|${vari}`;
-          
-          const instance = {
-            id: crypto.randomUUID(),
-            name, pos: row.POS?.trim() || '', bats: row.B || '', ovr, vari,
-            g: parseNum(row.G), gs: parseNum(row.GS), pa: parseNum(row.PA), ab: parseNum(row.AB),
-            h: parseNum(row.H), doubles: parseNum(row['2B']), triples: parseNum(row['3B']), hr: parseNum(row.HR),
-            so: parseNum(row.K), gidp: parseNum(row.GIDP),
-            avg: row.AVG || '.000', obp: row.OBP || '.000', slg: row.SLG || '.000',
-            woba: row.wOBA || '.000', ops: row.OPS || '.000', opsPlus: parseNum(row['OPS+']),
-            babip: row.BABIP || '.000', wrcPlus: parseNum(row['wRC+']),
-            wraa: row.wRAA || '0.0', war: row.WAR || '0.0',
-            bbPct: parsePct(row['BB%']), sbPct: parsePct(row['SB%']), ubr: row.UBR || row.BsR || '0.0'
-          };
-          
-          if (playerMap.has(key)) {
-            const existing = playerMap.get(key);
-            const oldCount = existing._instanceCount || 1;
-            const newCount = oldCount + 1;
-            const posTracking = updatePositionTracking(existing, instance.pos);
-            
-            playerMap.set(key, {
-              ...existing,
-              _instanceCount: newCount,
-              ...posTracking,
-              g: existing.g + instance.g,
-              gs: existing.gs + instance.gs,
-              pa: existing.pa + instance.pa,
-              ab: existing.ab + instance.ab,
-              war: (parseFloat(existing.war || 0) + parseFloat(instance.war || 0)).toFixed(1),
-              wraa: (parseFloat(existing.wraa || 0) + parseFloat(instance.wraa || 0)).toFixed(1),
-              ubr: (parseFloat(existing.ubr || existing.bsr || 0) + parseFloat(instance.ubr || instance.bsr || 0)).toFixed(1),
-              ovr: instance.ovr, vari: instance.vari,
-              bats: instance.bats || existing.bats,
-              h: Math.round(((existing.h * oldCount) + instance.h) / newCount),
-              doubles: Math.round(((existing.doubles * oldCount) + instance.doubles) / newCount),
-              triples: Math.round(((existing.triples * oldCount) + instance.triples) / newCount),
-              hr: Math.round(((existing.hr * oldCount) + instance.hr) / newCount),
-              so: Math.round(((existing.so * oldCount) + instance.so) / newCount),
-              gidp: Math.round(((existing.gidp * oldCount) + instance.gidp) / newCount),
-              avg: (((parseFloat(existing.avg || 0) * oldCount) + parseFloat(instance.avg || 0)) / newCount).toFixed(3),
-              obp: (((parseFloat(existing.obp || 0) * oldCount) + parseFloat(instance.obp || 0)) / newCount).toFixed(3),
-              slg: (((parseFloat(existing.slg || 0) * oldCount) + parseFloat(instance.slg || 0)) / newCount).toFixed(3),
-              ops: (((parseFloat(existing.ops || 0) * oldCount) + parseFloat(instance.ops || 0)) / newCount).toFixed(3),
-              woba: (((parseFloat(existing.woba || 0) * oldCount) + parseFloat(instance.woba || 0)) / newCount).toFixed(3),
-              babip: (((parseFloat(existing.babip || 0) * oldCount) + parseFloat(instance.babip || 0)) / newCount).toFixed(3),
-              opsPlus: Math.round(((parseFloat(existing.opsPlus || 0) * oldCount) + parseFloat(instance.opsPlus || 0)) / newCount),
-              wrcPlus: Math.round(((parseFloat(existing.wrcPlus || 0) * oldCount) + parseFloat(instance.wrcPlus || 0)) / newCount),
-              bbPct: (((parseFloat(existing.bbPct || 0) * oldCount) + parseFloat(instance.bbPct || 0)) / newCount).toFixed(1),
-              sbPct: (((parseFloat(existing.sbPct || 0) * oldCount) + parseFloat(instance.sbPct || 0)) / newCount).toFixed(1)
-            });
-          } else {
-            const posTracking = initPositionTracking(instance.pos);
-            playerMap.set(key, { ...instance, _instanceCount: 1, ...posTracking });
-          }
-        });
-        
-        updatedTournament.batting = Array.from(playerMap.values());
-        totalAdded.batting = newData.length;
-        
-        // Save to upload_history
-        await supabase.from('upload_history').insert({
-          tournament_id: tournamentId,
-          tournament_name: tournament.name,
-          file_type: 'batting',
-          upload_date: date,
-          player_count: newData.length,
-          player_data: newData,
-        });
-      }
-      
-      // Update uploaded_dates
-      const uploadedDates = [...(updatedTournament.uploaded_dates || [])];
-      if (!uploadedDates.includes(date)) {
-        uploadedDates.push(date);
-      }
-      
-      // Save tournament
-      const { error: updateError } = await supabase.from('tournaments').update({
-        batting: updatedTournament.batting,
-        pitching: updatedTournament.pitching,
-        uploaded_dates: uploadedDates
-      }).eq('id', tournamentId);
-      
-      if (updateError) throw updateError;
+      const { historyIds, parts } = await mergeUploadParts(supabase, {
+        tournament, date, cumulative,
+        parts: [pitching, batting, splits].filter(Boolean).map(part => ({ fileType: part.fileType, rows: part.validation.cleanRows })),
+      });
+      const totalAdded = { pitching: 0, batting: 0, splits: 0 };
+      parts.forEach(({ fileType, rows }) => { totalAdded[isSplitFileType(fileType) ? 'splits' : fileType] = rows.length; });
+      logAudit({ action: 'tournament.upload', targetType: 'tournaments', targetId: tournamentId, targetName: tournament.name, after: { historyIds, date } });
       
-      showNotif(`✓ Direct upload: ${totalAdded.pitching ? totalAdded.pitching + ' pitchers' : ''}${totalAdded.pitching && totalAdded.batting ? ', ' : ''}${totalAdded.batting ? totalAdded.batting + ' batters' : ''}`);
+      showNotif(`✓ Direct upload: ${[totalAdded.pitching && `${totalAdded.pitching} pitchers`, totalAdded.batting && `${totalAdded.batting} batters`, totalAdded.splits && `${totalAdded.splits} split lines`].filter(Boolean).join(', ') || 'no new games'}${cumulative ? ` — cumulative ${parts.map(part => `${part.fileType}: ${describeCumulativeDelta(part)}`).join(' | ')}` : ''}`);
       
       // Reset form
       setAdminConfirmData(null);
@@ -5042,11 +5210,13 @@ function SubmitDataPage() {
               : 'Submit one event at a time — upload your combined CSV for that event.'}
           </p>
 
+          {!canReview && <ContributorPanel session={contributorSession} refreshKey={contributorRefresh} />}
+
           {submitResult ? (
             <div style={{...styles.submitResult, borderColor: submitResult.hasCritical ? theme.warning : theme.success}}>
               <div style={styles.submitResultIcon}>{submitResult.hasCritical ? '⚠️' : '✅'}</div>
               <div style={styles.submitResultTitle}>
-                {submitResult.hasCritical ? 'Submitted with Issues' : 'Submitted Successfully!'}
+                {submitResult.autoApproved ? 'Added to the Event!' : submitResult.hasCritical ? 'Submitted with Issues' : 'Submitted Successfully!'}
               </div>
               <div style={styles.submitResultDetails}>
                 {submitResult.pitching && (
@@ -5055,8 +5225,15 @@ function SubmitDataPage() {
                 {submitResult.batting && (
                   <div>Batting: {submitResult.batting.playerCount} players{submitResult.batting.removedCount > 0 && ` (${submitResult.batting.removedCount} flagged)`}</div>
                 )}
+                {submitResult.splits && (
+                  <div>Platoon splits: {submitResult.splits.playerCount} lines{submitResult.splits.removedCount > 0 && ` (${submitResult.splits.removedCount} flagged)`}</div>
+                )}
               </div>
-              <p style={styles.submitResultNote}>An admin will review and approve your submission shortly.</p>
+              <p style={styles.submitResultNote}>
+                {submitResult.autoApproved
+                  ? 'As a trusted contributor your upload was approved automatically.'
+                  : 'An admin will review and approve your submission shortly.'}
+              </p>
               <button style={styles.submitAnotherBtn} onClick={() => setSubmitResult(null)}>Submit Another Event</button>
             </div>
           ) : bulkMode ? (
@@ -5191,7 +5368,7 @@ function SubmitDataPage() {
               {/* Submit Buttons */}
               {bulkFiles.length > 0 && (
                 <div style={{ display: 'flex', gap: 8 }}>
-                  {isAdmin ? (
+                  {canReview ? (
                     <button
                       onClick={handleAdminBulkUpload}
                       disabled={isSubmitting || bulkFiles.filter(f => f.date).length === 0}
@@ -5237,6 +5414,9 @@ function SubmitDataPage() {
                     <div style={styles.filePrompt}><span style={styles.fileIcon}>📄</span>Click to upload Combined CSV (batting + pitching)</div>
                   )}
                 </label>
+                <div style={{ marginTop: 10 }}>
+                  <CumulativeUploadToggle checked={cumulativeUpload} onChange={setCumulativeUpload} />
+                </div>
               </div>
 
               {/* Tournament Selection */}
@@ -5310,8 +5490,8 @@ function SubmitDataPage() {
                 </div>
               </div>
 
-              {/* Uploader Name */}
-              <div style={styles.formSection}>
+              {/* Uploader Name (signed-in contributors submit under their account name) */}
+              {!contributorSession.contributor && <div style={styles.formSection}>
                 <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 4 }}>
                   <label style={styles.formLabel}>Set Uploader Name</label>
                   <span
@@ -5326,7 +5506,7 @@ function SubmitDataPage() {
                   placeholder="Your name (optional)"
                   style={styles.formInput}
                 />
-              </div>
+              </div>}
 
               {/* Notes */}
               <div style={styles.formSection}>
@@ -5340,6 +5520,13 @@ function SubmitDataPage() {
                 />
               </div>
 
+              {overlapChecks && (
+                <div style={styles.formSection}>
+                  <label style={styles.formLabel}>Overlap with earlier uploads</label>
+                  <UploadOverlapChecks checks={overlapChecks} cumulative={cumulativeUpload} />
+                </div>
+              )}
+
               {/* Submit Button */}
               <button 
                 onClick={handleSubmit} 
@@ -5376,6 +5563,9 @@ function SubmitDataPage() {
               {adminConfirmData.dateAlreadyUploaded && (
                 <div style={{ color: theme.warning, fontSize: 12, marginTop: 8 }}>⚠️ Data already exists for this date</div>
               )}
+              {adminConfirmData.cumulative && (
+                <div style={{ color: theme.textMuted, fontSize: 12, marginTop: 8 }}>Σ Cumulative export: only the games since the last snapshot are added</div>
+              )}
             </div>
             
             {adminConfirmData.pitching && (
@@ -5417,6 +5607,33 @@ function SubmitDataPage() {
                 </div>
               </div>
             )}
+
+            {adminConfirmData.splits && (
+              <div style={{ background: theme.panelBg, borderRadius: 8, padding: 12, marginBottom: 16 }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <span style={{ color: theme.textPrimary, fontWeight: 600 }}>⇄ {STAT_FILE_TYPES[adminConfirmData.splits.fileType] === 'pitching' ? 'Pitching' : 'Batting'} Splits (vs L / vs R)</span>
+                  <span style={{ 
+                    color: adminConfirmData.splits.matchPercent >= 70 ? theme.success : 
+                           adminConfirmData.splits.matchPercent >= 40 ? theme.warning : theme.error,
+                    fontWeight: 600
+                  }}>
+                    {adminConfirmData.splits.matchPercent}% match
+                  </span>
+                </div>
+                <div style={{ color: theme.textMuted, fontSize: 12, marginTop: 4 }}>
+                  {adminConfirmData.splits.validation.cleanRows.length} split lines
+                  {adminConfirmData.splits.validation.removedRows.length > 0 && 
+                    ` (${adminConfirmData.splits.validation.removedRows.length} flagged)`}
+                  {' '}• lines for players without an overall line in this event are skipped
+                </div>
+              </div>
+            )}
+
+            {overlapChecks && (
+              <div style={{ marginBottom: 16 }}>
+                <UploadOverlapChecks checks={overlapChecks} cumulative={adminConfirmData.cumulative} />
+              </div>
+            )}
             
             <div style={{ display: 'flex', gap: 12 }}>
               <button 
@@ -5447,10 +5664,21 @@ function SubmitDataPage() {
   );
 }
 
+// Reputation of whoever submitted an upload; stats is null for anonymous submissions
+function SubmitterBadge({ stats }) {
+  const { theme } = useTheme();
+  const [label, color, title] = !stats ? ['Anonymous', theme.textMuted, 'Submitted without a contributor account']
+    : stats.approved + stats.rejected === 0 ? ['New', theme.warning, 'No reviewed submissions yet']
+    : [`${stats.trusted ? '★ ' : ''}${stats.reputation}`, stats.trusted ? theme.success : needsAttention(stats) ? theme.error : theme.textSecondary,
+       `Reputation ${stats.reputation} · ${stats.approved} approved, ${stats.rejected} rejected${stats.autoApproved ? ` · ${stats.autoApproved} auto-merged` : ''}`];
+  return <span title={title} style={{ color, border: `1px solid ${color}55`, padding: '0 5px', borderRadius: 4, fontSize: 10, fontWeight: 600 }}>{label}</span>;
+}
+
 function ReviewQueuePage() {
   const { theme } = useTheme();
   const styles = getStyles(theme);
-  const { isAdmin, requestAuth } = useAuth();
+  const { can, requestAuth } = useAuth();
+  const canReview = can('review');
   const [activeTab, setActiveTab] = useState('pending');
   const [pendingUploads, setPendingUploads] = useState([]);
   const [criticalUploads, setCriticalUploads] = useState([]);
@@ -5463,6 +5691,13 @@ function ReviewQueuePage() {
   const [selectedUploads, setSelectedUploads] = useState(new Set()); // Batch selection
   const [isBatchApproving, setIsBatchApproving] = useState(false);
   const [isBatchRejecting, setIsBatchRejecting] = useState(false);
+  // Overlap of each pending upload with its tournament's earlier uploads: uploadId -> 'loading' | report
+  const [overlapChecks, setOverlapChecks] = useState({});
+  const tournamentUploadsCache = useRef(new Map());
+  const [anomalyDetailsId, setAnomalyDetailsId] = useState(null);
+  // Reputation of every contributor with an account: contributor_id -> getContributorStats()
+  const [contributorStats, setContributorStats] = useState({});
+  const [attentionOnly, setAttentionOnly] = useState(false);
   
   // New event creation state
   const [creatingNewFor, setCreatingNewFor] = useState(null);
@@ -5472,13 +5707,48 @@ function ReviewQueuePage() {
   const [newEventRotating, setNewEventRotating] = useState(false);
 
   useEffect(() => {
-    if (isAdmin) {
+    if (canReview) {
       loadData();
     }
-  }, [isAdmin]);
+  }, [canReview]);
+
+  // Check uploads that came in with a tournament as soon as the queue loads
+  useEffect(() => {
+    pendingUploads.filter(u => u.suggested_tournament_id && !overlapChecks[u.id]).forEach(u => checkOverlap(u, u.suggested_tournament_id));
+  }, [pendingUploads]);
+
+  // Anomaly score of each pending upload against the distribution of its suggested tournament
+  const anomalyScores = useMemo(() => {
+    const byId = new Map(tournaments.map(t => [t.id, t]));
+    return Object.fromEntries(pendingUploads
+      .filter(u => byId.has(u.suggested_tournament_id))
+      .map(u => [u.id, scoreUploadAnomaly(u.clean_data || [], u.file_type, byId.get(u.suggested_tournament_id))]));
+  }, [pendingUploads, tournaments]);
+
+  // Every tournament ranked as the home of each pending upload; `pick` is pre-selected in the card's dropdown
+  const tournamentProfiles = useMemo(() => buildTournamentProfiles(tournaments), [tournaments]);
+  const assignments = useMemo(() => Object.fromEntries(pendingUploads.map(u => {
+    const ranking = rankTournaments(u.clean_data || [], u.file_type, u.suggested_date, tournamentProfiles);
+    return [u.id, { ranking, pick: pickTournament(ranking, u.suggested_tournament_id) }];
+  })), [pendingUploads, tournamentProfiles]);
+
+  // Correctly labelled: the uploader's event is the clear best match, and neither the anomaly score nor the overlap check objects
+  const confidentUploads = pendingUploads.filter(u => {
+    const pick = assignments[u.id]?.pick;
+    const overlap = overlapChecks[u.id];
+    return pick?.confident && pick.matchesLabel && u.suggested_date
+      && anomalyScores[u.id]?.level !== 'suspect'
+      && overlap !== 'loading' && overlap?.verdict !== 'duplicate' && !(overlap?.verdict === 'cumulative' && !u.is_cumulative);
+  });
+
+  // Anonymous submissions have no stats; needsAttention() treats them like a new contributor
+  const submitterStats = (upload) => upload.contributor_id ? contributorStats[upload.contributor_id] || getContributorStats([]) : null;
+  const visibleUploads = attentionOnly ? pendingUploads.filter(u => needsAttention(submitterStats(u))) : pendingUploads;
 
   const loadData = async () => {
     setIsLoading(true);
+    tournamentUploadsCache.current.clear();
+    setOverlapChecks({});
     try {
       // Load pending uploads
       const { data: pending } = await supabase
@@ -5498,18 +5768,28 @@ function ReviewQueuePage() {
         .order('created_at', { ascending: false });
       setCriticalUploads(critical || []);
 
+      // Every decision on contributor uploads, for reputation badges
+      const { data: contributed } = await supabase
+        .from('pending_uploads')
+        .select('id,submission_id,contributor_id,status,auto_approved')
+        .not('contributor_id', 'is', null);
+      const byContributor = {};
+      (contributed || []).forEach(u => { (byContributor[u.contributor_id] ||= []).push(u); });
+      setContributorStats(Object.fromEntries(Object.entries(byContributor).map(([id, rows]) => [id, getContributorStats(rows)])));
+
       // Load upload history (last 30 days)
       const thirtyDaysAgo = new Date();
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
       const { data: history } = await supabase
         .from('upload_history')
         .select('id,tournament_id,tournament_name,file_type,upload_date,player_count,undone,undone_at,created_at')
+        .is('deleted_at', null)
         .gte('created_at', thirtyDaysAgo.toISOString())
         .order('created_at', { ascending: false });
       setUploadHistory(history || []);
 
       // Load tournaments for dropdown
-      const { data: tourns } = await supabase.from('tournaments').select('*').order('name');
+      const { data: tourns } = await supabase.from('tournaments').select('*').is('deleted_at', null).order('name');
       setTournaments(tourns || []);
     } catch (e) {
       console.error('Load error:', e);
@@ -5552,183 +5832,42 @@ function ReviewQueuePage() {
     return `${diffDays}d ago`;
   };
 
+  // One upload_history fetch per tournament, shared by every upload compared against it
+  const checkOverlap = async (upload, tournamentId) => {
+    if (!tournamentId) { showNotif('Select a tournament to compare against', 'error'); return; }
+    setOverlapChecks(prev => ({ ...prev, [upload.id]: 'loading' }));
+    try {
+      if (!tournamentUploadsCache.current.has(tournamentId)) tournamentUploadsCache.current.set(tournamentId, loadTournamentUploads(tournamentId));
+      const history = await tournamentUploadsCache.current.get(tournamentId);
+      setOverlapChecks(prev => ({ ...prev, [upload.id]: detectUploadOverlap(upload.clean_data || [], upload.file_type, history) }));
+    } catch (e) {
+      console.error('Overlap check error:', e);
+      tournamentUploadsCache.current.delete(tournamentId);
+      setOverlapChecks(prev => { const { [upload.id]: _, ...rest } = prev; return rest; });
+      showNotif('Overlap check failed: ' + e.message, 'error');
+    }
+  };
+
+  // Returns whether the upload was merged; failures are reported here and not thrown
   const handleApprove = async (upload, assignedTournamentId, assignedDate, skipReload = false) => {
     if (!assignedTournamentId) {
       showNotif('Please select a tournament', 'error');
-      return;
+      return false;
     }
     if (!assignedDate) {
       showNotif('Please select a date', 'error');
-      return;
+      return false;
     }
 
     try {
       // Get the tournament
-      const { data: tournament } = await supabase.from('tournaments').select('*').eq('id', assignedTournamentId).single();
-      if (!tournament) throw new Error('Tournament not found');
+      const { data: tournament } = await supabase.from('tournaments').select('*').eq('id', assignedTournamentId).is('deleted_at', null).single();
+      if (!tournament) throw new Error('Tournament not found — it may be in the trash');
 
-      // Add the clean data to the tournament
-      const existingData = upload.file_type === 'batting' ? (tournament.batting || []) : (tournament.pitching || []);
-      const newData = upload.clean_data || [];
-      
-      // Helper functions for parsing
-      const parseNum = (v) => { const n = parseFloat(v); return isNaN(n) ? 0 : n; };
-      const parsePct = (v) => { if (!v) return '0.0'; return String(v).replace('%', ''); };
-      const parseIP = (ip) => { const str = String(ip); if (str.includes('.')) { const [whole, frac] = str.split('.'); return parseFloat(whole) + (parseFloat(frac) / 3); } return parseFloat(ip) || 0; };
-      const formatIP = (ipDecimal) => { const whole = Math.floor(ipDecimal); const frac = Math.round((ipDecimal - whole) * 3); return frac === 0 ? String(whole) : `${whole}.${frac}`; };
-      
-      // Build player map from existing data
-      const playerMap = new Map();
-      existingData.forEach(p => playerMap.set(`${p.name}|${p.ovr}|${p.vari || 'N'}`, p));
-      
-      // Process each row as an individual instance
-      newData.forEach(row => {
-        const name = (row.Name || '').trim();
-        const ovr = parseNum(row.OVR);
-        const vari = parseVariant(row.VAR);
-        const key = `${name}|${ovr}|${vari}`;
-        
-        if (upload.file_type === 'batting') {
-          const instance = {
-            id: crypto.randomUUID(),
-            name, pos: row.POS?.trim() || '', bats: row.B || '', ovr, vari,
-            g: parseNum(row.G), gs: parseNum(row.GS), pa: parseNum(row.PA), ab: parseNum(row.AB),
-            h: parseNum(row.H), doubles: parseNum(row['2B']), triples: parseNum(row['3B']), hr: parseNum(row.HR),
-            so: parseNum(row.K), gidp: parseNum(row.GIDP),
-            avg: row.AVG || '.000', obp: row.OBP || '.000', slg: row.SLG || '.000',
-            woba: row.wOBA || '.000', ops: row.OPS || '.000', opsPlus: parseNum(row['OPS+']),
-            babip: row.BABIP || '.000', wrcPlus: parseNum(row['wRC+']),
-            wraa: row.wRAA || '0.0', war: row.WAR || '0.0',
-            bbPct: parsePct(row['BB%']), sbPct: parsePct(row['SB%']), ubr: row.UBR || row.BsR || '0.0'
-          };
-          
-          if (playerMap.has(key)) {
-            const existing = playerMap.get(key);
-            const oldCount = existing._instanceCount || 1;
-            const newCount = oldCount + 1;
-            const posTracking = updatePositionTracking(existing, instance.pos);
-            
-            const merged = {
-              ...existing,
-              _instanceCount: newCount,
-              ...posTracking,
-              // Cumulative stats - add
-              g: existing.g + instance.g,
-              gs: existing.gs + instance.gs,
-              pa: existing.pa + instance.pa,
-              ab: existing.ab + instance.ab,
-              war: (parseFloat(existing.war || 0) + parseFloat(instance.war || 0)).toFixed(1),
-              wraa: (parseFloat(existing.wraa || 0) + parseFloat(instance.wraa || 0)).toFixed(1),
-              ubr: (parseFloat(existing.ubr || existing.bsr || 0) + parseFloat(instance.ubr || instance.bsr || 0)).toFixed(1),
-              // Keep latest OVR, VAR
-              ovr: instance.ovr, vari: instance.vari,
-              bats: instance.bats || existing.bats,
-              // Average stats - running average
-              h: Math.round(((existing.h * oldCount) + instance.h) / newCount),
-              doubles: Math.round(((existing.doubles * oldCount) + instance.doubles) / newCount),
-              triples: Math.round(((existing.triples * oldCount) + instance.triples) / newCount),
-              hr: Math.round(((existing.hr * oldCount) + instance.hr) / newCount),
-              so: Math.round(((existing.so * oldCount) + instance.so) / newCount),
-              gidp: Math.round(((existing.gidp * oldCount) + instance.gidp) / newCount),
-              avg: (((parseFloat(existing.avg || 0) * oldCount) + parseFloat(instance.avg || 0)) / newCount).toFixed(3),
-              obp: (((parseFloat(existing.obp || 0) * oldCount) + parseFloat(instance.obp || 0)) / newCount).toFixed(3),
-              slg: (((parseFloat(existing.slg || 0) * oldCount) + parseFloat(instance.slg || 0)) / newCount).toFixed(3),
-              ops: (((parseFloat(existing.ops || 0) * oldCount) + parseFloat(instance.ops || 0)) / newCount).toFixed(3),
-              woba: (((parseFloat(existing.woba || 0) * oldCount) + parseFloat(instance.woba || 0)) / newCount).toFixed(3),
-              babip: (((parseFloat(existing.babip || 0) * oldCount) + parseFloat(instance.babip || 0)) / newCount).toFixed(3),
-              opsPlus: Math.round(((parseFloat(existing.opsPlus || 0) * oldCount) + parseFloat(instance.opsPlus || 0)) / newCount),
-              wrcPlus: Math.round(((parseFloat(existing.wrcPlus || 0) * oldCount) + parseFloat(instance.wrcPlus || 0)) / newCount),
-              bbPct: (((parseFloat(existing.bbPct || 0) * oldCount) + parseFloat(instance.bbPct || 0)) / newCount).toFixed(1),
-              sbPct: (((parseFloat(existing.sbPct || 0) * oldCount) + parseFloat(instance.sbPct || 0)) / newCount).toFixed(1)
-            };
-            playerMap.set(key, merged);
-          } else {
-            const posTracking = initPositionTracking(instance.pos);
-            playerMap.set(key, { ...instance, _instanceCount: 1, ...posTracking });
-          }
-        } else {
-          // Pitching
-          const instance = {
-            id: crypto.randomUUID(),
-            name, pos: row.POS?.trim() || '', throws: row.T || '', ovr, vari,
-            g: parseNum(row.G), gs: parseNum(row.GS), ip: row.IP || '0', bf: parseNum(row.BF),
-            era: row.ERA || '0.00', avg: row.AVG || '.000', obp: row.OBP || '.000',
-            babip: row.BABIP || '.000', whip: row.WHIP || '0.00',
-            braPer9: row['BRA/9'] || '0.00', hrPer9: row['HR/9'] || '0.00',
-            hPer9: row['H/9'] || '0.00', bbPer9: row['BB/9'] || '0.00', kPer9: row['K/9'] || '0.00',
-            lobPct: parsePct(row['LOB%']), eraPlus: parseNum(row['ERA+']),
-            fip: row.FIP || '0.00', fipMinus: parseNum(row['FIP-']),
-            war: row.WAR || '0.0', siera: row.SIERA || '0.00'
-          };
-          
-          if (playerMap.has(key)) {
-            const existing = playerMap.get(key);
-            const oldCount = existing._instanceCount || 1;
-            const newCount = oldCount + 1;
-            const posTracking = updatePositionTracking(existing, instance.pos);
-            
-            const merged = {
-              ...existing,
-              _instanceCount: newCount,
-              ...posTracking,
-              // Cumulative stats - add
-              g: existing.g + instance.g,
-              gs: existing.gs + instance.gs,
-              ip: formatIP(parseIP(existing.ip) + parseIP(instance.ip)),
-              bf: existing.bf + instance.bf,
-              war: (parseFloat(existing.war || 0) + parseFloat(instance.war || 0)).toFixed(1),
-              // Keep latest OVR, VAR
-              ovr: instance.ovr, vari: instance.vari,
-              throws: instance.throws || existing.throws,
-              // Average stats - running average
-              era: (((parseFloat(existing.era || 0) * oldCount) + parseFloat(instance.era || 0)) / newCount).toFixed(2),
-              avg: (((parseFloat(existing.avg || 0) * oldCount) + parseFloat(instance.avg || 0)) / newCount).toFixed(3),
-              obp: (((parseFloat(existing.obp || 0) * oldCount) + parseFloat(instance.obp || 0)) / newCount).toFixed(3),
-              babip: (((parseFloat(existing.babip || 0) * oldCount) + parseFloat(instance.babip || 0)) / newCount).toFixed(3),
-              whip: (((parseFloat(existing.whip || 0) * oldCount) + parseFloat(instance.whip || 0)) / newCount).toFixed(2),
-              braPer9: (((parseFloat(existing.braPer9 || 0) * oldCount) + parseFloat(instance.braPer9 || 0)) / newCount).toFixed(2),
-              hrPer9: (((parseFloat(existing.hrPer9 || 0) * oldCount) + parseFloat(instance.hrPer9 || 0)) / newCount).toFixed(2),
-              hPer9: (((parseFloat(existing.hPer9 || 0) * oldCount) + parseFloat(instance.hPer9 || 0)) / newCount).toFixed(2),
-              bbPer9: (((parseFloat(existing.bbPer9 || 0) * oldCount) + parseFloat(instance.bbPer9 || 0)) / newCount).toFixed(2),
-              kPer9: (((parseFloat(existing.kPer9 || 0) * oldCount) + parseFloat(instance.kPer9 || 0)) / newCount).toFixed(2),
-              lobPct: (((parseFloat(existing.lobPct || 0) * oldCount) + parseFloat(instance.lobPct || 0)) / newCount).toFixed(1),
-              eraPlus: Math.round(((parseFloat(existing.eraPlus || 0) * oldCount) + parseFloat(instance.eraPlus || 0)) / newCount),
-              fip: (((parseFloat(existing.fip || 0) * oldCount) + parseFloat(instance.fip || 0)) / newCount).toFixed(2),
-              fipMinus: Math.round(((parseFloat(existing.fipMinus || 0) * oldCount) + parseFloat(instance.fipMinus || 0)) / newCount),
-              siera: (((parseFloat(existing.siera || 0) * oldCount) + parseFloat(instance.siera || 0)) / newCount).toFixed(2)
-            };
-            playerMap.set(key, merged);
-          } else {
-            const posTracking = initPositionTracking(instance.pos);
-            playerMap.set(key, { ...instance, _instanceCount: 1, ...posTracking });
-          }
-        }
-      });
-
-      const updatedData = Array.from(playerMap.values());
-      
-      // Update uploaded_dates
-      const uploadedDates = [...(tournament.uploaded_dates || [])];
-      if (!uploadedDates.includes(assignedDate)) {
-        uploadedDates.push(assignedDate);
-      }
-
-      // Save tournament
-      const updatePayload = upload.file_type === 'batting' 
-        ? { batting: updatedData, uploaded_dates: uploadedDates }
-        : { pitching: updatedData, uploaded_dates: uploadedDates };
-      
-      const { error: updateError } = await supabase.from('tournaments').update(updatePayload).eq('id', assignedTournamentId);
-      if (updateError) throw updateError;
-
-      // Save to upload history
-      await supabase.from('upload_history').insert({
-        tournament_id: assignedTournamentId,
-        tournament_name: tournament.name,
-        file_type: upload.file_type,
-        upload_date: assignedDate,
-        player_count: newData.length,
-        player_data: newData,
+      // Add the clean data to the tournament (for a cumulative export, just the games since the last snapshot)
+      const { historyIds, parts: [merged] } = await mergeUploadParts(supabase, {
+        tournament, date: assignedDate, cumulative: !!upload.is_cumulative,
+        parts: [{ fileType: upload.file_type, rows: upload.clean_data || [] }],
       });
 
       // Mark upload as approved
@@ -5738,19 +5877,22 @@ function ReviewQueuePage() {
         assigned_tournament_id: assignedTournamentId,
         assigned_date: assignedDate
       }).eq('id', upload.id);
+      logAudit({ action: 'upload.approve', targetType: 'tournaments', targetId: assignedTournamentId, targetName: tournament.name, after: { historyIds, uploadId: upload.id, fileName: upload.file_name, date: assignedDate } });
 
-      showNotif(`✓ Approved! Added ${newData.length} ${upload.file_type} to ${tournament.name}`);
+      showNotif(`✓ Approved! Added ${merged.rows.length} ${upload.file_type} to ${tournament.name}${upload.is_cumulative ? ` (cumulative: ${describeCumulativeDelta(merged)})` : ''}`);
       if (!skipReload) loadData();
+      return true;
     } catch (e) {
       console.error('Approve error:', e);
       showNotif('Failed to approve', 'error');
+      return false;
     }
   };
 
   // Group uploads by tournament suggestion + date for batch selection
   const getUploadGroups = () => {
     const groups = new Map();
-    pendingUploads.forEach(upload => {
+    visibleUploads.forEach(upload => {
       const key = `${upload.suggested_tournament_name || 'Unknown'}|${upload.suggested_date || 'Unknown'}`;
       if (!groups.has(key)) {
         groups.set(key, { 
@@ -5829,13 +5971,8 @@ function ReviewQueuePage() {
     let errorCount = 0;
 
     for (const { upload, tournamentId, date } of uploadAssignments) {
-      try {
-        await handleApprove(upload, tournamentId, date, true);
-        successCount++;
-      } catch (e) {
-        console.error('Batch approve error:', e);
-        errorCount++;
-      }
+      if (await handleApprove(upload, tournamentId, date, true)) successCount++;
+      else errorCount++;
     }
 
     setIsBatchApproving(false);
@@ -5849,6 +5986,23 @@ function ReviewQueuePage() {
     }
   };
 
+  const handleApproveConfident = async () => {
+    if (!confidentUploads.length) return;
+    if (!confirm(`Approve ${confidentUploads.length} correctly labelled upload${confidentUploads.length === 1 ? '' : 's'} into their suggested events?`)) return;
+    setIsBatchApproving(true);
+    let successCount = 0;
+    let errorCount = 0;
+    for (const upload of confidentUploads) {
+      if (await handleApprove(upload, assignments[upload.id].pick.id, upload.suggested_date, true)) successCount++;
+      else errorCount++;
+    }
+    setIsBatchApproving(false);
+    setSelectedUploads(new Set());
+    loadData();
+    if (errorCount > 0) showNotif(`Approved ${successCount}, failed ${errorCount}`, 'error');
+    else showNotif(`✓ Approved ${successCount} confident match${successCount === 1 ? '' : 'es'}`);
+  };
+
   const handleBatchReject = async () => {
     if (selectedUploads.size === 0) {
       showNotif('No uploads selected', 'error');
@@ -5862,6 +6016,7 @@ function ReviewQueuePage() {
     for (const id of ids) {
       try {
         await supabase.from('pending_uploads').update({ status: 'rejected', reviewed_at: new Date().toISOString() }).eq('id', id);
+        logRejection(id);
         successCount++;
       } catch (e) {
         console.error('Batch reject error:', e);
@@ -5878,10 +6033,16 @@ function ReviewQueuePage() {
     }
   };
 
+  const logRejection = (uploadId) => {
+    const upload = [...pendingUploads, ...criticalUploads].find(u => u.id === uploadId);
+    logAudit({ action: 'upload.reject', targetType: 'pending_uploads', targetId: uploadId, targetName: upload?.file_name, before: { status: 'pending' }, after: { status: 'rejected' } });
+  };
+
   const handleReject = async (uploadId) => {
     if (!confirm('Reject this submission?')) return;
     try {
       await supabase.from('pending_uploads').update({ status: 'rejected', reviewed_at: new Date().toISOString() }).eq('id', uploadId);
+      logRejection(uploadId);
       showNotif('Submission rejected');
       loadData();
     } catch (e) {
@@ -5893,38 +6054,8 @@ function ReviewQueuePage() {
     if (!confirm(`Undo this upload? This will remove ${historyItem.player_count} ${historyItem.file_type} from ${historyItem.tournament_name}.`)) return;
 
     try {
-      // Fetch full history record with player_data (not loaded in list query)
-      const { data: fullHistoryItem, error: histError } = await supabase.from('upload_history').select('*').eq('id', historyItem.id).single();
-      if (histError || !fullHistoryItem) throw new Error('Could not load upload details');
-
-      // Get tournament
-      const { data: tournament } = await supabase.from('tournaments').select('*').eq('id', fullHistoryItem.tournament_id).single();
-      if (!tournament) throw new Error('Tournament not found');
-
-      // Remove the players that were added
-      // player_data has raw CSV format (Name, OVR, VAR) with capital letters
-      const existingData = fullHistoryItem.file_type === 'batting' ? (tournament.batting || []) : (tournament.pitching || []);
-      const addedPlayerKeys = new Set((fullHistoryItem.player_data || []).map(p => {
-        const name = p.Name || p.name || '';
-        const ovr = p.OVR || p.ovr || '';
-        const vari = parseVariant(p.VAR || p.vari);
-        return `${name}|${ovr}|${vari}`;
-      }));
-      const filteredData = existingData.filter(p => !addedPlayerKeys.has(`${p.name}|${p.ovr}|${p.vari || 'N'}`));
-
-      // Remove date from uploaded_dates
-      const uploadedDates = (tournament.uploaded_dates || tournament.uploadedDates || []).filter(d => d !== historyItem.upload_date);
-
-      // Update tournament
-      const updatePayload = historyItem.file_type === 'batting'
-        ? { batting: filteredData, uploaded_dates: uploadedDates, uploadedDates: uploadedDates }
-        : { pitching: filteredData, uploaded_dates: uploadedDates, uploadedDates: uploadedDates };
-      
-      await supabase.from('tournaments').update(updatePayload).eq('id', historyItem.tournament_id);
-
-      // Mark history as undone
-      await supabase.from('upload_history').update({ undone: true, undone_at: new Date().toISOString() }).eq('id', historyItem.id);
-
+      await undoUploadHistory(historyItem.id);
+      logAudit({ action: 'upload.undo', targetType: 'tournaments', targetId: historyItem.tournament_id, targetName: historyItem.tournament_name, after: { historyIds: [historyItem.id], fileType: historyItem.file_type, date: historyItem.upload_date } });
       showNotif(`Undone! Removed ${historyItem.player_count} ${historyItem.file_type}`);
       loadData();
     } catch (e) {
@@ -5933,6 +6064,19 @@ function ReviewQueuePage() {
     }
   };
 
+  // Only undone uploads can be trashed, so the trash never holds stats that are still counted
+  const handleTrashHistory = async (historyItem) => {
+    try {
+      const trashed = await moveToTrash('upload_history', historyItem.id);
+      logAudit({ action: 'history.delete', targetType: 'upload_history', targetId: historyItem.id, targetName: `${historyItem.tournament_name} · ${historyItem.file_type} · ${historyItem.upload_date}`, before: { deleted_at: null, deleted_by: null }, after: trashed });
+      setUploadHistory(prev => prev.filter(h => h.id !== historyItem.id));
+      showNotif('Moved to trash');
+    } catch (e) {
+      console.error('Trash error:', e);
+      showNotif('Failed to move to trash', 'error');
+    }
+  };
+
   const handleCreateAndApprove = async (upload) => {
     if (!newEventName.trim()) {
       showNotif('Please enter event name', 'error');
@@ -5959,6 +6103,7 @@ function ReviewQueuePage() {
 
       const { error: createError } = await supabase.from('tournaments').insert(newTournament);
       if (createError) throw createError;
+      logAudit({ action: 'tournament.create', targetType: 'tournaments', targetId: newTournament.id, targetName: fullName, after: { name: fullName, category: newEventCategory, event_type: newEventType } });
 
       // Now approve with the new tournament
       await handleApprove(upload, newTournament.id, upload.suggested_date);
@@ -5974,14 +6119,14 @@ function ReviewQueuePage() {
     }
   };
 
-  if (!isAdmin) {
+  if (!canReview) {
     return (
       <Layout notification={notification}>
         <div style={styles.submitPage}>
           <div style={styles.submitContainer}>
             <h2 style={styles.submitTitle}>🔒 Admin Access Required</h2>
             <p style={styles.submitSubtitle}>You need admin access to view the review queue.</p>
-            <button style={styles.submitBtn} onClick={() => requestAuth(() => loadData())}>Admin Login</button>
+            <button style={styles.submitBtn} onClick={() => requestAuth(() => loadData(), 'review')}>Admin Login</button>
           </div>
         </div>
       </Layout>
@@ -6028,8 +6173,13 @@ function ReviewQueuePage() {
                     <div style={styles.emptyState}>✓ No pending submissions</div>
                   ) : (
                     <>
+                      <label style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 10, fontSize: 12, color: theme.textSecondary, cursor: 'pointer' }}>
+                        <input type="checkbox" checked={attentionOnly} onChange={(e) => setAttentionOnly(e.target.checked)} />
+                        Needs attention only — anonymous, new or low-reputation submitters
+                        {attentionOnly && <span style={{ color: theme.textMuted }}>({visibleUploads.length} of {pendingUploads.length})</span>}
+                      </label>
                       {/* Batch Controls */}
-                      {pendingUploads.length > 1 && (
+                      {(pendingUploads.length > 1 || confidentUploads.length > 0) && (
                         <div style={{ 
                           display: 'flex', justifyContent: 'space-between', alignItems: 'center',
                           padding: 12, background: theme.panelBg, borderRadius: 8, marginBottom: 16,
@@ -6041,6 +6191,20 @@ function ReviewQueuePage() {
                               : 'Select uploads to batch approve'}
                           </div>
                           <div style={{ display: 'flex', gap: 8 }}>
+                            <button
+                              onClick={handleApproveConfident}
+                              disabled={confidentUploads.length === 0 || isBatchApproving}
+                              title="Uploads whose suggested event is the clear best match and that raised no anomaly or overlap flags"
+                              style={{
+                                padding: '6px 12px', borderRadius: 6, fontSize: 12, fontWeight: 600,
+                                background: confidentUploads.length > 0 ? theme.accent : theme.inputBg,
+                                color: confidentUploads.length > 0 ? '#fff' : theme.textMuted,
+                                border: 'none', cursor: 'pointer',
+                                opacity: confidentUploads.length === 0 || isBatchApproving ? 0.5 : 1
+                              }}
+                            >
+                              ⚡ Approve Confident Matches ({confidentUploads.length})
+                            </button>
                             <button 
                               onClick={() => setSelectedUploads(new Set())}
                               disabled={selectedUploads.size === 0}
@@ -6133,7 +6297,9 @@ function ReviewQueuePage() {
                         <div style={{ flex: 1 }}>
                       <div style={styles.reviewCardHeader}>
                         <span style={styles.reviewCardFile}>📄 {upload.file_name}</span>
-                        <span style={styles.reviewCardTime}>{upload.uploader_name ? `${upload.uploader_name} · ` : ''}{timeAgo(upload.created_at)}</span>
+                        <span style={styles.reviewCardTime}>
+                          {upload.uploader_name ? `${upload.uploader_name} ` : ''}<SubmitterBadge stats={submitterStats(upload)} /> · {timeAgo(upload.created_at)}
+                        </span>
                       </div>
 
                       <div style={styles.reviewCardBody}>
@@ -6157,6 +6323,37 @@ function ReviewQueuePage() {
                             </span>
                           </div>
                         )}
+                        {anomalyScores[upload.id] && (() => {
+                          const anomaly = anomalyScores[upload.id];
+                          const color = !anomaly.enough ? theme.textMuted : anomaly.level === 'suspect' ? theme.error : anomaly.level === 'check' ? theme.warning : theme.success;
+                          return (
+                            <>
+                              <div style={styles.reviewCardRow}>
+                                <span style={styles.reviewCardLabel}>Anomaly:</span>
+                                <span
+                                  style={{ ...styles.reviewCardMatch, color, cursor: anomaly.outliers.length ? 'pointer' : 'default' }}
+                                  title={`Compared with ${upload.suggested_tournament_name}: ${anomaly.metric} shift of returning cards, unseen cards and OVR range`}
+                                  onClick={() => anomaly.outliers.length && setAnomalyDetailsId(anomalyDetailsId === upload.id ? null : upload.id)}
+                                >
+                                  {anomaly.enough ? `${anomaly.score} - ${anomaly.label}` : 'Not scored'}
+                                  {anomaly.outliers.length > 0 && ` · ${anomaly.outliers.length} outlier${anomaly.outliers.length === 1 ? '' : 's'} ${anomalyDetailsId === upload.id ? '▾' : '▸'}`}
+                                </span>
+                              </div>
+                              {anomaly.flags.map((flag, i) => (
+                                <div key={i} style={{ fontSize: 11, color: theme.textMuted, margin: '-2px 0 4px' }}>• {flag}</div>
+                              ))}
+                              {anomalyDetailsId === upload.id && (
+                                <div style={styles.removedRowsList}>
+                                  {anomaly.outliers.slice(0, 15).map((o, i) => (
+                                    <div key={i} style={styles.removedRow}>
+                                      {o.name} ({o.ovr}{o.side ? ` vs ${o.side}` : ''}): {anomaly.metric} {anomaly.metric === 'wOBA' ? o.value.toFixed(3) : Math.round(o.value)} vs {anomaly.metric === 'wOBA' ? o.prior.toFixed(3) : Math.round(o.prior)} in event (z {o.z.toFixed(1)})
+                                    </div>
+                                  ))}
+                                </div>
+                              )}
+                            </>
+                          );
+                        })()}
 
                         {/* Warnings */}
                         {(upload.removed_rows?.length > 0 || upload.date_already_uploaded) && (
@@ -6178,6 +6375,10 @@ function ReviewQueuePage() {
                             )}
                           </div>
                         )}
+                        {upload.is_cumulative && (
+                          <div style={{ marginTop: 8, fontSize: 12, color: theme.textMuted }}>Σ Cumulative export — approving adds only the games since the event's last snapshot</div>
+                        )}
+                        {overlapChecks[upload.id] && <UploadOverlapChecks checks={overlapChecks[upload.id] === 'loading' ? 'loading' : [{ fileType: upload.file_type, report: overlapChecks[upload.id] }]} cumulative={upload.is_cumulative} />}
                       </div>
 
                       {/* Actions */}
@@ -6190,11 +6391,36 @@ function ReviewQueuePage() {
                             </strong>
                             {upload.suggested_date && <span> · {formatDate(upload.suggested_date)}</span>}
                           </div>
+                          {assignments[upload.id]?.pick && (
+                            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 4, fontSize: 11, color: theme.textMuted }}>
+                              <span>Best matches:</span>
+                              {assignments[upload.id].ranking.slice(0, 4).map(r => (
+                                <button
+                                  key={r.id}
+                                  type="button"
+                                  title={`Players ${Math.round(r.signals.names * 100)}% · OVR ${Math.round(r.signals.ovr * 100)}% · Tiers ${Math.round(r.signals.tiers * 100)}% · Date ${Math.round(r.signals.dates * 100)}%`}
+                                  onClick={() => { document.getElementById(`tournament-${upload.id}`).value = r.id; }}
+                                  style={{
+                                    padding: '2px 8px', borderRadius: 10, fontSize: 11, cursor: 'pointer',
+                                    border: `1px solid ${r.id === assignments[upload.id].pick.id ? theme.accent : theme.border}`,
+                                    background: r.id === assignments[upload.id].pick.id ? theme.accent + '22' : 'transparent',
+                                    color: r.id === upload.suggested_tournament_id ? theme.textPrimary : theme.textSecondary
+                                  }}
+                                >
+                                  {r.name} <strong>{r.score}</strong>{r.id === upload.suggested_tournament_id ? ' (label)' : ''}
+                                </button>
+                              ))}
+                              {!assignments[upload.id].pick.matchesLabel && upload.suggested_tournament_id && (
+                                <span style={{ color: theme.warning }}>⚠️ label doesn't look like the best match</span>
+                              )}
+                            </div>
+                          )}
                         </div>
                         
-                        {/* Tournament reassignment dropdown - always visible */}
+                        {/* Tournament reassignment dropdown - always visible, pre-set to the best-matching event */}
                         <select 
-                          defaultValue={upload.suggested_tournament_id || ''}
+                          key={`${upload.id}-${assignments[upload.id]?.pick?.id || ''}`}
+                          defaultValue={assignments[upload.id]?.pick?.id || upload.suggested_tournament_id || ''}
                           style={styles.reviewSelect}
                           id={`tournament-${upload.id}`}
                         >
@@ -6218,6 +6444,9 @@ function ReviewQueuePage() {
                         <button style={styles.previewBtn} onClick={() => setPreviewId(previewId === upload.id ? null : upload.id)}>
                           {previewId === upload.id ? 'Hide' : 'Preview'}
                         </button>
+                        <button style={styles.previewBtn} title="Compare with the selected tournament's earlier uploads" onClick={() => checkOverlap(upload, document.getElementById(`tournament-${upload.id}`).value)}>
+                          Check Overlap
+                        </button>
                         
                         {/* Create new event option */}
                         {creatingNewFor === upload.id ? (
@@ -6289,7 +6518,9 @@ function ReviewQueuePage() {
                     <div key={upload.id} className="hover-card" style={{...styles.reviewCard, borderColor: theme.error}}>
                       <div style={styles.reviewCardHeader}>
                         <span style={styles.reviewCardFile}>🚨 {upload.file_name}</span>
-                        <span style={styles.reviewCardTime}>{upload.uploader_name ? `${upload.uploader_name} · ` : ''}{timeAgo(upload.created_at)}</span>
+                        <span style={styles.reviewCardTime}>
+                          {upload.uploader_name ? `${upload.uploader_name} ` : ''}<SubmitterBadge stats={submitterStats(upload)} /> · {timeAgo(upload.created_at)}
+                        </span>
                       </div>
                       
                       <div style={styles.criticalIssues}>
@@ -6375,17 +6606,376 @@ function ReviewQueuePage() {
                             </td>
                             <td style={styles.historyTd}>
                               {h.undone ? (
-                                <span style={{color: theme.textMuted}}>UNDONE</span>
+                                <span style={{color: theme.textMuted}}>
+                                  UNDONE
+                                  <button onClick={() => handleTrashHistory(h)} title="Move to trash" style={{ marginLeft: 8, background: 'none', border: 'none', color: theme.textMuted, cursor: 'pointer', fontSize: 12 }}>🗑</button>
+                                </span>
                               ) : (
                                 <button style={styles.undoBtn} onClick={() => handleUndo(h)}>↶ Undo</button>
                               )}
                             </td>
                           </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  )}
-                </div>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+// ==================== AUDIT LOG ====================
+
+// Record an admin change in the audit log as the signed-in user (see auditLog.js)
+async function logAudit(entry) {
+  const { data: { session } } = await supabase.auth.getSession();
+  await recordAudit(supabase, session?.user, entry);
+}
+
+// site_content edits keep the old and new content, so the audit page can put the old one back
+const logContentEdit = (id, before, after) => logAudit({ action: 'content.update', targetType: 'site_content', targetId: id, targetName: id, before: { content: before ?? null }, after: { content: after } });
+
+// Subtract an upload's lines from its tournament and mark it undone. Returns the history row.
+async function undoUploadHistory(historyId) {
+  // Fetch full history record with player_data (not loaded in list queries)
+  const { data: item, error: histError } = await supabase.from('upload_history').select('*').eq('id', historyId).single();
+  if (histError || !item) throw new Error('Could not load upload details');
+  if (item.undone) return item;
+
+  const { data: tournament } = await supabase.from('tournaments').select('*').eq('id', item.tournament_id).single();
+  if (!tournament) throw new Error('Tournament not found');
+  if (tournament.deleted_at) throw new Error(`${tournament.name} is in the trash — restore it first`);
+
+  // Subtract the counting stats that upload added
+  // player_data has raw CSV format (Name, OVR, VAR) with capital letters
+  const target = STAT_FILE_TYPES[item.file_type];
+  const filteredData = revertUploadRows(tournament[target] || [], item.player_data || [], item.file_type);
+  const uploadedDates = (tournament.uploaded_dates || tournament.uploadedDates || []).filter(d => d !== item.upload_date);
+
+  const { error } = await supabase.from('tournaments').update({ [target]: filteredData, uploaded_dates: uploadedDates, uploadedDates: uploadedDates }).eq('id', item.tournament_id);
+  if (error) throw error;
+  await supabase.from('upload_history').update({ undone: true, undone_at: new Date().toISOString() }).eq('id', historyId);
+  return item;
+}
+
+// Apply an undone upload to its tournament again
+async function redoUploadHistory(historyId) {
+  const { data: item, error: histError } = await supabase.from('upload_history').select('*').eq('id', historyId).single();
+  if (histError || !item) throw new Error('Could not load upload details');
+  if (!item.undone) return item;
+  // Trashed uploads are always undone ones; merging one again would leave stats the purge can't take back out
+  if (item.deleted_at) throw new Error('This upload is in the trash — restore it first');
+
+  const { data: tournament } = await supabase.from('tournaments').select('*').eq('id', item.tournament_id).single();
+  if (!tournament) throw new Error('Tournament not found');
+  if (tournament.deleted_at) throw new Error(`${tournament.name} is in the trash — restore it first`);
+
+  const target = STAT_FILE_TYPES[item.file_type];
+  const updatedData = applyUploadRows(tournament[target] || [], item.player_data || [], item.file_type);
+  const uploadedDates = [...(tournament.uploaded_dates || [])];
+  if (!uploadedDates.includes(item.upload_date)) uploadedDates.push(item.upload_date);
+
+  const { error } = await supabase.from('tournaments').update({ [target]: updatedData, uploaded_dates: uploadedDates }).eq('id', item.tournament_id);
+  if (error) throw error;
+  await supabase.from('upload_history').update({ undone: false, undone_at: null }).eq('id', historyId);
+  return item;
+}
+
+// Soft-delete a row (see trash.js). Returns the columns written, for the audit log.
+async function moveToTrash(table, id) {
+  const { data: { session } } = await supabase.auth.getSession();
+  const trashed = { deleted_at: new Date().toISOString(), deleted_by: session?.user?.email || null };
+  const { error } = await supabase.from(table).update(trashed).eq('id', id);
+  if (error) throw error;
+  return trashed;
+}
+
+async function loadAllRows(query, pageSize = 1000) {
+  const rows = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await query().range(from, from + pageSize - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < pageSize) return rows;
+  }
+}
+
+const loadLiveCards = () => loadAllRows(() => supabase.from('pt_cards').select('*').order('id'));
+
+// Make an archived card list live again (swap_pt_cards, see cardImport.js); the list it replaces goes to the trash in turn.
+// Returns { archivedListId, count, versionId }.
+async function restoreCardList(listId) {
+  const { data: list } = await supabase.from('pt_card_lists').select('*').eq('id', listId).maybeSingle();
+  if (!list) throw new Error('Card list not found — it may have been purged');
+  const cards = await loadAllRows(() => supabase.from('pt_cards_archive').select('*').eq('list_id', listId).order('archive_id'));
+  if (cards.length !== list.card_count) throw new Error(`The archived list has ${cards.length} of ${list.card_count} cards`);
+
+  const previousCards = await loadLiveCards();
+  const { data: { session } } = await supabase.auth.getSession();
+  const archivedListId = await swapCardList(supabase, listId, session?.user);
+  forgetLiveCardMaps();
+  const version = await saveCardVersion(list.file_name, previousCards, cards.map(({ archive_id, list_id, ...card }) => card));
+  return { archivedListId, count: cards.length, versionId: version?.versionId ?? null };
+}
+
+// Record a card-list replacement in the version history (see cardVersions.js). The cards are live by now,
+// so a failure is reported and swallowed rather than failing the restore. Returns the version's counts, or null.
+async function saveCardVersion(fileName, before, after) {
+  try {
+    const { data: { session } } = await supabase.auth.getSession();
+    return await recordCardVersion(supabase, session?.user || null, { fileName, before, after });
+  } catch (e) {
+    console.warn('Card version history write failed:', e.message);
+    return null;
+  }
+}
+
+// Carry out a getRevertPlan() plan. Throws when the target has moved on since the entry was written.
+async function revertAuditEntry(plan) {
+  switch (plan.kind) {
+    case 'fields': {
+      const { data: row, error } = await supabase.from(plan.table).select('*').eq('id', plan.id).maybeSingle();
+      if (error) throw error;
+      if (!row) throw new Error('The row no longer exists');
+      if (plan.expect && !sameValues(pickFields(row, Object.keys(plan.expect)), plan.expect)) throw new Error('It has changed since — revert the later entries first');
+      const { error: updateError } = await supabase.from(plan.table).update(plan.values).eq('id', plan.id);
+      if (updateError) throw updateError;
+      return;
+    }
+    case 'remove': {
+      const { data: row } = await supabase.from(plan.table).select('batting,pitching').eq('id', plan.id).maybeSingle();
+      if (!row) throw new Error('Already deleted');
+      if ((row.batting || []).length || (row.pitching || []).length) throw new Error('The event has stats now — delete it from the Stats page instead');
+      const { error } = await supabase.from(plan.table).delete().eq('id', plan.id);
+      if (error) throw error;
+      return;
+    }
+    case 'undoUploads':
+      for (const id of plan.historyIds) await undoUploadHistory(id);
+      return;
+    case 'redoUploads': {
+      // Check them all first, so a trashed one doesn't leave the others half re-applied
+      const { data: trashed } = await supabase.from('upload_history').select('id').in('id', plan.historyIds).not('deleted_at', 'is', null);
+      if (trashed?.length) throw new Error(`${trashed.length === 1 ? 'An upload' : `${trashed.length} uploads`} from this entry ${trashed.length === 1 ? 'is' : 'are'} in the trash — restore first`);
+      for (const id of plan.historyIds) await redoUploadHistory(id);
+      return;
+    }
+    case 'restoreCards':
+      return restoreCardList(plan.listId);
+    case 'role': {
+      const { data: { session } } = await supabase.auth.getSession();
+      const res = await fetch('/api/roles', { method: 'POST', headers: { Authorization: `Bearer ${session?.access_token}`, 'Content-Type': 'application/json' }, body: JSON.stringify({ userId: plan.userId, role: plan.role }) });
+      if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || `Failed (${res.status})`);
+      return;
+    }
+    default:
+      throw new Error('Nothing to revert');
+  }
+}
+
+const AUDIT_PAGE_SIZE = 100;
+
+const formatAuditValue = (v) => {
+  const text = typeof v === 'string' ? v : JSON.stringify(v);
+  return text.length > 300 ? `${text.slice(0, 300)}…` : text;
+};
+
+// Before/after of one entry, a line per changed key
+function AuditEntryDetails({ entry }) {
+  const { theme } = useTheme();
+  const before = entry.before || {}, after = entry.after || {};
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  if (!keys.length) return <div style={{ fontSize: 12, color: theme.textMuted }}>No payload recorded.</div>;
+  return (
+    <table style={{ width: '100%', fontSize: 12, borderCollapse: 'collapse' }}>
+      <thead>
+        <tr style={{ color: theme.textMuted, textAlign: 'left' }}><th style={{ padding: 4 }}>Field</th><th style={{ padding: 4 }}>Before</th><th style={{ padding: 4 }}>After</th></tr>
+      </thead>
+      <tbody>
+        {keys.map(k => (
+          <tr key={k} style={{ borderTop: `1px solid ${theme.border}`, verticalAlign: 'top' }}>
+            <td style={{ padding: 4, color: theme.textSecondary, whiteSpace: 'nowrap' }}>{k}</td>
+            <td style={{ padding: 4, color: theme.error, wordBreak: 'break-all', fontFamily: 'monospace' }}>{k in before ? formatAuditValue(before[k]) : '—'}</td>
+            <td style={{ padding: 4, color: theme.success, wordBreak: 'break-all', fontFamily: 'monospace' }}>{k in after ? formatAuditValue(after[k]) : '—'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function AuditLogPage() {
+  const { theme } = useTheme();
+  const styles = getStyles(theme);
+  const { can, requestAuth } = useAuth();
+  const isAdmin = can('admin');
+  const [entries, setEntries] = useState([]);
+  const [revertedIds, setRevertedIds] = useState(new Set());
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [notification, setNotification] = useState(null);
+  const [filters, setFilters] = useState({ action: '', targetType: '', actor: '', search: '', from: '', to: '' });
+  const [expandedId, setExpandedId] = useState(null);
+  const [revertingId, setRevertingId] = useState(null);
+
+  const showNotif = (message, type = 'success') => {
+    setNotification({ message, type });
+    setTimeout(() => setNotification(null), 4000);
+  };
+
+  const loadEntries = async (offset = 0) => {
+    setIsLoading(true);
+    try {
+      let query = supabase.from('audit_log').select('*').order('created_at', { ascending: false }).range(offset, offset + AUDIT_PAGE_SIZE - 1);
+      if (filters.action) query = query.eq('action', filters.action);
+      if (filters.targetType) query = query.eq('target_type', filters.targetType);
+      if (filters.actor.trim()) query = query.ilike('actor_email', `%${filters.actor.trim()}%`);
+      if (filters.search.trim()) query = query.ilike('target_name', `%${filters.search.trim()}%`);
+      if (filters.from) query = query.gte('created_at', `${filters.from}T00:00:00`);
+      if (filters.to) query = query.lte('created_at', `${filters.to}T23:59:59`);
+      const { data, error } = await query;
+      if (error) throw error;
+      setEntries(prev => offset ? [...prev, ...data] : data);
+      setHasMore(data.length === AUDIT_PAGE_SIZE);
+
+      const { data: reverts } = await supabase.from('audit_log').select('reverts').not('reverts', 'is', null);
+      setRevertedIds(new Set((reverts || []).map(r => r.reverts)));
+    } catch (e) {
+      console.error('Audit log load error:', e);
+      showNotif('Failed to load the audit log', 'error');
+    }
+    setIsLoading(false);
+  };
+
+  useEffect(() => {
+    if (isAdmin) loadEntries();
+  }, [isAdmin, filters]);
+
+  const handleRevert = async (entry) => {
+    const plan = getRevertPlan(entry, revertedIds);
+    if (plan.reason) return;
+    if (!confirm(`Revert "${auditActionLabel(entry.action)}" on ${entry.target_name || entry.target_id}?`)) return;
+    setRevertingId(entry.id);
+    try {
+      const result = await revertAuditEntry(plan);
+      await logAudit({
+        action: 'revert', targetType: entry.target_type, targetId: entry.target_id, targetName: entry.target_name,
+        before: plan.kind === 'fields' ? plan.expect : null, after: plan.kind === 'fields' ? plan.values : { action: entry.action, ...result },
+        reverts: entry.id,
+      });
+      showNotif(`✓ Reverted ${auditActionLabel(entry.action).toLowerCase()}`);
+      loadEntries();
+    } catch (e) {
+      console.error('Revert error:', e);
+      showNotif(`Revert failed: ${e.message}`, 'error');
+    }
+    setRevertingId(null);
+  };
+
+  if (!isAdmin) {
+    return (
+      <Layout notification={notification}>
+        <div style={styles.submitPage}>
+          <div style={styles.submitContainer}>
+            <h2 style={styles.submitTitle}>🔒 Admin Access Required</h2>
+            <p style={styles.submitSubtitle}>You need admin access to view the audit log.</p>
+            <button style={styles.submitBtn} onClick={() => requestAuth(() => {}, 'admin')}>Admin Login</button>
+          </div>
+        </div>
+      </Layout>
+    );
+  }
+
+  const setFilter = (key, value) => setFilters(f => ({ ...f, [key]: value }));
+  const filterInput = { ...styles.formInput, width: 'auto', padding: '6px 8px', fontSize: 12 };
+
+  return (
+    <Layout notification={notification}>
+      <div style={styles.reviewPage}>
+        <div style={styles.reviewContainer}>
+          <h2 style={styles.reviewTitle}>🧾 Audit Log</h2>
+
+          <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 16 }}>
+            <select value={filters.action} onChange={(e) => setFilter('action', e.target.value)} style={filterInput}>
+              <option value="">All actions</option>
+              {Object.entries(AUDIT_ACTIONS).map(([key, a]) => <option key={key} value={key}>{a.label}</option>)}
+            </select>
+            <select value={filters.targetType} onChange={(e) => setFilter('targetType', e.target.value)} style={filterInput}>
+              <option value="">All targets</option>
+              {Object.entries(TARGET_TYPES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            <input type="text" placeholder="Actor email" value={filters.actor} onChange={(e) => setFilter('actor', e.target.value)} style={filterInput} />
+            <input type="text" placeholder="Target name" value={filters.search} onChange={(e) => setFilter('search', e.target.value)} style={filterInput} />
+            <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} style={filterInput} title="From" />
+            <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} style={filterInput} title="To" />
+          </div>
+
+          {isLoading && !entries.length ? (
+            <div style={styles.loading}><div className="loading-spinner"></div>Loading...</div>
+          ) : entries.length === 0 ? (
+            <div style={styles.emptyState}>No matching entries</div>
+          ) : (
+            <>
+              <table style={styles.historyTable}>
+                <thead>
+                  <tr>
+                    <th style={styles.historyTh}>When</th>
+                    <th style={styles.historyTh}>Who</th>
+                    <th style={styles.historyTh}>Action</th>
+                    <th style={styles.historyTh}>Target</th>
+                    <th style={styles.historyTh}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map(entry => {
+                    const plan = getRevertPlan(entry, revertedIds);
+                    const isReverted = revertedIds.has(entry.id);
+                    return (
+                      <React.Fragment key={entry.id}>
+                        <tr style={isReverted ? { opacity: 0.5 } : {}}>
+                          <td style={{ ...styles.historyTd, whiteSpace: 'nowrap' }}>{new Date(entry.created_at).toLocaleString()}</td>
+                          <td style={styles.historyTd}>{entry.actor_email || 'system'}</td>
+                          <td style={styles.historyTd}>
+                            <button onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)} style={{ background: 'none', border: 'none', padding: 0, color: theme.accent, cursor: 'pointer', fontSize: 13 }}>
+                              {auditActionLabel(entry.action)}
+                            </button>
+                            {isReverted && <span style={{ color: theme.textMuted, fontSize: 11 }}> · reverted</span>}
+                          </td>
+                          <td style={styles.historyTd}>
+                            <span style={{ color: theme.textMuted }}>{TARGET_TYPES[entry.target_type] || entry.target_type}</span> {entry.target_name || entry.target_id}
+                          </td>
+                          <td style={{ ...styles.historyTd, textAlign: 'right' }}>
+                            {plan.kind ? (
+                              <button style={styles.undoBtn} disabled={revertingId === entry.id} onClick={() => handleRevert(entry)}>
+                                {revertingId === entry.id ? 'Reverting...' : '↶ Revert'}
+                              </button>
+                            ) : (
+                              !isReverted && entry.action !== 'revert' && <span style={{ color: theme.textMuted, fontSize: 11 }} title={plan.reason}>Not revertable</span>
+                            )}
+                          </td>
+                        </tr>
+                        {expandedId === entry.id && (
+                          <tr>
+                            <td colSpan={5} style={{ ...styles.historyTd, background: theme.panelBg }}>
+                              <AuditEntryDetails entry={entry} />
+                              {!plan.kind && <div style={{ fontSize: 11, color: theme.textMuted, marginTop: 6 }}>{plan.reason}</div>}
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+              {hasMore && (
+                <button style={{ ...styles.cancelBtn, marginTop: 12 }} disabled={isLoading} onClick={() => loadEntries(entries.length)}>
+                  {isLoading ? 'Loading...' : 'Load more'}
+                </button>
               )}
             </>
           )}
@@ -6395,6 +6985,170 @@ function ReviewQueuePage() {
   );
 }
 
+// Trashed events, upload history rows and card lists, with restore and permanent delete
+function TrashPage() {
+  const { theme } = useTheme();
+  const styles = getStyles(theme);
+  const { can, requestAuth } = useAuth();
+  const isAdmin = can('admin');
+  const [trash, setTrash] = useState({ tournaments: [], uploads: [], cardLists: [] });
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [notification, setNotification] = useState(null);
+
+  const showNotif = (message, type = 'success') => {
+    setNotification({ message, type });
+    setTimeout(() => setNotification(null), 4000);
+  };
+
+  const loadTrash = async () => {
+    setIsLoading(true);
+    try {
+      const trashed = (table, cols) => supabase.from(table).select(cols).not('deleted_at', 'is', null).order('deleted_at', { ascending: false });
+      const [tournaments, uploads, cardLists] = await Promise.all([
+        trashed('tournaments', 'id,name,category,event_type,deleted_at,deleted_by'),
+        trashed('upload_history', 'id,tournament_id,tournament_name,file_type,upload_date,player_count,deleted_at,deleted_by'),
+        trashed('pt_card_lists', 'id,file_name,card_count,uploaded_at,deleted_at,deleted_by'),
+      ]);
+      const failed = [tournaments, uploads, cardLists].find(r => r.error);
+      if (failed) throw failed.error;
+      setTrash({ tournaments: tournaments.data, uploads: uploads.data, cardLists: cardLists.data });
+    } catch (e) {
+      console.error('Trash load error:', e);
+      showNotif('Failed to load the trash', 'error');
+    }
+    setIsLoading(false);
+  };
+
+  useEffect(() => {
+    if (isAdmin) loadTrash();
+  }, [isAdmin]);
+
+  const run = async (id, action, success) => {
+    setBusyId(id);
+    try {
+      await action();
+      showNotif(success);
+      loadTrash();
+    } catch (e) {
+      console.error('Trash action error:', e);
+      showNotif(`Failed: ${e.message}`, 'error');
+    }
+    setBusyId(null);
+  };
+
+  const restoreRow = (kind, item, name) => run(item.id, async () => {
+    const table = kind === 'tournaments' ? 'tournaments' : 'upload_history';
+    const { error } = await supabase.from(table).update({ deleted_at: null, deleted_by: null }).eq('id', item.id);
+    if (error) throw error;
+    await logAudit({
+      action: kind === 'tournaments' ? 'tournament.restore' : 'history.restore', targetType: table, targetId: item.id, targetName: name,
+      before: { deleted_at: item.deleted_at, deleted_by: item.deleted_by }, after: { deleted_at: null, deleted_by: null },
+    });
+  }, `✓ Restored ${name}`);
+
+  const restoreCards = (list) => {
+    if (!confirm(`Replace the current card list with ${list.file_name || 'this list'} (${list.card_count} cards)? The current list moves to the trash.`)) return;
+    run(list.id, async () => {
+      const result = await restoreCardList(list.id);
+      await logAudit({ action: 'cards.restore', targetType: 'pt_cards', targetName: list.file_name, after: result });
+    }, `✓ Restored ${list.card_count} cards`);
+  };
+
+  const purge = (kind, item, name) => {
+    if (!confirm(`Permanently delete ${name}?${kind === 'tournaments' ? ' Its upload history goes with it.' : ''} This cannot be undone.`)) return;
+    run(item.id, async () => {
+      await purgeTrashed(supabase, kind, [item.id]);
+      await logAudit({ action: 'trash.purge', targetType: 'trash', targetName: name, after: { [kind]: 1, ids: { [kind]: [item.id] } } });
+    }, `Deleted ${name} for good`);
+  };
+
+  if (!isAdmin) {
+    return (
+      <Layout notification={notification}>
+        <div style={styles.submitPage}>
+          <div style={styles.submitContainer}>
+            <h2 style={styles.submitTitle}>🔒 Admin Access Required</h2>
+            <p style={styles.submitSubtitle}>You need admin access to view the trash.</p>
+            <button style={styles.submitBtn} onClick={() => requestAuth(() => {}, 'admin')}>Admin Login</button>
+          </div>
+        </div>
+      </Layout>
+    );
+  }
+
+  const deletedCell = (item) => (
+    <td style={styles.historyTd}>
+      {new Date(item.deleted_at).toLocaleDateString()}{item.deleted_by ? ` · ${item.deleted_by}` : ''}
+      <div style={{ fontSize: 11, color: theme.textMuted }}>purged in {daysUntilPurge(item.deleted_at)} days</div>
+    </td>
+  );
+  const actionsCell = (onRestore, onPurge, id) => (
+    <td style={{ ...styles.historyTd, textAlign: 'right', whiteSpace: 'nowrap' }}>
+      <button style={styles.undoBtn} disabled={busyId === id} onClick={onRestore}>↶ Restore</button>
+      <button style={{ ...styles.undoBtn, marginLeft: 6, color: theme.error, borderColor: theme.error }} disabled={busyId === id} onClick={onPurge}>Delete forever</button>
+    </td>
+  );
+  const section = (title, items, header, renderRow) => (
+    <div style={{ marginBottom: 24 }}>
+      <h3 style={{ color: theme.textPrimary, fontSize: 16, margin: '0 0 8px' }}>{title} <span style={{ color: theme.textMuted, fontWeight: 400 }}>({items.length})</span></h3>
+      {items.length === 0 ? (
+        <div style={{ fontSize: 13, color: theme.textMuted }}>Empty</div>
+      ) : (
+        <table style={styles.historyTable}>
+          <thead><tr>{header.map(h => <th key={h} style={styles.historyTh}>{h}</th>)}<th style={styles.historyTh}></th></tr></thead>
+          <tbody>{items.map(renderRow)}</tbody>
+        </table>
+      )}
+    </div>
+  );
+
+  return (
+    <Layout notification={notification}>
+      <div style={styles.reviewPage}>
+        <div style={styles.reviewContainer}>
+          <h2 style={styles.reviewTitle}>🗑 Trash</h2>
+          <p style={styles.submitSubtitle}>Deleted items are kept for {TRASH_RETENTION_DAYS} days, then purged automatically.</p>
+
+          {isLoading ? (
+            <div style={styles.loading}><div className="loading-spinner"></div>Loading...</div>
+          ) : (
+            <>
+              {section('Events', trash.tournaments, ['Event', 'Deleted'], t => (
+                <tr key={t.id}>
+                  <td style={styles.historyTd}>{t.name}<div style={{ fontSize: 11, color: theme.textMuted }}>{t.category} · {t.event_type || 'daily'}</div></td>
+                  {deletedCell(t)}
+                  {actionsCell(() => restoreRow('tournaments', t, t.name), () => purge('tournaments', t, t.name), t.id)}
+                </tr>
+              ))}
+              {section('Upload history', trash.uploads, ['Upload', 'Deleted'], h => {
+                const name = `${h.tournament_name} · ${h.file_type} · ${new Date(h.upload_date).toLocaleDateString()}`;
+                return (
+                  <tr key={h.id}>
+                    <td style={styles.historyTd}>{name}<div style={{ fontSize: 11, color: theme.textMuted }}>{h.player_count} players (undone)</div></td>
+                    {deletedCell(h)}
+                    {actionsCell(() => restoreRow('uploads', h, name), () => purge('uploads', h, name), h.id)}
+                  </tr>
+                );
+              })}
+              {section('Card lists', trash.cardLists, ['Card list', 'Replaced'], l => {
+                const name = l.file_name || 'Card list';
+                return (
+                  <tr key={l.id}>
+                    <td style={styles.historyTd}>{name}<div style={{ fontSize: 11, color: theme.textMuted }}>{l.card_count} cards{l.uploaded_at ? ` · uploaded ${new Date(l.uploaded_at).toLocaleDateString()}` : ''}</div></td>
+                    {deletedCell(l)}
+                    {actionsCell(() => restoreCards(l), () => purge('cardLists', l, name), l.id)}
+                  </tr>
+                );
+              })}
+            </>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
 function DraftAssistantPage() {
   const { theme, isColorblind } = useTheme();
   const styles = getStyles(theme);
@@ -6465,19 +7219,11 @@ function DraftAssistantPage() {
     const { data } = await supabase
       .from('tournaments')
       .select('id, name, category')
+      .is('deleted_at', null)
       .order('name');
     setTournaments(data || []);
   };
 
-  const getCardTier = (ovr) => {
-    if (ovr >= 100) return 'perfect';
-    if (ovr >= 90) return 'diamond';
-    if (ovr >= 80) return 'gold';
-    if (ovr >= 70) return 'silver';
-    if (ovr >= 60) return 'bronze';
-    return 'iron';
-  };
-
   const getCardTierLabel = (ovr) => {
     if (ovr >= 100) return { label: '★', color: '#a855f7' };     // Purple - Perfect
     if (ovr >= 90) return { label: '◆', color: '#32EBFC' };      // Cyan - Diamond
@@ -6488,37 +7234,34 @@ function DraftAssistantPage() {
   };
 
   // === HEURISTICS: Sample Size Confidence ===
-  // Based on PD Data Interpretation Guide thresholds
-  // Low Data Support mode uses lower thresholds (99 AB / 20 IP)
+  // Based on how much of the raw wOBA / SIERA the shrinkage estimate trusts (see statEstimates.js).
+  // Normal cutoffs match the PD Data Interpretation Guide (~800 / 450 AB, 200 / 100 IP);
+  // Low Data Support mode uses lower ones (~450 / 99 AB, 100 / 20 IP)
   const getSampleConfidence = (player, isPitching) => {
     const trusted = isColorblind ? CB_POSITIVE : '#22c55e';
     const high = isColorblind ? '#93c5fd' : '#86efac';
     const low = isColorblind ? CB_NEGATIVE : '#f87171';
-    if (isPitching) {
-      const ip = parseFloat(player.ip) || 0;
-      if (lowDataMode) {
-        if (ip >= 100) return { level: 'trusted', label: '◆', color: trusted, desc: 'Trusted (100+ IP)' };
-        if (ip >= 20) return { level: 'high', label: '●', color: high, desc: 'LDS High (20-99 IP)' };
-        return { level: 'low', label: '○', color: low, desc: 'Low confidence (<20 IP)' };
-      }
-      if (ip >= 200) return { level: 'trusted', label: '◆', color: trusted, desc: 'Trusted (200+ IP)' };
-      if (ip >= 100) return { level: 'high', label: '●', color: high, desc: 'High confidence (100-199 IP)' };
-      return { level: 'low', label: '○', color: low, desc: 'Low confidence (<100 IP)' };
-    } else {
-      const ab = parseInt(player.ab) || 0;
-      if (lowDataMode) {
-        if (ab >= 450) return { level: 'trusted', label: '◆', color: trusted, desc: 'Trusted (450+ AB)' };
-        if (ab >= 99) return { level: 'high', label: '●', color: high, desc: 'LDS High (99-449 AB)' };
-        return { level: 'low', label: '○', color: low, desc: 'Low confidence (<99 AB)' };
-      }
-      if (ab >= 801) return { level: 'trusted', label: '◆', color: trusted, desc: 'Trusted (801+ AB)' };
-      if (ab >= 450) return { level: 'high', label: '●', color: high, desc: 'High confidence (450-800 AB)' };
-      return { level: 'low', label: '○', color: low, desc: 'Low confidence (<450 AB)' };
-    }
+    const metric = isPitching ? 'siera' : 'woba';
+    const n = getSampleSize(player, isPitching ? 'pitching' : 'batting');
+    const r = getReliability(n, metric);
+    const cutoffs = isPitching
+      ? (lowDataMode ? { trusted: 0.55, high: 0.2 } : { trusted: 0.71, high: 0.55 })
+      : (lowDataMode ? { trusted: 0.5, high: 0.18 } : { trusted: 0.64, high: 0.5 });
+    const est = player._est?.[metric];
+    const sample = `${Math.round(n)} ${isPitching ? 'IP' : 'PA'}, ${Math.round(r * 100)}% weight`;
+    const range = est ? ` · 80% ${ESTIMATE_METRICS[metric].label} ${formatEstimate(est.lo, metric)}–${formatEstimate(est.hi, metric)}` : '';
+    if (r >= cutoffs.trusted) return { level: 'trusted', label: '◆', color: trusted, desc: `Trusted (${sample})${range}` };
+    if (r >= cutoffs.high) return { level: 'high', label: '●', color: high, desc: `${lowDataMode ? 'LDS High' : 'High confidence'} (${sample})${range}` };
+    return { level: 'low', label: '○', color: low, desc: `Low confidence (${sample})${range}` };
   };
 
+  // Regressed wOBA / SIERA when the shrinkage estimate is available, raw otherwise
+  const getPrimaryStat = (player, isPitching) => isPitching
+    ? (parseFloat(player.estSiera) || parseFloat(player.siera) || parseFloat(player.era) || 0)
+    : (parseFloat(player.estWoba) || parseFloat(player.woba) || 0);
+
   // === HEURISTICS: Calculate Performance Tiers ===
-  // Groups players into tiers based on wOBA (batters) or SIERA (pitchers)
+  // Groups players into tiers based on regressed wOBA (batters) or SIERA (pitchers)
   const calculateTiers = (players, isPitching) => {
     if (!players || players.length === 0) return [];
 
@@ -6526,14 +7269,10 @@ function DraftAssistantPage() {
     const sorted = [...players].sort((a, b) => {
       if (isPitching) {
         // Lower SIERA is better
-        const aVal = parseFloat(a.siera) || parseFloat(a.era) || 99;
-        const bVal = parseFloat(b.siera) || parseFloat(b.era) || 99;
-        return aVal - bVal;
+        return (getPrimaryStat(a, true) || 99) - (getPrimaryStat(b, true) || 99);
       } else {
         // Higher wOBA is better
-        const aVal = parseFloat(a.woba) || 0;
-        const bVal = parseFloat(b.woba) || 0;
-        return bVal - aVal;
+        return getPrimaryStat(b, false) - getPrimaryStat(a, false);
       }
     });
 
@@ -6546,13 +7285,9 @@ function DraftAssistantPage() {
         const prev = sorted[idx - 1];
         let gap;
         if (isPitching) {
-          const prevVal = parseFloat(prev.siera) || parseFloat(prev.era) || 0;
-          const currVal = parseFloat(player.siera) || parseFloat(player.era) || 0;
-          gap = currVal - prevVal; // Higher SIERA = worse
+          gap = getPrimaryStat(player, true) - getPrimaryStat(prev, true); // Higher SIERA = worse
         } else {
-          const prevVal = parseFloat(prev.woba) || 0;
-          const currVal = parseFloat(player.woba) || 0;
-          gap = prevVal - currVal; // Lower wOBA = worse
+          gap = getPrimaryStat(prev, false) - getPrimaryStat(player, false); // Lower wOBA = worse
         }
         if (gap >= tierThreshold) {
           currentTier++;
@@ -6566,10 +7301,10 @@ function DraftAssistantPage() {
   const getRankValue = (player, isPitching) => {
     if (isPitching) {
       // Lower SIERA is better, so invert for sorting (higher = better)
-      const siera = parseFloat(player.siera) || parseFloat(player.era) || 5;
+      const siera = getPrimaryStat(player, true) || 5;
       return 10 - siera; // Invert so higher = better
     } else {
-      return parseFloat(player.woba) || 0;
+      return getPrimaryStat(player, false);
     }
   };
 
@@ -6596,6 +7331,7 @@ function DraftAssistantPage() {
       .select('*')
       .eq('tournament_id', selectedTournamentId)
       .eq('undone', false)
+      .is('deleted_at', null)
       .order('created_at', { ascending: true });
 
     // Calculate min/max values for each player from upload history
@@ -6603,6 +7339,8 @@ function DraftAssistantPage() {
     
     if (history && history.length > 1) {
       history.forEach(upload => {
+        // Platoon split lines are partial samples, not per-upload snapshots
+        if (isSplitFileType(upload.file_type)) return;
         const playerData = upload.player_data || [];
         const isPitching = upload.file_type === 'pitching';
         
@@ -6635,8 +7373,12 @@ function DraftAssistantPage() {
       });
     }
 
-    // Add min/max to tournament data
-    const enrichedData = { ...data };
+    // Add min/max and shrinkage estimates to tournament data
+    const enrichedData = {
+      ...data,
+      batting: withEstimates((data.batting || []).map(p => withDerivedRates(p, 'batting')), 'batting'),
+      pitching: withEstimates((data.pitching || []).map(p => withDerivedRates(p, 'pitching')), 'pitching')
+    };
     
     if (enrichedData.batting) {
       enrichedData.batting = enrichedData.batting.map(p => {
@@ -6753,11 +7495,7 @@ function DraftAssistantPage() {
     // Find the top performer's metric value for T1+ cutoff
     let topPerformerValue = null;
     if (tiered.length > 0) {
-      if (isPitching) {
-        topPerformerValue = parseFloat(tiered[0].siera) || parseFloat(tiered[0].era) || null;
-      } else {
-        topPerformerValue = parseFloat(tiered[0].woba) || null;
-      }
+      topPerformerValue = getPrimaryStat(tiered[0], isPitching) || null;
     }
     
     // Add confidence, rank value, and T1+ status
@@ -6774,10 +7512,10 @@ function DraftAssistantPage() {
       let isT1Plus = false;
       if ((p._tier === 1 || p._tier === 2) && hasShield && topPerformerValue !== null) {
         if (isPitching) {
-          const playerSiera = parseFloat(p.siera) || parseFloat(p.era) || 99;
+          const playerSiera = getPrimaryStat(p, true) || 99;
           isT1Plus = playerSiera <= topPerformerValue + 0.50;
         } else {
-          const playerWoba = parseFloat(p.woba) || 0;
+          const playerWoba = getPrimaryStat(p, false);
           isT1Plus = playerWoba >= topPerformerValue - 0.050;
         }
       }
@@ -9837,8 +10575,371 @@ function REViewerPage() {
   );
 }
 
+// ============ PlayerProfilePage Component ============
+
+const PROFILE_ENV_ORDER = ['Hitter-Friendly', 'Slightly Hitter-Friendly', 'Neutral', 'Slightly Pitcher-Friendly', 'Pitcher-Friendly', 'Unrated'];
+
+function PlayerProfilePage() {
+  const { cardId } = useParams();
+  const { theme, isColorblind } = useTheme();
+  const styles = getStyles(theme);
+  const [card, setCard] = useState(null);
+  const [nameIsUnique, setNameIsUnique] = useState(true);
+  const [tournaments, setTournaments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [categoryFilter, setCategoryFilter] = useState('all');
+  const [sortBy, setSortBy] = useState('sample');
+
+  useEffect(() => {
+    const loadProfile = async () => {
+      setIsLoading(true);
+      try {
+        const { data: cardRow, error: cardError } = await supabase.from('pt_cards').select('*').eq('card_id', cardId).maybeSingle();
+        if (cardError) throw cardError;
+        setCard(cardRow);
+        if (!cardRow) { setIsLoading(false); return; }
+        // Several cards can share a name (base, live, legend...), in which case stat rows are matched on OVR too
+        const { data: namesakes } = await supabase.from('pt_cards').select('card_id').eq('first_name', cardRow.first_name).eq('last_name', cardRow.last_name);
+        setNameIsUnique((namesakes?.length || 1) <= 1);
+        const { data: tournamentRows, error: tError } = await supabase.from('tournaments').select('id, name, category, batting, pitching').is('deleted_at', null).order('name');
+        if (tError) throw tError;
+        setTournaments(tournamentRows || []);
+      } catch (e) { console.error('Failed to load player profile:', e); }
+      setIsLoading(false);
+    };
+    loadProfile();
+  }, [cardId]);
+
+  const isPitcher = card ? parseInt(card.position) === 1 : false;
+  const playerType = isPitcher ? 'pitching' : 'batting';
+
+  const derivedTournaments = useMemo(() => tournaments.map(t => ({
+    ...t,
+    batting: (t.batting || []).map(p => withDerivedRates(p, 'batting')),
+    pitching: (t.pitching || []).map(p => withDerivedRates(p, 'pitching'))
+  })), [tournaments]);
+  const envBaselines = useMemo(() => buildEnvBaselines(derivedTournaments), [derivedTournaments]);
+
+  const splits = useMemo(() => {
+    if (!card) return [];
+    return derivedTournaments.map(t => {
+      const matches = findCardStatRows(card, t[playerType], !nameIsUnique);
+      if (!matches.length) return null;
+      const env = getEventFriendliness(t.batting, t.pitching, envBaselines);
+      const [row] = withNeutralStats([combineStatRows(matches, playerType)], playerType, env && getNeutralFactors(env.averages, envBaselines));
+      const sample = isPitcher ? (row._counts.outs || 0) / 3 : (row._counts.pa || 0);
+      return { tournament: t, row, env, sample };
+    }).filter(Boolean);
+  }, [card, derivedTournaments, envBaselines, nameIsUnique, playerType, isPitcher]);
+
+  const categories = useMemo(() => {
+    const set = new Set(splits.map(s => s.tournament.category || 'tournaments'));
+    return ['all', ...['tournaments', 'drafts', 'legacy'].filter(c => set.has(c))];
+  }, [splits]);
+
+  const visibleSplits = splits
+    .filter(s => categoryFilter === 'all' || (s.tournament.category || 'tournaments') === categoryFilter)
+    .sort((a, b) => {
+      if (sortBy === 'env') return (b.env?.envScore ?? -999) - (a.env?.envScore ?? -999);
+      if (sortBy === 'name') return a.tournament.name.localeCompare(b.tournament.name);
+      return b.sample - a.sample;
+    });
+
+  // Headline stat per type: wRC+ for hitters (higher is better), FIP- for pitchers (lower is better)
+  const keyStat = isPitcher
+    ? { label: 'FIP-', get: r => r.fipMinus, getNeutral: r => r.neutralFipMinus, better: v => v < 100 }
+    : { label: 'wRC+', get: r => r.wrcPlus, getNeutral: r => r.neutralWrcPlus, better: v => v > 100 };
+  const minSample = isPitcher ? 50 : 200;
+  const formatSample = (n) => isPitcher ? `${formatIP(n)} IP` : `${n} PA`;
+  const warRate = (r, sample) => sample > 0 ? (parseFloat(r.war) || 0) / sample * (isPitcher ? 200 : 600) : 0;
+  const good = isColorblind ? CB_POSITIVE : '#22C55E';
+  const bad = isColorblind ? CB_NEGATIVE : '#EF4444';
+  const keyColor = (v) => keyStat.better(v) ? good : v === 100 ? theme.textPrimary : bad;
+
+  // combineStatRows re-derives rates from counts, so neutral stats are sample-weighted across events separately
+  const combineSplits = (list) => {
+    const row = combineStatRows(list.map(s => s.row), playerType);
+    return row && { ...row, ...combineNeutralStats(list, playerType) };
+  };
+  const overall = combineSplits(visibleSplits);
+  const overallSample = visibleSplits.reduce((s, x) => s + x.sample, 0);
+
+  const envBuckets = PROFILE_ENV_ORDER.map(label => {
+    const inBucket = visibleSplits.filter(s => (s.env?.label || 'Unrated') === label);
+    if (!inBucket.length) return null;
+    return { label, events: inBucket.length, row: combineSplits(inBucket), sample: inBucket.reduce((s, x) => s + x.sample, 0) };
+  }).filter(Boolean);
+
+  const qualified = visibleSplits.filter(s => s.sample >= minSample);
+  const qualifiedGood = qualified.filter(s => keyStat.better(keyStat.get(s.row))).length;
+  const verdict = qualified.length < 2 ? 'Not enough qualified formats to judge consistency'
+    : qualifiedGood === qualified.length ? 'Above average in every qualified format'
+    : qualifiedGood === 0 ? 'Below average in every qualified format'
+    : `Above average in ${qualifiedGood} of ${qualified.length} qualified formats`;
+
+  const envColor = (label) => {
+    if (!label || label === 'Unrated') return theme.textMuted;
+    if (label.includes('Hitter')) return isColorblind ? '#2563eb' : '#22C55E';
+    if (label.includes('Pitcher')) return isColorblind ? '#ea580c' : '#3B82F6';
+    return theme.textDim;
+  };
+
+  const sectionTitle = { fontSize: 13, fontWeight: 700, color: theme.textSecondary, margin: '0 0 10px', fontFamily: "'Oswald', 'Inter', sans-serif", textTransform: 'uppercase', letterSpacing: '0.04em' };
+  const selectStyle = { padding: '6px 10px', background: theme.inputBg, color: theme.textPrimary, border: `1px solid ${theme.border}`, borderRadius: 4, fontSize: 13, cursor: 'pointer', outline: 'none' };
+  const statHeaders = isPitcher ? ['IP', 'ERA', 'FIP', 'FIP-', 'SIERA', 'FIP- neu', 'SIERA neu', 'K/9', 'BB/9', 'HR/9', 'WAR/200'] : ['PA', 'AVG', 'OBP', 'SLG', 'wOBA', 'wRC+', 'wOBA neu', 'wRC+ neu', 'HR', 'BB%', 'WAR/600'];
+  const statCells = (r, sample) => isPitcher
+    ? [r.ip, r.era, r.fip, r.fipMinus, r.siera, r.neutralFipMinus ?? '—', r.neutralSiera ?? '—', r.kPer9, r.bbPer9, r.hrPer9, warRate(r, sample).toFixed(1)]
+    : [r.pa, r.avg, r.obp, r.slg, r.woba, r.wrcPlus, r.neutralWoba ?? '—', r.neutralWrcPlus ?? '—', r.hr, r.bbPct, warRate(r, sample).toFixed(1)];
+  const keyIdx = statHeaders.indexOf(keyStat.label);
+  const renderStatCells = (r, sample) => statCells(r, sample).map((v, i) => (
+    <td key={statHeaders[i]} style={{...styles.td, ...(i === keyIdx ? { color: keyColor(v), fontWeight: 700 } : {})}}>{v}</td>
+  ));
+
+  if (isLoading) return <Layout><div style={styles.loading}><div className="loading-spinner"></div><p>Loading player profile...</p></div></Layout>;
+  if (!card) return <Layout><div style={styles.emptyState}>No card found with ID {cardId}. <Link to="/database" style={{ color: theme.accent }}>Back to the card database</Link></div></Layout>;
+
+  return (
+    <Layout>
+      <div style={{ display: 'flex', gap: 20, padding: '16px 20px', background: theme.mainBg, minHeight: 'calc(100vh - 100px)', flexWrap: 'wrap', alignItems: 'flex-start' }}>
+        <div style={{ width: 340, flexShrink: 0, background: '#0f172a', borderRadius: 8, overflow: 'hidden' }}>
+          <PlayerRatingCard card={card} position={null} theme={theme} isPitcher={isPitcher} embedded={true} />
+        </div>
+
+        <div style={{ flex: 1, minWidth: 320 }}>
+          <div style={styles.pageHeader}>
+            <div>
+              <h2 style={styles.pageTitle}>{card.card_title || `${card.first_name} ${card.last_name}`}</h2>
+              <p style={{ color: theme.textMuted, fontSize: 13, margin: '4px 0 0' }}>
+                {splits.length} event{splits.length !== 1 ? 's' : ''} with {isPitcher ? 'pitching' : 'batting'} data
+                {!nameIsUnique && ` • matched on OVR ${card.card_value} (other cards share this name)`}
+              </p>
+            </div>
+            <div style={{ display: 'flex', gap: 8 }}>
+              {categories.length > 2 && (
+                <select value={categoryFilter} onChange={e => setCategoryFilter(e.target.value)} style={selectStyle}>
+                  {categories.map(c => <option key={c} value={c}>{c === 'all' ? 'All Events' : c.charAt(0).toUpperCase() + c.slice(1)}</option>)}
+                </select>
+              )}
+              <select value={sortBy} onChange={e => setSortBy(e.target.value)} style={selectStyle}>
+                <option value="sample">Sort: Sample</option>
+                <option value="env">Sort: Environment</option>
+                <option value="name">Sort: Name</option>
+              </select>
+            </div>
+          </div>
+
+          {visibleSplits.length === 0 ? (
+            <div style={styles.emptyState}>This card has no recorded stats in any tournament or draft yet.</div>
+          ) : (
+            <>
+              <h3 style={sectionTitle}>Per-Format Splits</h3>
+              <div style={{...styles.tableContainer, overflowX: 'auto', marginBottom: 24}}>
+                <table style={styles.table}>
+                  <thead>
+                    <tr>
+                      <th style={{...styles.th, textAlign: 'left', cursor: 'default'}}>Event</th>
+                      <th style={{...styles.th, cursor: 'default'}}>Type</th>
+                      <th style={{...styles.th, cursor: 'default'}}>Environment</th>
+                      <th style={{...styles.th, cursor: 'default'}}>Inst</th>
+                      {statHeaders.map(h => <th key={h} style={{...styles.th, cursor: 'default'}}>{h}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visibleSplits.map((s, i) => (
+                      <tr key={s.tournament.id} style={{...styles.tr, ...(i % 2 === 1 ? styles.trAlt : {}), ...(s.sample < minSample ? { opacity: 0.6 } : {})}}>
+                        <td style={styles.tdName}>{s.tournament.name}</td>
+                        <td style={{...styles.td, fontFamily: 'inherit', textTransform: 'capitalize'}}>{(s.tournament.category || 'tournaments').replace(/s$/, '')}</td>
+                        <td style={{...styles.td, fontFamily: 'inherit', color: envColor(s.env?.label)}} title={s.env ? `Env score ${s.env.envScore.toFixed(1)}` : 'Not enough qualified players to rate this event'}>
+                          {s.env ? `${s.env.label} (${s.env.envScore > 0 ? '+' : ''}${s.env.envScore.toFixed(1)})` : '—'}
+                        </td>
+                        <td style={styles.td}>{s.row._instanceCount}</td>
+                        {renderStatCells(s.row, s.sample)}
+                      </tr>
+                    ))}
+                    {visibleSplits.length > 1 && overall && (
+                      <tr style={{...styles.tr, borderTop: `2px solid ${theme.teamPrimary}`}}>
+                        <td style={{...styles.tdName, fontWeight: 700}}>All Events</td>
+                        <td style={styles.td}>—</td>
+                        <td style={styles.td}>—</td>
+                        <td style={styles.td}>{overall._instanceCount}</td>
+                        {renderStatCells(overall, overallSample)}
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+              <p style={{ color: theme.textDim, fontSize: 11, margin: '-16px 0 24px' }}>
+                Faded rows are under {formatSample(minSample)}. "neu" columns scale each event to a neutral run environment ({envBaselines._derived ? `median of ${envBaselines._events} rated events` : 'built-in defaults until 3 events are rated'}).
+              </p>
+
+              <h3 style={sectionTitle}>Format-Friendliness Comparison</h3>
+              <p style={{ color: theme.textSecondary, fontSize: 13, margin: '0 0 10px', fontWeight: 600 }}>{verdict}</p>
+              <div style={{...styles.tableContainer, overflowX: 'auto'}}>
+                <table style={styles.table}>
+                  <thead>
+                    <tr>
+                      <th style={{...styles.th, textAlign: 'left', cursor: 'default'}}>Environment</th>
+                      <th style={{...styles.th, cursor: 'default'}}>Events</th>
+                      <th style={{...styles.th, cursor: 'default'}}>Sample</th>
+                      <th style={{...styles.th, cursor: 'default'}}>{keyStat.label}</th>
+                      <th style={{...styles.th, cursor: 'default'}} title="Adjusted to a neutral run environment">{keyStat.label} neu</th>
+                      <th style={{...styles.th, cursor: 'default'}}>{isPitcher ? 'ERA' : 'wOBA'}</th>
+                      <th style={{...styles.th, cursor: 'default'}}>{isPitcher ? 'WAR/200' : 'WAR/600'}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {envBuckets.map((b, i) => (
+                      <tr key={b.label} style={{...styles.tr, ...(i % 2 === 1 ? styles.trAlt : {})}}>
+                        <td style={{...styles.tdName, color: envColor(b.label)}}>{b.label}</td>
+                        <td style={styles.td}>{b.events}</td>
+                        <td style={styles.td}>{formatSample(b.sample)}</td>
+                        <td style={{...styles.td, color: keyColor(keyStat.get(b.row)), fontWeight: 700}}>{keyStat.get(b.row)}</td>
+                        <td style={styles.td}>{keyStat.getNeutral(b.row) ?? '—'}</td>
+                        <td style={styles.td}>{isPitcher ? b.row.era : b.row.woba}</td>
+                        <td style={styles.td}>{warRate(b.row, b.sample).toFixed(1)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
 // ============ DatabasePage Component ============
 
+const formatOvrDelta = (before, after) => {
+  const delta = (after ?? 0) - (before ?? 0);
+  return delta > 0 ? `+${delta}` : `${delta}`;
+};
+const formatRatingChanges = (changes) => Object.entries(changes || {}).map(([col, [a, b]]) => `${ratingLabel(col)} ${a ?? '—'}→${b ?? '—'}`).join(', ');
+
+// A card's OVR and rating changes across card database versions (cardVersions.js)
+function CardTimeline({ card, theme }) {
+  const [timeline, setTimeline] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadCardTimeline(supabase, card)
+      .then(rows => { if (!cancelled) setTimeline(rows); })
+      .catch(e => { console.error('Card timeline load error:', e); if (!cancelled) setTimeline([]); });
+    return () => { cancelled = true; };
+  }, [cardKey(card)]);
+
+  if (!timeline) return <div style={{ padding: '8px 16px', fontSize: 12, color: theme.textMuted }}>Loading rating history...</div>;
+  if (!timeline.length) return <div style={{ padding: '8px 16px', fontSize: 12, color: theme.textMuted }}>No rating changes recorded for this card.</div>;
+
+  const points = [
+    ...(timeline[0].ovr_before !== null ? [{ label: 'Before', ovr: timeline[0].ovr_before }] : []),
+    ...timeline.map(t => ({ label: new Date(t.created_at).toLocaleDateString(), ovr: t.ovr_after })),
+  ];
+  return (
+    <div style={{ padding: '8px 16px', borderTop: `1px solid ${theme.border}` }}>
+      <div style={{ fontSize: 12, fontWeight: 700, color: theme.textSecondary, textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: 6 }}>Rating history</div>
+      {points.length > 1 && (
+        <ResponsiveContainer width="100%" height={140}>
+          <LineChart data={points} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke={theme.border} />
+            <XAxis dataKey="label" tick={{ fill: theme.textMuted, fontSize: 10 }} axisLine={{ stroke: theme.border }} />
+            <YAxis domain={['auto', 'auto']} allowDecimals={false} tick={{ fill: theme.textMuted, fontSize: 11 }} axisLine={{ stroke: theme.border }} width={32} />
+            <Tooltip contentStyle={{ background: theme.cardBg, border: `1px solid ${theme.border}`, borderRadius: 6, color: theme.textPrimary }} />
+            <Line type="stepAfter" dataKey="ovr" name="OVR" stroke={theme.accent} strokeWidth={2} dot={{ r: 3 }} connectNulls={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+      {[...timeline].reverse().map(t => (
+        <div key={t.id} style={{ fontSize: 12, color: theme.textSecondary, padding: '3px 0' }}>
+          <span style={{ color: theme.textMuted }}>{new Date(t.created_at).toLocaleDateString()}</span>{' '}
+          {t.kind === 'added' ? <span style={{ color: theme.success }}>Added at {t.ovr_after} OVR</span>
+            : t.kind === 'removed' ? <span style={{ color: theme.error }}>Removed</span>
+            : <>
+                OVR {t.ovr_before}→{t.ovr_after}
+                {t.ovr_after !== t.ovr_before && <span style={{ color: t.ovr_after > t.ovr_before ? theme.success : theme.error, fontWeight: 700 }}> ({formatOvrDelta(t.ovr_before, t.ovr_after)})</span>}
+                {t.changes && Object.keys(t.changes).length > 0 && <span style={{ color: theme.textMuted }}> · {formatRatingChanges(t.changes)}</span>}
+              </>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// "What changed in this update": the added, removed and re-rated cards of one card database version
+function CardUpdatesPanel({ theme, onSelectCard }) {
+  const [versions, setVersions] = useState(null);
+  const [versionId, setVersionId] = useState(null);
+  const [changes, setChanges] = useState(null);
+  const [kind, setKind] = useState('changed');
+
+  useEffect(() => {
+    supabase.from('pt_card_versions').select('*').order('id', { ascending: false }).limit(50).then(({ data, error }) => {
+      if (error) console.error('Card versions load error:', error);
+      setVersions(data || []);
+      if (data?.length) setVersionId(data[0].id);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!versionId) return;
+    setChanges(null);
+    loadAllRows(() => supabase.from('pt_card_changes').select('*').eq('version_id', versionId).order('id'))
+      .then(setChanges)
+      .catch(e => { console.error('Card changes load error:', e); setChanges([]); });
+  }, [versionId]);
+
+  const muted = { fontSize: 13, color: theme.textMuted, padding: 24, textAlign: 'center' };
+  if (!versions) return <div style={muted}>Loading updates...</div>;
+  if (!versions.length) return <div style={muted}>No card database updates recorded yet. The next card list upload will be the first.</div>;
+
+  const version = versions.find(v => v.id === versionId);
+  const shown = (changes || []).filter(c => c.kind === kind).sort((a, b) => kind === 'changed'
+    ? Math.abs(b.ovr_after - b.ovr_before) - Math.abs(a.ovr_after - a.ovr_before) || a.card_title.localeCompare(b.card_title)
+    : a.card_title.localeCompare(b.card_title));
+  const kinds = [['changed', 'Re-rated'], ['added', 'New'], ['removed', 'Removed']];
+  const cell = { padding: '6px 8px', fontSize: 13, borderBottom: `1px solid ${theme.border}`, color: theme.textPrimary };
+
+  return (
+    <div style={{ background: theme.cardBg, border: `1px solid ${theme.border}`, borderRadius: 6, padding: 16 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap', marginBottom: 12 }}>
+        <select value={versionId || ''} onChange={(e) => setVersionId(Number(e.target.value))} style={{ padding: '8px 12px', background: theme.inputBg, color: theme.textPrimary, border: `1px solid ${theme.border}`, borderRadius: 4, fontSize: 14 }}>
+          {versions.map(v => <option key={v.id} value={v.id}>{new Date(v.created_at).toLocaleDateString()} · {v.file_name || 'Card list'}</option>)}
+        </select>
+        {version && <span style={{ fontSize: 13, color: theme.textMuted }}>{version.card_count} cards{version.uploaded_by ? ` · by ${version.uploaded_by}` : ''}</span>}
+        <div style={{ display: 'flex', gap: 6, marginLeft: 'auto' }}>
+          {kinds.map(([k, label]) => (
+            <button key={k} onClick={() => setKind(k)} style={{ padding: '6px 12px', borderRadius: 4, fontSize: 13, fontWeight: 600, cursor: 'pointer', border: `1px solid ${kind === k ? theme.accent : theme.border}`, background: kind === k ? theme.accent : 'transparent', color: kind === k ? '#fff' : theme.textSecondary }}>
+              {label} ({version?.[k] ?? 0})
+            </button>
+          ))}
+        </div>
+      </div>
+      {!changes ? <div style={muted}>Loading changes...</div> : shown.length === 0 ? <div style={muted}>None in this update.</div> : (
+        <div style={{ overflow: 'auto', maxHeight: 'calc(100vh - 280px)' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <tbody>
+              {shown.map(c => (
+                <tr key={c.id}>
+                  <td style={{ ...cell, fontWeight: 600, cursor: 'pointer', color: theme.accent }} onClick={() => onSelectCard(c.card_title)}>{c.card_title}</td>
+                  <td style={{ ...cell, whiteSpace: 'nowrap' }}>
+                    {c.kind === 'added' ? `${c.ovr_after} OVR` : c.kind === 'removed' ? `${c.ovr_before} OVR` : <>
+                      {c.ovr_before}→{c.ovr_after}
+                      {c.ovr_after !== c.ovr_before && <span style={{ color: c.ovr_after > c.ovr_before ? theme.success : theme.error, fontWeight: 700 }}> {formatOvrDelta(c.ovr_before, c.ovr_after)}</span>}
+                    </>}
+                  </td>
+                  <td style={{ ...cell, color: theme.textMuted, fontSize: 12 }}>{formatRatingChanges(c.changes)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
 function DatabasePage() {
   const { theme } = useTheme();
   const styles = getStyles(theme);
@@ -9854,6 +10955,9 @@ function DatabasePage() {
   const [selectedCard, setSelectedCard] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const [minStat, setMinStat] = useState({ key: '', value: '' });
+  const [compareCards, setCompareCards] = useState([]);
+  const [showCompare, setShowCompare] = useState(false);
+  const [showUpdates, setShowUpdates] = useState(false);
   const PAGE_SIZE = 100;
 
   useEffect(() => {
@@ -9936,6 +11040,15 @@ function DatabasePage() {
     else { setSortBy(col); setSortDir('asc'); }
   };
 
+  // Cards can only be compared against cards of the same type (hitters vs pitchers)
+  const compareIsPitching = compareCards.length > 0 && isPitcherCard(compareCards[0]);
+  const canCompareWith = (card) => compareCards.length === 0 || isPitcherCard(card) === compareIsPitching;
+  const toggleCompareCard = (card) => {
+    setCompareCards(sel => sel.some(c => c.id === card.id)
+      ? sel.filter(c => c.id !== card.id)
+      : sel.length >= 4 || !canCompareWith(card) ? sel : [...sel, card]);
+  };
+
   const resetFilters = () => { setSearch(''); setPosFilter('All'); setBatsFilter('All'); setThrowsFilter('All'); setMinStat({ key: '', value: '' }); setCurrentPage(1); setSelectedCard(null); };
   const handleSearch = (val) => { setSearch(val); setCurrentPage(1); setSelectedCard(null); };
   const handlePosFilter = (val) => { setPosFilter(val); setCurrentPage(1); setSelectedCard(null); };
@@ -9949,6 +11062,18 @@ function DatabasePage() {
 
   const showPitchers = posFilter === 'SP' || posFilter === 'RP/CL';
   const showBatters = posFilter !== 'All' && !showPitchers;
+  // Export columns mirror the table head for the current position filter
+  const rating = (key, label, onlyFor) => ({ key, label, value: card => onlyFor === undefined || isPitcherCard(card) === onlyFor ? parseInt(card[key]) || 0 : null });
+  const exportColumns = [
+    { key: 'card_title', label: 'Card Title', value: card => card.card_title || `${card.first_name} ${card.last_name}` },
+    { key: 'displayPos', label: 'Pos', value: getDisplayPos },
+    ...(showPitchers
+      ? [{ key: 'throws', label: 'T', value: card => THROWS_MAP[parseInt(card.throws)] || '?' }, rating('stuff_overall', 'STF'), rating('movement_overall', 'MOV'), rating('control_overall', 'CTL'), rating('p_hr_overall', 'pHR'), rating('p_babip_overall', 'pBABIP'), rating('stamina', 'STA'), { key: 'velocity', label: 'Velo' }]
+      : showBatters
+        ? [{ key: 'bats', label: 'B', value: card => BATS_MAP[parseInt(card.bats)] || '?' }, rating('contact_overall', 'CON'), rating('gap_overall', 'GAP'), rating('power_overall', 'POW'), rating('eye_overall', 'EYE'), rating('avoid_ks_overall', 'AvK'), rating('babip_bat_overall', 'BAB'), rating('speed', 'SPD')]
+        : [{ key: 'hand', label: 'Hand', value: card => isPitcherCard(card) ? `T:${THROWS_MAP[parseInt(card.throws)] || '?'}` : `B:${BATS_MAP[parseInt(card.bats)] || '?'}` }, rating('contact_overall', 'CON', false), rating('gap_overall', 'GAP', false), rating('power_overall', 'POW', false), rating('eye_overall', 'EYE', false), rating('stuff_overall', 'STF', true), rating('movement_overall', 'MOV', true), rating('control_overall', 'CTL', true), rating('speed', 'SPD')]),
+  ];
+  const exportCards = (format) => exportTable({ name: `card database ${posFilter === 'All' ? 'all' : posFilter}`, columns: exportColumns, rows: sorted, format });
   const positions = ['All', 'C', '1B', '2B', '3B', 'SS', 'LF', 'CF', 'RF', 'DH', 'SP', 'RP/CL'];
   const statFilterOptions = showPitchers
     ? [{ k: '', l: 'None' }, { k: 'stuff_overall', l: 'Stuff' }, { k: 'movement_overall', l: 'Movement' }, { k: 'control_overall', l: 'Control' }, { k: 'p_hr_overall', l: 'pHR' }, { k: 'p_babip_overall', l: 'pBABIP' }, { k: 'stamina', l: 'Stamina' }]
@@ -10011,6 +11136,18 @@ function DatabasePage() {
         {isSelected && (
           <tr><td colSpan={showPitchers || showBatters ? 10 : 11} style={{ padding: 0, background: theme.panelBg, borderBottom: `2px solid ${theme.teamPrimary}` }}>
             <PlayerRatingCard card={card} position={{}} theme={theme} isPitcher={isPitcher} embedded={true} />
+            <CardTimeline card={card} theme={theme} />
+            <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 16, padding: '8px 16px' }}>
+              <button
+                onClick={() => toggleCompareCard(card)}
+                disabled={!compareCards.some(c => c.id === card.id) && (compareCards.length >= 4 || !canCompareWith(card))}
+                title={!canCompareWith(card) ? `Only ${compareIsPitching ? 'pitchers' : 'hitters'} can be added to this comparison` : ''}
+                style={{ padding: '4px 10px', background: 'transparent', color: theme.accent, border: `1px solid ${theme.accent}`, borderRadius: 4, cursor: 'pointer', fontSize: 12, fontWeight: 600 }}
+              >
+                {compareCards.some(c => c.id === card.id) ? '− Remove from compare' : '+ Add to compare'}
+              </button>
+              {card.card_id && <Link to={`/player/${card.card_id}`} style={{ color: theme.accent, fontSize: 13, fontWeight: 600, textDecoration: 'none' }}>View tournament profile →</Link>}
+            </div>
           </td></tr>
         )}
       </React.Fragment>
@@ -10129,53 +11266,85 @@ function DatabasePage() {
             <button onClick={() => setSortDir(d => d === 'asc' ? 'desc' : 'asc')} style={{...selectStyle, padding: '8px 10px', fontWeight: 700, fontSize: 13, minWidth: 28}}>{sortDir === 'asc' ? '▲' : '▼'}</button>
           </div>
           {hasActiveFilters && <button onClick={resetFilters} style={{...styles.resetBtn, fontSize: 13, padding: '8px 14px'}}>Reset</button>}
+          {compareCards.length > 0 && (
+            <div style={{ display: 'flex', alignItems: 'center', gap: 6, borderLeft: `1px solid ${theme.border}`, paddingLeft: 10 }}>
+              <button onClick={() => setShowCompare(true)} disabled={compareCards.length < 2} style={{...selectStyle, background: compareCards.length < 2 ? theme.inputBg : theme.accent, color: compareCards.length < 2 ? theme.textDim : '#fff', fontWeight: 600}} title={compareCards.map(c => c.card_title || `${c.first_name} ${c.last_name}`).join(', ')}>
+                Compare ({compareCards.length}/4)
+              </button>
+              <button onClick={() => setCompareCards([])} style={{...selectStyle, padding: '8px 10px'}}>Clear</button>
+            </div>
+          )}
+          <ExportMenu onExport={exportCards} disabled={sorted.length === 0} style={{...selectStyle, width: 100}} title="Download every filtered card in the current sort order" />
+          <button onClick={() => setShowUpdates(v => !v)} style={{...selectStyle, ...(showUpdates ? { background: theme.accent, color: '#fff' } : {}), fontWeight: 600}} title="New, removed and re-rated cards in each card list update">
+            What changed
+          </button>
           <div style={{...styles.resultsCount, fontSize: 14, fontWeight: 600}}>{sorted.length} cards</div>
         </div>
 
-        {/* Two-column table layout */}
-        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
-          {/* Left table */}
-          <div style={styles.tableContainer}>
-            <div style={{ overflow: 'auto', maxHeight: 'calc(100vh - 200px)' }}>
-              <table style={styles.table}>
-                {renderTableHead()}
-                <tbody>
-                  {leftData.length === 0 ? (
-                    <tr><td colSpan={colCount} style={styles.emptyTable}>No cards found</td></tr>
-                  ) : leftData.map((card, i) => renderRow(card, i, i))}
-                </tbody>
-              </table>
-            </div>
-          </div>
+        {showUpdates ? (
+          <CardUpdatesPanel theme={theme} onSelectCard={(title) => { handleSearch(title); setShowUpdates(false); }} />
+        ) : (
+          <>
+            {/* Two-column table layout */}
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
+              {/* Left table */}
+              <div style={styles.tableContainer}>
+                <div style={{ overflow: 'auto', maxHeight: 'calc(100vh - 200px)' }}>
+                  <table style={styles.table}>
+                    {renderTableHead()}
+                    <tbody>
+                      {leftData.length === 0 ? (
+                        <tr><td colSpan={colCount} style={styles.emptyTable}>No cards found</td></tr>
+                      ) : leftData.map((card, i) => renderRow(card, i, i))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
 
-          {/* Right table */}
-          <div style={styles.tableContainer}>
-            <div style={{ overflow: 'auto', maxHeight: 'calc(100vh - 200px)' }}>
-              <table style={styles.table}>
-                {renderTableHead()}
-                <tbody>
-                  {rightData.length === 0 ? (
-                    <tr><td colSpan={colCount} style={{...styles.emptyTable, padding: 24, fontSize: 12}}>&nbsp;</td></tr>
-                  ) : rightData.map((card, i) => renderRow(card, i, halfPoint + i))}
-                </tbody>
-              </table>
+              {/* Right table */}
+              <div style={styles.tableContainer}>
+                <div style={{ overflow: 'auto', maxHeight: 'calc(100vh - 200px)' }}>
+                  <table style={styles.table}>
+                    {renderTableHead()}
+                    <tbody>
+                      {rightData.length === 0 ? (
+                        <tr><td colSpan={colCount} style={{...styles.emptyTable, padding: 24, fontSize: 12}}>&nbsp;</td></tr>
+                      ) : rightData.map((card, i) => renderRow(card, i, halfPoint + i))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
             </div>
-          </div>
-        </div>
 
-        {/* Pagination */}
-        {totalPages > 1 && (
-          <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 8, marginTop: 12 }}>
-            <button onClick={() => { setCurrentPage(1); setSelectedCard(null); }} disabled={currentPage === 1} style={paginationBtnStyle(currentPage === 1)}>First</button>
-            <button onClick={() => { setCurrentPage(p => Math.max(1, p - 1)); setSelectedCard(null); }} disabled={currentPage === 1} style={paginationBtnStyle(currentPage === 1)}>Prev</button>
-            <span style={{ color: theme.textSecondary, fontSize: 14, fontFamily: 'ui-monospace, monospace', fontWeight: 500 }}>
-              Page {currentPage} / {totalPages}
-            </span>
-            <button onClick={() => { setCurrentPage(p => Math.min(totalPages, p + 1)); setSelectedCard(null); }} disabled={currentPage === totalPages} style={paginationBtnStyle(currentPage === totalPages)}>Next</button>
-            <button onClick={() => { setCurrentPage(totalPages); setSelectedCard(null); }} disabled={currentPage === totalPages} style={paginationBtnStyle(currentPage === totalPages)}>Last</button>
-          </div>
+            {/* Pagination */}
+            {totalPages > 1 && (
+              <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 8, marginTop: 12 }}>
+                <button onClick={() => { setCurrentPage(1); setSelectedCard(null); }} disabled={currentPage === 1} style={paginationBtnStyle(currentPage === 1)}>First</button>
+                <button onClick={() => { setCurrentPage(p => Math.max(1, p - 1)); setSelectedCard(null); }} disabled={currentPage === 1} style={paginationBtnStyle(currentPage === 1)}>Prev</button>
+                <span style={{ color: theme.textSecondary, fontSize: 14, fontFamily: 'ui-monospace, monospace', fontWeight: 500 }}>
+                  Page {currentPage} / {totalPages}
+                </span>
+                <button onClick={() => { setCurrentPage(p => Math.min(totalPages, p + 1)); setSelectedCard(null); }} disabled={currentPage === totalPages} style={paginationBtnStyle(currentPage === totalPages)}>Next</button>
+                <button onClick={() => { setCurrentPage(totalPages); setSelectedCard(null); }} disabled={currentPage === totalPages} style={paginationBtnStyle(currentPage === totalPages)}>Last</button>
+              </div>
+            )}
+          </>
         )}
       </div>
+      {showCompare && compareCards.length >= 2 && (
+        <PlayerCompareModal
+          entries={compareCards.map(c => ({
+            key: c.id,
+            label: c.card_title || `${c.first_name} ${c.last_name}`,
+            context: 'All tournaments & drafts',
+            card: c,
+            matchOvr: cardData.filter(o => o.first_name === c.first_name && o.last_name === c.last_name).length > 1,
+          }))}
+          playerType={compareIsPitching ? 'pitching' : 'batting'}
+          theme={theme}
+          onClose={() => setShowCompare(false)}
+        />
+      )}
     </Layout>
   );
 }
@@ -11000,21 +12169,75 @@ function PTLiveScoringKey({ theme }) {
   );
 }
 
-// ==================== LIVE SPEC PAGE ====================
+// ==================== LIVE SPEC PAGE ====================
+
+// ── uZIPS projections ─────────────────────────────────────────────────────────
+// Dated projection snapshots (uzips_snapshots, see projections.js). Live Spec compares against the newest unless
+// another date is picked; until one has been stored, the snapshot in uzipsSnapshot.js stands in, loaded on demand.
+let uzipsVersionsRequest = null;
+const uzipsRequests = new Map();
+
+// Reverse-index a snapshot's projections by MLBAM ID (primary) and normalized name (fallback)
+function indexUzips({ bat, pit }) {
+  const byMlbam = map => Object.fromEntries(Object.values(map).filter(p => p.xMLBAMID).map(p => [String(p.xMLBAMID), p]));
+  const byName = map => Object.fromEntries(Object.values(map).map(p => [normalizeName(p.Name || p.name || p.PlayerName || ''), p]).filter(([k]) => k));
+  return { bat, pit, batByMlbam: byMlbam(bat), pitByMlbam: byMlbam(pit), batByName: byName(bat), pitByName: byName(pit) };
+}
+
+// Stored snapshots, newest date first ([] when none are stored or they can't be listed)
+function loadUzipsVersions() {
+  if (!uzipsVersionsRequest) {
+    uzipsVersionsRequest = listProjectionSnapshots(supabase).catch(e => {
+      console.warn('uZIPS snapshot list failed, using the bundled snapshot:', e.message);
+      uzipsVersionsRequest = null;
+      return [];
+    });
+  }
+  return uzipsVersionsRequest;
+}
+
+// The newest snapshot dated on or before `date` (the one Live Spec compared against then), or the oldest stored
+const uzipsVersionOn = (versions, date) => versions.find(v => v.snapshot_date <= date) || versions[versions.length - 1] || null;
+
+/**
+ * One snapshot, indexed: { id, date, source, bat, pit, batByMlbam, pitByMlbam, batByName, pitByName }.
+ * id null means the newest; an id that is no longer stored falls back to the newest too.
+ */
+function loadUzips(id = null) {
+  const key = id ?? 'newest';
+  if (!uzipsRequests.has(key)) {
+    const request = (async () => {
+      const versions = await loadUzipsVersions();
+      const version = versions.find(v => v.id === id) || versions[0];
+      if (!version) {
+        const bundled = await import('./uzipsSnapshot.js');
+        return { id: null, date: bundled.UZIPS_SNAPSHOT_DATE, source: 'bundled', ...indexUzips({ bat: bundled.UZIPS_BAT, pit: bundled.UZIPS_PIT }) };
+      }
+      const snapshot = await loadProjectionSnapshot(supabase, version.id);
+      return { id: snapshot.id, date: snapshot.snapshot_date, source: snapshot.source, ...indexUzips(snapshot) };
+    })();
+    request.catch(() => uzipsRequests.delete(key));
+    uzipsRequests.set(key, request);
+  }
+  return uzipsRequests.get(key);
+}
 
-// Reverse-index uZIPS by MLBAM ID (primary) and normalized name (fallback)
-const UZIPS_BAT_BY_MLBAM = Object.fromEntries(
-  Object.values(UZIPS_BAT).filter(p => p.xMLBAMID).map(p => [String(p.xMLBAMID), p])
-);
-const UZIPS_PIT_BY_MLBAM = Object.fromEntries(
-  Object.values(UZIPS_PIT).filter(p => p.xMLBAMID).map(p => [String(p.xMLBAMID), p])
-);
-const UZIPS_BAT_BY_NAME = Object.fromEntries(
-  Object.values(UZIPS_BAT).map(p => [normalizeName(p.Name || p.name || p.PlayerName || ''), p]).filter(([k]) => k)
-);
-const UZIPS_PIT_BY_NAME = Object.fromEntries(
-  Object.values(UZIPS_PIT).map(p => [normalizeName(p.Name || p.name || p.PlayerName || ''), p]).filter(([k]) => k)
-);
+// After a snapshot is saved in this tab, the next lookup lists them again
+const forgetUzips = () => { uzipsVersionsRequest = null; uzipsRequests.clear(); };
+
+// The indexed snapshot `id` (null = newest) once loaded, null until then
+function useUzips(id = null) {
+  const [uzips, setUzips] = useState(null);
+  useEffect(() => {
+    let cancelled = false;
+    setUzips(null);
+    loadUzips(id)
+      .then(u => { if (!cancelled) setUzips(u); })
+      .catch(e => { console.error('uZIPS load failed:', e); if (!cancelled) setUzips({ id: null, date: null, source: null, ...indexUzips({ bat: {}, pit: {} }) }); });
+    return () => { cancelled = true; };
+  }, [id]);
+  return uzips;
+}
 
 const LIVESPEC_HITTER_STATS = [
   { key: 'wOBA',  label: 'wOBA',  higherBetter: true,  fmt: v => v.toFixed(3), excludeFromComposite: true },
@@ -11025,6 +12248,10 @@ const LIVESPEC_HITTER_STATS = [
   { key: 'BABIP', label: 'BABIP', higherBetter: true,  fmt: v => v.toFixed(3) },
 ];
 
+// Default minimum playing time for a player to be listed (and predicted)
+const LIVESPEC_MIN_PA = 50;
+const LIVESPEC_MIN_IP = 10;
+
 const LIVESPEC_PITCHER_STATS = [
   { key: 'FIP',   label: 'FIP',   higherBetter: false, fmt: v => v.toFixed(2), excludeFromComposite: true },
   { key: 'K9',    label: 'K/9',   higherBetter: true,  fmt: v => v.toFixed(2) },
@@ -11033,6 +12260,25 @@ const LIVESPEC_PITCHER_STATS = [
   { key: 'BABIP', label: 'BABIP', higherBetter: false, fmt: v => v.toFixed(3) },
 ];
 
+// Regression feature key -> label, for the model descriptions
+const LIVESPEC_FEATURE_LABELS = {
+  wRCp_vs: 'wRC+', OPS_vs: 'OPS', ISO_vs: 'ISO', BABIP_vs: 'BABIP', Kpct_vs: 'K%', BBpct_vs: 'BB%', old_ovr: 'current OVR',
+  K9_vs: 'K/9', HR9_vs: 'HR/9', BB9_vs: 'BB/9',
+};
+
+// "wRC+, OPS, ISO vs uZIPS + current OVR (R=0.67)"
+const describeLiveSpecModel = (model) => {
+  const vs = model.features.filter(f => f.key !== 'old_ovr').map(f => LIVESPEC_FEATURE_LABELS[f.key] || f.key).join(', ');
+  return `${vs} vs uZIPS${model.features.some(f => f.key === 'old_ovr') ? ' + current OVR' : ''} (R=${model.r?.toFixed(2) ?? '?'})`;
+};
+
+// Feature importance |coeff × std| relative to the weakest, strongest first: "HR/9 (2.2x) > BB/9 (1.5x) > …"
+const describeFeatureWeights = (model) => {
+  const weights = model.features.filter(f => f.key !== 'old_ovr').map(f => ({ label: LIVESPEC_FEATURE_LABELS[f.key] || f.key, w: Math.abs(f.coeff * f.std) }));
+  const min = Math.min(...weights.map(x => x.w)) || 1;
+  return weights.sort((a, b) => b.w - a.w).map(x => `${x.label} (${+(x.w / min).toFixed(1)}x)`).join(' > ');
+};
+
 // Strip HTML tags returned by FanGraphs (Name and Team fields are anchor elements)
 const fgStripHtml = s => typeof s === 'string' ? s.replace(/<[^>]*>/g, '').trim() : (s || '');
 
@@ -11065,13 +12311,149 @@ function fgGet(obj, key) {
   return null;
 }
 
-function computeLiveSpecRows(actualArr, projMap, stats, minVolKey, minVol, nameMap = {}) {
+// ── Live card lookup ──────────────────────────────────────────────────────────
+// Normalized name -> OVR and tier color for every Live card (card_type 1) in pt_cards. Built from the card list on
+// first use and cached in localStorage per card-list version (the pt_cards_upload stamp an import writes), so
+// Live Spec shows new ratings on the first page load after an upload.
+const LIVE_CARD_CACHE_KEY = 'live_card_maps_v1';
+let liveCardMapsRequest = null;
+
+// Normalized name -> card, keeping each player's highest-OVR card
+function liveCardsByName(cards) {
+  const byName = new Map();
+  for (const card of cards) {
+    const name = normalizeName(`${card.first_name || ''} ${card.last_name || ''}`);
+    if (name && (!byName.has(name) || (parseInt(card.card_value) || 0) > (parseInt(byName.get(name).card_value) || 0))) byName.set(name, card);
+  }
+  return byName;
+}
+
+function buildLiveCardMaps(cards) {
+  const ovr = {}, colors = {};
+  for (const [name, card] of liveCardsByName(cards)) {
+    const value = parseInt(card.card_value) || 0;
+    ovr[name] = value;
+    colors[name] = PACK_TIER_COLORS_SIM[getSimCardTier(value)];
+  }
+  return { ovr, colors };
+}
+
+function loadLiveCardMaps() {
+  if (!liveCardMapsRequest) {
+    liveCardMapsRequest = (async () => {
+      const { data: meta } = await supabase.from('site_content').select('content').eq('id', 'pt_cards_upload').maybeSingle();
+      const version = meta?.content ? `${meta.content.uploaded_at}|${meta.content.file_name || ''}` : 'none';
+      try {
+        const cached = JSON.parse(localStorage.getItem(LIVE_CARD_CACHE_KEY) || 'null');
+        if (cached?.version === version) return cached;
+      } catch { /* unreadable cache — rebuild */ }
+      const cards = await loadAllRows(() => supabase.from('pt_cards').select('first_name,last_name,card_value').eq('card_type', 1).order('id'));
+      const maps = { version, ...buildLiveCardMaps(cards) };
+      try { localStorage.setItem(LIVE_CARD_CACHE_KEY, JSON.stringify(maps)); } catch { /* storage full — still usable this session */ }
+      return maps;
+    })();
+    liveCardMapsRequest.catch(() => { liveCardMapsRequest = null; });
+  }
+  return liveCardMapsRequest;
+}
+
+// After the card list changes in this tab, the next lookup re-checks its version
+const forgetLiveCardMaps = () => { liveCardMapsRequest = null; };
+
+// ── Live Spec model ───────────────────────────────────────────────────────────
+// The newest model published from the Regression page (livespec_models, see regression.js); the bundled
+// regressionCoeffs.js model until one has been published.
+const BUNDLED_LIVESPEC_MODEL = { id: null, bat: BAT_REGRESSION, pit: PIT_REGRESSION, training: null };
+let liveSpecModelRequest = null;
+
+function loadLiveSpecModel() {
+  if (!liveSpecModelRequest) {
+    liveSpecModelRequest = supabase.from('livespec_models').select('*').order('id', { ascending: false }).limit(1).maybeSingle()
+      .then(({ data, error }) => {
+        if (error) console.warn('Live Spec model load failed, using the bundled model:', error.message);
+        return data || BUNDLED_LIVESPEC_MODEL;
+      });
+  }
+  return liveSpecModelRequest;
+}
+
+const forgetLiveSpecModel = () => { liveSpecModelRequest = null; };
+
+// { id, bat, pit, training } once loaded, null until then
+function useLiveSpecModel() {
+  const [model, setModel] = useState(null);
+  useEffect(() => {
+    let cancelled = false;
+    loadLiveSpecModel().then(m => { if (!cancelled) setModel(m); });
+    return () => { cancelled = true; };
+  }, []);
+  return model;
+}
+
+/**
+ * Freeze the Pred Δ of the newest stored eval window for the backtest (livespec_predictions, see backtest.js), using
+ * the live model, the page's default minimums and the current Live OVRs. Taken just before a card list goes live, so
+ * old_ovr is the OVR the predictions were made from. A snapshot a card update has already realized is left alone.
+ * Returns the number of predictions saved, or null when there was nothing to snapshot.
+ */
+async function snapshotLiveSpecPredictions(actor) {
+  const { data: win, error } = await supabase.from('livespec_windows').select('*').order('startdate', { ascending: false }).limit(1).maybeSingle();
+  if (error) throw error;
+  if (!win) return null;
+  const { data: existing } = await supabase.from('livespec_predictions').select('created_at').eq('startdate', win.startdate).maybeSingle();
+  if (existing) {
+    const { count } = await supabase.from('pt_card_versions').select('id', { count: 'exact', head: true }).gt('created_at', existing.created_at);
+    if (count) return null;
+  }
+
+  const [model, cards, uzips] = await Promise.all([
+    loadLiveSpecModel(),
+    loadAllRows(() => supabase.from('pt_cards').select('card_id,first_name,last_name,card_title,card_value').eq('card_type', 1).order('id')),
+    loadUzips(),
+  ]);
+  const byName = liveCardsByName(cards);
+  const liveOvr = Object.fromEntries([...byName].map(([name, card]) => [name, parseInt(card.card_value) || 0]));
+  const rows = [];
+  const sets = [
+    ['bat', computeLiveSpecRows(win.bat || [], uzips.batByMlbam, LIVESPEC_HITTER_STATS, 'PA', LIVESPEC_MIN_PA, uzips.batByName, liveOvr, model.bat)],
+    ['pit', computeLiveSpecRows(win.pit || [], uzips.pitByMlbam, LIVESPEC_PITCHER_STATS, 'IP', LIVESPEC_MIN_IP, uzips.pitByName, liveOvr, model.pit)],
+  ];
+  for (const [type, specRows] of sets) {
+    for (const row of specRows) {
+      if (row.predictedDelta === null) continue;
+      const name = normalizeName(row.name);
+      rows.push({ type, name: row.name, card_key: cardKey(byName.get(name)), old_ovr: liveOvr[name], predicted: +row.predictedDelta.toFixed(3) });
+    }
+  }
+  if (!rows.length) return null;
+  const { error: saveError } = await supabase.from('livespec_predictions').upsert({
+    startdate: win.startdate, enddate: win.enddate, model_id: model.id, uzips_date: uzips.date, min_pa: LIVESPEC_MIN_PA, min_ip: LIVESPEC_MIN_IP,
+    created_by: actor?.email || null, created_at: new Date().toISOString(), rows,
+  }, { onConflict: 'startdate' });
+  if (saveError) throw saveError;
+  return rows.length;
+}
+
+// { ovr, colors } once loaded, null until then
+function useLiveCardMaps() {
+  const [maps, setMaps] = useState(null);
+  useEffect(() => {
+    let cancelled = false;
+    loadLiveCardMaps()
+      .then(m => { if (!cancelled) setMaps(m); })
+      .catch(e => { console.error('Live card lookup failed:', e); if (!cancelled) setMaps({ ovr: {}, colors: {} }); });
+    return () => { cancelled = true; };
+  }, []);
+  return maps;
+}
+
+function computeLiveSpecRows(actualArr, projMap, stats, minVolKey, minVol, nameMap = {}, liveOvr = {}, reg = stats === LIVESPEC_PITCHER_STATS ? PIT_REGRESSION : BAT_REGRESSION) {
   const rows = [];
   actualArr.forEach(player => {
     const pid = player.player_id || player.playerid;
     if (!pid) return;
     const playerName = normalizeName(fgStripHtml(player.Name || player.name || ''));
-    if (!LIVE_CARD_OVR[playerName]) return;
+    if (!liveOvr[playerName]) return;
     const vol = fgGet(player, minVolKey);
     if (vol === null || vol < minVol) return;
     // Try MLBAM ID first, then name fallback — allow null (no projection available)
@@ -11102,8 +12484,7 @@ function computeLiveSpecRows(actualArr, projMap, stats, minVolKey, minVol, nameM
 
     // Regression-based OVR delta prediction (uses % vs uZIPS as features)
     const isPitcher = stats === LIVESPEC_PITCHER_STATS;
-    const reg = isPitcher ? PIT_REGRESSION : BAT_REGRESSION;
-    const oldOvr = LIVE_CARD_OVR[playerName];
+    const oldOvr = liveOvr[playerName];
     let predictedDelta = null;
     let allFeatsAvail = true;
     let regSum = reg.intercept;
@@ -11169,6 +12550,7 @@ function computeLiveSpecRows(actualArr, projMap, stats, minVolKey, minVol, nameM
       composite,
       predictedDelta,
       weightedPct,
+      features: vsFeats,
       hasProj: !!proj,
     });
   });
@@ -11180,8 +12562,8 @@ function LiveSpecPage() {
   const { theme } = useTheme();
   const isMobile = useIsMobile();
   const [tab, setTab]         = useState('hitters');
-  const [minPA, setMinPA]     = useState(50);
-  const [minIP, setMinIP]     = useState(10);
+  const [minPA, setMinPA]     = useState(LIVESPEC_MIN_PA);
+  const [minIP, setMinIP]     = useState(LIVESPEC_MIN_IP);
   const [loading, setLoading] = useState(false);
   const [error, setError]     = useState(null);
   const [rawHitters, setRawHitters]   = useState(null);
@@ -11194,6 +12576,17 @@ function LiveSpecPage() {
   const [showYtd, setShowYtd]         = useState(false);
   const [rawYtdHitters, setRawYtdHitters]   = useState(null);
   const [rawYtdPitchers, setRawYtdPitchers] = useState(null);
+  const { can } = useAuth();
+  const liveCards = useLiveCardMaps();
+  const liveOvr = liveCards?.ovr || {};
+  const liveColors = liveCards?.colors || {};
+  const liveModel = useLiveSpecModel();
+  const infoModel = liveModel || BUNDLED_LIVESPEC_MODEL;
+  const [uzipsId, setUzipsId] = useState(null); // null = newest snapshot
+  const [uzipsVersions, setUzipsVersions] = useState([]);
+  const uzips = useUzips(uzipsId);
+
+  useEffect(() => { loadUzipsVersions().then(setUzipsVersions); }, []);
 
   // 2026 season evaluation windows.
   // Each entry: [cutoff date string, window start date string].
@@ -11272,8 +12665,8 @@ function LiveSpecPage() {
       }
 
       const { bat, pit } = data.content;
-      setRawHitters({ actualArr: bat, projMap: UZIPS_BAT_BY_MLBAM, nameMap: UZIPS_BAT_BY_NAME });
-      setRawPitchers({ actualArr: pit, projMap: UZIPS_PIT_BY_MLBAM, nameMap: UZIPS_PIT_BY_NAME });
+      setRawHitters(bat);
+      setRawPitchers(pit);
 
       // ── YTD fetch (non-critical — monthly data still works if this fails) ──
       try {
@@ -11297,14 +12690,14 @@ function LiveSpecPage() {
   }
 
   const hitterRows = useMemo(() => {
-    if (!rawHitters) return [];
-    return computeLiveSpecRows(rawHitters.actualArr, rawHitters.projMap, LIVESPEC_HITTER_STATS, 'PA', minPA, rawHitters.nameMap);
-  }, [rawHitters, minPA]);
+    if (!rawHitters || !uzips) return [];
+    return computeLiveSpecRows(rawHitters, uzips.batByMlbam, LIVESPEC_HITTER_STATS, 'PA', minPA, uzips.batByName, liveOvr, liveModel?.bat);
+  }, [rawHitters, uzips, minPA, liveCards, liveModel]);
 
   const pitcherRows = useMemo(() => {
-    if (!rawPitchers) return [];
-    return computeLiveSpecRows(rawPitchers.actualArr, rawPitchers.projMap, LIVESPEC_PITCHER_STATS, 'IP', minIP, rawPitchers.nameMap);
-  }, [rawPitchers, minIP]);
+    if (!rawPitchers || !uzips) return [];
+    return computeLiveSpecRows(rawPitchers, uzips.pitByMlbam, LIVESPEC_PITCHER_STATS, 'IP', minIP, uzips.pitByName, liveOvr, liveModel?.pit);
+  }, [rawPitchers, uzips, minIP, liveCards, liveModel]);
 
   const ytdBatByPid = useMemo(() => {
     if (!rawYtdHitters) return {};
@@ -11322,7 +12715,7 @@ function LiveSpecPage() {
     else { setSortKey(key); setSortDir('desc'); }
   };
   const currentRows = allRows.filter(row => {
-    const ovr = LIVE_CARD_OVR[normalizeName(row.name)];
+    const ovr = liveOvr[normalizeName(row.name)];
     if (minOvr > 0 && (ovr == null || ovr < minOvr)) return false;
     if (tierFilter !== 'All' && ovrToTier(ovr) !== tierFilter) return false;
     return true;
@@ -11339,9 +12732,32 @@ function LiveSpecPage() {
   const volLabel     = tab === 'hitters' ? 'PA' : 'IP';
   const minVal       = tab === 'hitters' ? minPA : minIP;
   const setMinVal    = tab === 'hitters' ? setMinPA : setMinIP;
-  const loaded       = rawHitters !== null || rawPitchers !== null;
+  const loaded       = (rawHitters !== null || rawPitchers !== null) && liveCards !== null && liveModel !== null && uzips !== null;
   const n            = currentStats.length;
 
+  // Same columns as the table: each stat's % vs uZIPS, actual, then the uZIPS (or YTD) reference value
+  const referenceValue = (row, s) => {
+    if (!showYtd) return row.stats[s.key]?.proj;
+    const ytdPlayer = (tab === 'hitters' ? ytdBatByPid : ytdPitByPid)[row.playerid];
+    return ytdPlayer ? (s.derive ? s.derive(ytdPlayer) : fgGet(ytdPlayer, s.key)) : null;
+  };
+  const exportRows = (format) => exportTable({
+    name: `live spec ${tab}`,
+    rows: currentRows,
+    format,
+    columns: [
+      { key: 'ovr', label: 'OVR', value: row => liveOvr[normalizeName(row.name)] },
+      { key: 'name', label: 'Name' },
+      { key: 'team', label: 'TM' },
+      { key: 'vol', label: volLabel, value: row => Math.round(row.vol) },
+      { key: 'predictedDelta', label: 'Pred Δ', value: row => row.predictedDelta?.toFixed(1) },
+      { key: 'weightedPct', label: 'Weighted vs uZIPS %', value: row => (row.weightedPct ?? row.composite)?.toFixed(1) },
+      ...currentStats.map(s => ({ key: `pct_${s.key}`, label: `${s.label} vs uZIPS %`, value: row => row.stats[s.key]?.pct?.toFixed(1) })),
+      ...currentStats.map(s => ({ key: `actual_${s.key}`, label: `${s.label} actual`, value: row => row.stats[s.key]?.actual != null ? s.fmt(row.stats[s.key].actual) : null })),
+      ...currentStats.map(s => ({ key: `${showYtd ? 'ytd' : 'uzips'}_${s.key}`, label: `${s.label} ${showYtd ? '2026 YTD' : 'uZIPS'}`, value: row => { const v = referenceValue(row, s); return v != null ? s.fmt(v) : null; } })),
+    ],
+  });
+
   const pctColor = pct => {
     if (pct === null) return '#fff';
     if (pct >= 15) return '#22c55e';
@@ -11372,17 +12788,18 @@ function LiveSpecPage() {
           <div>
             <div style={{ fontSize: 18, fontWeight: 700, fontFamily: "'Oswald','Inter',sans-serif", textTransform: 'uppercase', letterSpacing: '0.04em', color: theme.accent, marginBottom: 6 }}>Live Spec</div>
             <button onClick={() => setShowInfo(!showInfo)} style={{ fontSize: 13, color: theme.accent, background: 'none', border: `1px solid ${theme.accent}`, borderRadius: 4, padding: '6px 10px', cursor: 'pointer', fontWeight: 600 }}>How Accurate Is This?</button>
+            {can('admin') && <Link to="/regression" style={{ display: 'inline-block', marginLeft: 8, fontSize: 13, color: theme.accent, fontWeight: 600, textDecoration: 'none' }}>Retrain →</Link>}
             {showInfo && (
               <div style={{ marginTop: 10, fontSize: 12, color: '#d1d5db', lineHeight: 1.6, background: theme.inputBg, border: `1px solid ${theme.border}`, borderRadius: 6, padding: 12 }}>
-                <strong style={{ color: '#fff' }}>Pred Δ</strong> predicts the expected OVR change at the next Live roster update, based on a regression model trained on the April + May 2026 eval windows (~1100 players).
+                <strong style={{ color: '#fff' }}>Pred Δ</strong> predicts the expected OVR change at the next Live roster update, based on a regression model trained on {infoModel.training?.summary || 'the April + May 2026 eval windows'} ({infoModel.bat.n + infoModel.pit.n} players).
                 <br /><br />
                 The model measures how much each player over/underperforms their uZIPS projection, then weights those differences by how predictive each stat is of actual OVR changes.
                 <br /><br />
-                <strong style={{ color: '#fff' }}>Hitters:</strong> wRC+, OPS, ISO, BABIP, K%, BB% vs uZIPS + current OVR (R=0.67)
-                <br /><strong style={{ color: '#fff' }}>Pitchers:</strong> K/9, HR/9, BB/9, BABIP vs uZIPS (R=0.77)
+                <strong style={{ color: '#fff' }}>Hitters:</strong> {describeLiveSpecModel(infoModel.bat)}
+                <br /><strong style={{ color: '#fff' }}>Pitchers:</strong> {describeLiveSpecModel(infoModel.pit)}
                 <br /><br />
-                <strong style={{ color: '#fff' }}>Pitcher weights:</strong> HR/9 (2.2x) &gt; BB/9 (1.5x) &gt; BABIP (1.1x) &gt; K/9 (1x)
-                <br />Suppressing HRs and walks matters far more than racking up strikeouts for OVR upgrades.
+                <strong style={{ color: '#fff' }}>Pitcher weights:</strong> {describeFeatureWeights(infoModel.pit)}
+                {!infoModel.id && <><br />Suppressing HRs and walks matters far more than racking up strikeouts for OVR upgrades.</>}
                 <br /><br />
                 The % in parentheses shows regression-weighted over/underperformance vs uZIPS.
                 <br /><br />
@@ -11392,7 +12809,9 @@ function LiveSpecPage() {
                 <br />• -1 to +1: likely stable
                 <br />• ≤ -1: downgrade risk
                 <br /><br />
-                <span style={{ color: '#9ca3af' }}>Model will be retrained after each monthly update · uZIPS snapped {UZIPS_SNAPSHOT_DATE}</span>
+                <Link to="/live-spec/backtest" style={{ color: theme.accent, fontWeight: 600 }}>See how past predictions did →</Link>
+                <br /><br />
+                <span style={{ color: '#9ca3af' }}>Model will be retrained after each monthly update · uZIPS snapped {uzips?.date ?? '…'}</span>
               </div>
             )}
           </div>
@@ -11421,6 +12840,20 @@ function LiveSpecPage() {
             </div>
           </div>
 
+          {/* Projection snapshot */}
+          {uzipsVersions.length > 1 && (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+              <div style={{ fontSize: 11, fontWeight: 700, textTransform: 'uppercase', letterSpacing: '0.08em', color: theme.textMuted }}>uZIPS As Of</div>
+              <select
+                value={uzipsId ?? ''}
+                onChange={e => setUzipsId(e.target.value ? Number(e.target.value) : null)}
+                style={{ padding: '8px 10px', background: theme.inputBg, border: `1px solid ${theme.border}`, borderRadius: 4, color: '#fff', fontSize: 14, boxSizing: 'border-box' }}
+              >
+                {uzipsVersions.map((v, i) => <option key={v.id} value={i === 0 ? '' : v.id}>{v.snapshot_date}{i === 0 ? ' (latest)' : ''}</option>)}
+              </select>
+            </div>
+          )}
+
           {/* Min filter */}
           <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
             <div style={{ fontSize: 11, fontWeight: 700, textTransform: 'uppercase', letterSpacing: '0.08em', color: theme.textMuted }}>Min {volLabel}</div>
@@ -11486,7 +12919,10 @@ function LiveSpecPage() {
           </div>
 
           {loaded && !loading && (
-            <div style={{ fontSize: 14, color: '#fff', marginTop: 'auto' }}>{currentRows.length} players</div>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 8, marginTop: 'auto' }}>
+              <ExportMenu onExport={exportRows} disabled={currentRows.length === 0} style={{ padding: '8px 10px', background: theme.inputBg, border: `1px solid ${theme.border}`, borderRadius: 4, color: '#fff', fontSize: 14, cursor: 'pointer' }} title="Download the filtered players in the current sort order" />
+              <div style={{ fontSize: 14, color: '#fff' }}>{currentRows.length} players</div>
+            </div>
           )}
         </div>
 
@@ -11495,6 +12931,9 @@ function LiveSpecPage() {
           {loading && (
             <div style={{ textAlign: 'center', padding: 60, color: '#fff', fontSize: 16 }}>Loading data from FanGraphs…</div>
           )}
+          {!loading && (!liveCards || !liveModel) && (
+            <div style={{ textAlign: 'center', padding: 60, color: '#fff', fontSize: 16 }}>Loading Live card ratings…</div>
+          )}
           {error && (
             <div style={{ padding: '14px 18px', background: '#1f1010', border: '1px solid #ef4444', borderRadius: 6, color: '#ef4444', fontSize: 14 }}>{error}</div>
           )}
@@ -11541,10 +12980,10 @@ function LiveSpecPage() {
                 {currentRows.map((row, i) => (
                   <tr key={row.playerid} style={{ borderBottom: `1px solid ${theme.tableBorder}`, background: i % 2 === 0 ? theme.tableRowBg : theme.panelBg }}>
                     <td style={{ padding: '9px 8px', textAlign: 'center', color: '#fff', fontSize: 14 }}>{i + 1}</td>
-                    <td style={{ padding: '9px 8px', textAlign: 'center', fontSize: 13, fontWeight: 700, color: LIVE_CARD_COLORS[normalizeName(row.name)] || '#fff' }}>
-                      {LIVE_CARD_OVR[normalizeName(row.name)] ?? '—'}
+                    <td style={{ padding: '9px 8px', textAlign: 'center', fontSize: 13, fontWeight: 700, color: liveColors[normalizeName(row.name)] || '#fff' }}>
+                      {liveOvr[normalizeName(row.name)] ?? '—'}
                     </td>
-                    <td style={{ padding: '9px 12px', fontWeight: 700, fontSize: 14, color: LIVE_CARD_COLORS[normalizeName(row.name)] || '#fff', whiteSpace: 'nowrap' }}>{row.name}</td>
+                    <td style={{ padding: '9px 12px', fontWeight: 700, fontSize: 14, color: liveColors[normalizeName(row.name)] || '#fff', whiteSpace: 'nowrap' }}>{row.name}</td>
                     <td style={{ padding: '9px 8px', textAlign: 'center', color: '#fff', fontSize: 14 }}>{row.team}</td>
                     <td style={{ padding: '9px 8px', textAlign: 'center', color: '#fff', fontSize: 14 }}>{Math.round(row.vol)}</td>
                     <td style={{ padding: '9px 8px', textAlign: 'center' }}>
@@ -11598,13 +13037,7 @@ function LiveSpecPage() {
                     })}
                     {/* uZIPS projection / YTD values */}
                     {currentStats.map((s, si) => {
-                      let displayVal = row.stats[s.key]?.proj;
-                      if (showYtd) {
-                        const ytdMap = tab === 'hitters' ? ytdBatByPid : ytdPitByPid;
-                        const ytdPlayer = ytdMap[row.playerid];
-                        if (ytdPlayer) displayVal = s.derive ? s.derive(ytdPlayer) : fgGet(ytdPlayer, s.key);
-                        else displayVal = null;
-                      }
+                      const displayVal = referenceValue(row, s);
                       return (
                         <td key={`z_${s.key}`} style={{ padding: '9px 8px', textAlign: 'center', borderLeft: si === 0 ? sectionBorder : 'none' }}>
                           <span style={{ fontSize: 14, color: '#fff' }}>
@@ -11793,7 +13226,463 @@ function calcBracketStats(position, totalPlayers) {
 
 // ==================== PT LIVE PAGE ====================
 
+// How Pred Δ did: each window's frozen predictions against the card update that followed it (backtest.js)
+function LiveSpecBacktestPage() {
+  const { theme } = useTheme();
+  const styles = getStyles(theme);
+  const { can, session } = useAuth();
+  const [snapshots, setSnapshots] = useState(null); // [{ ...livespec_predictions row, version, results }]
+  const [windowFilter, setWindowFilter] = useState('all');
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [isBusy, setIsBusy] = useState(false);
+  const [notification, setNotification] = useState(null);
+
+  const showNotif = (message, type = 'success') => {
+    setNotification({ message, type });
+    setTimeout(() => setNotification(null), 4000);
+  };
+
+  const load = async () => {
+    try {
+      const [{ data: predictions, error }, { data: versions, error: versionsError }] = await Promise.all([
+        supabase.from('livespec_predictions').select('*').order('startdate', { ascending: false }),
+        supabase.from('pt_card_versions').select('id,created_at,file_name').order('created_at'),
+      ]);
+      if (error || versionsError) throw error || versionsError;
+      const withVersions = (predictions || []).map(p => ({ ...p, version: realizingVersion(p, versions || []) }));
+      const versionIds = [...new Set(withVersions.filter(p => p.version).map(p => p.version.id))];
+      const changes = versionIds.length
+        ? await loadAllRows(() => supabase.from('pt_card_changes').select('id,version_id,card_key,kind,ovr_before,ovr_after').in('version_id', versionIds).order('id'))
+        : [];
+      setSnapshots(withVersions.map(p => ({ ...p, results: p.version ? joinOutcomes(p, changes.filter(c => c.version_id === p.version.id)) : null })));
+    } catch (e) {
+      console.error('Backtest load error:', e);
+      setSnapshots([]);
+      showNotif('Failed to load the backtest', 'error');
+    }
+  };
+
+  useEffect(() => { load(); }, []);
+
+  const snapshotNow = () => {
+    if (!confirm('Save the current Pred Δ of the newest eval window? It replaces that window\'s earlier snapshot.')) return;
+    (async () => {
+      setIsBusy(true);
+      try {
+        const count = await snapshotLiveSpecPredictions(session?.user);
+        showNotif(count ? `✓ Saved ${count} predictions` : 'Nothing to snapshot — the newest window has already been scored', count ? 'success' : 'error');
+        if (count) await load();
+      } catch (e) {
+        console.error('Snapshot error:', e);
+        showNotif(`Failed: ${e.message}`, 'error');
+      }
+      setIsBusy(false);
+    })();
+  };
+
+  const fmtDate = d => new Date(`${d}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  const windowLabel = s => `${fmtDate(s.startdate)} – ${fmtDate(s.enddate)} ${s.startdate.slice(0, 4)}`;
+  const byType = results => typeFilter === 'all' ? results : results.filter(r => r.type === typeFilter);
+  const realized = (snapshots || []).filter(s => s.results);
+  const pending = (snapshots || []).filter(s => !s.results);
+  const selected = windowFilter === 'all' ? realized : realized.filter(s => s.startdate === windowFilter);
+  const score = scoreBacktest(selected.flatMap(s => byType(s.results).map(r => ({ ...r, window: s }))));
+
+  const num = (v, digits = 2, signed = false) => v == null ? '—' : `${signed && v > 0 ? '+' : ''}${v.toFixed(digits)}`;
+  const pct = v => v == null ? '—' : `${(v * 100).toFixed(0)}%`;
+  const inputStyle = { padding: '6px 8px', background: theme.inputBg, color: theme.textPrimary, border: `1px solid ${theme.border}`, borderRadius: 4, fontSize: 13 };
+  const sectionTitle = { color: theme.textPrimary, fontSize: 16, margin: '24px 0 8px' };
+  const tile = (label, value, hint) => (
+    <div style={{ flex: 1, minWidth: 140, background: theme.cardBg, border: `1px solid ${theme.border}`, borderRadius: 6, padding: 12 }}>
+      <div style={{ fontSize: 11, fontWeight: 700, letterSpacing: '0.06em', textTransform: 'uppercase', color: theme.textMuted }}>{label}</div>
+      <div style={{ fontSize: 22, fontWeight: 700, color: theme.textPrimary, marginTop: 4 }}>{value}</div>
+      <div style={{ fontSize: 12, color: theme.textSecondary, marginTop: 2 }}>{hint}</div>
+    </div>
+  );
+
+  return (
+    <Layout notification={notification}>
+      <div style={styles.reviewPage}>
+        <div style={styles.reviewContainer}>
+          <h2 style={styles.reviewTitle}>🎯 Live Spec Backtest</h2>
+          <p style={styles.submitSubtitle}>
+            Each month's <Link to="/live-spec" style={{ color: theme.accent }}>Pred Δ</Link> is saved just before the next Live card update,
+            then compared with the OVR changes that update made. Players the update removed are left out; players it didn't touch count as 0.
+          </p>
+
+          {!snapshots ? (
+            <div style={styles.loading}><div className="loading-spinner"></div>Loading...</div>
+          ) : (
+            <>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+                <select value={windowFilter} onChange={(e) => setWindowFilter(e.target.value)} style={inputStyle}>
+                  <option value="all">All windows ({realized.length})</option>
+                  {realized.map(s => <option key={s.startdate} value={s.startdate}>{windowLabel(s)}</option>)}
+                </select>
+                <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)} style={inputStyle}>
+                  <option value="all">Hitters + pitchers</option>
+                  <option value="bat">Hitters</option>
+                  <option value="pit">Pitchers</option>
+                </select>
+                {can('admin') && <button style={styles.saveBtn} disabled={isBusy} onClick={snapshotNow}>{isBusy ? 'Working...' : 'Snapshot now'}</button>}
+              </div>
+
+              {!score ? (
+                <div style={{ fontSize: 13, color: theme.textMuted, marginTop: 16 }}>
+                  No scored predictions yet. A window is scored once the card update that follows it has been imported.
+                </div>
+              ) : (
+                <>
+                  <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', marginTop: 16 }}>
+                    {tile('Players', score.n, `${selected.length} window${selected.length !== 1 ? 's' : ''}`)}
+                    {tile('Mean abs. error', num(score.mae), 'OVR points')}
+                    {tile('Direction', pct(score.hitRate), 'up / unchanged / down called right')}
+                    {tile('Bias', num(score.bias, 2, true), score.bias > 0 ? 'predicts too high on average' : 'predicts too low on average')}
+                  </div>
+
+                  <h3 style={sectionTitle}>Calibration</h3>
+                  <table style={styles.historyTable}>
+                    <thead><tr>{['Pred Δ', 'Players', 'Avg predicted', 'Avg actual', 'MAE'].map(h => <th key={h} style={styles.historyTh}>{h}</th>)}</tr></thead>
+                    <tbody>
+                      {score.buckets.map(b => (
+                        <tr key={b.label}>
+                          <td style={styles.historyTd}>{b.label}</td>
+                          <td style={styles.historyTd}>{b.n}</td>
+                          <td style={styles.historyTd}>{num(b.predicted, 2, true)}</td>
+                          <td style={styles.historyTd}>{num(b.actual, 2, true)}</td>
+                          <td style={styles.historyTd}>{num(b.mae)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+
+                  {windowFilter === 'all' && realized.length > 1 && (
+                    <>
+                      <h3 style={sectionTitle}>By window</h3>
+                      <table style={styles.historyTable}>
+                        <thead><tr>{['Window', 'Card update', 'Model', 'uZIPS', 'Players', 'MAE', 'Direction', 'Bias'].map(h => <th key={h} style={styles.historyTh}>{h}</th>)}</tr></thead>
+                        <tbody>
+                          {realized.map(s => {
+                            const ws = scoreBacktest(byType(s.results));
+                            return (
+                              <tr key={s.startdate}>
+                                <td style={styles.historyTd}>{windowLabel(s)}</td>
+                                <td style={styles.historyTd}>{new Date(s.version.created_at).toLocaleDateString()}</td>
+                                <td style={styles.historyTd}>{s.model_id ? `#${s.model_id}` : 'Bundled'}</td>
+                                <td style={styles.historyTd}>{s.uzips_date || '—'}</td>
+                                <td style={styles.historyTd}>{ws?.n ?? 0}</td>
+                                <td style={styles.historyTd}>{num(ws?.mae)}</td>
+                                <td style={styles.historyTd}>{pct(ws?.hitRate)}</td>
+                                <td style={styles.historyTd}>{num(ws?.bias, 2, true)}</td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </>
+                  )}
+
+                  <h3 style={sectionTitle}>Biggest misses</h3>
+                  <table style={styles.historyTable}>
+                    <thead><tr>{['Player', 'Window', 'OVR before', 'Predicted', 'Actual', 'Miss'].map(h => <th key={h} style={styles.historyTh}>{h}</th>)}</tr></thead>
+                    <tbody>
+                      {score.misses.map(r => (
+                        <tr key={`${r.window.startdate}|${r.type}|${r.card_key}`}>
+                          <td style={styles.historyTd}>{r.name} <span style={{ color: theme.textMuted, fontSize: 11 }}>{r.type === 'pit' ? 'P' : 'H'}</span></td>
+                          <td style={styles.historyTd}>{windowLabel(r.window)}</td>
+                          <td style={styles.historyTd}>{r.old_ovr}</td>
+                          <td style={styles.historyTd}>{num(r.predicted, 1, true)}</td>
+                          <td style={styles.historyTd}>{num(r.actual, 0, true)}</td>
+                          <td style={{ ...styles.historyTd, fontWeight: 700 }}>{num(r.predicted - r.actual, 1, true)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              )}
+
+              {pending.length > 0 && (
+                <div style={{ fontSize: 13, color: theme.textSecondary, marginTop: 16 }}>
+                  Waiting for the next card update: {pending.map(s => `${windowLabel(s)} (${s.rows.length} predictions, saved ${new Date(s.created_at).toLocaleDateString()})`).join(', ')}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+// Admin retraining of the Live Spec models: stored eval windows (features) against the OVR change each card got
+// in the card version that followed the window (target). See regression.js.
+function RegressionPage() {
+  const { theme } = useTheme();
+  const styles = getStyles(theme);
+  const { can, requestAuth, session } = useAuth();
+  const isAdmin = can('admin');
+  const liveModel = useLiveSpecModel();
+  const [windows, setWindows] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [models, setModels] = useState([]);
+  const [choices, setChoices] = useState({}); // window startdate -> card version id ('' = left out)
+  const [minPA, setMinPA] = useState(LIVESPEC_MIN_PA);
+  const [minIP, setMinIP] = useState(LIVESPEC_MIN_IP);
+  const [result, setResult] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [notification, setNotification] = useState(null);
+
+  const showNotif = (message, type = 'success') => {
+    setNotification({ message, type });
+    setTimeout(() => setNotification(null), 4000);
+  };
+
+  const loadModels = async () => {
+    const { data } = await supabase.from('livespec_models').select('*').order('id', { ascending: false }).limit(20);
+    setModels(data || []);
+  };
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    (async () => {
+      const [{ data: w }, { data: v }] = await Promise.all([
+        supabase.from('livespec_windows').select('startdate,enddate,updated_at').order('startdate'),
+        supabase.from('pt_card_versions').select('id,created_at,file_name,changed').order('id'),
+      ]);
+      setWindows(w || []);
+      setVersions(v || []);
+      // Each window is scored against the first card update after it ends
+      setChoices(Object.fromEntries((w || []).map(win => [win.startdate, (v || []).find(ver => ver.created_at > `${win.enddate}T23:59:59`)?.id ?? ''])));
+      loadModels();
+    })();
+  }, [isAdmin]);
+
+  const train = async () => {
+    const picked = windows.filter(w => choices[w.startdate]);
+    if (!picked.length) { showNotif('Pick a card update for at least one window', 'error'); return; }
+    setIsBusy(true);
+    setResult(null);
+    try {
+      const [{ data: windowRows, error }, liveCards, changes, uzipsVersions] = await Promise.all([
+        supabase.from('livespec_windows').select('*').in('startdate', picked.map(w => w.startdate)),
+        loadAllRows(() => supabase.from('pt_cards').select('card_id,first_name,last_name,card_title,card_value').eq('card_type', 1).order('id')),
+        loadAllRows(() => supabase.from('pt_card_changes').select('id,version_id,card_key,ovr_before,ovr_after').order('id')),
+        loadUzipsVersions(),
+      ]);
+      if (error) throw error;
+
+      // Each Live card's OVR on a given date, from its rating timeline (cardVersions.js)
+      const versionDates = new Map(versions.map(v => [v.id, v.created_at]));
+      const timelines = new Map();
+      for (const c of [...changes].sort((a, b) => a.version_id - b.version_id || a.id - b.id)) {
+        if (!timelines.has(c.card_key)) timelines.set(c.card_key, []);
+        timelines.get(c.card_key).push({ ...c, created_at: versionDates.get(c.version_id) });
+      }
+      const byName = liveCardsByName(liveCards);
+      const ovrOn = (card, date) => timelines.has(cardKey(card)) ? ovrAt(timelines.get(cardKey(card)), date) : parseInt(card.card_value) || null;
+
+      const samples = { bat: [], pit: [] };
+      for (const win of windowRows) {
+        const update = versions.find(v => v.id === Number(choices[win.startdate]));
+        const oldOvr = {};
+        for (const [name, card] of byName) {
+          const ovr = ovrOn(card, `${win.enddate}T23:59:59Z`);
+          if (ovr) oldOvr[name] = ovr;
+        }
+        const uzips = await loadUzips(uzipsVersionOn(uzipsVersions, win.enddate)?.id ?? null);
+        const sets = [
+          ['bat', computeLiveSpecRows(win.bat || [], uzips.batByMlbam, LIVESPEC_HITTER_STATS, 'PA', minPA, uzips.batByName, oldOvr)],
+          ['pit', computeLiveSpecRows(win.pit || [], uzips.pitByMlbam, LIVESPEC_PITCHER_STATS, 'IP', minIP, uzips.pitByName, oldOvr)],
+        ];
+        for (const [type, rows] of sets) {
+          for (const row of rows) {
+            const name = normalizeName(row.name);
+            const newOvr = ovrOn(byName.get(name), update.created_at);
+            if (newOvr) samples[type].push({ x: row.features, y: newOvr - oldOvr[name] });
+          }
+        }
+      }
+
+      const fit = (type, model) => {
+        try { return { ...fitRegression(samples[type], model.features.map(f => f.key)), current: correlation(model, samples[type]) }; }
+        catch (e) { return { error: e.message, current: correlation(model, samples[type]) }; }
+      };
+      const model = liveModel || BUNDLED_LIVESPEC_MODEL;
+      const fmt = d => new Date(`${d}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+      setResult({
+        bat: fit('bat', model.bat),
+        pit: fit('pit', model.pit),
+        training: {
+          windows: picked.map(w => ({ startdate: w.startdate, enddate: w.enddate, versionId: Number(choices[w.startdate]) })),
+          minPA, minIP,
+          summary: `${picked.length} eval window${picked.length !== 1 ? 's' : ''} (${fmt(picked[0].startdate)} – ${fmt(picked[picked.length - 1].enddate)})`,
+        },
+      });
+    } catch (e) {
+      console.error('Retraining error:', e);
+      showNotif(`Training failed: ${e.message}`, 'error');
+    }
+    setIsBusy(false);
+  };
+
+  const publish = async (bat, pit, training, label) => {
+    if (!confirm(`Make ${label} the live Live Spec model?`)) return;
+    setIsBusy(true);
+    try {
+      const strip = ({ intercept, r, n, features }) => ({ intercept, r, n, features: features.map(({ key, coeff, mean, std }) => ({ key, coeff, mean, std })) });
+      const { data, error } = await supabase.from('livespec_models').insert({ bat: strip(bat), pit: strip(pit), training, created_by: session?.user?.email || null }).select('id').single();
+      if (error) throw error;
+      await logAudit({
+        action: 'model.publish', targetType: 'livespec_models', targetId: data.id, targetName: `Model #${data.id}`,
+        after: { bat: { r: bat.r, n: bat.n }, pit: { r: pit.r, n: pit.n }, windows: training?.windows?.length ?? 0 },
+      });
+      forgetLiveSpecModel();
+      setResult(null);
+      loadModels();
+      showNotif(`✓ Model #${data.id} is live`);
+    } catch (e) {
+      console.error('Model publish error:', e);
+      showNotif(`Failed: ${e.message}`, 'error');
+    }
+    setIsBusy(false);
+  };
+
+  if (!isAdmin) {
+    return (
+      <Layout notification={notification}>
+        <div style={styles.submitPage}>
+          <div style={styles.submitContainer}>
+            <h2 style={styles.submitTitle}>🔒 Admin Access Required</h2>
+            <p style={styles.submitSubtitle}>You need admin access to retrain the Live Spec model.</p>
+            <button style={styles.submitBtn} onClick={() => requestAuth(() => {}, 'admin')}>Admin Login</button>
+          </div>
+        </div>
+      </Layout>
+    );
+  }
+
+  const inputStyle = { padding: '6px 8px', background: theme.inputBg, color: theme.textPrimary, border: `1px solid ${theme.border}`, borderRadius: 4, fontSize: 13 };
+  const sectionTitle = { color: theme.textPrimary, fontSize: 16, margin: '24px 0 8px' };
+  const num = (v, digits) => v == null ? '—' : v.toFixed(digits);
+  const modelCard = (title, fit) => (
+    <div style={{ flex: 1, minWidth: 280, background: theme.cardBg, border: `1px solid ${theme.border}`, borderRadius: 6, padding: 12 }}>
+      <div style={{ fontWeight: 700, color: theme.textPrimary, marginBottom: 6 }}>{title}</div>
+      {fit.error ? <div style={{ fontSize: 13, color: theme.error }}>{fit.error}</div> : (
+        <>
+          <div style={{ fontSize: 13, color: theme.textSecondary, marginBottom: 8 }}>
+            n = {fit.n} · R = <strong>{num(fit.r, 3)}</strong> <span style={{ color: theme.textMuted }}>(live model on the same data: {num(fit.current, 3)})</span>
+          </div>
+          <table style={styles.historyTable}>
+            <thead><tr>{['Feature', 'β (std)', 'Coeff', 'Mean', 'Std'].map(h => <th key={h} style={styles.historyTh}>{h}</th>)}</tr></thead>
+            <tbody>
+              {fit.features.map(f => (
+                <tr key={f.key}>
+                  <td style={styles.historyTd}>{LIVESPEC_FEATURE_LABELS[f.key] || f.key}</td>
+                  <td style={styles.historyTd}>{num(f.beta, 3)}</td>
+                  <td style={styles.historyTd}>{num(f.coeff, 5)}</td>
+                  <td style={styles.historyTd}>{num(f.mean, 2)}</td>
+                  <td style={styles.historyTd}>{num(f.std, 2)}</td>
+                </tr>
+              ))}
+              <tr><td style={styles.historyTd}>Intercept</td><td style={styles.historyTd}></td><td style={styles.historyTd}>{num(fit.intercept, 4)}</td><td style={styles.historyTd}></td><td style={styles.historyTd}></td></tr>
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+
+  return (
+    <Layout notification={notification}>
+      <div style={styles.reviewPage}>
+        <div style={styles.reviewContainer}>
+          <h2 style={styles.reviewTitle}>📈 Live Spec Model</h2>
+          <p style={styles.submitSubtitle}>
+            Fits the Pred Δ models on stored monthly eval windows against the OVR changes of the card update that followed each one.
+            {liveModel && <> Live now: {liveModel.id ? `model #${liveModel.id}` : 'the bundled model'} — hitters R {num(liveModel.bat.r, 2)}, pitchers R {num(liveModel.pit.r, 2)}.</>}
+          </p>
+
+          <h3 style={sectionTitle}>Eval windows</h3>
+          {!windows ? (
+            <div style={styles.loading}><div className="loading-spinner"></div>Loading...</div>
+          ) : windows.length === 0 ? (
+            <div style={{ fontSize: 13, color: theme.textMuted }}>No eval windows stored yet. They are copied daily while the season runs.</div>
+          ) : (
+            <table style={styles.historyTable}>
+              <thead><tr>{['Window', 'Last copied', 'OVR update'].map(h => <th key={h} style={styles.historyTh}>{h}</th>)}</tr></thead>
+              <tbody>
+                {windows.map(w => {
+                  const later = versions.filter(v => v.created_at > `${w.enddate}T23:59:59`);
+                  return (
+                    <tr key={w.startdate}>
+                      <td style={styles.historyTd}>{w.startdate} – {w.enddate}</td>
+                      <td style={styles.historyTd}>{new Date(w.updated_at).toLocaleString()}</td>
+                      <td style={styles.historyTd}>
+                        <select value={choices[w.startdate] ?? ''} onChange={(e) => setChoices(c => ({ ...c, [w.startdate]: e.target.value }))} style={inputStyle}>
+                          <option value="">{later.length ? 'Leave out' : 'No card update yet'}</option>
+                          {later.map(v => <option key={v.id} value={v.id}>{new Date(v.created_at).toLocaleDateString()} · {v.file_name || 'Card list'} · {v.changed} re-rated</option>)}
+                        </select>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: 12, marginTop: 12, flexWrap: 'wrap' }}>
+            <label style={{ fontSize: 13, color: theme.textSecondary }}>Min PA <input type="number" value={minPA} onChange={(e) => setMinPA(Number(e.target.value) || 0)} style={{ ...inputStyle, width: 60 }} /></label>
+            <label style={{ fontSize: 13, color: theme.textSecondary }}>Min IP <input type="number" value={minIP} onChange={(e) => setMinIP(Number(e.target.value) || 0)} style={{ ...inputStyle, width: 60 }} /></label>
+            <button style={styles.saveBtn} disabled={isBusy || !windows?.length} onClick={train}>{isBusy ? 'Working...' : 'Train'}</button>
+          </div>
+
+          {result && (
+            <>
+              <h3 style={sectionTitle}>Result · {result.training.summary}</h3>
+              <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap' }}>
+                {modelCard('Hitters', result.bat)}
+                {modelCard('Pitchers', result.pit)}
+              </div>
+              <button
+                style={{ ...styles.saveBtn, marginTop: 12 }}
+                disabled={isBusy || result.bat.error || result.pit.error}
+                onClick={() => publish(result.bat, result.pit, result.training, 'this model')}
+              >
+                Publish
+              </button>
+            </>
+          )}
+
+          <h3 style={sectionTitle}>Published models</h3>
+          {models.length === 0 ? (
+            <div style={{ fontSize: 13, color: theme.textMuted }}>None yet — Live Spec uses the bundled model.</div>
+          ) : (
+            <table style={styles.historyTable}>
+              <thead><tr>{['Model', 'Published', 'Hitters', 'Pitchers', 'Trained on', ''].map(h => <th key={h} style={styles.historyTh}>{h}</th>)}</tr></thead>
+              <tbody>
+                {models.map((m, i) => (
+                  <tr key={m.id}>
+                    <td style={styles.historyTd}>#{m.id}{i === 0 && <span style={{ marginLeft: 6, color: theme.success, fontWeight: 700 }}>live</span>}</td>
+                    <td style={styles.historyTd}>{new Date(m.created_at).toLocaleDateString()}{m.created_by ? ` · ${m.created_by}` : ''}</td>
+                    <td style={styles.historyTd}>R {num(m.bat.r, 3)} · n {m.bat.n}</td>
+                    <td style={styles.historyTd}>R {num(m.pit.r, 3)} · n {m.pit.n}</td>
+                    <td style={styles.historyTd}>{m.training?.summary || '—'}</td>
+                    <td style={{ ...styles.historyTd, textAlign: 'right' }}>
+                      {i > 0 && <button style={styles.undoBtn} disabled={isBusy} onClick={() => publish(m.bat, m.pit, m.training, `model #${m.id}`)}>Make live</button>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
 function PTLivePage() {
+  const { requestAuth } = useAuth();
   const { theme } = useTheme();
   const [batters, setBatters]         = useState([]);
   const [sps, setSps]                 = useState([]);
@@ -12400,6 +14289,17 @@ function PTLivePage() {
     } catch (e) { /* seed failed, admin can set manually */ }
   };
 
+  // The lineup password unlocks the panel, but changing the key also needs an admin login
+  const saveWeatherApiKey = (key) => {
+    if (!key) return;
+    requestAuth(async () => {
+      await supabase.from('site_content').upsert({ id: 'ptlive_weather_key', content: { key } }, { onConflict: 'id' });
+      logContentEdit('ptlive_weather_key', weatherApiKey ? { key: weatherApiKey } : null, { key });
+      setWeatherApiKey(key);
+      alert('Weather API key saved!');
+    }, 'admin');
+  };
+
   const loadSuggestedRPs = async () => {
     const { data } = await supabase.from('site_content').select('content').eq('id', 'ptlive_suggested_rps').maybeSingle();
     if (data?.content) {
@@ -12416,6 +14316,7 @@ function PTLivePage() {
       { id: 'ptlive_suggested_rps', content: { rp1: rps[0], rp2: rps[1] } },
       { onConflict: 'id' }
     );
+    logContentEdit('ptlive_suggested_rps', { rp1: suggestedRPs[0], rp2: suggestedRPs[1] }, { rp1: rps[0], rp2: rps[1] });
     setSuggestedRPs(rps);
     setSuggestedRPSaving(false);
   };
@@ -13595,7 +15496,8 @@ function PTLivePage() {
       const lBatArr = l14BatSplits.map(normMlbBatter);
       const lPitArr = l14PitSplits.map(normMlbPitcher);
 
-      // uZIPS from static snapshot — convert playerid-keyed to name-keyed
+      // uZIPS from the newest projection snapshot — convert playerid-keyed to name-keyed
+      const uzips = await loadUzips();
       const snapshotByName = (map) => {
         const m = {};
         Object.values(map).forEach(p => {
@@ -13610,7 +15512,7 @@ function PTLivePage() {
       };
 
       setFgData({
-        zBatMap: snapshotByName(UZIPS_BAT), zPitMap: snapshotByName(UZIPS_PIT),
+        zBatMap: snapshotByName(uzips.bat), zPitMap: snapshotByName(uzips.pit),
         sBatMap: byName(sBat),              sPitMap: byName(sPit),
         lBatMap: byName(lBatArr),           lPitMap: byName(lPitArr),
       });
@@ -14792,23 +16694,13 @@ function PTLivePage() {
                             defaultValue={weatherApiKey || ''}
                             placeholder="OpenWeatherMap API key"
                             style={{ flex: 1, maxWidth: 280, background: theme.inputBg, border: `1px solid ${theme.border}`, borderRadius: 5, padding: '5px 8px', fontSize: 11, color: '#fff', outline: 'none' }}
-                            onKeyDown={async e => {
-                              if (e.key === 'Enter') {
-                                const key = e.target.value.trim();
-                                if (!key) return;
-                                await supabase.from('site_content').upsert({ id: 'ptlive_weather_key', content: { key } }, { onConflict: 'id' });
-                                setWeatherApiKey(key);
-                                alert('Weather API key saved!');
-                              }
+                            onKeyDown={e => {
+                              if (e.key === 'Enter') saveWeatherApiKey(e.target.value.trim());
                             }}
                           />
-                          <button onClick={async e => {
+                          <button onClick={e => {
                             const input = e.target.parentElement.querySelector('input');
-                            const key = input?.value?.trim();
-                            if (!key) return;
-                            await supabase.from('site_content').upsert({ id: 'ptlive_weather_key', content: { key } }, { onConflict: 'id' });
-                            setWeatherApiKey(key);
-                            alert('Weather API key saved!');
+                            saveWeatherApiKey(input?.value?.trim());
                           }} style={{ background: theme.accent, color: '#fff', border: 'none', borderRadius: 5, padding: '5px 10px', fontSize: 11, fontWeight: 600, cursor: 'pointer' }}>
                             Save
                           </button>
@@ -15682,6 +17574,26 @@ function LeaderboardsPage() {
 
   const hasEventTypes = lbCategory.startsWith('competitive');
 
+  // Exports carry every filtered player (not just the visible page) with the rank shown in the table
+  const lbExportColumns = [
+    { key: 'rank', label: '#' },
+    { key: 'username', label: 'Username' },
+    { key: 'totalWins', label: 'W' },
+    { key: 'totalLosses', label: 'L' },
+    { key: 'winRate', label: 'Win%', value: p => (p.winRate * 100).toFixed(1) },
+    { key: 'eventsPlayed', label: 'Played' },
+    { key: 'championships', label: 'Titles' },
+    { key: 'bestFinish', label: 'Best', value: p => p.bestFinish === Infinity ? null : p.bestFinish },
+  ];
+  const exportLeaderboard = (rows, name) => (format) => exportTable({ name, columns: lbExportColumns, rows: rows.map((p, i) => ({ ...p, rank: i + 1 })), format });
+  const exportInstance = (format) => exportTable({
+    name: `${lbSelectedInstance.title} ${fmtEventDate(lbSelectedInstance.starttime)}`,
+    columns: [{ key: 'place', label: 'Place' }, { key: 'username', label: 'Username' }, { key: 'wins', label: 'W' }, { key: 'losses', label: 'L' }],
+    rows: lbSelectedInstance.placements.map((name, idx) => ({ place: idx + 1, username: name, ...calcBracketStats(idx + 1, lbSelectedInstance.placements.length) })),
+    format,
+  });
+  const exportMenuStyle = { padding: '4px 8px', background: 'transparent', color: theme.accent, border: `1px solid ${theme.accent}`, borderRadius: 4, fontSize: 11, cursor: 'pointer' };
+
   const sortArrow = (col) => lbSort.col === col ? (lbSort.dir === 'desc' ? ' ▼' : ' ▲') : '';
 
   const headerStyle = { padding: isMobile ? '8px 4px' : '10px 12px', textAlign: 'left', fontWeight: 600, fontSize: isMobile ? 11 : 13, color: theme.textMuted, borderBottom: `1px solid ${theme.border}`, cursor: 'pointer', userSelect: 'none', whiteSpace: 'nowrap' };
@@ -15761,7 +17673,10 @@ function LeaderboardsPage() {
           <div style={{ background: theme.cardBg, borderRadius: 10, border: `1px solid ${theme.border}`, overflow: 'hidden' }}>
             <div style={{ padding: isMobile ? '10px 10px' : '12px 16px', borderBottom: `1px solid ${theme.border}`, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
               <span style={{ fontSize: isMobile ? 13 : 15, fontWeight: 700, color: theme.textPrimary }}>{leaderboard.length} players</span>
-              <span style={{ fontSize: 11, color: theme.textDim }}>{activeEvents.length} events</span>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                <span style={{ fontSize: 11, color: theme.textDim }}>{activeEvents.length} events</span>
+                <ExportMenu onExport={exportLeaderboard(leaderboard, `leaderboard ${lbCategory} ${lbEventType}`)} disabled={leaderboard.length === 0} style={exportMenuStyle} />
+              </div>
             </div>
             <div style={{ overflowX: 'auto' }}>
               <table style={{ width: '100%', borderCollapse: 'collapse' }}>
@@ -15818,7 +17733,10 @@ function LeaderboardsPage() {
                     <button onClick={() => setLbSelectedInstance(null)} style={{ padding: '4px 10px', background: 'transparent', color: theme.accent, border: `1px solid ${theme.accent}`, borderRadius: 4, fontSize: 11, cursor: 'pointer' }}>Back</button>
                     <span style={{ fontWeight: 700, fontSize: isMobile ? 14 : 16, color: theme.textPrimary }}>{lbSelectedInstance.title}</span>
                   </div>
-                  <div style={{ fontSize: 12, color: theme.textMuted }}>{fmtEventDate(lbSelectedInstance.starttime)} · {lbSelectedInstance.placements.length} players</div>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                    <div style={{ fontSize: 12, color: theme.textMuted }}>{fmtEventDate(lbSelectedInstance.starttime)} · {lbSelectedInstance.placements.length} players</div>
+                    <ExportMenu onExport={exportInstance} style={exportMenuStyle} title="Download the full results of this event" />
+                  </div>
                 </div>
                 <div style={{ overflowX: 'auto' }}>
                   <table style={{ width: '100%', borderCollapse: 'collapse' }}>
@@ -15860,8 +17778,9 @@ function LeaderboardsPage() {
                 </div>
                 {/* Mini-leaderboard for this event */}
                 <div style={{ background: theme.cardBg, borderRadius: 10, border: `1px solid ${theme.border}`, overflow: 'hidden' }}>
-                  <div style={{ padding: isMobile ? '8px 10px' : '10px 16px', borderBottom: `1px solid ${theme.border}` }}>
+                  <div style={{ padding: isMobile ? '8px 10px' : '10px 16px', borderBottom: `1px solid ${theme.border}`, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                     <span style={{ fontSize: isMobile ? 12 : 14, fontWeight: 700, color: theme.textPrimary }}>Leaderboard — {eventLeaderboard.length} players</span>
+                    <ExportMenu onExport={exportLeaderboard(eventLeaderboard, `leaderboard ${lbSelectedEvent}`)} disabled={eventLeaderboard.length === 0} style={exportMenuStyle} title="Download all filtered players of this event, not just the top 50 shown" />
                   </div>
                   <div style={{ overflowX: 'auto' }}>
                     <table style={{ width: '100%', borderCollapse: 'collapse' }}>
@@ -15953,13 +17872,18 @@ export function AppContent() {
     <Route path="/articles" element={<ArticlesPage />} />
     <Route path="/submit" element={<SubmitDataPage />} />
     <Route path="/review" element={<ReviewQueuePage />} />
+    <Route path="/audit" element={<AuditLogPage />} />
+    <Route path="/trash" element={<TrashPage />} />
+    <Route path="/regression" element={<RegressionPage />} />
     <Route path="/draft-assistant" element={<DraftAssistantPage />} />
     <Route path="/re-viewer" element={<REViewerPage />} />
     <Route path="/database" element={<DatabasePage />} />
+    <Route path="/player/:cardId" element={<PlayerProfilePage />} />
     <Route path="/pack-simulator" element={<PackSimulatorPage />} />
     <Route path="/pt-live" element={<PTLivePage />} />
     <Route path="/leaderboards" element={<LeaderboardsPage />} />
     <Route path="/live-spec" element={<LiveSpecPage />} />
+    <Route path="/live-spec/backtest" element={<LiveSpecBacktestPage />} />
   </Routes></BannerProvider></AuthProvider></ThemeProvider>);
 }
 
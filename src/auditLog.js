@@ -0,0 +1,92 @@
+// Audit log: one append-only `audit_log` row per admin mutation, written by the page (or api/ route) that made it.
+//   { id, created_at, actor_id, actor_email, action, target_type, target_id, target_name, before, after, reverts }
+// `before` / `after` hold just the columns the change touched (a summary for creates), or for stat uploads the
+// upload_history ids involved. Reverting an entry is itself logged, with `reverts` set to the entry's id;
+// nothing is ever updated or deleted, so the table's policies should allow inserts and selects only.
+
+// action -> { label, revert }. revert says how an entry can be undone (getRevertPlan), or why it can't be.
+export const AUDIT_ACTIONS = {
+  'tournament.create': { label: 'Created event', revert: 'remove' },
+  'tournament.delete': { label: 'Moved event to trash', revert: 'fields' },
+  'tournament.restore': { label: 'Restored event', revert: 'fields' },
+  'tournament.rename': { label: 'Renamed event', revert: 'fields' },
+  'tournament.category': { label: 'Moved event', revert: 'fields' },
+  'tournament.rotating': { label: 'Changed rotating format', revert: 'fields' },
+  'tournament.dates': { label: 'Changed date status', revert: 'fields' },
+  'tournament.upload': { label: 'Uploaded stats', revert: 'undoUploads' },
+  'tournament.rebuild': { label: 'Rebuilt stats', revert: 'Rebuilds recompute every event from its upload history' },
+  'upload.approve': { label: 'Approved upload', revert: 'undoUploads' },
+  'upload.reject': { label: 'Rejected upload', revert: 'fields' },
+  'upload.undo': { label: 'Undid upload', revert: 'redoUploads' },
+  'history.delete': { label: 'Moved upload to trash', revert: 'fields' },
+  'history.restore': { label: 'Restored upload', revert: 'fields' },
+  'cards.replace': { label: 'Replaced card database', revert: 'restoreCards' },
+  'cards.restore': { label: 'Restored card list', revert: 'restoreCards' },
+  'trash.purge': { label: 'Purged from trash', revert: 'Purged rows are gone for good' },
+  'content.update': { label: 'Edited site content', revert: 'fields' },
+  'role.change': { label: 'Changed role', revert: 'role' },
+  'projections.refresh': { label: 'Refreshed uZIPS projections', revert: 'Earlier snapshots stay selectable in Live Spec' },
+  'model.publish': { label: 'Published Live Spec model', revert: 'Make an earlier model live again from the Regression page instead' },
+  revert: { label: 'Reverted', revert: 'Make the change again instead of reverting a revert' },
+};
+
+export const TARGET_TYPES = { tournaments: 'Event', upload_history: 'Upload', pending_uploads: 'Submission', site_content: 'Site content', pt_cards: 'Cards', users: 'Account', trash: 'Trash', livespec_models: 'Live Spec model', uzips_snapshots: 'uZIPS snapshot' };
+
+export const auditActionLabel = (action) => AUDIT_ACTIONS[action]?.label || action;
+
+/**
+ * Append an entry. client: a Supabase client; actor: the signed-in user (or null for system changes).
+ * entry: { action, targetType, targetId?, targetName?, before?, after?, reverts? }.
+ * Logging never blocks the change it records: failures are reported on the console and swallowed.
+ */
+export async function recordAudit(client, actor, { action, targetType, targetId = null, targetName = null, before = null, after = null, reverts = null }) {
+  const { error } = await client.from('audit_log').insert({
+    actor_id: actor?.id || null, actor_email: actor?.email || null,
+    action, target_type: targetType, target_id: targetId === null ? null : String(targetId), target_name: targetName,
+    before, after, reverts,
+  });
+  if (error) console.warn('Audit log write failed:', error.message);
+}
+
+// The columns of `row` named in `fields`, for before/after payloads
+export const pickFields = (row, fields) => Object.fromEntries(fields.map(f => [f, row?.[f] ?? null]));
+
+/**
+ * How to undo `entry`, given the ids of entries that have already been reverted.
+ * Returns { kind, ... } for App's revertAuditEntry, or { reason } when it can't be undone:
+ *   fields      - set `values` on the row again, if it still holds `expect`
+ *   remove      - delete the created row, if it is still empty
+ *   undoUploads / redoUploads - undo or re-apply the upload_history rows in `historyIds`
+ *   restoreCards - put back the card list the change archived (`listId`)
+ *   role        - give the account `role` again
+ */
+export function getRevertPlan(entry, revertedIds = new Set()) {
+  const how = AUDIT_ACTIONS[entry.action]?.revert;
+  if (!how) return { reason: 'Unknown action' };
+  if (revertedIds.has(entry.id)) return { reason: 'Already reverted' };
+  const table = entry.target_type, id = entry.target_id;
+  switch (how) {
+    case 'fields':
+      return entry.before ? { kind: 'fields', table, id, values: entry.before, expect: entry.after } : { reason: 'Nothing recorded to restore' };
+    case 'remove':
+      return { kind: 'remove', table, id };
+    case 'undoUploads':
+    case 'redoUploads':
+      return entry.after?.historyIds?.length ? { kind: how, historyIds: entry.after.historyIds } : { reason: 'No upload history recorded' };
+    case 'restoreCards':
+      return entry.after?.archivedListId ? { kind: 'restoreCards', listId: entry.after.archivedListId } : { reason: 'The previous card list was not archived' };
+    case 'role':
+      return entry.before?.role ? { kind: 'role', userId: id, role: entry.before.role } : { reason: 'No previous role recorded' };
+    default:
+      return { reason: how };
+  }
+}
+
+// Values compare equal when they serialize the same, ignoring key order of plain objects
+// and how a timestamp is written (Postgres returns '+00:00' where toISOString() writes 'Z')
+export function sameValues(a, b) {
+  const canon = (v) => Array.isArray(v) ? v.map(canon)
+    : v && typeof v === 'object' ? Object.fromEntries(Object.keys(v).sort().map(k => [k, canon(v[k])]))
+    : typeof v === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(v) ? new Date(v).toISOString() : v ?? null;
+  return JSON.stringify(canon(a)) === JSON.stringify(canon(b));
+}
@@ -0,0 +1,69 @@
+// Live Spec backtest: how the Pred Δ column did against the OVR changes that actually followed.
+// The predictions of each eval window (livespec_windows, see regression.js) are frozen just before the next card list
+// goes live, then joined to that card version's change rows (cardVersions.js):
+//   livespec_predictions  { id, created_at, startdate, enddate, model_id, uzips_date, min_pa, min_ip, created_by, rows }
+// rows is [{ type: 'bat' | 'pit', name, card_key, old_ovr, predicted }]. A snapshot is realized by the first card
+// version created after it; until then it can be taken again.
+
+// Predicted-Δ buckets for the calibration table, matching the Live Spec color scale
+export const CALIBRATION_BUCKETS = [
+  { label: '< -3', max: -3 },
+  { label: '-3 to -1', min: -3, max: -1 },
+  { label: '-1 to +1', min: -1, max: 1 },
+  { label: '+1 to +3', min: 1, max: 3 },
+  { label: '≥ +3', min: 3 },
+];
+
+const MAX_MISSES = 15;
+
+// OVR moves in whole points, so a prediction that rounds to 0 calls "no change"
+export const directionOf = (delta) => Math.sign(Math.round(delta));
+
+// The first card version created after `snapshot`, from versions sorted oldest first, or null while it is pending
+export const realizingVersion = (snapshot, versions) => versions.find(v => v.created_at > snapshot.created_at) || null;
+
+/**
+ * Join a snapshot's predictions to the change rows of the card version that followed it. A card with no change row
+ * kept its OVR (actual 0); cards the update removed are left out. Returns [{ ...row, actual }].
+ */
+export function joinOutcomes(snapshot, changes) {
+  const byKey = new Map(changes.map(c => [c.card_key, c]));
+  const results = [];
+  for (const row of snapshot.rows || []) {
+    const change = byKey.get(row.card_key);
+    if (change?.kind === 'removed') continue;
+    const actual = change?.kind === 'changed' ? change.ovr_after - change.ovr_before : 0;
+    results.push({ ...row, actual });
+  }
+  return results;
+}
+
+/**
+ * Score joined predictions ([{ predicted, actual }]). Returns null for an empty set, else
+ *   { n, mae, bias, hitRate, buckets: [{ label, n, predicted, actual, mae }], misses }
+ * bias is mean(predicted − actual); hitRate is the share whose direction (up / none / down) was right;
+ * misses are the largest |predicted − actual|, biggest first.
+ */
+export function scoreBacktest(results) {
+  if (!results.length) return null;
+  const mean = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  const errorOf = (r) => r.predicted - r.actual;
+  const buckets = CALIBRATION_BUCKETS.map(b => {
+    const inBucket = results.filter(r => (b.min === undefined || r.predicted >= b.min) && (b.max === undefined || r.predicted < b.max));
+    return {
+      label: b.label,
+      n: inBucket.length,
+      predicted: mean(inBucket.map(r => r.predicted)),
+      actual: mean(inBucket.map(r => r.actual)),
+      mae: mean(inBucket.map(r => Math.abs(errorOf(r)))),
+    };
+  });
+  return {
+    n: results.length,
+    mae: mean(results.map(r => Math.abs(errorOf(r)))),
+    bias: mean(results.map(errorOf)),
+    hitRate: results.filter(r => directionOf(r.predicted) === Math.sign(r.actual)).length / results.length,
+    buckets,
+    misses: [...results].sort((a, b) => Math.abs(errorOf(b)) - Math.abs(errorOf(a))).slice(0, MAX_MISSES),
+  };
+}
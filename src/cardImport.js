@@ -0,0 +1,176 @@
+import Papa from 'papaparse';
+
+// Card list import (api/import-cards). The OOTP pt_card_list.csv export is checked against CARD_COLUMNS, staged into
+// pt_cards_archive under a trashed pt_card_lists row (see trash.js), then made live in one transaction by the
+// swap_pt_cards function, so pt_cards is never empty or half-written for anyone else:
+//
+//   create or replace function swap_pt_cards(p_list_id bigint, p_actor text) returns bigint
+//   language plpgsql security definer as $$
+//   declare v_list pt_card_lists; v_archived bigint;
+//   begin
+//     if coalesce(auth.role(), '') <> 'service_role' and coalesce(auth.jwt() -> 'app_metadata' ->> 'role', '') <> 'admin' then
+//       raise exception 'Admins only';
+//     end if;
+//     select * into v_list from pt_card_lists where id = p_list_id and deleted_at is not null;
+//     if not found then raise exception 'Card list % not found', p_list_id; end if;
+//     if (select count(*) from pt_cards_archive where list_id = p_list_id) <> v_list.card_count then
+//       raise exception 'Card list % is incomplete', p_list_id;
+//     end if;
+//     if exists (select 1 from pt_cards) then
+//       insert into pt_card_lists (file_name, card_count, uploaded_at, deleted_at, deleted_by)
+//       select s.content ->> 'file_name', (select count(*) from pt_cards), (s.content ->> 'uploaded_at')::timestamptz, now(), p_actor
+//       from (select (select content from site_content where id = 'pt_cards_upload') as content) s
+//       returning id into v_archived;
+//       insert into pt_cards_archive
+//       select (jsonb_populate_record(null::pt_cards_archive, to_jsonb(c) - 'id'
+//         || jsonb_build_object('list_id', v_archived, 'archive_id', nextval(pg_get_serial_sequence('pt_cards_archive', 'archive_id'))))).*
+//       from pt_cards c order by c.id;
+//     end if;
+//     delete from pt_cards;
+//     insert into pt_cards
+//     select (jsonb_populate_record(null::pt_cards, to_jsonb(a) - 'archive_id' - 'list_id'
+//       || jsonb_build_object('id', nextval(pg_get_serial_sequence('pt_cards', 'id'))))).*
+//     from pt_cards_archive a where a.list_id = p_list_id order by a.archive_id;
+//     delete from pt_cards_archive where list_id = p_list_id;
+//     delete from pt_card_lists where id = p_list_id;
+//     insert into site_content (id, content, updated_at)
+//     values ('pt_cards_upload', jsonb_build_object('uploaded_at', v_list.uploaded_at, 'file_name', v_list.file_name), now())
+//     on conflict (id) do update set content = excluded.content, updated_at = excluded.updated_at;
+//     return v_archived;
+//   end $$;
+//
+// It returns the id of the trashed list holding the cards it replaced (null when pt_cards was empty).
+// Restoring a trashed card list goes through the same swap.
+
+// Request bodies above ~4.5 MB are refused by the hosting platform
+export const MAX_CARD_LIST_SIZE = 4 * 1024 * 1024;
+
+const RATING = [0, 250];
+const text = (header, column, extra = {}) => ({ header, column, type: 'text', ...extra });
+const int = (header, column, range = RATING, extra = {}) => ({ header, column, type: 'int', range, ...extra });
+const splits = (label, column, vsLabel = label) => [
+  int(label, `${column}_overall`), int(`${vsLabel} vL`, `${column}_vl`), int(`${vsLabel} vR`, `${column}_vr`),
+];
+
+// Every pt_cards column the export fills: CSV header -> column, type and the range a sane value falls in.
+// Required columns must be present for the import to run; the rest are stored as 0 / empty when missing.
+export const CARD_COLUMNS = [
+  text('Card Title', 'card_title'), text('LastName', 'last_name', { required: true }), text('FirstName', 'first_name', { required: true }),
+  int('Card ID', 'card_id', [1, Infinity], { required: true }), int('Card Value', 'card_value', [1, 120], { required: true }),
+  int('Position', 'position', [1, 10], { required: true }), int('Bats', 'bats', [1, 3]), int('Throws', 'throws', [1, 2]),
+  text('Pitcher Role', 'pitcher_role'),
+  ...splits('Contact', 'contact'), ...splits('Gap', 'gap'), ...splits('Power', 'power'), ...splits('Eye', 'eye'),
+  ...splits('Avoid Ks', 'avoid_ks', 'Avoid K'), ...splits('BABIP', 'babip_bat'),
+  ...splits('Stuff', 'stuff'), ...splits('Movement', 'movement'), ...splits('Control', 'control'),
+  ...splits('pHR', 'p_hr'), ...splits('pBABIP', 'p_babip'),
+  ...['Fastball', 'Slider', 'Curveball', 'Changeup', 'Cutter', 'Sinker', 'Splitter', 'Forkball', 'Screwball', 'Circlechange', 'Knucklecurve', 'Knuckleball']
+    .map(pitch => int(pitch, pitch.toLowerCase())),
+  int('Stamina', 'stamina'), text('Velocity', 'velocity'),
+  int('Speed', 'speed'), int('Steal Rate', 'steal_rate'), int('Stealing', 'stealing'), int('Baserunning', 'baserunning'),
+  int('Infield Range', 'if_range'), int('Infield Error', 'if_error'), int('Infield Arm', 'if_arm'), int('DP', 'dp'),
+  int('CatcherAbil', 'c_ability'), int('Catcher Arm', 'c_arm'), int('OF Range', 'of_range'), int('OF Error', 'of_error'), int('OF Arm', 'of_arm'),
+  ...['P', 'C', '1B', '2B', '3B', 'SS', 'LF', 'CF', 'RF'].map(pos => int(`Pos Rating ${pos}`, `pos_${pos.toLowerCase()}`)),
+  int('Card Type', 'card_type', [0, Infinity]), text('Card Badge', 'card_badge'),
+  int('Last 10 Price', 'last_10_price', [0, Infinity]), int('packs', 'packs', [0, Infinity]),
+];
+
+const MAX_EXAMPLES = 5;
+
+/**
+ * Parse and check a card list export. Returns { rows, report } where rows are pt_cards rows and report is
+ *   { rowCount, unmapped: [header], missing: [{ header, required }], problems: [{ header, message, count, examples }],
+ *     errors: [message], canImport }
+ * errors block the import; unmapped / missing optional columns and value problems are warnings for the admin to read.
+ * A value that is not a number is stored as 0 and one outside its range is kept as it is; both are listed under problems.
+ */
+export function parseCardList(csvText) {
+  // The export writes its header row as a comment and ends lines with stray commas
+  let csv = csvText.startsWith('//') ? csvText.slice(2) : csvText;
+  csv = csv.replace(/\r\n?/g, '\n').split('\n').map(line => line.replace(/,+$/, '')).join('\n');
+  const parsed = Papa.parse(csv, { header: true, skipEmptyLines: true, transformHeader: h => h.trim() });
+  const headers = parsed.meta?.fields || [];
+  const known = new Set(CARD_COLUMNS.map(c => c.header));
+
+  const errors = [];
+  const parseErrors = parsed.errors.filter(e => e.type !== 'FieldMismatch');
+  if (parseErrors.length > 5) errors.push(`${parseErrors.length} rows could not be parsed (first: row ${parseErrors[0].row + 2}, ${parseErrors[0].message})`);
+  const missing = CARD_COLUMNS.filter(c => !headers.includes(c.header)).map(c => ({ header: c.header, required: !!c.required }));
+  for (const m of missing.filter(m => m.required)) errors.push(`Required column "${m.header}" is missing`);
+
+  const problems = new Map();
+  const flag = (header, message, row, value) => {
+    const key = `${header}\u0000${message}`;
+    if (!problems.has(key)) problems.set(key, { header, message, count: 0, examples: [] });
+    const p = problems.get(key);
+    p.count++;
+    if (p.examples.length < MAX_EXAMPLES) p.examples.push({ row, value });
+  };
+
+  const rows = [];
+  const seenIds = new Map();
+  parsed.data.forEach((raw, i) => {
+    const rowNumber = i + 2; // 1-based, after the header row
+    if (!String(raw.LastName || '').trim()) return;
+    const row = {};
+    for (const col of CARD_COLUMNS) {
+      const value = raw[col.header] === undefined ? '' : String(raw[col.header]).trim();
+      if (col.type === 'text') { row[col.column] = value || null; continue; }
+      if (value === '') {
+        row[col.column] = 0;
+        if (col.required && headers.includes(col.header)) flag(col.header, 'is empty', rowNumber, value);
+        continue;
+      }
+      const n = Number(value);
+      if (!Number.isFinite(n)) { row[col.column] = 0; flag(col.header, 'is not a number', rowNumber, value); continue; }
+      const [min, max] = col.range;
+      if (n < min || n > max) flag(col.header, `is outside ${min}–${max === Infinity ? '∞' : max}`, rowNumber, value);
+      row[col.column] = Math.round(n);
+    }
+    if (row.card_id) {
+      if (seenIds.has(row.card_id)) flag('Card ID', 'repeats an earlier row', rowNumber, `${row.card_id} (row ${seenIds.get(row.card_id)})`);
+      else seenIds.set(row.card_id, rowNumber);
+    }
+    rows.push(row);
+  });
+  if (!rows.length && !errors.length) errors.push('No cards found in the file');
+
+  return {
+    rows,
+    report: {
+      rowCount: rows.length,
+      unmapped: headers.filter(h => h && !known.has(h)),
+      missing,
+      problems: [...problems.values()],
+      errors,
+      canImport: errors.length === 0,
+    },
+  };
+}
+
+/**
+ * Copy `rows` into pt_cards_archive under a new trashed pt_card_lists row, ready for swap_pt_cards.
+ * A failed copy is removed again. Returns the list id.
+ */
+export async function stageCardList(client, { rows, fileName, actor }) {
+  const { data: list, error } = await client.from('pt_card_lists').insert({
+    file_name: fileName || null, card_count: rows.length, uploaded_at: new Date().toISOString(),
+    deleted_at: new Date().toISOString(), deleted_by: actor?.email || null,
+  }).select('id').single();
+  if (error) throw error;
+  for (let i = 0; i < rows.length; i += 500) {
+    const { error: stageError } = await client.from('pt_cards_archive').insert(rows.slice(i, i + 500).map(row => ({ ...row, list_id: list.id })));
+    if (stageError) {
+      await client.from('pt_cards_archive').delete().eq('list_id', list.id);
+      await client.from('pt_card_lists').delete().eq('id', list.id);
+      throw stageError;
+    }
+  }
+  return list.id;
+}
+
+// Make a trashed card list live in one transaction (swap_pt_cards). Returns the id of the list it replaced, or null.
+export async function swapCardList(client, listId, actor) {
+  const { data, error } = await client.rpc('swap_pt_cards', { p_list_id: listId, p_actor: actor?.email || null });
+  if (error) throw error;
+  return data ?? null;
+}
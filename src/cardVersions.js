@@ -0,0 +1,120 @@
+// Card database versions. Every card-list upload (or restore) is stored as a version, with one change row per card
+// that was added, removed or re-rated against the list it replaced:
+//   pt_card_versions  { id, created_at, file_name, card_count, uploaded_by, added, removed, changed }
+//   pt_card_changes   { id, version_id, card_key, card_title, kind, ovr_before, ovr_after, changes }
+// kind is 'added' | 'removed' | 'changed'; changes maps each changed rating column to [before, after].
+// A card's change rows in version order are its ratings timeline (loadCardTimeline), from which the OVR it had
+// on a past date can be read back (ovrAt).
+
+// Columns that are not ratings: ids, names, and market data that moves between every export
+const UNTRACKED = new Set(['id', 'card_id', 'card_title', 'first_name', 'last_name', 'card_value', 'last_10_price', 'packs']);
+
+const RATING_LABELS = {
+  contact_overall: 'Contact', gap_overall: 'Gap', power_overall: 'Power', eye_overall: 'Eye', avoid_ks_overall: 'Avoid K',
+  babip_bat_overall: 'BABIP', stuff_overall: 'Stuff', movement_overall: 'Movement', control_overall: 'Control',
+  p_hr_overall: 'pHR', p_babip_overall: 'pBABIP', stamina: 'Stamina', velocity: 'Velocity', speed: 'Speed',
+  steal_rate: 'Steal Rate', stealing: 'Stealing', baserunning: 'Baserunning', if_range: 'IF Range', if_error: 'IF Error',
+  if_arm: 'IF Arm', dp: 'DP', c_ability: 'C Ability', c_arm: 'C Arm', of_range: 'OF Range', of_error: 'OF Error', of_arm: 'OF Arm',
+  pitcher_role: 'Role', card_type: 'Card Type', card_badge: 'Badge',
+};
+
+// "Contact vL" for contact_vl, "Pos 2B" for pos_2b, and so on
+export function ratingLabel(column) {
+  if (RATING_LABELS[column]) return RATING_LABELS[column];
+  const split = column.match(/^(.*)_(vl|vr)$/);
+  if (split) return `${ratingLabel(`${split[1]}_overall`)} ${split[2] === 'vl' ? 'vL' : 'vR'}`;
+  if (column.startsWith('pos_')) return `Pos ${column.slice(4).toUpperCase()}`;
+  return column.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+// Cards are matched across versions by Card ID, falling back to name + title for exports without one
+export const cardKey = (card) => parseInt(card.card_id) ? `id:${parseInt(card.card_id)}` : `name:${card.first_name}|${card.last_name}|${card.card_title}`;
+
+export const cardName = (card) => card.card_title || `${card.first_name} ${card.last_name}`;
+
+const ovrOf = (card) => parseInt(card?.card_value) || 0;
+
+/**
+ * Compare two card lists (pt_cards rows). Returns { added, removed, changed }, where added / removed are cards
+ * and changed is [{ card, ovrBefore, ovrAfter, changes }] for cards whose OVR or any rating column differs.
+ */
+export function diffCardLists(before, after) {
+  const previous = new Map(before.map(card => [cardKey(card), card]));
+  const added = [], changed = [];
+  for (const card of after) {
+    const key = cardKey(card);
+    const old = previous.get(key);
+    if (!old) { added.push(card); continue; }
+    previous.delete(key);
+    const changes = {};
+    for (const column of Object.keys(card)) {
+      if (UNTRACKED.has(column)) continue;
+      const a = old[column] ?? null, b = card[column] ?? null;
+      if (String(a) !== String(b)) changes[column] = [a, b];
+    }
+    if (ovrOf(old) !== ovrOf(card) || Object.keys(changes).length) changed.push({ card, ovrBefore: ovrOf(old), ovrAfter: ovrOf(card), changes });
+  }
+  return { added, removed: [...previous.values()], changed };
+}
+
+// pt_card_changes rows for a diff
+export function buildChangeRows(versionId, { added, removed, changed }) {
+  const row = (card, kind, ovrBefore, ovrAfter, changes = null) => ({
+    version_id: versionId, card_key: cardKey(card), card_title: cardName(card), kind, ovr_before: ovrBefore, ovr_after: ovrAfter, changes,
+  });
+  return [
+    ...added.map(card => row(card, 'added', null, ovrOf(card))),
+    ...removed.map(card => row(card, 'removed', ovrOf(card), null)),
+    ...changed.map(c => row(c.card, 'changed', c.ovrBefore, c.ovrAfter, c.changes)),
+  ];
+}
+
+/**
+ * Store `after` as a new version of the card database, diffed against `before` (the list it replaced).
+ * client: a Supabase client; actor: the signed-in user, or null. Returns { versionId, added, removed, changed } counts.
+ */
+export async function recordCardVersion(client, actor, { fileName, before, after }) {
+  const diff = diffCardLists(before, after);
+  const counts = { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length };
+  const { data: version, error } = await client.from('pt_card_versions').insert({
+    file_name: fileName || null, card_count: after.length, uploaded_by: actor?.email || null, ...counts,
+  }).select('id').single();
+  if (error) throw error;
+  const rows = buildChangeRows(version.id, diff);
+  for (let i = 0; i < rows.length; i += 500) {
+    const { error: changesError } = await client.from('pt_card_changes').insert(rows.slice(i, i + 500));
+    if (changesError) {
+      // A version with half its changes would give wrong timelines, so drop it
+      await client.from('pt_card_changes').delete().eq('version_id', version.id);
+      await client.from('pt_card_versions').delete().eq('id', version.id);
+      throw changesError;
+    }
+  }
+  return { versionId: version.id, ...counts };
+}
+
+// A card's change rows, oldest first, each with its version's created_at and file_name
+export async function loadCardTimeline(client, card) {
+  const { data: changes, error } = await client.from('pt_card_changes').select('*').eq('card_key', cardKey(card)).order('version_id');
+  if (error) throw error;
+  if (!changes.length) return [];
+  const { data: versions, error: versionsError } = await client.from('pt_card_versions').select('id,created_at,file_name').in('id', changes.map(c => c.version_id));
+  if (versionsError) throw versionsError;
+  const byId = new Map(versions.map(v => [v.id, v]));
+  return changes.map(c => ({ ...c, created_at: byId.get(c.version_id)?.created_at, file_name: byId.get(c.version_id)?.file_name }));
+}
+
+/**
+ * The OVR a card had at `date`, from its timeline: change rows with their version's `created_at`, oldest first.
+ * Before its first row a card had that row's ovr_before (null if the row added it); a card with no timeline has
+ * never changed, so callers use its current OVR. Returns null when the card did not exist at `date`.
+ */
+export function ovrAt(timeline, date) {
+  const at = new Date(date).getTime();
+  let ovr = timeline[0]?.ovr_before ?? null;
+  for (const entry of timeline) {
+    if (new Date(entry.created_at).getTime() > at) break;
+    ovr = entry.ovr_after;
+  }
+  return ovr;
+}
@@ -0,0 +1,153 @@
+// Saved column sets and derived stat columns for the Stats tables.
+// A column set is an ordered list of column keys (built-in fields or derived column ids), saved per table type.
+// Derived columns are small formulas over the normalized stat fields, e.g. `(hr*4 + doubles*2)/pa*600`.
+// Both live in localStorage, like the last selected tournament.
+import { parseIP } from './tournamentStats.js';
+
+// Identifiers a formula may use; row fields are read first, then the summed counts (`_counts`)
+export const FORMULA_FIELDS = {
+  batting: ['g', 'gs', 'pa', 'ab', 'h', 'doubles', 'triples', 'hr', 'bb', 'so', 'gidp', 'avg', 'obp', 'slg', 'ops', 'woba', 'babip', 'opsPlus', 'wrcPlus', 'bbPct', 'sbPct', 'war', 'wraa', 'ubr', 'ovr'],
+  pitching: ['g', 'gs', 'ip', 'outs', 'bf', 'er', 'h', 'bb', 'k', 'hr', 'era', 'whip', 'hPer9', 'bbPer9', 'kPer9', 'hrPer9', 'avg', 'obp', 'babip', 'braPer9', 'lobPct', 'eraPlus', 'fip', 'fipMinus', 'siera', 'war', 'ovr']
+};
+const FORMULA_FUNCTIONS = { min: Math.min, max: Math.max, abs: Math.abs, sqrt: Math.sqrt };
+
+const formulaError = (message, position) => new Error(position !== undefined ? `${message} (at character ${position + 1})` : message);
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    const num = src.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+    if (num) { tokens.push({ type: 'num', value: parseFloat(num[1]), pos: i }); i += num[1].length; continue; }
+    const ident = src.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    if (ident) { tokens.push({ type: 'ident', value: ident[0], pos: i }); i += ident[0].length; continue; }
+    if ('+-*/^(),'.includes(ch)) { tokens.push({ type: ch, pos: i }); i++; continue; }
+    throw formulaError(`Unexpected "${ch}"`, i);
+  }
+  tokens.push({ type: 'end', pos: src.length });
+  return tokens;
+}
+
+// Recursive descent: expr = term (+|- term)*, term = unary (*|/ unary)*, unary = -unary | power, power = primary (^ unary)?
+function parse(src, type) {
+  const tokens = tokenize(src);
+  let i = 0;
+  const peek = () => tokens[i];
+  const expect = (t) => {
+    if (peek().type !== t) throw formulaError(peek().type === 'end' ? `Expected "${t}" before the end` : `Expected "${t}"`, peek().pos);
+    return tokens[i++];
+  };
+
+  const primary = () => {
+    const tok = peek();
+    if (tok.type === 'num') { i++; return { op: 'num', value: tok.value }; }
+    if (tok.type === '(') { i++; const e = expr(); expect(')'); return e; }
+    if (tok.type === 'ident') {
+      i++;
+      if (peek().type === '(') {
+        if (!FORMULA_FUNCTIONS[tok.value]) throw formulaError(`Unknown function "${tok.value}"`, tok.pos);
+        i++;
+        const args = [expr()];
+        while (peek().type === ',') { i++; args.push(expr()); }
+        expect(')');
+        return { op: 'call', name: tok.value, args };
+      }
+      if (!FORMULA_FIELDS[type].includes(tok.value)) throw formulaError(`Unknown field "${tok.value}"`, tok.pos);
+      return { op: 'field', name: tok.value };
+    }
+    throw formulaError(tok.type === 'end' ? 'Formula ends too early' : `Unexpected "${tok.type}"`, tok.pos);
+  };
+  const unary = () => {
+    if (peek().type === '-') { i++; return { op: 'neg', arg: unary() }; }
+    const base = primary();
+    if (peek().type === '^') { i++; return { op: '^', left: base, right: unary() }; }
+    return base;
+  };
+  const term = () => {
+    let left = unary();
+    while (peek().type === '*' || peek().type === '/') { const op = tokens[i++].type; left = { op, left, right: unary() }; }
+    return left;
+  };
+  const expr = () => {
+    let left = term();
+    while (peek().type === '+' || peek().type === '-') { const op = tokens[i++].type; left = { op, left, right: term() }; }
+    return left;
+  };
+
+  if (!src.trim()) throw formulaError('Formula is empty');
+  const ast = expr();
+  if (peek().type !== 'end') throw formulaError(`Unexpected "${peek().value ?? peek().type}"`, peek().pos);
+  return ast;
+}
+
+const readField = (row, name) => {
+  if (name === 'ip') return row._counts ? row._counts.outs / 3 : parseIP(row.ip);
+  const v = parseFloat(row[name]);
+  if (!isNaN(v)) return v;
+  return parseFloat(row._counts?.[name]) || 0;
+};
+
+function evaluate(node, row) {
+  switch (node.op) {
+    case 'num': return node.value;
+    case 'field': return readField(row, node.name);
+    case 'neg': return -evaluate(node.arg, row);
+    case 'call': return FORMULA_FUNCTIONS[node.name](...node.args.map(a => evaluate(a, row)));
+    case '+': return evaluate(node.left, row) + evaluate(node.right, row);
+    case '-': return evaluate(node.left, row) - evaluate(node.right, row);
+    case '*': return evaluate(node.left, row) * evaluate(node.right, row);
+    case '/': return evaluate(node.left, row) / evaluate(node.right, row);
+    case '^': return Math.pow(evaluate(node.left, row), evaluate(node.right, row));
+    default: return NaN;
+  }
+}
+
+// Parse once, evaluate per row. Throws on a malformed formula; evaluation returns null for divide-by-zero and the like.
+export function compileFormula(src, type) {
+  const ast = parse(src, type);
+  return (row) => {
+    const v = evaluate(ast, row);
+    return isFinite(v) ? v : null;
+  };
+}
+
+// Derived columns are stored under `derived_<id>` so they sort like any other row field
+export const derivedKey = (col) => `derived_${col.id}`;
+
+// The derived column keys of each table type in `store`, e.g. for checking a shared link's sort
+export const derivedKeysByType = (store) => Object.fromEntries(['batting', 'pitching'].map(type => [type, (store[type]?.derived || []).map(derivedKey)]));
+
+// Attach every derived column's value to each row; columns whose formula no longer parses are skipped
+export function withDerivedColumns(rows, type, derivedColumns) {
+  const compiled = (derivedColumns || []).map(col => {
+    try { return { key: derivedKey(col), digits: col.digits ?? 2, fn: compileFormula(col.formula, type) }; }
+    catch { return null; }
+  }).filter(Boolean);
+  if (!compiled.length) return rows;
+  return rows.map(p => {
+    const out = { ...p };
+    compiled.forEach(c => { const v = c.fn(p); out[c.key] = v === null ? null : Number(v.toFixed(c.digits)); });
+    return out;
+  });
+}
+
+const STORAGE_KEY = 'statsColumnSets';
+const emptyStore = () => ({ batting: { sets: [], derived: [], activeSetId: null }, pitching: { sets: [], derived: [], activeSetId: null } });
+
+export function loadColumnStore() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    const store = emptyStore();
+    ['batting', 'pitching'].forEach(type => { if (saved?.[type]) store[type] = { ...store[type], ...saved[type] }; });
+    return store;
+  } catch {
+    return emptyStore();
+  }
+}
+
+export function saveColumnStore(store) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(store)); }
+  catch (e) { console.error('Failed to save column sets:', e); }
+}
@@ -0,0 +1,57 @@
+// Contributor accounts: optional sign-in for people who submit stats, kept apart from admin logins.
+// Contributor users carry app_metadata.role = 'contributor' (set by /api/contributors, not editable by the user),
+// and every pending_uploads row they submit has their user id in `contributor_id`. The parts of one file (a combined
+// export is stored as one row per part) share a `submission_id`.
+//
+// Reputation is the lower bound of the 90% Wilson interval on the share of their files reviewers approved, so a long
+// clean record outranks a short perfect one. Trusted contributors' uploads are merged without review when nothing
+// else looks off; those files count for neither side, so auto-approval never feeds the reputation that allowed it.
+export const TRUSTED_MIN_APPROVED = 10;
+export const TRUSTED_MIN_REPUTATION = 85;
+// Fewer decided submissions than this and the record says little either way
+const NEW_CONTRIBUTOR_DECIDED = 3;
+const LOW_REPUTATION = 60;
+const Z = 1.645;
+
+export const isContributor = (user) => user?.app_metadata?.role === 'contributor';
+
+export const contributorName = (user) => user?.user_metadata?.display_name || user?.email?.split('@')[0] || 'Contributor';
+
+export function wilsonLowerBound(successes, total) {
+  if (!total) return 0;
+  const p = successes / total;
+  const denom = 1 + Z * Z / total;
+  const centre = p + Z * Z / (2 * total);
+  const margin = Z * Math.sqrt(p * (1 - p) / total + Z * Z / (4 * total * total));
+  return Math.max(0, (centre - margin) / denom);
+}
+
+/**
+ * uploads: one contributor's pending_uploads rows ({ id, submission_id, status, auto_approved }).
+ * Counts files, not parts: a file is rejected if a reviewer rejected any part, approved once every part is approved.
+ */
+export function getContributorStats(uploads) {
+  const files = new Map();
+  for (const u of uploads || []) {
+    const key = u.submission_id || u.id; // rows from before submission ids each stand alone
+    if (!files.has(key)) files.set(key, []);
+    files.get(key).push(u);
+  }
+  let approved = 0, rejected = 0, pending = 0, autoApproved = 0;
+  for (const parts of files.values()) {
+    if (parts.some(p => p.auto_approved)) autoApproved++;
+    else if (parts.some(p => p.status === 'rejected')) rejected++;
+    else if (parts.every(p => p.status === 'approved')) approved++;
+    else pending++;
+  }
+  const decided = approved + rejected;
+  const reputation = decided ? Math.round(100 * wilsonLowerBound(approved, decided)) : null;
+  return {
+    total: files.size, approved, rejected, pending, autoApproved,
+    reputation,
+    trusted: approved >= TRUSTED_MIN_APPROVED && reputation >= TRUSTED_MIN_REPUTATION,
+  };
+}
+
+// Submitters the review queue should look at first: anonymous, new, or with a poor record
+export const needsAttention = (stats) => !stats || stats.approved + stats.rejected < NEW_CONTRIBUTOR_DECIDED || stats.reputation < LOW_REPUTATION;
@@ -1,2553 +0,0 @@
-// Auto-generated by generate_live_card_colors.py — do not edit manually.
-// Re-run the script after uploading a new pt_card_list.csv, then redeploy.
-// 1272 Live card players indexed.
-
-export const LIVE_CARD_COLORS = {
-  "angel zerpa": "#cd7f32",
-  "ryan zeferjahn": "#888888",
-  "jared young": "#cd7f32",
-  "jacob young": "#cd7f32",
-  "cole young": "#888888",
-  "brandon young": "#cd7f32",
-  "masataka yoshida": "#cd7f32",
-  "nick yorke": "#888888",
-  "craig yoho": "#888888",
-  "huascar ynoa": "#cd7f32",
-  "trey yesavage": "#FFE61F",
-  "christian yelich": "#E0E0E0",
-  "kirby yates": "#cd7f32",
-  "mike yastrzemski": "#cd7f32",
-  "ryan yarbrough": "#cd7f32",
-  "yoshinobu yamamoto": "#a855f7",
-  "austin wynns": "#888888",
-  "justin wrobleski": "#FFE61F",
-  "gage workman": "#888888",
-  "simeon woods richardson": "#888888",
-  "brandon woodruff": "#32EBFC",
-  "jake woodford": "#888888",
-  "james wood": "#a855f7",
-  "bryan woo": "#a855f7",
-  "connor wong": "#cd7f32",
-  "grant wolfram": "#cd7f32",
-  "bobby witt jr": "#a855f7",
-  "masyn winn": "#E0E0E0",
-  "keaton winn": "#E0E0E0",
-  "cole winn": "#888888",
-  "will wilson": "#888888",
-  "weston wilson": "#888888",
-  "steven wilson": "#888888",
-  "jacob wilson": "#cd7f32",
-  "bryse wilson": "#888888",
-  "brandon williamson": "#888888",
-  "ben williamson": "#888888",
-  "luke williams": "#888888",
-  "gavin williams": "#FFE61F",
-  "devin williams": "#32EBFC",
-  "carson williams": "#cd7f32",
-  "alika williams": "#888888",
-  "cole wilcox": "#888888",
-  "joey wiemer": "#888888",
-  "jordan wicks": "#cd7f32",
-  "garrett whitlock": "#FFE61F",
-  "eli white": "#888888",
-  "shay whitcomb": "#888888",
-  "zack wheeler": "#32EBFC",
-  "jj wetherholt": "#E0E0E0",
-  "jordan westburg": "#E0E0E0",
-  "joey wentz": "#cd7f32",
-  "tyler wells": "#cd7f32",
-  "austin wells": "#cd7f32",
-  "greg weissert": "#888888",
-  "ryan weiss": "#cd7f32",
-  "logan webb": "#32EBFC",
-  "jacob webb": "#cd7f32",
-  "luke weaver": "#FFE61F",
-  "ryan weathers": "#E0E0E0",
-  "beck way": "#888888",
-  "ryan watson": "#888888",
-  "kahlil watson": "#888888",
-  "drew waters": "#888888",
-  "will warren": "#E0E0E0",
-  "austin warren": "#888888",
-  "taylor ward": "#E0E0E0",
-  "ryan ward": "#888888",
-  "donovan walton": "#888888",
-  "andrew walters": "#cd7f32",
-  "taylor walls": "#888888",
-  "matt wallner": "#E0E0E0",
-  "taijuan walker": "#888888",
-  "ryan walker": "#E0E0E0",
-  "jordan walker": "#E0E0E0",
-  "christian walker": "#cd7f32",
-  "ryan waldschmidt": "#888888",
-  "matt waldron": "#888888",
-  "ken waldichuk": "#888888",
-  "will wagner": "#888888",
-  "eric wagaman": "#cd7f32",
-  "lamonte wade jr": "#cd7f32",
-  "michael wacha": "#E0E0E0",
-  "anthony volpe": "#cd7f32",
-  "victor vodnik": "#888888",
-  "jorbit vivas": "#888888",
-  "ryan vilade": "#888888",
-  "matt vierling": "#888888",
-  "mark vientos": "#cd7f32",
-  "will vest": "#E0E0E0",
-  "alex vesia": "#FFE61F",
-  "justin verlander": "#cd7f32",
-  "nelson velazquez": "#cd7f32",
-  "luis vazquez": "#888888",
-  "christian vazquez": "#888888",
-  "andrew vaughn": "#cd7f32",
-  "randy vasquez": "#888888",
-  "mike vasil": "#cd7f32",
-  "daulton varsho": "#FFE61F",
-  "louie varland": "#32EBFC",
-  "gus varland": "#888888",
-  "miguel vargas": "#FFE61F",
-  "ildemaro vargas": "#888888",
-  "carlos vargas": "#888888",
-  "ricky vanasco": "#888888",
-  "george valera": "#888888",
-  "brandon valenzuela": "#888888",
-  "framber valdez": "#FFE61F",
-  "esmerlyn valdez": "#888888",
-  "enmanuel valdez": "#888888",
-  "gio urshela": "#cd7f32",
-  "jose urquidy": "#cd7f32",
-  "abner uribe": "#E0E0E0",
-  "ramon urias": "#cd7f32",
-  "walbert urena": "#cd7f32",
-  "edwin uceta": "#E0E0E0",
-  "trea turner": "#cd7f32",
-  "brice turang": "#32EBFC",
-  "kyle tucker": "#E0E0E0",
-  "tommy troy": "#888888",
-  "mike trout": "#32EBFC",
-  "chadwick tromp": "#888888",
-  "lou trivino": "#888888",
-  "jared triolo": "#E0E0E0",
-  "jose trevino": "#888888",
-  "blake treinen": "#cd7f32",
-  "taylor trammell": "#cd7f32",
-  "ezequiel tovar": "#cd7f32",
-  "gleyber torres": "#FFE61F",
-  "bryan torres": "#888888",
-  "luis torrens": "#888888",
-  "abraham toro": "#888888",
-  "spencer torkelson": "#E0E0E0",
-  "justin topa": "#888888",
-  "jonah tong": "#E0E0E0",
-  "payton tolle": "#FFE61F",
-  "tyler tolbert": "#888888",
-  "michael toglia": "#cd7f32",
-  "jesus tinoco": "#cd7f32",
-  "blade tidwell": "#cd7f32",
-  "trent thornton": "#888888",
-  "sterlin thompson": "#888888",
-  "ryan thompson": "#cd7f32",
-  "keegan thompson": "#888888",
-  "lane thomas": "#cd7f32",
-  "colby thomas": "#888888",
-  "alek thomas": "#888888",
-  "caleb thielbar": "#cd7f32",
-  "matt thaiss": "#cd7f32",
-  "bryce teodosio": "#888888",
-  "kaiwei teng": "#cd7f32",
-  "jose tena": "#888888",
-  "kyle teel": "#E0E0E0",
-  "tyrone taylor": "#888888",
-  "grant taylor": "#32EBFC",
-  "chris taylor": "#888888",
-  "tim tawa": "#888888",
-  "leody taveras": "#cd7f32",
-  "fernando tatis jr": "#FFE61F",
-  "jameson taillon": "#cd7f32",
-  "trey sweeney": "#888888",
-  "dansby swanson": "#E0E0E0",
-  "matt svanson": "#888888",
-  "seiya suzuki": "#32EBFC",
-  "jack suwinski": "#888888",
-  "brent suter": "#888888",
-  "daniel susac": "#888888",
-  "cole sulser": "#888888",
-  "sean sullivan": "#888888",
-  "brett sullivan": "#888888",
-  "tomoyuki sugano": "#888888",
-  "robert suarez": "#FFE61F",
-  "ranger suarez": "#32EBFC",
-  "jose suarez": "#cd7f32",
-  "eugenio suarez": "#E0E0E0",
-  "albert suarez": "#888888",
-  "garrett stubbs": "#888888",
-  "kade strowd": "#888888",
-  "spencer strider": "#FFE61F",
-  "myles straw": "#cd7f32",
-  "matt strahm": "#E0E0E0",
-  "kyle stowers": "#E0E0E0",
-  "bryson stott": "#cd7f32",
-  "trevor story": "#888888",
-  "sal stewart": "#E0E0E0",
-  "brock stewart": "#cd7f32",
-  "justin sterner": "#888888",
-  "tyler stephenson": "#cd7f32",
-  "robert stephenson": "#E0E0E0",
-  "michael stefanic": "#888888",
-  "spencer steer": "#cd7f32",
-  "giancarlo stanton": "#cd7f32",
-  "ryne stanek": "#888888",
-  "brandon sproat": "#cd7f32",
-  "jeffrey springs": "#cd7f32",
-  "george springer": "#E0E0E0",
-  "mitch spence": "#888888",
-  "gabe speier": "#FFE61F",
-  "bennett sousa": "#E0E0E0",
-  "juan soto": "#a855f7",
-  "gregory soto": "#E0E0E0",
-  "lenyn sosa": "#888888",
-  "edmundo sosa": "#888888",
-  "michael soroka": "#FFE61F",
-  "jose soriano": "#E0E0E0",
-  "george soriano": "#888888",
-  "sungmun song": "#888888",
-  "drew sommers": "#888888",
-  "jorge soler": "#cd7f32",
-  "nick solak": "#E0E0E0",
-  "nick sogard": "#888888",
-  "tyler soderstrom": "#E0E0E0",
-  "blake snell": "#32EBFC",
-  "will smith": "#FFE61F",
-  "shane smith": "#FFE61F",
-  "pavin smith": "#cd7f32",
-  "josh smith": "#cd7f32",
-  "dylan smith": "#cd7f32",
-  "dominic smith": "#cd7f32",
-  "cam smith": "#888888",
-  "cade smith": "#32EBFC",
-  "austin slater": "#888888",
-  "justin slaten": "#cd7f32",
-  "tarik skubal": "#a855f7",
-  "paul skenes": "#a855f7",
-  "evan sisk": "#cd7f32",
-  "brady singer": "#cd7f32",
-  "lucas sims": "#888888",
-  "josh simpson": "#888888",
-  "chandler simpson": "#cd7f32",
-  "ronny simon": "#888888",
-  "chase silseth": "#888888",
-  "jared shuster": "#888888",
-  "chase shugart": "#888888",
-  "zack short": "#888888",
-  "tj shook": "#888888",
-  "braden shewmake": "#888888",
-  "gavin sheets": "#cd7f32",
-  "emmet sheehan": "#E0E0E0",
-  "matt shaw": "#cd7f32",
-  "ian seymour": "#cd7f32",
-  "carson seymour": "#888888",
-  "paul sewald": "#cd7f32",
-  "luis severino": "#cd7f32",
-  "antonio senzatela": "#888888",
-  "hayden senger": "#888888",
-  "kodai senga": "#E0E0E0",
-  "marcus semien": "#cd7f32",
-  "anthony seigler": "#888888",
-  "jp sears": "#888888",
-  "corey seager": "#FFE61F",
-  "connor seabold": "#888888",
-  "victor scott ii": "#cd7f32",
-  "tayler scott": "#888888",
-  "tanner scott": "#FFE61F",
-  "christian scott": "#E0E0E0",
-  "tyler schweitzer": "#888888",
-  "kyle schwarber": "#32EBFC",
-  "paxton schultz": "#888888",
-  "noah schultz": "#888888",
-  "max schuemann": "#E0E0E0",
-  "john schreiber": "#cd7f32",
-  "jesse scholtens": "#888888",
-  "davis schneider": "#E0E0E0",
-  "daniel schneemann": "#cd7f32",
-  "casey schmitt": "#E0E0E0",
-  "cam schlittler": "#a855f7",
-  "max scherzer": "#cd7f32",
-  "nolan schanuel": "#E0E0E0",
-  "josh sborz": "#cd7f32",
-  "tayler saucedo": "#888888",
-  "roki sasaki": "#E0E0E0",
-  "gregory santos": "#E0E0E0",
-  "tony santillan": "#888888",
-  "anthony santander": "#E0E0E0",
-  "dennis santana": "#cd7f32",
-  "carlos santana": "#cd7f32",
-  "alimber santa": "#888888",
-  "javier sanoja": "#888888",
-  "reiver sanmartin": "#cd7f32",
-  "cole sands": "#E0E0E0",
-  "patrick sandoval": "#cd7f32",
-  "nick sandlin": "#888888",
-  "cam sanders": "#888888",
-  "jesus sanchez": "#cd7f32",
-  "gary sanchez": "#E0E0E0",
-  "cristopher sanchez": "#a855f7",
-  "tyler samaniego": "#888888",
-  "chris sale": "#a855f7",
-  "cesar salazar": "#888888",
-  "thomas saggese": "#888888",
-  "erik sabrowski": "#888888",
-  "joe ryan": "#32EBFC",
-  "adley rutschman": "#E0E0E0",
-  "jackson rutledge": "#888888",
-  "dalton rushing": "#E0E0E0",
-  "tj rumfield": "#cd7f32",
-  "keibert ruiz": "#888888",
-  "esteury ruiz": "#E0E0E0",
-  "chris roycroft": "#888888",
-  "landen roupp": "#FFE61F",
-  "joe ross": "#888888",
-  "amed rosario": "#888888",
-  "ben rortvedt": "#888888",
-  "brent rooker": "#FFE61F",
-  "drew romo": "#888888",
-  "jojo romero": "#cd7f32",
-  "jordan romano": "#888888",
-  "ryan rolison": "#888888",
-  "miguel rojas": "#E0E0E0",
-  "kendry rojas": "#888888",
-  "johan rojas": "#888888",
-  "tyler rogers": "#E0E0E0",
-  "trevor rogers": "#E0E0E0",
-  "taylor rogers": "#888888",
-  "jake rogers": "#888888",
-  "yariel rodriguez": "#cd7f32",
-  "julio rodriguez": "#FFE61F",
-  "johnathan rodriguez": "#cd7f32",
-  "jesus rodriguez": "#888888",
-  "grayson rodriguez": "#E0E0E0",
-  "endy rodriguez": "#888888",
-  "elmer rodriguez": "#888888",
-  "eduardo rodriguez": "#E0E0E0",
-  "carlos rodriguez": "#cd7f32",
-  "bradgley rodriguez": "#E0E0E0",
-  "carlos rodon": "#FFE61F",
-  "alan roden": "#888888",
-  "kumar rocker": "#E0E0E0",
-  "joe rock": "#888888",
-  "brayan rocchio": "#cd7f32",
-  "victor robles": "#888888",
-  "will robertson": "#888888",
-  "ethan roberts": "#888888",
-  "luis robert jr": "#E0E0E0",
-  "christian roa": "#888888",
-  "leonardo rivas": "#888888",
-  "ryan ritter": "#cd7f32",
-  "jr ritchie": "#888888",
-  "gabriel rincones jr": "#888888",
-  "austin riley": "#888888",
-  "lyon richardson": "#888888",
-  "trevor richards": "#888888",
-  "ben rice": "#32EBFC",
-  "orlando ribalta": "#888888",
-  "bryan reynolds": "#FFE61F",
-  "felix reyes": "#888888",
-  "luis rengifo": "#888888",
-  "rob refsnyder": "#888888",
-  "jt realmuto": "#888888",
-  "colin rea": "#888888",
-  "marco raya": "#cd7f32",
-  "robbie ray": "#E0E0E0",
-  "john rave": "#888888",
-  "drew rasmussen": "#32EBFC",
-  "taylor rashi": "#888888",
-  "nick raquet": "#888888",
-  "alan rangel": "#888888",
-  "wilkin ramos": "#888888",
-  "heliot ramos": "#E0E0E0",
-  "yohan ramirez": "#cd7f32",
-  "pedro ramirez": "#888888",
-  "jose ramirez": "#32EBFC",
-  "agustin ramirez": "#888888",
-  "luke raley": "#cd7f32",
-  "brooks raley": "#E0E0E0",
-  "cal raleigh": "#FFE61F",
-  "cole ragans": "#32EBFC",
-  "ceddanne rafaela": "#FFE61F",
-  "edgar quero": "#888888",
-  "cal quantrill": "#888888",
-  "matt pushard": "#cd7f32",
-  "cesar prieto": "#888888",
-  "quinn priester": "#E0E0E0",
-  "connor prielipp": "#E0E0E0",
-  "collin price": "#888888",
-  "cooper pratt": "#888888",
-  "yohel pozo": "#888888",
-  "cade povich": "#888888",
-  "pj poulin": "#888888",
-  "logan porter": "#888888",
-  "zach pop": "#888888",
-  "drew pomeranz": "#888888",
-  "jorge polanco": "#E0E0E0",
-  "nick pivetta": "#FFE61F",
-  "jonathan pintaro": "#cd7f32",
-  "yohendrick pinango": "#888888",
-  "konnor pilkington": "#cd7f32",
-  "tyler phillips": "#cd7f32",
-  "connor phillips": "#888888",
-  "tommy pham": "#888888",
-  "brandon pfaadt": "#E0E0E0",
-  "chase petty": "#888888",
-  "david peterson": "#E0E0E0",
-  "michael petersen": "#888888",
-  "tristan peters": "#888888",
-  "jack perkins": "#E0E0E0",
-  "blake perkins": "#888888",
-  "wenceel perez": "#888888",
-  "salvador perez": "#888888",
-  "martin perez": "#cd7f32",
-  "junior perez": "#888888",
-  "eury perez": "#E0E0E0",
-  "cionel perez": "#888888",
-  "carlos perez": "#cd7f32",
-  "everson pereira": "#cd7f32",
-  "jhonny pereda": "#888888",
-  "geraldo perdomo": "#FFE61F",
-  "oswald peraza": "#888888",
-  "wandy peralta": "#cd7f32",
-  "luis peralta": "#888888",
-  "freddy peralta": "#FFE61F",
-  "ryan pepiot": "#E0E0E0",
-  "jeremy pena": "#E0E0E0",
-  "liover peguero": "#888888",
-  "joc pederson": "#E0E0E0",
-  "nate pearson": "#888888",
-  "joel payamps": "#cd7f32",
-  "graham pauley": "#888888",
-  "chad patrick": "#cd7f32",
-  "vinnie pasquantino": "#cd7f32",
-  "mitchell parker": "#888888",
-  "kyren paris": "#cd7f32",
-  "mike paredes": "#888888",
-  "isaac paredes": "#E0E0E0",
-  "carson palmquist": "#888888",
-  "peyton pallette": "#888888",
-  "andre pallante": "#cd7f32",
-  "daniel palencia": "#cd7f32",
-  "richie palacios": "#888888",
-  "andrew painter": "#cd7f32",
-  "pedro pages": "#888888",
-  "andy pages": "#E0E0E0",
-  "emilio pagan": "#E0E0E0",
-  "chris paddack": "#888888",
-  "marcell ozuna": "#E0E0E0",
-  "johan oviedo": "#E0E0E0",
-  "james outman": "#cd7f32",
-  "alejandro osuna": "#888888",
-  "eric orze": "#cd7f32",
-  "joey ortiz": "#cd7f32",
-  "kaleb ort": "#888888",
-  "matt olson": "#32EBFC",
-  "jared oliva": "#888888",
-  "steven okert": "#E0E0E0",
-  "kazuma okamoto": "#E0E0E0",
-  "shohei ohtani": "#a855f7",
-  "bailey ober": "#cd7f32",
-  "tyler o'neill": "#cd7f32",
-  "logan o'hoppe": "#888888",
-  "ryan o'hearn": "#E0E0E0",
-  "riley o'brien": "#E0E0E0",
-  "nasim nunez": "#cd7f32",
-  "connor norby": "#888888",
-  "lars nootbaar": "#E0E0E0",
-  "aaron nola": "#E0E0E0",
-  "jhonkensy noel": "#888888",
-  "rikuu nishida": "#888888",
-  "brandon nimmo": "#E0E0E0",
-  "tomas nido": "#cd7f32",
-  "kyle nicolas": "#888888",
-  "kevin newman": "#cd7f32",
-  "sean newcomb": "#FFE61F",
-  "zach neto": "#E0E0E0",
-  "hector neris": "#888888",
-  "ryne nelson": "#cd7f32",
-  "josh naylor": "#cd7f32",
-  "bo naylor": "#cd7f32",
-  "packy naughton": "#FFE61F",
-  "samy natera jr": "#888888",
-  "carlos narvaez": "#888888",
-  "andrew nardi": "#cd7f32",
-  "tommy nance": "#cd7f32",
-  "tobias myers": "#888888",
-  "dane myers": "#888888",
-  "joe musgrove": "#E0E0E0",
-  "tanner murray": "#888888",
-  "jayden murray": "#888888",
-  "sean murphy": "#cd7f32",
-  "chris murphy": "#888888",
-  "munetaka murakami": "#32EBFC",
-  "roddery munoz": "#888888",
-  "andres munoz": "#FFE61F",
-  "max muncy": "#FFE61F",
-  "cedric mullins": "#cd7f32",
-  "ryan mountcastle": "#cd7f32",
-  "kade morris": "#888888",
-  "andrew morris": "#cd7f32",
-  "juan morillo": "#888888",
-  "eli morgan": "#888888",
-  "david morgan": "#888888",
-  "gabriel moreno": "#FFE61F",
-  "christopher morel": "#888888",
-  "adrian morejon": "#FFE61F",
-  "jovani moran": "#cd7f32",
-  "luis morales": "#888888",
-  "nick morabito": "#888888",
-  "dylan moore": "#E0E0E0",
-  "christian moore": "#888888",
-  "mason montgomery": "#E0E0E0",
-  "colson montgomery": "#cd7f32",
-  "rafael montero": "#888888",
-  "keider montero": "#E0E0E0",
-  "mickey moniak": "#FFE61F",
-  "yoan moncada": "#cd7f32",
-  "andruw monasterio": "#cd7f32",
-  "sam moll": "#888888",
-  "carmen mlodzinski": "#E0E0E0",
-  "casey mize": "#FFE61F",
-  "garrett mitchell": "#E0E0E0",
-  "kameron misner": "#888888",
-  "jacob misiorowski": "#a855f7",
-  "aj minter": "#E0E0E0",
-  "hoby milner": "#cd7f32",
-  "wyatt mills": "#888888",
-  "owen miller": "#E0E0E0",
-  "mason miller": "#a855f7",
-  "erik miller": "#cd7f32",
-  "bryce miller": "#FFE61F",
-  "bobby miller": "#cd7f32",
-  "drew millas": "#888888",
-  "spencer miles": "#FFE61F",
-  "miles mikolas": "#888888",
-  "keynan middleton": "#cd7f32",
-  "jake meyers": "#cd7f32",
-  "max meyer": "#FFE61F",
-  "luis mey": "#888888",
-  "parker messick": "#32EBFC",
-  "victor mesa jr": "#888888",
-  "matt mervis": "#888888",
-  "julian merryweather": "#888888",
-  "jackson merrill": "#cd7f32",
-  "troy melton": "#E0E0E0",
-  "jacob melton": "#cd7f32",
-  "mj melendez": "#888888",
-  "juan mejia": "#888888",
-  "chase meidroth": "#cd7f32",
-  "trevor megill": "#32EBFC",
-  "luis medina": "#888888",
-  "wade meckler": "#888888",
-  "nick mears": "#888888",
-  "parker meadows": "#E0E0E0",
-  "curtis mead": "#888888",
-  "jeff mcneil": "#cd7f32",
-  "ryan mcmahon": "#cd7f32",
-  "nolan mclean": "#FFE61F",
-  "matt mclain": "#cd7f32",
-  "zach mckinstry": "#cd7f32",
-  "reese mcguire": "#888888",
-  "michael mcgreevy": "#E0E0E0",
-  "kevin mcgonigle": "#FFE61F",
-  "easton mcgee": "#cd7f32",
-  "trevor mcdonald": "#cd7f32",
-  "andrew mccutchen": "#888888",
-  "lance mccullers jr": "#cd7f32",
-  "chas mccormick": "#cd7f32",
-  "shane mcclanahan": "#32EBFC",
-  "jake mccarthy": "#E0E0E0",
-  "james mccann": "#888888",
-  "zach mccambley": "#888888",
-  "charles mcadoo": "#888888",
-  "tim mayza": "#cd7f32",
-  "coby mayo": "#cd7f32",
-  "marcelo mayer": "#888888",
-  "dustin may": "#E0E0E0",
-  "ronny mauricio": "#888888",
-  "steven matz": "#cd7f32",
-  "isaac mattson": "#888888",
-  "zebby matthews": "#E0E0E0",
-  "brice matthews": "#cd7f32",
-  "yuki matsui": "#cd7f32",
-  "luis matos": "#cd7f32",
-  "phil maton": "#888888",
-  "jorge mateo": "#888888",
-  "miles mastrobuoni": "#888888",
-  "michael massey": "#888888",
-  "omar martinez": "#888888",
-  "nick martinez": "#FFE61F",
-  "angel martinez": "#888888",
-  "trevor martin": "#888888",
-  "riley martin": "#888888",
-  "davis martin": "#E0E0E0",
-  "corbin martin": "#888888",
-  "chris martin": "#cd7f32",
-  "austin martin": "#888888",
-  "starling marte": "#888888",
-  "noelvi marte": "#cd7f32",
-  "ketel marte": "#FFE61F",
-  "brandon marsh": "#FFE61F",
-  "jakob marsee": "#cd7f32",
-  "german marquez": "#888888",
-  "ron marinaccio": "#888888",
-  "rafael marchan": "#888888",
-  "kyle manzardo": "#E0E0E0",
-  "joe mantiply": "#cd7f32",
-  "alek manoah": "#cd7f32",
-  "jake mangum": "#888888",
-  "trey mancini": "#888888",
-  "sean manaea": "#E0E0E0",
-  "justynhenry malloy": "#cd7f32",
-  "tyler mahle": "#cd7f32",
-  "nick madrigal": "#888888",
-  "ty madden": "#cd7f32",
-  "adam macko": "#888888",
-  "joe mack": "#888888",
-  "willie maciver": "#888888",
-  "manny machado": "#cd7f32",
-  "daniel lynch iv": "#cd7f32",
-  "jesus luzardo": "#32EBFC",
-  "gavin lux": "#E0E0E0",
-  "nathan lukes": "#888888",
-  "seth lugo": "#cd7f32",
-  "joey lucchesi": "#cd7f32",
-  "nathaniel lowe": "#E0E0E0",
-  "josh lowe": "#cd7f32",
-  "brandon lowe": "#E0E0E0",
-  "rhett lowder": "#cd7f32",
-  "dicky lovelady": "#888888",
-  "michael lorenzen": "#888888",
-  "brad lord": "#cd7f32",
-  "reynaldo lopez": "#E0E0E0",
-  "otto lopez": "#E0E0E0",
-  "nicky lopez": "#888888",
-  "jacob lopez": "#E0E0E0",
-  "joey loperfido": "#888888",
-  "nick loftin": "#888888",
-  "nick lodolo": "#E0E0E0",
-  "brandon lockridge": "#888888",
-  "tyler locklear": "#888888",
-  "jonathan loaisiga": "#E0E0E0",
-  "brendon little": "#888888",
-  "zack littell": "#888888",
-  "francisco lindor": "#FFE61F",
-  "daylen lile": "#888888",
-  "matthew liberatore": "#888888",
-  "royce lewis": "#cd7f32",
-  "mark leiter jr": "#cd7f32",
-  "jack leiter": "#cd7f32",
-  "casey legumina": "#cd7f32",
-  "junghoo lee": "#cd7f32",
-  "haoyu lee": "#888888",
-  "dylan lee": "#FFE61F",
-  "chase lee": "#cd7f32",
-  "brooks lee": "#cd7f32",
-  "jordan leasure": "#888888",
-  "kyle leahy": "#cd7f32",
-  "max lazar": "#888888",
-  "justin lawrence": "#888888",
-  "jordan lawlar": "#cd7f32",
-  "cody laweryson": "#cd7f32",
-  "ramon laureano": "#cd7f32",
-  "eric lauer": "#cd7f32",
-  "jake latz": "#E0E0E0",
-  "trevor larnach": "#E0E0E0",
-  "wyatt langford": "#32EBFC",
-  "shea langeliers": "#E0E0E0",
-  "alex lange": "#cd7f32",
-  "peter lambert": "#cd7f32",
-  "steven kwan": "#cd7f32",
-  "nick kurtz": "#a855f7",
-  "joel kuhnel": "#888888",
-  "dean kremer": "#cd7f32",
-  "ryan kreidler": "#888888",
-  "jackson kowar": "#888888",
-  "christian koss": "#888888",
-  "stephen kolek": "#cd7f32",
-  "jared koenig": "#FFE61F",
-  "jack kochanowicz": "#888888",
-  "andrew knizner": "#888888",
-  "will klein": "#cd7f32",
-  "john klein": "#cd7f32",
-  "george klassen": "#cd7f32",
-  "heston kjerstad": "#888888",
-  "andrew kittredge": "#cd7f32",
-  "alejandro kirk": "#FFE61F",
-  "george kirby": "#32EBFC",
-  "tyler kinley": "#cd7f32",
-  "scott kingery": "#888888",
-  "michael king": "#FFE61F",
-  "john king": "#cd7f32",
-  "bryan king": "#E0E0E0",
-  "isiah kinerfalefa": "#888888",
-  "craig kimbrel": "#cd7f32",
-  "hyeseong kim": "#888888",
-  "haseong kim": "#cd7f32",
-  "caleb kilian": "#cd7f32",
-  "yusei kikuchi": "#cd7f32",
-  "orion kerkering": "#FFE61F",
-  "zak kent": "#888888",
-  "buddy kennedy": "#888888",
-  "william kempner": "#888888",
-  "otto kemp": "#888888",
-  "zack kelly": "#888888",
-  "michael kelly": "#888888",
-  "kevin kelly": "#E0E0E0",
-  "carson kelly": "#E0E0E0",
-  "mitch keller": "#E0E0E0",
-  "brad keller": "#888888",
-  "jarred kelenic": "#888888",
-  "colt keith": "#cd7f32",
-  "dashawn keirsey jr": "#888888",
-  "luke keaschall": "#cd7f32",
-  "cj kayfus": "#cd7f32",
-  "niko kavadas": "#cd7f32",
-  "kyle karros": "#cd7f32",
-  "janson junk": "#E0E0E0",
-  "jakob junis": "#FFE61F",
-  "josh jung": "#cd7f32",
-  "jace jung": "#cd7f32",
-  "gage jump": "#E0E0E0",
-  "edouard julien": "#cd7f32",
-  "hayden juenger": "#888888",
-  "aaron judge": "#a855f7",
-  "ben joyce": "#E0E0E0",
-  "spencer jones": "#cd7f32",
-  "nolan jones": "#cd7f32",
-  "jared jones": "#FFE61F",
-  "jahmai jones": "#cd7f32",
-  "greg jones": "#888888",
-  "troy johnston": "#cd7f32",
-  "seth johnson": "#888888",
-  "ryan johnson": "#cd7f32",
-  "pierce johnson": "#888888",
-  "bryce johnson": "#888888",
-  "connor joe": "#888888",
-  "leo jimenez": "#888888",
-  "eloy jimenez": "#888888",
-  "carter jensen": "#cd7f32",
-  "ryan jeffers": "#FFE61F",
-  "griffin jax": "#FFE61F",
-  "cristian javier": "#E0E0E0",
-  "jim jarvis": "#888888",
-  "kenley jansen": "#cd7f32",
-  "danny jansen": "#cd7f32",
-  "drey jameson": "#888888",
-  "alek jacob": "#888888",
-  "jeremiah jackson": "#888888",
-  "alex jackson": "#888888",
-  "kyle isbel": "#888888",
-  "jake irvin": "#888888",
-  "jonathan india": "#cd7f32",
-  "shota imanaga": "#E0E0E0",
-  "tatsuya imai": "#E0E0E0",
-  "raisel iglesias": "#FFE61F",
-  "andy ibanez": "#cd7f32",
-  "brant hurter": "#E0E0E0",
-  "kyle hurt": "#cd7f32",
-  "sam huff": "#888888",
-  "bryan hudson": "#cd7f32",
-  "adrian houser": "#888888",
-  "brady house": "#888888",
-  "rhys hoskins": "#cd7f32",
-  "spencer horwitz": "#32EBFC",
-  "cade horton": "#E0E0E0",
-  "alex hoppe": "#888888",
-  "tyler holton": "#cd7f32",
-  "grant holmes": "#888888",
-  "clay holmes": "#FFE61F",
-  "grant holman": "#888888",
-  "gavin hollowell": "#888888",
-  "jackson holliday": "#cd7f32",
-  "colin holderman": "#E0E0E0",
-  "gunnar hoglund": "#888888",
-  "andrew hoffmann": "#888888",
-  "nolan hoffman": "#888888",
-  "jeff hoffman": "#E0E0E0",
-  "nico hoerner": "#E0E0E0",
-  "bryan hoeing": "#cd7f32",
-  "porter hodge": "#E0E0E0",
-  "keston hiura": "#E0E0E0",
-  "yaramil hiraldo": "#888888",
-  "rece hinds": "#888888",
-  "tim hill": "#cd7f32",
-  "jaden hill": "#888888",
-  "derek hill": "#cd7f32",
-  "pj higgins": "#888888",
-  "kyle higashioka": "#888888",
-  "liam hicks": "#E0E0E0",
-  "jordan hicks": "#888888",
-  "codi heuer": "#cd7f32",
-  "tim herrin": "#888888",
-  "welinton herrera": "#888888",
-  "jose herrera": "#888888",
-  "ivan herrera": "#FFE61F",
-  "teoscar hernandez": "#E0E0E0",
-  "jonathan hernandez": "#888888",
-  "heriberto hernandez": "#888888",
-  "daysbel hernandez": "#888888",
-  "carlos hernandez": "#cd7f32",
-  "darell hernaiz": "#888888",
-  "jimmy herget": "#888888",
-  "sam hentges": "#E0E0E0",
-  "cole henry": "#888888",
-  "edgardo henriquez": "#cd7f32",
-  "liam hendriks": "#cd7f32",
-  "logan henderson": "#E0E0E0",
-  "gunnar henderson": "#E0E0E0",
-  "ryan helsley": "#E0E0E0",
-  "michael helman": "#888888",
-  "tyler heineman": "#888888",
-  "jonah heim": "#cd7f32",
-  "austin hedges": "#888888",
-  "brent headrick": "#FFE61F",
-  "austin hays": "#E0E0E0",
-  "ke'bryan hayes": "#cd7f32",
-  "robert hassell iii": "#888888",
-  "hunter harvey": "#FFE61F",
-  "kyle hart": "#cd7f32",
-  "kyle harrison": "#FFE61F",
-  "michael harris ii": "#FFE61F",
-  "hogan harris": "#cd7f32",
-  "dustin harris": "#888888",
-  "brett harris": "#888888",
-  "bryce harper": "#32EBFC",
-  "ian happ": "#E0E0E0",
-  "brenan hanifee": "#888888",
-  "emerson hancock": "#cd7f32",
-  "garrett hampson": "#888888",
-  "ian hamilton": "#E0E0E0",
-  "david hamilton": "#cd7f32",
-  "seth halvorsen": "#888888",
-  "petey halpin": "#888888",
-  "dl hall": "#cd7f32",
-  "sam haggerty": "#cd7f32",
-  "josh hader": "#32EBFC",
-  "eric haase": "#888888",
-  "denzer guzman": "#888888",
-  "ryan gusto": "#888888",
-  "lourdes gurriel jr": "#888888",
-  "vladimir guerrero jr": "#E0E0E0",
-  "lujames groover": "#888888",
-  "vaughn grissom": "#888888",
-  "trent grisham": "#E0E0E0",
-  "konnor griffin": "#E0E0E0",
-  "foster griffin": "#FFE61F",
-  "randal grichuk": "#888888",
-  "riley greene": "#32EBFC",
-  "hunter greene": "#a855f7",
-  "tristan gray": "#888888",
-  "sonny gray": "#FFE61F",
-  "peyton gray": "#888888",
-  "andre granillo": "#888888",
-  "gordon graceffo": "#cd7f32",
-  "nolan gorman": "#cd7f32",
-  "mackenzie gore": "#FFE61F",
-  "tanner gordon": "#888888",
-  "colton gordon": "#888888",
-  "hunter goodman": "#E0E0E0",
-  "romy gonzalez": "#cd7f32",
-  "jacob gonzalez": "#888888",
-  "domingo gonzalez": "#888888",
-  "nick gonzales": "#cd7f32",
-  "yoendrys gomez": "#888888",
-  "austin gomber": "#888888",
-  "paul goldschmidt": "#E0E0E0",
-  "tyler glasnow": "#32EBFC",
-  "lucas giolito": "#888888",
-  "jt ginn": "#E0E0E0",
-  "kevin ginkel": "#E0E0E0",
-  "andres gimenez": "#cd7f32",
-  "tyler gilbert": "#888888",
-  "logan gilbert": "#32EBFC",
-  "drew gilbert": "#888888",
-  "luis gil": "#cd7f32",
-  "trey gibson": "#888888",
-  "cade gibson": "#888888",
-  "paul gervase": "#888888",
-  "zack gelof": "#E0E0E0",
-  "kevin gausman": "#FFE61F",
-  "robert gasser": "#E0E0E0",
-  "mickey gasper": "#888888",
-  "mitch garver": "#888888",
-  "braxton garrett": "#FFE61F",
-  "luis garcia jr": "#E0E0E0",
-  "yimi garcia": "#E0E0E0",
-  "robert garcia": "#E0E0E0",
-  "rico garcia": "#888888",
-  "maikel garcia": "#E0E0E0",
-  "luis garcia": "#888888",
-  "jhostynxon garcia": "#888888",
-  "brandyn garcia": "#E0E0E0",
-  "adolis garcia": "#888888",
-  "alec gamboa": "#888888",
-  "zac gallen": "#cd7f32",
-  "matt gage": "#888888",
-  "hunter gaddis": "#cd7f32",
-  "kody funderburk": "#888888",
-  "dax fulton": "#888888",
-  "michael fulmer": "#cd7f32",
-  "carson fulmer": "#888888",
-  "braxton fulford": "#888888",
-  "didier fuentes": "#E0E0E0",
-  "david fry": "#cd7f32",
-  "tj friedl": "#888888",
-  "max fried": "#32EBFC",
-  "sal frelick": "#cd7f32",
-  "tyler freeman": "#E0E0E0",
-  "freddie freeman": "#32EBFC",
-  "cody freeman": "#888888",
-  "kyle freeland": "#888888",
-  "alex freeland": "#cd7f32",
-  "adam frazier": "#888888",
-  "jose franco": "#888888",
-  "ty france": "#888888",
-  "jake fraley": "#cd7f32",
-  "cameron foster": "#888888",
-  "justin foscue": "#888888",
-  "nick fortes": "#888888",
-  "harry ford": "#888888",
-  "mason fluharty": "#cd7f32",
-  "rafael flores jr": "#888888",
-  "dominic fletcher": "#888888",
-  "jack flaherty": "#E0E0E0",
-  "brian fitzpatrick": "#888888",
-  "tyler fitzgerald": "#cd7f32",
-  "richard fitts": "#cd7f32",
-  "braydon fisher": "#cd7f32",
-  "kyle finnegan": "#888888",
-  "matt festa": "#888888",
-  "david festa": "#E0E0E0",
-  "jose a ferrer": "#E0E0E0",
-  "yanquiel fernandez": "#888888",
-  "ryan fernandez": "#cd7f32",
-  "jose fernandez": "#888888",
-  "jose fermin": "#cd7f32",
-  "freddy fermin": "#888888",
-  "tyler ferguson": "#888888",
-  "caleb ferguson": "#cd7f32",
-  "ryan feltner": "#888888",
-  "hunter feduccia": "#888888",
-  "kyler fedko": "#888888",
-  "erick fedde": "#888888",
-  "calvin faucher": "#cd7f32",
-  "mitch farris": "#888888",
-  "kyle farmer": "#888888",
-  "bailey falter": "#888888",
-  "stuart fairchild": "#888888",
-  "pete fairbanks": "#E0E0E0",
-  "aj ewing": "#cd7f32",
-  "thairo estrada": "#888888",
-  "lazaro estrada": "#888888",
-  "jeremiah estrada": "#FFE61F",
-  "carlos estevez": "#cd7f32",
-  "daniel espino": "#cd7f32",
-  "santiago espinal": "#888888",
-  "jc escarra": "#888888",
-  "lucas erceg": "#888888",
-  "nathan eovaldi": "#E0E0E0",
-  "dietrich enns": "#cd7f32",
-  "mason englert": "#E0E0E0",
-  "christian encarnacionstrand": "#888888",
-  "jerar encarnacion": "#888888",
-  "colt emerson": "#888888",
-  "tim elko": "#888888",
-  "bryce eldridge": "#cd7f32",
-  "bryce elder": "#E0E0E0",
-  "josh ekness": "#888888",
-  "brandon eisert": "#cd7f32",
-  "zach eflin": "#cd7f32",
-  "carl edwards jr": "#888888",
-  "xavier edwards": "#FFE61F",
-  "tommy edman": "#E0E0E0",
-  "jake eder": "#888888",
-  "nate eaton": "#888888",
-  "connelly early": "#cd7f32",
-  "caleb durbin": "#888888",
-  "rodolfo duran": "#888888",
-  "jhoan duran": "#a855f7",
-  "jarren duran": "#888888",
-  "ezequiel duran": "#E0E0E0",
-  "dane dunning": "#E0E0E0",
-  "oliver dunn": "#888888",
-  "blake dunn": "#888888",
-  "mauricio dubon": "#cd7f32",
-  "shawn dubin": "#E0E0E0",
-  "shane drohan": "#E0E0E0",
-  "jack dreyer": "#E0E0E0",
-  "brenton doyle": "#E0E0E0",
-  "camilo doval": "#E0E0E0",
-  "wilber dotel": "#888888",
-  "brendan donovan": "#FFE61F",
-  "seranthony dominguez": "#cd7f32",
-  "jasson dominguez": "#888888",
-  "chase dollander": "#888888",
-  "dylan dodd": "#cd7f32",
-  "hunter dobbins": "#cd7f32",
-  "dillon dingler": "#E0E0E0",
-  "yandy diaz": "#32EBFC",
-  "yainer diaz": "#cd7f32",
-  "elias diaz": "#888888",
-  "edwin diaz": "#FFE61F",
-  "alexis diaz": "#cd7f32",
-  "zach dezenzo": "#888888",
-  "rafael devers": "#E0E0E0",
-  "chris devenski": "#888888",
-  "reid detmers": "#32EBFC",
-  "jonny deluca": "#888888",
-  "raynel delgado": "#888888",
-  "chase delauter": "#E0E0E0",
-  "adrian del castillo": "#888888",
-  "jacob degrom": "#32EBFC",
-  "justin dean": "#888888",
-  "yerry de los santos": "#888888",
-  "enyel de los santos": "#cd7f32",
-  "deyvison de los santos": "#888888",
-  "elly de la cruz": "#32EBFC",
-  "enmanuel de jesus": "#cd7f32",
-  "tyler davis": "#888888",
-  "henry davis": "#888888",
-  "nick davila": "#888888",
-  "travis d'arnaud": "#888888",
-  "luis curvelo": "#888888",
-  "john curtiss": "#888888",
-  "yovanny cruz": "#888888",
-  "trei cruz": "#888888",
-  "steven cruz": "#888888",
-  "oneil cruz": "#FFE61F",
-  "fernando cruz": "#E0E0E0",
-  "pete crowarmstrong": "#a855f7",
-  "coleman crow": "#cd7f32",
-  "jimmy crooks": "#888888",
-  "jake cronenworth": "#cd7f32",
-  "garrett crochet": "#a855f7",
-  "cooper criswell": "#cd7f32",
-  "blaine crim": "#888888",
-  "dylan crews": "#888888",
-  "kutter crawford": "#cd7f32",
-  "justin crawford": "#cd7f32",
-  "jp crawford": "#cd7f32",
-  "jonah cox": "#888888",
-  "colton cowser": "#E0E0E0",
-  "danny coulombe": "#cd7f32",
-  "carlos cortes": "#888888",
-  "carlos correa": "#E0E0E0",
-  "riley cornelio": "#cd7f32",
-  "patrick corbin": "#888888",
-  "billy cook": "#888888",
-  "willson contreras": "#32EBFC",
-  "william contreras": "#32EBFC",
-  "griffin conine": "#cd7f32",
-  "michael conforto": "#E0E0E0",
-  "gavin collyer": "#888888",
-  "isaac collins": "#888888",
-  "zach cole": "#cd7f32",
-  "gerrit cole": "#E0E0E0",
-  "ernie clement": "#E0E0E0",
-  "kody clemens": "#cd7f32",
-  "garrett cleavinger": "#E0E0E0",
-  "jonatan clase": "#888888",
-  "taylor clarke": "#cd7f32",
-  "denzel clarke": "#cd7f32",
-  "aaron civale": "#888888",
-  "nathan church": "#888888",
-  "jackson chourio": "#32EBFC",
-  "angel chivilli": "#888888",
-  "jazz chisholm jr": "#FFE61F",
-  "tsungche cheng": "#888888",
-  "matt chapman": "#E0E0E0",
-  "aroldis chapman": "#32EBFC",
-  "andres chaparro": "#888888",
-  "bubba chandler": "#cd7f32",
-  "andrew chafin": "#888888",
-  "eric cerantola": "#888888",
-  "slade cecconi": "#cd7f32",
-  "dylan cease": "#32EBFC",
-  "cade cavalli": "#E0E0E0",
-  "willi castro": "#E0E0E0",
-  "luis castillo": "#E0E0E0",
-  "nick castellanos": "#888888",
-  "blas castano": "#888888",
-  "ben casparius": "#cd7f32",
-  "triston casas": "#E0E0E0",
-  "evan carter": "#cd7f32",
-  "corbin carroll": "#a855f7",
-  "carlos carrasco": "#888888",
-  "kerry carpenter": "#E0E0E0",
-  "dylan carlson": "#cd7f32",
-  "victor caratini": "#cd7f32",
-  "vinny capra": "#888888",
-  "dominic canzone": "#cd7f32",
-  "joey cantillo": "#cd7f32",
-  "yennier cano": "#E0E0E0",
-  "jonathan cannon": "#888888",
-  "griffin canning": "#888888",
-  "mark canha": "#cd7f32",
-  "jeimer candelario": "#888888",
-  "luis campusano": "#E0E0E0",
-  "gustavo campero": "#888888",
-  "kristian campbell": "#cd7f32",
-  "junior caminero": "#a855f7",
-  "noah cameron": "#E0E0E0",
-  "tyler callihan": "#888888",
-  "alex call": "#E0E0E0",
-  "owen caissie": "#cd7f32",
-  "jac caglianone": "#cd7f32",
-  "oswaldo cabrera": "#888888",
-  "edward cabrera": "#E0E0E0",
-  "jose caballero": "#cd7f32",
-  "byron buxton": "#32EBFC",
-  "jose butto": "#cd7f32",
-  "lawrence butler": "#cd7f32",
-  "michael busch": "#FFE61F",
-  "mike burrows": "#888888",
-  "chase burns": "#32EBFC",
-  "alec burleson": "#E0E0E0",
-  "sean burke": "#cd7f32",
-  "brock burke": "#cd7f32",
-  "jake burger": "#cd7f32",
-  "aaron bummer": "#888888",
-  "walker buehler": "#cd7f32",
-  "kris bubic": "#FFE61F",
-  "vidal brujan": "#888888",
-  "justin bruihl": "#cd7f32",
-  "jt brubaker": "#888888",
-  "seth brown": "#cd7f32",
-  "hunter brown": "#32EBFC",
-  "ben brown": "#FFE61F",
-  "connor brogdon": "#888888",
-  "juan brito": "#888888",
-  "beau brieske": "#888888",
-  "jonah bride": "#cd7f32",
-  "will brennan": "#888888",
-  "alex bregman": "#cd7f32",
-  "john brebbia": "#888888",
-  "huascar brazoban": "#cd7f32",
-  "ryan brasier": "#cd7f32",
-  "matt brash": "#FFE61F",
-  "taj bradley": "#E0E0E0",
-  "kyle bradish": "#E0E0E0",
-  "cody bradford": "#cd7f32",
-  "joe boyle": "#E0E0E0",
-  "matthew boyd": "#E0E0E0",
-  "matt bowman": "#888888",
-  "jonathan bowlan": "#cd7f32",
-  "ryan borucki": "#888888",
-  "cam booser": "#888888",
-  "cody bolton": "#888888",
-  "henry bolte": "#888888",
-  "alec bohm": "#cd7f32",
-  "xander bogaerts": "#cd7f32",
-  "aj blubaugh": "#cd7f32",
-  "jj bleday": "#E0E0E0",
-  "dairon blanco": "#888888",
-  "bradley blalock": "#888888",
-  "paul blackburn": "#888888",
-  "tyler black": "#888888",
-  "mason black": "#888888",
-  "spencer bivens": "#888888",
-  "hayden birdsong": "#cd7f32",
-  "jake bird": "#cd7f32",
-  "cavan biggio": "#cd7f32",
-  "hunter bigge": "#888888",
-  "shane bieber": "#FFE61F",
-  "brandan bidois": "#888888",
-  "osvaldo bido": "#888888",
-  "bo bichette": "#cd7f32",
-  "tanner bibee": "#E0E0E0",
-  "mookie betts": "#FFE61F",
-  "steward berroa": "#888888",
-  "jose berrios": "#888888",
-  "brennan bernardino": "#888888",
-  "warming bernabel": "#888888",
-  "victor bericoto": "#888888",
-  "ryan bergert": "#cd7f32",
-  "will benson": "#E0E0E0",
-  "jake bennett": "#cd7f32",
-  "andrew benintendi": "#cd7f32",
-  "carson benge": "#E0E0E0",
-  "anthony bender": "#E0E0E0",
-  "valente bellozo": "#888888",
-  "brayan bello": "#cd7f32",
-  "cody bellinger": "#FFE61F",
-  "josh bell": "#cd7f32",
-  "clayton beeter": "#cd7f32",
-  "jalen beeks": "#888888",
-  "david bednar": "#FFE61F",
-  "tristan beck": "#cd7f32",
-  "jordan beck": "#E0E0E0",
-  "dylan beavers": "#cd7f32",
-  "travis bazzana": "#888888",
-  "eduard bazardo": "#E0E0E0",
-  "shane baz": "#E0E0E0",
-  "jake bauers": "#E0E0E0",
-  "brett baty": "#cd7f32",
-  "brady basso": "#cd7f32",
-  "chris bassitt": "#cd7f32",
-  "samuel basallo": "#cd7f32",
-  "joey bart": "#888888",
-  "jorge barrosa": "#888888",
-  "mason barnett": "#cd7f32",
-  "charlie barnes": "#888888",
-  "scott barlow": "#888888",
-  "addison barger": "#E0E0E0",
-  "hunter barco": "#888888",
-  "tanner banks": "#cd7f32",
-  "anthony banda": "#888888",
-  "moises ballesteros": "#cd7f32",
-  "drake baldwin": "#E0E0E0",
-  "brooks baldwin": "#888888",
-  "luken baker": "#888888",
-  "bryan baker": "#E0E0E0",
-  "patrick bailey": "#E0E0E0",
-  "javier baez": "#888888",
-  "harrison bader": "#E0E0E0",
-  "akil baddoo": "#cd7f32",
-  "kyle backhus": "#888888",
-  "sam bachman": "#888888",
-  "lake bachar": "#888888",
-  "jose azocar": "#888888",
-  "luinder avila": "#888888",
-  "javier assad": "#888888",
-  "graham ashcraft": "#FFE61F",
-  "braxton ashcraft": "#32EBFC",
-  "aaron ashby": "#E0E0E0",
-  "edwin arroyo": "#888888",
-  "spencer arrighetti": "#cd7f32",
-  "luis arraez": "#FFE61F",
-  "randy arozarena": "#E0E0E0",
-  "shawn armstrong": "#cd7f32",
-  "gabriel arias": "#888888",
-  "nolan arenado": "#cd7f32",
-  "orlando arcia": "#888888",
-  "jonathan aranda": "#32EBFC",
-  "tejay antone": "#888888",
-  "sam antonacci": "#cd7f32",
-  "roman anthony": "#FFE61F",
-  "miguel andujar": "#cd7f32",
-  "tanner andrews": "#888888",
-  "shaun anderson": "#888888",
-  "jack anderson": "#888888",
-  "grant anderson": "#888888",
-  "drew anderson": "#E0E0E0",
-  "miguel amaya": "#cd7f32",
-  "adael amador": "#888888",
-  "adbert alzolay": "#E0E0E0",
-  "nacho alvarez jr": "#888888",
-  "yordan alvarez": "#a855f7",
-  "francisco alvarez": "#cd7f32",
-  "andrew alvarez": "#888888",
-  "jose alvarado": "#E0E0E0",
-  "elvis alvarado": "#888888",
-  "jose altuve": "#cd7f32",
-  "pete alonso": "#FFE61F",
-  "nick allen": "#888888",
-  "logan allen": "#888888",
-  "kolby allard": "#888888",
-  "tyler alexander": "#cd7f32",
-  "jason alexander": "#888888",
-  "blaze alexander": "#cd7f32",
-  "franco aleman": "#888888",
-  "sam aldegheri": "#888888",
-  "sandy alcantara": "#E0E0E0",
-  "kevin alcantara": "#888888",
-  "ozzie albies": "#cd7f32",
-  "keegan akin": "#cd7f32",
-  "robby ahlstrom": "#888888",
-  "zach agnos": "#888888",
-  "jo adell": "#888888",
-  "travis adams": "#888888",
-  "riley adams": "#888888",
-  "willy adames": "#cd7f32",
-  "jason adam": "#E0E0E0",
-  "ronald acuna jr": "#a855f7",
-  "luisangel acuna": "#888888",
-  "garrett acton": "#888888",
-  "max acosta": "#888888",
-  "wilyer abreu": "#FFE61F",
-  "bryan abreu": "#E0E0E0",
-  "cj abrams": "#E0E0E0",
-  "philip abner": "#888888",
-  "mick abel": "#E0E0E0",
-  "andrew abbott": "#cd7f32"
-};
-
-export const LIVE_CARD_OVR = {
-  "angel zerpa": 67,
-  "ryan zeferjahn": 56,
-  "jared young": 63,
-  "jacob young": 63,
-  "cole young": 59,
-  "brandon young": 61,
-  "masataka yoshida": 63,
-  "nick yorke": 54,
-  "craig yoho": 54,
-  "huascar ynoa": 64,
-  "trey yesavage": 80,
-  "christian yelich": 76,
-  "kirby yates": 69,
-  "mike yastrzemski": 65,
-  "ryan yarbrough": 60,
-  "yoshinobu yamamoto": 100,
-  "austin wynns": 49,
-  "justin wrobleski": 83,
-  "gage workman": 58,
-  "simeon woods richardson": 58,
-  "brandon woodruff": 97,
-  "jake woodford": 55,
-  "james wood": 100,
-  "bryan woo": 100,
-  "connor wong": 68,
-  "grant wolfram": 65,
-  "bobby witt jr": 100,
-  "masyn winn": 72,
-  "keaton winn": 76,
-  "cole winn": 52,
-  "will wilson": 41,
-  "weston wilson": 56,
-  "steven wilson": 50,
-  "jacob wilson": 67,
-  "bryse wilson": 56,
-  "brandon williamson": 52,
-  "ben williamson": 52,
-  "luke williams": 43,
-  "gavin williams": 83,
-  "devin williams": 91,
-  "carson williams": 65,
-  "alika williams": 50,
-  "cole wilcox": 53,
-  "joey wiemer": 55,
-  "jordan wicks": 66,
-  "garrett whitlock": 86,
-  "eli white": 52,
-  "shay whitcomb": 52,
-  "zack wheeler": 99,
-  "jj wetherholt": 77,
-  "jordan westburg": 75,
-  "joey wentz": 69,
-  "tyler wells": 67,
-  "austin wells": 62,
-  "greg weissert": 56,
-  "ryan weiss": 60,
-  "logan webb": 97,
-  "jacob webb": 63,
-  "luke weaver": 84,
-  "ryan weathers": 71,
-  "beck way": 45,
-  "ryan watson": 57,
-  "kahlil watson": 52,
-  "drew waters": 56,
-  "will warren": 73,
-  "austin warren": 55,
-  "taylor ward": 75,
-  "ryan ward": 50,
-  "donovan walton": 47,
-  "andrew walters": 60,
-  "taylor walls": 59,
-  "matt wallner": 76,
-  "taijuan walker": 49,
-  "ryan walker": 73,
-  "jordan walker": 77,
-  "christian walker": 68,
-  "ryan waldschmidt": 52,
-  "matt waldron": 56,
-  "ken waldichuk": 57,
-  "will wagner": 57,
-  "eric wagaman": 60,
-  "lamonte wade jr": 62,
-  "michael wacha": 76,
-  "anthony volpe": 60,
-  "victor vodnik": 52,
-  "jorbit vivas": 51,
-  "ryan vilade": 55,
-  "matt vierling": 59,
-  "mark vientos": 63,
-  "will vest": 77,
-  "alex vesia": 81,
-  "justin verlander": 65,
-  "nelson velazquez": 62,
-  "luis vazquez": 50,
-  "christian vazquez": 49,
-  "andrew vaughn": 64,
-  "randy vasquez": 54,
-  "mike vasil": 62,
-  "daulton varsho": 81,
-  "louie varland": 96,
-  "gus varland": 50,
-  "miguel vargas": 83,
-  "ildemaro vargas": 46,
-  "carlos vargas": 55,
-  "ricky vanasco": 46,
-  "george valera": 54,
-  "brandon valenzuela": 53,
-  "framber valdez": 81,
-  "esmerlyn valdez": 52,
-  "enmanuel valdez": 56,
-  "gio urshela": 65,
-  "jose urquidy": 60,
-  "abner uribe": 76,
-  "ramon urias": 64,
-  "walbert urena": 60,
-  "edwin uceta": 78,
-  "trea turner": 63,
-  "brice turang": 97,
-  "kyle tucker": 79,
-  "tommy troy": 52,
-  "mike trout": 98,
-  "chadwick tromp": 43,
-  "lou trivino": 56,
-  "jared triolo": 70,
-  "jose trevino": 50,
-  "blake treinen": 69,
-  "taylor trammell": 68,
-  "ezequiel tovar": 64,
-  "gleyber torres": 84,
-  "bryan torres": 52,
-  "luis torrens": 57,
-  "abraham toro": 58,
-  "spencer torkelson": 72,
-  "justin topa": 54,
-  "jonah tong": 71,
-  "payton tolle": 80,
-  "tyler tolbert": 47,
-  "michael toglia": 67,
-  "jesus tinoco": 62,
-  "blade tidwell": 61,
-  "trent thornton": 55,
-  "sterlin thompson": 51,
-  "ryan thompson": 64,
-  "keegan thompson": 55,
-  "lane thomas": 66,
-  "colby thomas": 55,
-  "alek thomas": 51,
-  "caleb thielbar": 67,
-  "matt thaiss": 64,
-  "bryce teodosio": 46,
-  "kaiwei teng": 60,
-  "jose tena": 54,
-  "kyle teel": 70,
-  "tyrone taylor": 51,
-  "grant taylor": 93,
-  "chris taylor": 57,
-  "tim tawa": 52,
-  "leody taveras": 67,
-  "fernando tatis jr": 83,
-  "jameson taillon": 63,
-  "trey sweeney": 49,
-  "dansby swanson": 73,
-  "matt svanson": 56,
-  "seiya suzuki": 91,
-  "jack suwinski": 59,
-  "brent suter": 55,
-  "daniel susac": 46,
-  "cole sulser": 58,
-  "sean sullivan": 51,
-  "brett sullivan": 48,
-  "tomoyuki sugano": 57,
-  "robert suarez": 89,
-  "ranger suarez": 91,
-  "jose suarez": 63,
-  "eugenio suarez": 74,
-  "albert suarez": 49,
-  "garrett stubbs": 46,
-  "kade strowd": 55,
-  "spencer strider": 87,
-  "myles straw": 62,
-  "matt strahm": 74,
-  "kyle stowers": 74,
-  "bryson stott": 65,
-  "trevor story": 52,
-  "sal stewart": 79,
-  "brock stewart": 69,
-  "justin sterner": 58,
-  "tyler stephenson": 64,
-  "robert stephenson": 74,
-  "michael stefanic": 56,
-  "spencer steer": 68,
-  "giancarlo stanton": 65,
-  "ryne stanek": 55,
-  "brandon sproat": 67,
-  "jeffrey springs": 60,
-  "george springer": 72,
-  "mitch spence": 56,
-  "gabe speier": 80,
-  "bennett sousa": 72,
-  "juan soto": 100,
-  "gregory soto": 70,
-  "lenyn sosa": 51,
-  "edmundo sosa": 58,
-  "michael soroka": 89,
-  "jose soriano": 74,
-  "george soriano": 54,
-  "sungmun song": 53,
-  "drew sommers": 58,
-  "jorge soler": 66,
-  "nick solak": 71,
-  "nick sogard": 56,
-  "tyler soderstrom": 75,
-  "blake snell": 99,
-  "will smith": 84,
-  "shane smith": 80,
-  "pavin smith": 67,
-  "josh smith": 66,
-  "dylan smith": 65,
-  "dominic smith": 60,
-  "cam smith": 55,
-  "cade smith": 98,
-  "austin slater": 51,
-  "justin slaten": 60,
-  "tarik skubal": 100,
-  "paul skenes": 100,
-  "evan sisk": 68,
-  "brady singer": 62,
-  "lucas sims": 44,
-  "josh simpson": 52,
-  "chandler simpson": 65,
-  "ronny simon": 53,
-  "chase silseth": 58,
-  "jared shuster": 57,
-  "chase shugart": 52,
-  "zack short": 49,
-  "tj shook": 45,
-  "braden shewmake": 48,
-  "gavin sheets": 65,
-  "emmet sheehan": 77,
-  "matt shaw": 65,
-  "ian seymour": 69,
-  "carson seymour": 53,
-  "paul sewald": 60,
-  "luis severino": 66,
-  "antonio senzatela": 58,
-  "hayden senger": 44,
-  "kodai senga": 70,
-  "marcus semien": 64,
-  "anthony seigler": 49,
-  "jp sears": 59,
-  "corey seager": 80,
-  "connor seabold": 51,
-  "victor scott ii": 62,
-  "tayler scott": 52,
-  "tanner scott": 86,
-  "christian scott": 72,
-  "tyler schweitzer": 49,
-  "kyle schwarber": 97,
-  "paxton schultz": 59,
-  "noah schultz": 58,
-  "max schuemann": 70,
-  "john schreiber": 63,
-  "jesse scholtens": 58,
-  "davis schneider": 74,
-  "daniel schneemann": 64,
-  "casey schmitt": 72,
-  "cam schlittler": 100,
-  "max scherzer": 64,
-  "nolan schanuel": 72,
-  "josh sborz": 65,
-  "tayler saucedo": 50,
-  "roki sasaki": 72,
-  "gregory santos": 74,
-  "tony santillan": 56,
-  "anthony santander": 75,
-  "dennis santana": 67,
-  "carlos santana": 63,
-  "alimber santa": 57,
-  "javier sanoja": 52,
-  "reiver sanmartin": 63,
-  "cole sands": 70,
-  "patrick sandoval": 69,
-  "nick sandlin": 55,
-  "cam sanders": 51,
-  "jesus sanchez": 68,
-  "gary sanchez": 73,
-  "cristopher sanchez": 100,
-  "tyler samaniego": 59,
-  "chris sale": 100,
-  "cesar salazar": 50,
-  "thomas saggese": 48,
-  "erik sabrowski": 58,
-  "joe ryan": 98,
-  "adley rutschman": 77,
-  "jackson rutledge": 50,
-  "dalton rushing": 73,
-  "tj rumfield": 69,
-  "keibert ruiz": 50,
-  "esteury ruiz": 77,
-  "chris roycroft": 48,
-  "landen roupp": 81,
-  "joe ross": 53,
-  "amed rosario": 55,
-  "ben rortvedt": 47,
-  "brent rooker": 86,
-  "drew romo": 59,
-  "jojo romero": 69,
-  "jordan romano": 58,
-  "ryan rolison": 51,
-  "miguel rojas": 74,
-  "kendry rojas": 59,
-  "johan rojas": 59,
-  "tyler rogers": 73,
-  "trevor rogers": 74,
-  "taylor rogers": 56,
-  "jake rogers": 54,
-  "yariel rodriguez": 67,
-  "julio rodriguez": 85,
-  "johnathan rodriguez": 63,
-  "jesus rodriguez": 51,
-  "grayson rodriguez": 72,
-  "endy rodriguez": 57,
-  "elmer rodriguez": 59,
-  "eduardo rodriguez": 74,
-  "carlos rodriguez": 62,
-  "bradgley rodriguez": 72,
-  "carlos rodon": 82,
-  "alan roden": 54,
-  "kumar rocker": 72,
-  "joe rock": 58,
-  "brayan rocchio": 64,
-  "victor robles": 53,
-  "will robertson": 51,
-  "ethan roberts": 53,
-  "luis robert jr": 71,
-  "christian roa": 51,
-  "leonardo rivas": 56,
-  "ryan ritter": 61,
-  "jr ritchie": 59,
-  "gabriel rincones jr": 52,
-  "austin riley": 58,
-  "lyon richardson": 50,
-  "trevor richards": 57,
-  "ben rice": 91,
-  "orlando ribalta": 51,
-  "bryan reynolds": 89,
-  "felix reyes": 46,
-  "luis rengifo": 52,
-  "rob refsnyder": 54,
-  "jt realmuto": 57,
-  "colin rea": 59,
-  "marco raya": 61,
-  "robbie ray": 70,
-  "john rave": 52,
-  "drew rasmussen": 95,
-  "taylor rashi": 56,
-  "nick raquet": 54,
-  "alan rangel": 56,
-  "wilkin ramos": 48,
-  "heliot ramos": 73,
-  "yohan ramirez": 65,
-  "pedro ramirez": 47,
-  "jose ramirez": 97,
-  "agustin ramirez": 59,
-  "luke raley": 64,
-  "brooks raley": 79,
-  "cal raleigh": 87,
-  "cole ragans": 94,
-  "ceddanne rafaela": 80,
-  "edgar quero": 48,
-  "cal quantrill": 59,
-  "matt pushard": 61,
-  "cesar prieto": 44,
-  "quinn priester": 75,
-  "connor prielipp": 73,
-  "collin price": 48,
-  "cooper pratt": 51,
-  "yohel pozo": 48,
-  "cade povich": 59,
-  "pj poulin": 55,
-  "logan porter": 50,
-  "zach pop": 57,
-  "drew pomeranz": 55,
-  "jorge polanco": 74,
-  "nick pivetta": 84,
-  "jonathan pintaro": 66,
-  "yohendrick pinango": 49,
-  "konnor pilkington": 60,
-  "tyler phillips": 60,
-  "connor phillips": 56,
-  "tommy pham": 52,
-  "brandon pfaadt": 70,
-  "chase petty": 51,
-  "david peterson": 70,
-  "michael petersen": 57,
-  "tristan peters": 56,
-  "jack perkins": 77,
-  "blake perkins": 57,
-  "wenceel perez": 55,
-  "salvador perez": 55,
-  "martin perez": 65,
-  "junior perez": 49,
-  "eury perez": 76,
-  "cionel perez": 55,
-  "carlos perez": 65,
-  "everson pereira": 62,
-  "jhonny pereda": 51,
-  "geraldo perdomo": 87,
-  "oswald peraza": 51,
-  "wandy peralta": 62,
-  "luis peralta": 49,
-  "freddy peralta": 80,
-  "ryan pepiot": 74,
-  "jeremy pena": 71,
-  "liover peguero": 49,
-  "joc pederson": 71,
-  "nate pearson": 56,
-  "joel payamps": 63,
-  "graham pauley": 50,
-  "chad patrick": 65,
-  "vinnie pasquantino": 61,
-  "mitchell parker": 51,
-  "kyren paris": 60,
-  "mike paredes": 50,
-  "isaac paredes": 78,
-  "carson palmquist": 54,
-  "peyton pallette": 57,
-  "andre pallante": 69,
-  "daniel palencia": 67,
-  "richie palacios": 59,
-  "andrew painter": 67,
-  "pedro pages": 54,
-  "andy pages": 79,
-  "emilio pagan": 70,
-  "chris paddack": 54,
-  "marcell ozuna": 78,
-  "johan oviedo": 76,
-  "james outman": 60,
-  "alejandro osuna": 53,
-  "eric orze": 62,
-  "joey ortiz": 61,
-  "kaleb ort": 51,
-  "matt olson": 90,
-  "jared oliva": 50,
-  "steven okert": 74,
-  "kazuma okamoto": 76,
-  "shohei ohtani": 100,
-  "bailey ober": 68,
-  "tyler o'neill": 66,
-  "logan o'hoppe": 56,
-  "ryan o'hearn": 72,
-  "riley o'brien": 77,
-  "nasim nunez": 68,
-  "connor norby": 56,
-  "lars nootbaar": 77,
-  "aaron nola": 70,
-  "jhonkensy noel": 51,
-  "rikuu nishida": 47,
-  "brandon nimmo": 70,
-  "tomas nido": 63,
-  "kyle nicolas": 58,
-  "kevin newman": 62,
-  "sean newcomb": 89,
-  "zach neto": 73,
-  "hector neris": 57,
-  "ryne nelson": 67,
-  "josh naylor": 66,
-  "bo naylor": 60,
-  "packy naughton": 83,
-  "samy natera jr": 47,
-  "carlos narvaez": 49,
-  "andrew nardi": 63,
-  "tommy nance": 66,
-  "tobias myers": 56,
-  "dane myers": 52,
-  "joe musgrove": 76,
-  "tanner murray": 44,
-  "jayden murray": 49,
-  "sean murphy": 67,
-  "chris murphy": 50,
-  "munetaka murakami": 93,
-  "roddery munoz": 50,
-  "andres munoz": 88,
-  "max muncy": 85,
-  "cedric mullins": 65,
-  "ryan mountcastle": 69,
-  "kade morris": 53,
-  "andrew morris": 65,
-  "juan morillo": 53,
-  "eli morgan": 50,
-  "david morgan": 56,
-  "gabriel moreno": 88,
-  "christopher morel": 59,
-  "adrian morejon": 89,
-  "jovani moran": 64,
-  "luis morales": 55,
-  "nick morabito": 50,
-  "dylan moore": 75,
-  "christian moore": 52,
-  "mason montgomery": 72,
-  "colson montgomery": 65,
-  "rafael montero": 55,
-  "keider montero": 71,
-  "mickey moniak": 80,
-  "yoan moncada": 66,
-  "andruw monasterio": 63,
-  "sam moll": 57,
-  "carmen mlodzinski": 76,
-  "casey mize": 85,
-  "garrett mitchell": 75,
-  "kameron misner": 57,
-  "jacob misiorowski": 100,
-  "aj minter": 77,
-  "hoby milner": 66,
-  "wyatt mills": 41,
-  "owen miller": 70,
-  "mason miller": 100,
-  "erik miller": 60,
-  "bryce miller": 84,
-  "bobby miller": 65,
-  "drew millas": 49,
-  "spencer miles": 80,
-  "miles mikolas": 57,
-  "keynan middleton": 66,
-  "jake meyers": 65,
-  "max meyer": 81,
-  "luis mey": 47,
-  "parker messick": 92,
-  "victor mesa jr": 51,
-  "matt mervis": 50,
-  "julian merryweather": 59,
-  "jackson merrill": 65,
-  "troy melton": 70,
-  "jacob melton": 60,
-  "mj melendez": 52,
-  "juan mejia": 53,
-  "chase meidroth": 65,
-  "trevor megill": 91,
-  "luis medina": 57,
-  "wade meckler": 56,
-  "nick mears": 57,
-  "parker meadows": 75,
-  "curtis mead": 51,
-  "jeff mcneil": 65,
-  "ryan mcmahon": 64,
-  "nolan mclean": 87,
-  "matt mclain": 69,
-  "zach mckinstry": 65,
-  "reese mcguire": 47,
-  "michael mcgreevy": 76,
-  "kevin mcgonigle": 88,
-  "easton mcgee": 67,
-  "trevor mcdonald": 63,
-  "andrew mccutchen": 57,
-  "lance mccullers jr": 62,
-  "chas mccormick": 69,
-  "shane mcclanahan": 96,
-  "jake mccarthy": 78,
-  "james mccann": 50,
-  "zach mccambley": 55,
-  "charles mcadoo": 49,
-  "tim mayza": 67,
-  "coby mayo": 63,
-  "marcelo mayer": 53,
-  "dustin may": 79,
-  "ronny mauricio": 51,
-  "steven matz": 68,
-  "isaac mattson": 58,
-  "zebby matthews": 75,
-  "brice matthews": 60,
-  "yuki matsui": 67,
-  "luis matos": 62,
-  "phil maton": 56,
-  "jorge mateo": 54,
-  "miles mastrobuoni": 51,
-  "michael massey": 59,
-  "omar martinez": 48,
-  "nick martinez": 81,
-  "angel martinez": 56,
-  "trevor martin": 47,
-  "riley martin": 52,
-  "davis martin": 78,
-  "corbin martin": 53,
-  "chris martin": 69,
-  "austin martin": 59,
-  "starling marte": 53,
-  "noelvi marte": 61,
-  "ketel marte": 82,
-  "brandon marsh": 89,
-  "jakob marsee": 62,
-  "german marquez": 51,
-  "ron marinaccio": 51,
-  "rafael marchan": 45,
-  "kyle manzardo": 70,
-  "joe mantiply": 63,
-  "alek manoah": 69,
-  "jake mangum": 56,
-  "trey mancini": 47,
-  "sean manaea": 70,
-  "justynhenry malloy": 69,
-  "tyler mahle": 62,
-  "nick madrigal": 47,
-  "ty madden": 68,
-  "adam macko": 57,
-  "joe mack": 51,
-  "willie maciver": 48,
-  "manny machado": 67,
-  "daniel lynch iv": 68,
-  "jesus luzardo": 92,
-  "gavin lux": 79,
-  "nathan lukes": 54,
-  "seth lugo": 65,
-  "joey lucchesi": 62,
-  "nathaniel lowe": 78,
-  "josh lowe": 65,
-  "brandon lowe": 77,
-  "rhett lowder": 67,
-  "dicky lovelady": 58,
-  "michael lorenzen": 52,
-  "brad lord": 65,
-  "reynaldo lopez": 76,
-  "otto lopez": 79,
-  "nicky lopez": 49,
-  "jacob lopez": 71,
-  "joey loperfido": 51,
-  "nick loftin": 55,
-  "nick lodolo": 74,
-  "brandon lockridge": 50,
-  "tyler locklear": 54,
-  "jonathan loaisiga": 71,
-  "brendon little": 55,
-  "zack littell": 59,
-  "francisco lindor": 86,
-  "daylen lile": 57,
-  "matthew liberatore": 58,
-  "royce lewis": 65,
-  "mark leiter jr": 67,
-  "jack leiter": 64,
-  "casey legumina": 60,
-  "junghoo lee": 69,
-  "haoyu lee": 52,
-  "dylan lee": 89,
-  "chase lee": 63,
-  "brooks lee": 61,
-  "jordan leasure": 56,
-  "kyle leahy": 63,
-  "max lazar": 53,
-  "justin lawrence": 51,
-  "jordan lawlar": 60,
-  "cody laweryson": 61,
-  "ramon laureano": 63,
-  "eric lauer": 60,
-  "jake latz": 70,
-  "trevor larnach": 78,
-  "wyatt langford": 90,
-  "shea langeliers": 78,
-  "alex lange": 62,
-  "peter lambert": 64,
-  "steven kwan": 69,
-  "nick kurtz": 100,
-  "joel kuhnel": 56,
-  "dean kremer": 66,
-  "ryan kreidler": 54,
-  "jackson kowar": 57,
-  "christian koss": 49,
-  "stephen kolek": 69,
-  "jared koenig": 86,
-  "jack kochanowicz": 52,
-  "andrew knizner": 47,
-  "will klein": 64,
-  "john klein": 66,
-  "george klassen": 61,
-  "heston kjerstad": 53,
-  "andrew kittredge": 65,
-  "alejandro kirk": 88,
-  "george kirby": 90,
-  "tyler kinley": 67,
-  "scott kingery": 55,
-  "michael king": 82,
-  "john king": 66,
-  "bryan king": 74,
-  "isiah kinerfalefa": 52,
-  "craig kimbrel": 63,
-  "hyeseong kim": 50,
-  "haseong kim": 65,
-  "caleb kilian": 68,
-  "yusei kikuchi": 66,
-  "orion kerkering": 80,
-  "zak kent": 52,
-  "buddy kennedy": 50,
-  "william kempner": 55,
-  "otto kemp": 54,
-  "zack kelly": 54,
-  "michael kelly": 47,
-  "kevin kelly": 76,
-  "carson kelly": 74,
-  "mitch keller": 72,
-  "brad keller": 59,
-  "jarred kelenic": 58,
-  "colt keith": 65,
-  "dashawn keirsey jr": 46,
-  "luke keaschall": 64,
-  "cj kayfus": 60,
-  "niko kavadas": 64,
-  "kyle karros": 66,
-  "janson junk": 72,
-  "jakob junis": 83,
-  "josh jung": 69,
-  "jace jung": 60,
-  "gage jump": 70,
-  "edouard julien": 65,
-  "hayden juenger": 50,
-  "aaron judge": 100,
-  "ben joyce": 74,
-  "spencer jones": 60,
-  "nolan jones": 69,
-  "jared jones": 83,
-  "jahmai jones": 61,
-  "greg jones": 52,
-  "troy johnston": 61,
-  "seth johnson": 55,
-  "ryan johnson": 68,
-  "pierce johnson": 59,
-  "bryce johnson": 54,
-  "connor joe": 50,
-  "leo jimenez": 48,
-  "eloy jimenez": 46,
-  "carter jensen": 63,
-  "ryan jeffers": 80,
-  "griffin jax": 87,
-  "cristian javier": 72,
-  "jim jarvis": 51,
-  "kenley jansen": 60,
-  "danny jansen": 62,
-  "drey jameson": 57,
-  "alek jacob": 50,
-  "jeremiah jackson": 52,
-  "alex jackson": 48,
-  "kyle isbel": 58,
-  "jake irvin": 57,
-  "jonathan india": 69,
-  "shota imanaga": 76,
-  "tatsuya imai": 71,
-  "raisel iglesias": 87,
-  "andy ibanez": 63,
-  "brant hurter": 76,
-  "kyle hurt": 61,
-  "sam huff": 51,
-  "bryan hudson": 68,
-  "adrian houser": 59,
-  "brady house": 48,
-  "rhys hoskins": 65,
-  "spencer horwitz": 91,
-  "cade horton": 78,
-  "alex hoppe": 51,
-  "tyler holton": 66,
-  "grant holmes": 59,
-  "clay holmes": 89,
-  "grant holman": 52,
-  "gavin hollowell": 49,
-  "jackson holliday": 69,
-  "colin holderman": 78,
-  "gunnar hoglund": 52,
-  "andrew hoffmann": 56,
-  "nolan hoffman": 53,
-  "jeff hoffman": 77,
-  "nico hoerner": 76,
-  "bryan hoeing": 64,
-  "porter hodge": 76,
-  "keston hiura": 75,
-  "yaramil hiraldo": 54,
-  "rece hinds": 53,
-  "tim hill": 64,
-  "jaden hill": 58,
-  "derek hill": 66,
-  "pj higgins": 43,
-  "kyle higashioka": 48,
-  "liam hicks": 71,
-  "jordan hicks": 55,
-  "codi heuer": 60,
-  "tim herrin": 59,
-  "welinton herrera": 59,
-  "jose herrera": 49,
-  "ivan herrera": 89,
-  "teoscar hernandez": 75,
-  "jonathan hernandez": 49,
-  "heriberto hernandez": 57,
-  "daysbel hernandez": 52,
-  "carlos hernandez": 68,
-  "darell hernaiz": 57,
-  "jimmy herget": 57,
-  "sam hentges": 77,
-  "cole henry": 49,
-  "edgardo henriquez": 67,
-  "liam hendriks": 65,
-  "logan henderson": 72,
-  "gunnar henderson": 73,
-  "ryan helsley": 77,
-  "michael helman": 45,
-  "tyler heineman": 46,
-  "jonah heim": 61,
-  "austin hedges": 56,
-  "brent headrick": 84,
-  "austin hays": 71,
-  "ke'bryan hayes": 61,
-  "robert hassell iii": 51,
-  "hunter harvey": 89,
-  "kyle hart": 64,
-  "kyle harrison": 87,
-  "michael harris ii": 85,
-  "hogan harris": 60,
-  "dustin harris": 50,
-  "brett harris": 53,
-  "bryce harper": 99,
-  "ian happ": 79,
-  "brenan hanifee": 58,
-  "emerson hancock": 69,
-  "garrett hampson": 52,
-  "ian hamilton": 70,
-  "david hamilton": 65,
-  "seth halvorsen": 50,
-  "petey halpin": 47,
-  "dl hall": 69,
-  "sam haggerty": 60,
-  "josh hader": 95,
-  "eric haase": 52,
-  "denzer guzman": 50,
-  "ryan gusto": 57,
-  "lourdes gurriel jr": 54,
-  "vladimir guerrero jr": 79,
-  "lujames groover": 49,
-  "vaughn grissom": 59,
-  "trent grisham": 79,
-  "konnor griffin": 77,
-  "foster griffin": 80,
-  "randal grichuk": 55,
-  "riley greene": 99,
-  "hunter greene": 100,
-  "tristan gray": 50,
-  "sonny gray": 88,
-  "peyton gray": 52,
-  "andre granillo": 49,
-  "gordon graceffo": 63,
-  "nolan gorman": 68,
-  "mackenzie gore": 87,
-  "tanner gordon": 50,
-  "colton gordon": 56,
-  "hunter goodman": 79,
-  "romy gonzalez": 68,
-  "jacob gonzalez": 49,
-  "domingo gonzalez": 47,
-  "nick gonzales": 66,
-  "yoendrys gomez": 55,
-  "austin gomber": 59,
-  "paul goldschmidt": 75,
-  "tyler glasnow": 94,
-  "lucas giolito": 59,
-  "jt ginn": 70,
-  "kevin ginkel": 72,
-  "andres gimenez": 62,
-  "tyler gilbert": 56,
-  "logan gilbert": 93,
-  "drew gilbert": 53,
-  "luis gil": 60,
-  "trey gibson": 56,
-  "cade gibson": 50,
-  "paul gervase": 49,
-  "zack gelof": 75,
-  "kevin gausman": 83,
-  "robert gasser": 73,
-  "mickey gasper": 51,
-  "mitch garver": 54,
-  "braxton garrett": 80,
-  "luis garcia jr": 72,
-  "yimi garcia": 72,
-  "robert garcia": 77,
-  "rico garcia": 59,
-  "maikel garcia": 72,
-  "luis garcia": 56,
-  "jhostynxon garcia": 49,
-  "brandyn garcia": 74,
-  "adolis garcia": 59,
-  "alec gamboa": 49,
-  "zac gallen": 63,
-  "matt gage": 58,
-  "hunter gaddis": 67,
-  "kody funderburk": 53,
-  "dax fulton": 55,
-  "michael fulmer": 62,
-  "carson fulmer": 58,
-  "braxton fulford": 53,
-  "didier fuentes": 76,
-  "david fry": 60,
-  "tj friedl": 58,
-  "max fried": 99,
-  "sal frelick": 66,
-  "tyler freeman": 70,
-  "freddie freeman": 99,
-  "cody freeman": 46,
-  "kyle freeland": 54,
-  "alex freeland": 64,
-  "adam frazier": 50,
-  "jose franco": 48,
-  "ty france": 57,
-  "jake fraley": 60,
-  "cameron foster": 54,
-  "justin foscue": 53,
-  "nick fortes": 47,
-  "harry ford": 57,
-  "mason fluharty": 63,
-  "rafael flores jr": 52,
-  "dominic fletcher": 49,
-  "jack flaherty": 75,
-  "brian fitzpatrick": 49,
-  "tyler fitzgerald": 67,
-  "richard fitts": 65,
-  "braydon fisher": 63,
-  "kyle finnegan": 54,
-  "matt festa": 54,
-  "david festa": 75,
-  "jose a ferrer": 77,
-  "yanquiel fernandez": 53,
-  "ryan fernandez": 61,
-  "jose fernandez": 46,
-  "jose fermin": 60,
-  "freddy fermin": 53,
-  "tyler ferguson": 59,
-  "caleb ferguson": 65,
-  "ryan feltner": 54,
-  "hunter feduccia": 58,
-  "kyler fedko": 48,
-  "erick fedde": 51,
-  "calvin faucher": 64,
-  "mitch farris": 49,
-  "kyle farmer": 47,
-  "bailey falter": 56,
-  "stuart fairchild": 45,
-  "pete fairbanks": 74,
-  "aj ewing": 62,
-  "thairo estrada": 50,
-  "lazaro estrada": 52,
-  "jeremiah estrada": 82,
-  "carlos estevez": 67,
-  "daniel espino": 60,
-  "santiago espinal": 47,
-  "jc escarra": 51,
-  "lucas erceg": 58,
-  "nathan eovaldi": 77,
-  "dietrich enns": 68,
-  "mason englert": 70,
-  "christian encarnacionstrand": 51,
-  "jerar encarnacion": 58,
-  "colt emerson": 52,
-  "tim elko": 49,
-  "bryce eldridge": 63,
-  "bryce elder": 73,
-  "josh ekness": 52,
-  "brandon eisert": 61,
-  "zach eflin": 68,
-  "carl edwards jr": 54,
-  "xavier edwards": 80,
-  "tommy edman": 77,
-  "jake eder": 52,
-  "nate eaton": 50,
-  "connelly early": 69,
-  "caleb durbin": 50,
-  "rodolfo duran": 46,
-  "jhoan duran": 100,
-  "jarren duran": 56,
-  "ezequiel duran": 70,
-  "dane dunning": 72,
-  "oliver dunn": 49,
-  "blake dunn": 54,
-  "mauricio dubon": 65,
-  "shawn dubin": 72,
-  "shane drohan": 70,
-  "jack dreyer": 76,
-  "brenton doyle": 72,
-  "camilo doval": 72,
-  "wilber dotel": 51,
-  "brendan donovan": 81,
-  "seranthony dominguez": 62,
-  "jasson dominguez": 57,
-  "chase dollander": 53,
-  "dylan dodd": 67,
-  "hunter dobbins": 61,
-  "dillon dingler": 75,
-  "yandy diaz": 99,
-  "yainer diaz": 66,
-  "elias diaz": 49,
-  "edwin diaz": 88,
-  "alexis diaz": 61,
-  "zach dezenzo": 52,
-  "rafael devers": 79,
-  "chris devenski": 52,
-  "reid detmers": 95,
-  "jonny deluca": 52,
-  "raynel delgado": 45,
-  "chase delauter": 78,
-  "adrian del castillo": 51,
-  "jacob degrom": 95,
-  "justin dean": 47,
-  "yerry de los santos": 56,
-  "enyel de los santos": 64,
-  "deyvison de los santos": 45,
-  "elly de la cruz": 92,
-  "enmanuel de jesus": 67,
-  "tyler davis": 46,
-  "henry davis": 54,
-  "nick davila": 49,
-  "travis d'arnaud": 50,
-  "luis curvelo": 48,
-  "john curtiss": 52,
-  "yovanny cruz": 46,
-  "trei cruz": 50,
-  "steven cruz": 56,
-  "oneil cruz": 88,
-  "fernando cruz": 75,
-  "pete crowarmstrong": 100,
-  "coleman crow": 60,
-  "jimmy crooks": 50,
-  "jake cronenworth": 66,
-  "garrett crochet": 100,
-  "cooper criswell": 64,
-  "blaine crim": 56,
-  "dylan crews": 54,
-  "kutter crawford": 64,
-  "justin crawford": 60,
-  "jp crawford": 67,
-  "jonah cox": 43,
-  "colton cowser": 76,
-  "danny coulombe": 67,
-  "carlos cortes": 55,
-  "carlos correa": 77,
-  "riley cornelio": 61,
-  "patrick corbin": 57,
-  "billy cook": 50,
-  "willson contreras": 95,
-  "william contreras": 96,
-  "griffin conine": 60,
-  "michael conforto": 74,
-  "gavin collyer": 47,
-  "isaac collins": 58,
-  "zach cole": 65,
-  "gerrit cole": 73,
-  "ernie clement": 75,
-  "kody clemens": 63,
-  "garrett cleavinger": 79,
-  "jonatan clase": 55,
-  "taylor clarke": 66,
-  "denzel clarke": 65,
-  "aaron civale": 58,
-  "nathan church": 53,
-  "jackson chourio": 94,
-  "angel chivilli": 53,
-  "jazz chisholm jr": 80,
-  "tsungche cheng": 45,
-  "matt chapman": 73,
-  "aroldis chapman": 93,
-  "andres chaparro": 54,
-  "bubba chandler": 67,
-  "andrew chafin": 59,
-  "eric cerantola": 49,
-  "slade cecconi": 60,
-  "dylan cease": 94,
-  "cade cavalli": 77,
-  "willi castro": 73,
-  "luis castillo": 74,
-  "nick castellanos": 52,
-  "blas castano": 51,
-  "ben casparius": 62,
-  "triston casas": 77,
-  "evan carter": 65,
-  "corbin carroll": 100,
-  "carlos carrasco": 50,
-  "kerry carpenter": 72,
-  "dylan carlson": 63,
-  "victor caratini": 66,
-  "vinny capra": 50,
-  "dominic canzone": 66,
-  "joey cantillo": 69,
-  "yennier cano": 73,
-  "jonathan cannon": 52,
-  "griffin canning": 57,
-  "mark canha": 64,
-  "jeimer candelario": 53,
-  "luis campusano": 77,
-  "gustavo campero": 52,
-  "kristian campbell": 65,
-  "junior caminero": 100,
-  "noah cameron": 74,
-  "tyler callihan": 55,
-  "alex call": 71,
-  "owen caissie": 65,
-  "jac caglianone": 66,
-  "oswaldo cabrera": 57,
-  "edward cabrera": 71,
-  "jose caballero": 65,
-  "byron buxton": 94,
-  "jose butto": 67,
-  "lawrence butler": 63,
-  "michael busch": 83,
-  "mike burrows": 59,
-  "chase burns": 91,
-  "alec burleson": 77,
-  "sean burke": 69,
-  "brock burke": 61,
-  "jake burger": 63,
-  "aaron bummer": 58,
-  "walker buehler": 60,
-  "kris bubic": 86,
-  "vidal brujan": 49,
-  "justin bruihl": 62,
-  "jt brubaker": 59,
-  "seth brown": 64,
-  "hunter brown": 96,
-  "ben brown": 89,
-  "connor brogdon": 54,
-  "juan brito": 48,
-  "beau brieske": 57,
-  "jonah bride": 60,
-  "will brennan": 59,
-  "alex bregman": 67,
-  "john brebbia": 51,
-  "huascar brazoban": 69,
-  "ryan brasier": 68,
-  "matt brash": 83,
-  "taj bradley": 76,
-  "kyle bradish": 77,
-  "cody bradford": 68,
-  "joe boyle": 75,
-  "matthew boyd": 78,
-  "matt bowman": 56,
-  "jonathan bowlan": 62,
-  "ryan borucki": 55,
-  "cam booser": 51,
-  "cody bolton": 50,
-  "henry bolte": 49,
-  "alec bohm": 62,
-  "xander bogaerts": 69,
-  "aj blubaugh": 62,
-  "jj bleday": 76,
-  "dairon blanco": 53,
-  "bradley blalock": 50,
-  "paul blackburn": 55,
-  "tyler black": 49,
-  "mason black": 50,
-  "spencer bivens": 56,
-  "hayden birdsong": 66,
-  "jake bird": 66,
-  "cavan biggio": 65,
-  "hunter bigge": 57,
-  "shane bieber": 85,
-  "brandan bidois": 48,
-  "osvaldo bido": 53,
-  "bo bichette": 69,
-  "tanner bibee": 71,
-  "mookie betts": 85,
-  "steward berroa": 49,
-  "jose berrios": 58,
-  "brennan bernardino": 58,
-  "warming bernabel": 43,
-  "victor bericoto": 46,
-  "ryan bergert": 60,
-  "will benson": 70,
-  "jake bennett": 66,
-  "andrew benintendi": 60,
-  "carson benge": 73,
-  "anthony bender": 78,
-  "valente bellozo": 50,
-  "brayan bello": 60,
-  "cody bellinger": 86,
-  "josh bell": 64,
-  "clayton beeter": 69,
-  "jalen beeks": 57,
-  "david bednar": 86,
-  "tristan beck": 67,
-  "jordan beck": 71,
-  "dylan beavers": 60,
-  "travis bazzana": 56,
-  "eduard bazardo": 76,
-  "shane baz": 74,
-  "jake bauers": 77,
-  "brett baty": 62,
-  "brady basso": 60,
-  "chris bassitt": 65,
-  "samuel basallo": 68,
-  "joey bart": 59,
-  "jorge barrosa": 51,
-  "mason barnett": 60,
-  "charlie barnes": 47,
-  "scott barlow": 55,
-  "addison barger": 76,
-  "hunter barco": 59,
-  "tanner banks": 62,
-  "anthony banda": 54,
-  "moises ballesteros": 61,
-  "drake baldwin": 74,
-  "brooks baldwin": 54,
-  "luken baker": 58,
-  "bryan baker": 78,
-  "patrick bailey": 73,
-  "javier baez": 52,
-  "harrison bader": 70,
-  "akil baddoo": 69,
-  "kyle backhus": 59,
-  "sam bachman": 56,
-  "lake bachar": 57,
-  "jose azocar": 48,
-  "luinder avila": 55,
-  "javier assad": 57,
-  "graham ashcraft": 81,
-  "braxton ashcraft": 92,
-  "aaron ashby": 75,
-  "edwin arroyo": 56,
-  "spencer arrighetti": 63,
-  "luis arraez": 80,
-  "randy arozarena": 79,
-  "shawn armstrong": 69,
-  "gabriel arias": 59,
-  "nolan arenado": 60,
-  "orlando arcia": 49,
-  "jonathan aranda": 97,
-  "tejay antone": 46,
-  "sam antonacci": 66,
-  "roman anthony": 81,
-  "miguel andujar": 63,
-  "tanner andrews": 49,
-  "shaun anderson": 48,
-  "jack anderson": 50,
-  "grant anderson": 56,
-  "drew anderson": 72,
-  "miguel amaya": 66,
-  "adael amador": 59,
-  "adbert alzolay": 75,
-  "nacho alvarez jr": 51,
-  "yordan alvarez": 100,
-  "francisco alvarez": 69,
-  "andrew alvarez": 56,
-  "jose alvarado": 77,
-  "elvis alvarado": 56,
-  "jose altuve": 69,
-  "pete alonso": 84,
-  "nick allen": 56,
-  "logan allen": 59,
-  "kolby allard": 53,
-  "tyler alexander": 64,
-  "jason alexander": 50,
-  "blaze alexander": 60,
-  "franco aleman": 51,
-  "sam aldegheri": 47,
-  "sandy alcantara": 78,
-  "kevin alcantara": 57,
-  "ozzie albies": 67,
-  "keegan akin": 61,
-  "robby ahlstrom": 46,
-  "zach agnos": 46,
-  "jo adell": 59,
-  "travis adams": 54,
-  "riley adams": 59,
-  "willy adames": 66,
-  "jason adam": 71,
-  "ronald acuna jr": 100,
-  "luisangel acuna": 47,
-  "garrett acton": 47,
-  "max acosta": 50,
-  "wilyer abreu": 81,
-  "bryan abreu": 76,
-  "cj abrams": 73,
-  "philip abner": 57,
-  "mick abel": 76,
-  "andrew abbott": 63
-};
@@ -0,0 +1,86 @@
+import Papa from 'papaparse';
+
+// uZIPS projection snapshots: the baseline Live Spec compares actual stats against. Each refresh is stored as a
+// dated version, and the newest is the default:
+//   uzips_snapshots  { id, snapshot_date (unique), source, bat, pit, bat_count, pit_count, created_at, created_by }
+// bat / pit map FanGraphs playerid -> projection row, in the shape the FanGraphs projections API returns
+// (PlayerName, xMLBAMID, PA, wRC+, K%, ...). source is 'fangraphs' (fetched through /api/fangraphs) or 'upload'.
+// Saving a date that already has a snapshot replaces it.
+
+export const uzipsUrl = (side) => `https://www.fangraphs.com/api/projections?type=uzips&stats=${side === 'pit' ? 'pit' : 'bat'}&pos=all&team=0&players=0&lg=all`;
+
+// Columns Live Spec compares on; a projection set without them is refused
+const REQUIRED_COLUMNS = {
+  bat: ['PA', 'OPS', 'ISO', 'wRC+', 'BABIP', 'K%', 'BB%', 'HR'],
+  pit: ['IP', 'K/9', 'BB/9', 'HR/9', 'BABIP', 'FIP'],
+};
+
+// Headers of the FanGraphs CSV export -> the API's names
+const CSV_ALIASES = { Name: 'PlayerName', PlayerId: 'playerid', MLBAMID: 'xMLBAMID' };
+
+// CSV cells are all strings: numbers become numbers, and rates fractions
+const fromCsvCell = (value) => {
+  const s = (value ?? '').trim();
+  if (s === '') return null;
+  // The CSV export writes rates as "8.5 %"; the API as 0.085
+  if (/^-?[\d.]+\s*%$/.test(s)) return parseFloat(s) / 100;
+  return /^-?\d*\.?\d+(e-?\d+)?$/i.test(s) ? Number(s) : s;
+};
+
+/**
+ * Projection rows for one side ('bat' | 'pit'), from the API or a parsed file -> { playerid: row }.
+ * Throws when no row has a playerid or a needed column is missing.
+ */
+export function indexProjectionRows(rows, side) {
+  const indexed = {};
+  for (const raw of rows) {
+    const row = {};
+    for (const [key, value] of Object.entries(raw || {})) row[CSV_ALIASES[key] || key] = value ?? null;
+    if (row.playerid === null || row.playerid === undefined || row.playerid === '') continue;
+    row.playerid = String(row.playerid);
+    indexed[row.playerid] = row;
+  }
+  const players = Object.values(indexed);
+  if (!players.length) throw new Error(`No ${side === 'pit' ? 'pitchers' : 'batters'} with a playerid found`);
+  const missing = REQUIRED_COLUMNS[side].filter(col => !players.some(p => p[col] !== null && p[col] !== undefined));
+  if (missing.length) throw new Error(`${side === 'pit' ? 'Pitching' : 'Batting'} projections are missing ${missing.join(', ')}`);
+  return indexed;
+}
+
+// A FanGraphs uZIPS export for one side: the projections page's CSV, or the API's JSON
+export function parseProjectionFile(text, side) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const json = JSON.parse(trimmed);
+    return indexProjectionRows(Array.isArray(json) ? json : json.data || [], side);
+  }
+  const parsed = Papa.parse(trimmed, { header: true, skipEmptyLines: true, transformHeader: h => h.trim() });
+  return indexProjectionRows(parsed.data.map(raw => Object.fromEntries(Object.entries(raw).map(([k, v]) => [k, fromCsvCell(v)]))), side);
+}
+
+// Stored snapshots without their projections, newest date first
+export async function listProjectionSnapshots(client) {
+  const { data, error } = await client.from('uzips_snapshots')
+    .select('id,snapshot_date,source,bat_count,pit_count,created_at,created_by').order('snapshot_date', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function loadProjectionSnapshot(client, id) {
+  const { data, error } = await client.from('uzips_snapshots').select('*').eq('id', id).single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Store a projection snapshot for `date` (YYYY-MM-DD), replacing one already stored for that date.
+ * client: a Supabase client; actor: the signed-in user. Returns the snapshot id.
+ */
+export async function saveProjectionSnapshot(client, actor, { date, source, bat, pit }) {
+  const { data, error } = await client.from('uzips_snapshots').upsert({
+    snapshot_date: date, source, bat, pit, bat_count: Object.keys(bat).length, pit_count: Object.keys(pit).length,
+    created_at: new Date().toISOString(), created_by: actor?.email || null,
+  }, { onConflict: 'snapshot_date' }).select('id').single();
+  if (error) throw error;
+  return data.id;
+}
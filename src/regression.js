@@ -0,0 +1,86 @@
+// Live Spec OVR-change models: ordinary least squares on standardized features, stored in the raw-unit shape
+// computeLiveSpecRows applies ({ intercept, r, n, features: [{ key, coeff, mean, std }] }, as in regressionCoeffs.js).
+//
+// Training data comes from two tables next to the card versions (cardVersions.js):
+//   livespec_windows  { startdate, enddate, bat, pit, updated_at }   the FanGraphs actuals of each monthly eval
+//                     window, copied daily by api/snapshot-livespec so the last copy covers the whole window
+//   livespec_models   { id, created_at, created_by, bat, pit, training }   published models; the newest is live
+
+// Solve A x = b by Gaussian elimination with partial pivoting. Returns null when A is singular.
+function solve(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    if (Math.abs(M[pivot][col]) < 1e-12) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = M[r][n];
+    for (let c = r + 1; c < n; c++) sum -= M[r][c] * x[c];
+    x[r] = sum / M[r][r];
+  }
+  return x;
+}
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+const stdDev = (values, m = mean(values)) => Math.sqrt(values.reduce((a, v) => a + (v - m) ** 2, 0) / values.length);
+
+// The model's prediction for one sample, or null when a feature is missing
+export function predict(model, x) {
+  let sum = model.intercept;
+  for (const f of model.features) {
+    const v = x[f.key];
+    if (v === null || v === undefined || Number.isNaN(v)) return null;
+    sum += f.coeff * v;
+  }
+  return sum;
+}
+
+// Pearson correlation of predictions with outcomes: the model's R on `samples` ({ x, y })
+export function correlation(model, samples) {
+  const pairs = samples.map(s => [predict(model, s.x), s.y]).filter(([p]) => p !== null);
+  if (pairs.length < 3) return null;
+  const ps = pairs.map(p => p[0]), ys = pairs.map(p => p[1]);
+  const mp = mean(ps), my = mean(ys);
+  const cov = pairs.reduce((a, [p, y]) => a + (p - mp) * (y - my), 0);
+  const sp = stdDev(ps, mp), sy = stdDev(ys, my);
+  return sp && sy ? cov / pairs.length / (sp * sy) : null;
+}
+
+/**
+ * Fit y ~ features on samples ([{ x: { key: value }, y }]). Samples missing any feature are left out.
+ * Features are standardized (z-scores) for the fit, so `beta` is comparable across features; `coeff` and `intercept`
+ * are converted back to raw units. Throws when there are too few samples or a feature never varies.
+ */
+export function fitRegression(samples, keys) {
+  const usable = samples.filter(s => Number.isFinite(s.y) && keys.every(k => Number.isFinite(s.x[k])));
+  if (usable.length <= keys.length + 1) throw new Error(`Need more than ${keys.length + 1} complete samples, have ${usable.length}`);
+
+  const stats = keys.map(k => {
+    const values = usable.map(s => s.x[k]);
+    const m = mean(values);
+    return { key: k, mean: m, std: stdDev(values, m) };
+  });
+  const flat = stats.find(f => !f.std);
+  if (flat) throw new Error(`${flat.key} has the same value in every sample`);
+
+  const ys = usable.map(s => s.y);
+  const yMean = mean(ys);
+  const Z = usable.map(s => stats.map(f => (s.x[f.key] - f.mean) / f.std));
+  // Centered normal equations: (Z'Z) beta = Z'(y - ȳ); the intercept of the standardized fit is ȳ
+  const ZtZ = keys.map((_, i) => keys.map((_, j) => Z.reduce((a, z) => a + z[i] * z[j], 0)));
+  const Zty = keys.map((_, i) => Z.reduce((a, z, r) => a + z[i] * (ys[r] - yMean), 0));
+  const beta = solve(ZtZ, Zty);
+  if (!beta) throw new Error('The features are collinear — drop one and retrain');
+
+  const features = stats.map((f, i) => ({ key: f.key, coeff: beta[i] / f.std, mean: f.mean, std: f.std, beta: beta[i] }));
+  const model = { intercept: yMean - features.reduce((a, f) => a + f.coeff * f.mean, 0), features };
+  return { ...model, n: usable.length, r: correlation(model, usable) };
+}
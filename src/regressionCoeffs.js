@@ -1,10 +1,11 @@
-// Auto-generated by retrain_regression.py
+// Bundled Live Spec model, generated by retrain_regression.py. Live Spec uses it until a model is published from
+// the Regression page (/regression, stored in livespec_models); after that it is only the fallback.
 // Trained on two months: April + May 2026 eval windows -> May + June 2026 OVR updates
 // Combined training set: 555 batters, 534 pitchers
 // Features are % vs uZIPS (positive = outperforming projection)
 // Batters: wRC+, OPS, ISO, BABIP, K%, BB% vs uZIPS + old_ovr (R=0.666)
 // Pitchers: K/9, HR/9, BB/9, BABIP vs uZIPS (R=0.774)
-// DO NOT EDIT MANUALLY — re-run retrain_regression.py after each monthly update
+// Don't edit by hand; retrain in-app instead
 
 export const BAT_REGRESSION = {
   intercept: 3.272836,
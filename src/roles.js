@@ -0,0 +1,92 @@
+// Site roles. A user's role lives in app_metadata.role, which only the service role can write
+// (the first admin is set from the Supabase dashboard, later ones from the Roles panel on the Info page).
+// Signed-in users without a role are viewers: signing in alone grants nothing.
+//
+// The same table gates the UI (useAuth().can / requestAuth scopes) and the api/ routes. The api/ routes write with
+// the service role, which row-level security lets through; what the page writes with the user's own session is held
+// to the same roles by these policies (the role is read from the JWT, so a change applies from the next sign-in):
+//
+//   create or replace function site_role() returns text language sql stable as $$
+//     select coalesce(auth.jwt() -> 'app_metadata' ->> 'role', 'viewer')
+//   $$;
+//
+//   -- review: stat uploads, approvals, undo, calendar status; tournaments: create, rename, move. Deletes are purges.
+//   alter table tournaments enable row level security;
+//   create policy tournaments_read on tournaments for select using (true);
+//   create policy tournaments_insert on tournaments for insert with check (site_role() in ('reviewer', 'admin'));
+//   create policy tournaments_update on tournaments for update using (site_role() in ('reviewer', 'admin'));
+//   create policy tournaments_delete on tournaments for delete using (site_role() = 'admin');
+//   alter table upload_history enable row level security;
+//   create policy upload_history_read on upload_history for select using (true);
+//   create policy upload_history_insert on upload_history for insert with check (site_role() in ('reviewer', 'admin'));
+//   create policy upload_history_update on upload_history for update using (site_role() in ('reviewer', 'admin'));
+//   create policy upload_history_delete on upload_history for delete using (site_role() = 'admin');
+//
+//   -- Moving an event to or from the trash is an admin action, though reviewers may update the row otherwise
+//   create or replace function guard_tournament_trash() returns trigger language plpgsql as $$
+//   begin
+//     if new.deleted_at is distinct from old.deleted_at
+//       and coalesce(auth.role(), '') <> 'service_role' and site_role() <> 'admin' then
+//       raise exception 'Admins only';
+//     end if;
+//     return new;
+//   end $$;
+//   create trigger guard_tournament_trash before update on tournaments
+//     for each row execute function guard_tournament_trash();
+//
+//   -- Submissions come in through api/uploads; only the review queue reads and decides them
+//   alter table pending_uploads enable row level security;
+//   create policy pending_uploads_read on pending_uploads for select using (site_role() in ('reviewer', 'admin'));
+//   create policy pending_uploads_update on pending_uploads for update using (site_role() in ('reviewer', 'admin'));
+//
+//   -- content: the page text, banner, videos and articles. The PT Live tools' shared state (ptlive_*) is
+//   -- kept behind the lineup password as before, except the weather key; the rest is admin only.
+//   alter table site_content enable row level security;
+//   create policy site_content_read on site_content for select using (true);
+//   create policy site_content_write on site_content for all
+//     using (site_role() = 'admin'
+//       or (site_role() = 'editor' and id in ('news_banner', 'info', 'submit_info', 'videos', 'articles'))
+//       or (id like 'ptlive\_%' and id <> 'ptlive_weather_key'))
+//     with check (site_role() = 'admin'
+//       or (site_role() = 'editor' and id in ('news_banner', 'info', 'submit_info', 'videos', 'articles'))
+//       or (id like 'ptlive\_%' and id <> 'ptlive_weather_key'));
+//
+//   -- Staff actions log themselves as their own user (PT Live tool edits without a sign-in, as nobody);
+//   -- the log is append-only and read on the admin audit page
+//   alter table audit_log enable row level security;
+//   create policy audit_log_read on audit_log for select using (site_role() = 'admin');
+//   create policy audit_log_insert on audit_log for insert
+//     with check ((site_role() in ('reviewer', 'editor', 'admin') and actor_id = auth.uid())
+//       or (actor_id is null and target_type = 'site_content' and target_id like 'ptlive\_%'));
+//
+//   -- admin: the card database and Live Spec models / projections; all readable on the public pages
+//   -- (pt_card_lists and pt_cards_archive are the trash, so they are not)
+//   do $$ declare t text; begin
+//     foreach t in array array['pt_cards', 'pt_card_versions', 'pt_card_changes', 'livespec_models',
+//       'livespec_predictions', 'livespec_windows', 'uzips_snapshots', 'pt_card_lists', 'pt_cards_archive'] loop
+//       execute format('alter table %I enable row level security', t);
+//       if t not in ('pt_card_lists', 'pt_cards_archive') then
+//         execute format('create policy %I on %I for select using (true)', t || '_read', t);
+//       end if;
+//       execute format('create policy %I on %I for all using (site_role() = ''admin'') with check (site_role() = ''admin'')', t || '_admin', t);
+//     end loop;
+//   end $$;
+export const ROLES = ['viewer', 'contributor', 'reviewer', 'editor', 'admin'];
+
+export const ROLE_LABELS = { viewer: 'Viewer', contributor: 'Contributor', reviewer: 'Reviewer', editor: 'Content Editor', admin: 'Admin' };
+
+// scope -> roles allowed to use it
+export const PERMISSIONS = {
+  account: ['viewer', 'reviewer', 'editor', 'admin'], // any staff login (the Info page sign-in)
+  review: ['reviewer', 'admin'],                      // review queue, direct stat uploads, calendar status
+  tournaments: ['reviewer', 'admin'],                 // create, rename and move events
+  content: ['editor', 'admin'],                       // banner, Info / Submit text, videos, articles
+  admin: ['admin'],                                   // delete events, rebuild stats, card database, keys, roles
+};
+
+export const getRole = (user) => !user ? null : ROLES.includes(user.app_metadata?.role) ? user.app_metadata.role : 'viewer';
+
+export const hasPermission = (user, scope) => (PERMISSIONS[scope] || []).includes(getRole(user));
+
+// "Reviewer or Admin" for messages about a scope the user lacks
+export const describeScope = (scope) => (PERMISSIONS[scope] || ['admin']).filter(r => r !== 'viewer').map(r => ROLE_LABELS[r]).join(' or ');
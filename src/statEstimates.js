@@ -0,0 +1,89 @@
+// Shrinkage estimates for tournament stats.
+// Each metric is regressed toward the mean of its card tier (Perfect, Diamond, Gold, ...) in the same event,
+// weighted by sample: estimate = tierMean + r * (raw - tierMean), with reliability r = n / (n + k).
+// `k` is the sample at which half the observed deviation is trusted, and `noise` is the metric's
+// standard deviation over a single PA / IP, so the 80% interval is estimate ± 1.2816 * noise / sqrt(n + k).
+import { parseIP } from './tournamentStats.js';
+
+export const ESTIMATE_METRICS = {
+  woba: { type: 'batting', label: 'wOBA', k: 500, noise: 0.5, digits: 3, higherIsBetter: true },
+  wrcPlus: { type: 'batting', label: 'wRC+', k: 500, noise: 190, digits: 0, higherIsBetter: true },
+  fipMinus: { type: 'pitching', label: 'FIP-', k: 150, noise: 130, digits: 0, higherIsBetter: false },
+  siera: { type: 'pitching', label: 'SIERA', k: 80, noise: 3, digits: 2, higherIsBetter: false },
+  kPer9: { type: 'pitching', label: 'K/9', k: 20, noise: 9, digits: 2, higherIsBetter: true },
+};
+
+const Z80 = 1.2816;
+// A tier needs this much sample before its own mean is used instead of the event-wide mean
+const MIN_TIER_SAMPLE = { batting: 2000, pitching: 500 };
+
+export function getCardTier(ovr) {
+  const val = parseInt(ovr) || 0;
+  if (val >= 100) return 'perfect';
+  if (val >= 90) return 'diamond';
+  if (val >= 80) return 'gold';
+  if (val >= 70) return 'silver';
+  if (val >= 60) return 'bronze';
+  return 'iron';
+}
+
+// PA for hitters, IP for pitchers
+export const getSampleSize = (p, type) => type === 'pitching'
+  ? (p._counts ? p._counts.outs / 3 : parseIP(p.ip))
+  : (p._counts ? p._counts.pa : parseFloat(p.pa) || 0);
+
+export const getReliability = (n, metric) => n > 0 ? n / (n + ESTIMATE_METRICS[metric].k) : 0;
+
+const metricsFor = (type) => Object.keys(ESTIMATE_METRICS).filter(m => ESTIMATE_METRICS[m].type === type);
+
+// Sample-weighted mean of each metric per card tier, plus `all` for the whole event
+export function buildTierMeans(rows, type) {
+  const sums = {};
+  (rows || []).forEach(p => {
+    const n = getSampleSize(p, type);
+    if (!(n > 0)) return;
+    ['all', getCardTier(p.ovr)].forEach(group => {
+      const s = sums[group] || (sums[group] = { n: 0 });
+      s.n += n;
+      metricsFor(type).forEach(m => { s[m] = (s[m] || 0) + (parseFloat(p[m]) || 0) * n; });
+    });
+  });
+  const means = {};
+  Object.entries(sums).forEach(([group, s]) => {
+    means[group] = { n: s.n };
+    metricsFor(type).forEach(m => { means[group][m] = s.n > 0 ? s[m] / s.n : 0; });
+  });
+  return means;
+}
+
+// { raw, est, lo, hi, n, reliability } for one metric of one row
+export function estimateStat(p, metric, tierMeans) {
+  const { type, k, noise } = ESTIMATE_METRICS[metric];
+  const n = getSampleSize(p, type);
+  const raw = parseFloat(p[metric]) || 0;
+  const tier = tierMeans?.[getCardTier(p.ovr)];
+  const prior = tier && tier.n >= MIN_TIER_SAMPLE[type] ? tier[metric] : (tierMeans?.all?.[metric] ?? raw);
+  const reliability = getReliability(n, metric);
+  const est = prior + reliability * (raw - prior);
+  const halfWidth = Z80 * noise / Math.sqrt(Math.max(n, 0) + k);
+  return { raw, est, lo: est - halfWidth, hi: est + halfWidth, n, reliability };
+}
+
+export const formatEstimate = (value, metric) => {
+  const { digits } = ESTIMATE_METRICS[metric];
+  return digits === 3 ? value.toFixed(3).replace(/^0\./, '.') : value.toFixed(digits);
+};
+
+// Attach `_est` (full estimates) and flat est* fields (estWoba, estFipMinus, ...) so tables can sort on them
+export function withEstimates(rows, type) {
+  const tierMeans = buildTierMeans(rows, type);
+  return (rows || []).map(p => {
+    const est = {};
+    const flat = {};
+    metricsFor(type).forEach(m => {
+      est[m] = estimateStat(p, m, tierMeans);
+      flat[`est${m[0].toUpperCase()}${m.slice(1)}`] = Number(est[m].est.toFixed(ESTIMATE_METRICS[m].digits));
+    });
+    return { ...p, ...flat, _est: est };
+  });
+}
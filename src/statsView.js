@@ -0,0 +1,99 @@
+// Stats page view <-> URL query params, so a filtered/sorted table can be shared as a link.
+// Only values that differ from the tab's defaults are written, e.g.
+//   ?t=<id>&tab=batting&pos=SS&tiers=gold,diamond,perfect&pa=gte500&sort=wrcPlus
+export const CARD_TIERS = ['perfect', 'diamond', 'gold', 'silver', 'bronze', 'iron'];
+const STAT_FILTER_PARAMS = { gFilter: 'g', paFilter: 'pa', abFilter: 'ab', ipFilter: 'ip' };
+const OPERATOR_TOKENS = { '>': 'gt', '>=': 'gte', '=': 'eq', '<=': 'lte', '<': 'lt' };
+const DATE_PRESETS = ['all', 'last7', 'last30', 'sinceCards', 'custom'];
+// Column toggles: param token -> [view key, default]
+const COLUMN_TOKENS = { adv: ['showPer9', false], hidetrad: ['showTraditional', true], reg: ['showEstimates', false], neu: ['showNeutral', false], splits: ['showSplits', false] };
+
+export function getDefaultFilters(tab) {
+  const isBatting = tab === 'batting';
+  return {
+    search: '',
+    position: 'all',
+    sortBy: isBatting ? 'woba' : 'fipMinus',
+    sortDir: isBatting ? 'desc' : 'asc',
+    gFilter: { enabled: false, operator: '>=', value: 0 },
+    paFilter: isBatting ? { enabled: true, operator: '>=', value: 1000 } : { enabled: false, operator: '>=', value: 0 },
+    abFilter: { enabled: false, operator: '>=', value: 0 },
+    ipFilter: isBatting ? { enabled: false, operator: '>=', value: 0 } : { enabled: true, operator: '>=', value: 400 },
+    // Card tier filters (all enabled by default)
+    cardTiers: { perfect: true, diamond: true, gold: true, silver: true, bronze: true, iron: true },
+    // Variant filter: 'all', 'yes', 'no'
+    variantFilter: 'all',
+    // Filters on derived (formula) columns, keyed by column key; saved per browser, so not part of the URL
+    derivedFilters: {}
+  };
+}
+
+export const DEFAULT_COLUMNS = Object.fromEntries(Object.values(COLUMN_TOKENS));
+
+// view: { tournamentId, tab, filters, dateRange, columns } -> canonical query string (no leading '?')
+export function encodeStatsView({ tournamentId, tab, filters, dateRange, columns }) {
+  const params = new URLSearchParams();
+  const defaults = getDefaultFilters(tab);
+  if (tournamentId) params.set('t', tournamentId);
+  if (tab && tab !== 'pitching') params.set('tab', tab);
+  if (filters.search) params.set('q', filters.search);
+  if (filters.position !== 'all') params.set('pos', filters.position);
+  const tiers = CARD_TIERS.filter(t => filters.cardTiers[t]);
+  if (tiers.length !== CARD_TIERS.length) params.set('tiers', tiers.join(',') || 'none');
+  if (filters.variantFilter !== 'all') params.set('var', filters.variantFilter);
+  Object.entries(STAT_FILTER_PARAMS).forEach(([key, param]) => {
+    const f = filters[key];
+    const d = defaults[key];
+    if (f.enabled) {
+      if (!d.enabled || f.operator !== d.operator || String(f.value) !== String(d.value)) params.set(param, `${OPERATOR_TOKENS[f.operator]}${f.value}`);
+    } else if (d.enabled) {
+      params.set(param, 'off');
+    }
+  });
+  if (filters.sortBy !== defaults.sortBy) params.set('sort', filters.sortBy);
+  if (filters.sortDir !== defaults.sortDir) params.set('dir', filters.sortDir);
+  if (dateRange.preset !== 'all') {
+    params.set('range', dateRange.preset);
+    if (dateRange.preset === 'custom') {
+      if (dateRange.from) params.set('from', dateRange.from);
+      if (dateRange.to) params.set('to', dateRange.to);
+    }
+  }
+  const cols = Object.entries(COLUMN_TOKENS).filter(([, [key, def]]) => columns[key] !== def).map(([token]) => token);
+  if (cols.length) params.set('cols', cols.join(','));
+  return params.toString();
+}
+
+// Query params -> full view; anything missing or unrecognized falls back to the tab's defaults.
+// Derived columns are defined per browser, so a sort on one is kept only when it is in `derivedKeys`
+// ({ batting: [...], pitching: [...] }, see derivedKeysByType); otherwise the tab's default sort applies.
+export function decodeStatsView(search, derivedKeys = {}) {
+  const params = new URLSearchParams(search);
+  const tab = ['pitching', 'batting', 'analysis'].includes(params.get('tab')) ? params.get('tab') : 'pitching';
+  const filters = getDefaultFilters(tab);
+  if (params.has('q')) filters.search = params.get('q');
+  if (params.has('pos')) filters.position = params.get('pos');
+  if (params.has('tiers')) {
+    const tiers = params.get('tiers').split(',');
+    filters.cardTiers = Object.fromEntries(CARD_TIERS.map(t => [t, tiers.includes(t)]));
+  }
+  if (['yes', 'no'].includes(params.get('var'))) filters.variantFilter = params.get('var');
+  Object.entries(STAT_FILTER_PARAMS).forEach(([key, param]) => {
+    const raw = params.get(param);
+    if (raw === null) return;
+    if (raw === 'off') { filters[key] = { ...filters[key], enabled: false }; return; }
+    const match = raw.match(/^(gte|lte|gt|lt|eq)(\d+(?:\.\d+)?)$/);
+    if (!match) return;
+    const operator = Object.keys(OPERATOR_TOKENS).find(op => OPERATOR_TOKENS[op] === match[1]);
+    filters[key] = { enabled: true, operator, value: Number(match[2]) };
+  });
+  const sort = params.get('sort');
+  const sortKnown = !sort?.startsWith('derived_') || (derivedKeys[tab] || []).includes(sort);
+  if (sort && sortKnown) filters.sortBy = sort;
+  if (sortKnown && ['asc', 'desc'].includes(params.get('dir'))) filters.sortDir = params.get('dir');
+  const preset = DATE_PRESETS.includes(params.get('range')) ? params.get('range') : 'all';
+  const dateRange = { preset, from: preset === 'custom' ? params.get('from') || '' : '', to: preset === 'custom' ? params.get('to') || '' : '' };
+  const colTokens = (params.get('cols') || '').split(',');
+  const columns = Object.fromEntries(Object.entries(COLUMN_TOKENS).map(([token, [key, def]]) => [key, colTokens.includes(token) ? !def : def]));
+  return { tournamentId: params.get('t') || null, tab, filters, dateRange, columns };
+}
@@ -35,6 +35,13 @@ const noopClient = {
   }
 }
 
+// Staff sign in with a password only. Sessions in the URL come from contributor confirmation links (see
+// api/contributors.js), so only the contributor client picks them up
 export const supabase = supabaseUrl && supabaseAnonKey
-  ? createClient(supabaseUrl, supabaseAnonKey)
+  ? createClient(supabaseUrl, supabaseAnonKey, { auth: { detectSessionInUrl: false } })
+  : noopClient
+
+// Contributor sign-in keeps its session under its own storage key, so it never becomes the admin session
+export const contributorSupabase = supabaseUrl && supabaseAnonKey
+  ? createClient(supabaseUrl, supabaseAnonKey, { auth: { storageKey: 'contributor-auth' } })
   : noopClient
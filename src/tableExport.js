@@ -0,0 +1,46 @@
+// Download a table exactly as it is shown (filtered, sorted, all pages) as CSV, XLSX or JSON.
+// Columns are { key, label, value? } like the table column registries: `value(row)` overrides `row[key]`.
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+// Numeric strings ('3.45', '.312', '+12', '25.3%') become numbers so spreadsheets can sort them; placeholders become empty
+function cellValue(col, row) {
+  const v = col.value ? col.value(row) : row[col.key];
+  if (v === null || v === undefined || v === '—' || v === '') return null;
+  if (typeof v === 'number') return isFinite(v) ? v : null;
+  if (typeof v === 'string' && /^[-+]?(\d+\.?\d*|\.\d+)%?$/.test(v.trim())) return parseFloat(v);
+  return v;
+}
+
+const slug = (s) => String(s || 'export').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+
+function download(content, filename, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// `name` becomes the file name, e.g. 'Stats Pitching Open Daily' -> stats-pitching-open-daily-2026-10-19.csv
+export function exportTable({ name, columns, rows, format }) {
+  if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unknown export format "${format}"`);
+  const base = `${slug(name)}-${new Date().toISOString().slice(0, 10)}`;
+  const matrix = rows.map(row => columns.map(col => cellValue(col, row)));
+  if (format === 'json') {
+    const records = matrix.map(values => Object.fromEntries(columns.map((col, i) => [col.key, values[i]])));
+    download(JSON.stringify(records, null, 2), `${base}.json`, 'application/json');
+  } else if (format === 'csv') {
+    download(Papa.unparse({ fields: columns.map(c => c.label), data: matrix.map(values => values.map(v => v ?? '')) }), `${base}.csv`, 'text/csv;charset=utf-8');
+  } else {
+    const sheet = XLSX.utils.aoa_to_sheet([columns.map(c => c.label), ...matrix.map(values => values.map(v => v ?? ''))]);
+    const book = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(book, sheet, slug(name).slice(0, 31));
+    XLSX.writeFile(book, `${base}.xlsx`);
+  }
+}
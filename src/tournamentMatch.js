@@ -0,0 +1,90 @@
+// Rank every tournament as the home of an upload, so the review queue can pre-select one instead of relying on the label.
+// Each signal is 0..1 and the score (0-100) is their weighted sum:
+//   names - share of the upload's players the event already has
+//   ovr   - overlap of the OVR histograms (5-point bins)
+//   tiers - overlap of the card-tier mix
+//   dates - the event has uploads around the file's date and doesn't have that date yet
+import { STAT_FILE_TYPES, parseNum } from './tournamentStats.js';
+import { getCardTier } from './statEstimates.js';
+
+const WEIGHTS = { names: 0.55, ovr: 0.2, tiers: 0.1, dates: 0.15 };
+// The uploader's label wins when it scores within this many points of the best candidate
+const LABEL_TOLERANCE = 5;
+// A pick is safe to approve without a look when it scores this high and leads the next event by this much
+const CONFIDENT_SCORE = 70;
+const CONFIDENT_MARGIN = 10;
+
+const ovrBin = (ovr) => Math.floor(ovr / 5) * 5;
+
+function shares(values) {
+  const counts = new Map();
+  values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  return new Map([...counts].map(([k, n]) => [k, n / values.length]));
+}
+
+// Histogram overlap: 1 for identical distributions, 0 for disjoint ones
+function overlap(a, b) {
+  let sum = 0;
+  a.forEach((p, k) => { sum += Math.min(p, b.get(k) || 0); });
+  return sum;
+}
+
+function cardProfile(cards) {
+  const ovrs = cards.map(c => c.ovr).filter(o => o > 0);
+  return {
+    names: new Set(cards.map(c => c.name)),
+    ovr: shares(ovrs.map(ovrBin)),
+    tiers: shares(ovrs.map(getCardTier)),
+  };
+}
+
+// tournaments rows -> per-event profiles of their batting and pitching cards; build once per tournament list
+export function buildTournamentProfiles(tournaments) {
+  return (tournaments || []).map(t => {
+    const profile = (type) => cardProfile((t[type] || []).map(p => ({ name: (p.name || '').toLowerCase().trim(), ovr: parseNum(p.ovr) })));
+    return { tournament: t, batting: profile('batting'), pitching: profile('pitching') };
+  });
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+const weekStart = (dateStr) => { const d = new Date(dateStr + 'T12:00:00'); d.setDate(d.getDate() - d.getDay()); return d.toDateString(); };
+
+function dateSignal(tournament, date) {
+  const dates = tournament.uploaded_dates || [];
+  if (!date) return 0.5;
+  if (!dates.length) return 0.4;
+  const taken = tournament.event_type === 'weekly' ? dates.some(d => weekStart(d) === weekStart(date)) : dates.includes(date);
+  if (taken) return 0.25;
+  const nearest = Math.min(...dates.map(d => Math.abs(new Date(d) - new Date(date)) / DAY));
+  return nearest <= 7 ? 1 : nearest <= 30 ? 0.6 : 0.3;
+}
+
+/**
+ * rows: the upload's CSV rows; fileType: batting | pitching | *_splits; date: 'YYYY-MM-DD' or null; profiles: buildTournamentProfiles().
+ * Returns every event, best first: [{ id, name, score, signals: { names, ovr, tiers, dates } }].
+ */
+export function rankTournaments(rows, fileType, date, profiles) {
+  const type = STAT_FILE_TYPES[fileType];
+  const upload = cardProfile((rows || []).map(r => ({ name: (r.Name || '').toLowerCase().trim(), ovr: parseNum(r.OVR) })));
+  return profiles.map(({ tournament, [type]: event }) => {
+    const signals = {
+      names: upload.names.size ? [...upload.names].filter(n => event.names.has(n)).length / upload.names.size : 0,
+      ovr: overlap(upload.ovr, event.ovr),
+      tiers: overlap(upload.tiers, event.tiers),
+      dates: dateSignal(tournament, date),
+    };
+    const score = Math.round(100 * Object.entries(WEIGHTS).reduce((s, [k, w]) => s + w * signals[k], 0));
+    return { id: tournament.id, name: tournament.name, score, signals };
+  }).sort((a, b) => b.score - a.score);
+}
+
+// Which event to pre-select: the best candidate, unless the uploader's label is about as good.
+// `confident` means the pick is clearly ahead of every other event; `matchesLabel` that it is the uploader's choice.
+export function pickTournament(ranking, suggestedId) {
+  if (!ranking.length) return null;
+  const labelled = suggestedId && ranking.find(r => r.id === suggestedId);
+  const pick = labelled && ranking[0].score - labelled.score <= LABEL_TOLERANCE ? labelled : ranking[0];
+  const runnerUp = ranking.find(r => r.id !== pick.id);
+  const confident = pick.score >= CONFIDENT_SCORE && (!runnerUp || pick.score - runnerUp.score >= CONFIDENT_MARGIN);
+  return { ...pick, confident, matchesLabel: pick.id === suggestedId };
+}
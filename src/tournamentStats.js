@@ -0,0 +1,495 @@
+// Tournament stat storage.
+// Each tournament row keeps summed counting stats in `_counts` (PA, AB, H, 2B, HR, BB, K, ER, outs, ...)
+// plus `_rateSums` for the export-only rates (wOBA, wRC+, FIP-, SIERA, ...) stored as rate x denominator.
+// Every displayed rate stat is derived from those sums on read, so merging uploads never drifts.
+
+export function parseVariant(v) {
+  if (!v) return 'N';
+  const val = String(v).toUpperCase().trim();
+  return (val === 'Y' || val === 'YES' || val === '1' || val === 'TRUE') ? 'Y' : 'N';
+}
+
+// Helper: Update position counts and get primary position
+export function updatePositionTracking(existing, instancePos) {
+  const positionCounts = { ...(existing._positionCounts || {}) };
+  const pos = (instancePos || '').toUpperCase().trim();
+  if (pos) {
+    positionCounts[pos] = (positionCounts[pos] || 0) + 1;
+  }
+  const positions = Object.keys(positionCounts).sort((a, b) => positionCounts[b] - positionCounts[a]);
+  const primaryPos = positions[0] || existing.pos || pos;
+  return { _positionCounts: positionCounts, positions, pos: primaryPos };
+}
+
+// Helper: Initialize position tracking for new player
+export function initPositionTracking(instancePos) {
+  const pos = (instancePos || '').toUpperCase().trim();
+  return {
+    _positionCounts: pos ? { [pos]: 1 } : {},
+    positions: pos ? [pos] : [],
+    pos: pos
+  };
+}
+
+export const parseNum = (v) => { const n = parseFloat(v); return isNaN(n) ? 0 : n; };
+const parsePct = (v) => { if (!v) return '0.0'; return String(v).replace('%', ''); };
+export const parseIP = (ip) => { if (!ip) return 0; const str = String(ip); if (str.includes('.')) { const [w, f] = str.split('.'); return parseFloat(w) + (parseFloat(f) / 3); } return parseFloat(ip) || 0; };
+export const formatIP = (d) => { const w = Math.floor(d), f = Math.round((d - w) * 3); return f === 0 ? w.toString() : f === 3 ? (w + 1).toString() : `${w}.${f}`; };
+
+export const getPlayerKey = (p) => `${p.name}|${p.ovr}|${p.vari || 'N'}`;
+
+// Rates the export gives us without the components to rebuild them, and the count each is weighted by
+const RATE_WEIGHTS = {
+  batting: { obp: 'pa', woba: 'pa', babip: 'bip', opsPlus: 'pa', wrcPlus: 'pa', sbPct: 'pa' },
+  pitching: { avg: 'bf', obp: 'bf', babip: 'bf', braPer9: 'outs', lobPct: 'outs', eraPlus: 'outs', fip: 'outs', fipMinus: 'outs', siera: 'outs' }
+};
+
+// Convert a row in the display shape into counts + rate sums.
+// Legacy rows (written before `_counts` existed) stored per-upload averages for H/2B/3B/HR/K/GIDP,
+// so those are scaled back up by `_instanceCount`.
+export function getStatCounts(p, type) {
+  if (p._counts) return { counts: p._counts, rateSums: p._rateSums || {} };
+  const n = p._instanceCount || 1;
+  let counts;
+  if (type === 'pitching') {
+    const ip = parseIP(p.ip);
+    const per9 = (v) => Math.round(parseNum(v) * ip / 9);
+    counts = {
+      g: parseNum(p.g), gs: parseNum(p.gs), outs: Math.round(ip * 3), bf: parseNum(p.bf),
+      er: per9(p.era), h: per9(p.hPer9), bb: per9(p.bbPer9), k: per9(p.kPer9), hr: per9(p.hrPer9),
+      war: parseNum(p.war)
+    };
+  } else {
+    const pa = parseNum(p.pa), ab = parseNum(p.ab);
+    counts = {
+      g: parseNum(p.g), gs: parseNum(p.gs), pa, ab,
+      h: parseNum(p.h) * n, doubles: parseNum(p.doubles) * n, triples: parseNum(p.triples) * n, hr: parseNum(p.hr) * n,
+      bb: Math.round(parseNum(p.bbPct) * pa / 100), so: parseNum(p.so) * n, gidp: parseNum(p.gidp) * n,
+      war: parseNum(p.war), wraa: parseNum(p.wraa), ubr: parseNum(p.ubr || p.bsr)
+    };
+    counts.bip = Math.max(0, ab - counts.so - counts.hr);
+  }
+  const rateSums = {};
+  Object.entries(RATE_WEIGHTS[type]).forEach(([key, weight]) => { rateSums[key] = parseNum(p[key]) * counts[weight]; });
+  return { counts, rateSums };
+}
+
+// Derive every displayed rate stat from counts + rate sums
+export function deriveStatRates(counts, rateSums, type) {
+  const div = (a, b) => b > 0 ? a / b : 0;
+  const weighted = (key) => div(rateSums[key] || 0, counts[RATE_WEIGHTS[type][key]] || 0);
+  if (type === 'pitching') {
+    const ip = counts.outs / 3;
+    const per9 = (v) => div(v * 9, ip).toFixed(2);
+    return {
+      g: counts.g, gs: counts.gs, ip: formatIP(ip), bf: counts.bf,
+      era: per9(counts.er), whip: div(counts.h + counts.bb, ip).toFixed(2),
+      hPer9: per9(counts.h), bbPer9: per9(counts.bb), kPer9: per9(counts.k), hrPer9: per9(counts.hr),
+      avg: weighted('avg').toFixed(3), obp: weighted('obp').toFixed(3), babip: weighted('babip').toFixed(3),
+      braPer9: weighted('braPer9').toFixed(2), lobPct: weighted('lobPct').toFixed(1),
+      eraPlus: Math.round(weighted('eraPlus')), fip: weighted('fip').toFixed(2),
+      fipMinus: Math.round(weighted('fipMinus')), siera: weighted('siera').toFixed(2),
+      war: counts.war.toFixed(1)
+    };
+  }
+  const obp = weighted('obp');
+  const slg = div(counts.h + counts.doubles + 2 * counts.triples + 3 * counts.hr, counts.ab);
+  return {
+    g: counts.g, gs: counts.gs, pa: counts.pa, ab: counts.ab,
+    h: counts.h, doubles: counts.doubles, triples: counts.triples, hr: counts.hr, bb: counts.bb,
+    so: counts.so, gidp: counts.gidp,
+    avg: div(counts.h, counts.ab).toFixed(3), obp: obp.toFixed(3), slg: slg.toFixed(3), ops: (obp + slg).toFixed(3),
+    woba: weighted('woba').toFixed(3), babip: weighted('babip').toFixed(3),
+    opsPlus: Math.round(weighted('opsPlus')), wrcPlus: Math.round(weighted('wrcPlus')),
+    bbPct: (div(counts.bb, counts.pa) * 100).toFixed(1), sbPct: weighted('sbPct').toFixed(1),
+    war: counts.war.toFixed(1), wraa: counts.wraa.toFixed(1), ubr: counts.ubr.toFixed(1)
+  };
+}
+
+// Split columns shown in the stat tables, flattened as vlWoba / vrWoba etc. so they sort like any other field
+const SPLIT_FIELDS = { batting: ['pa', 'avg', 'woba', 'ops'], pitching: ['ip', 'avg', 'fip', 'kPer9'] };
+const splitKey = (side, f) => `v${side.toLowerCase()}${f[0].toUpperCase()}${f.slice(1)}`;
+
+function deriveSplitFields(splits, type) {
+  const out = {};
+  ['L', 'R'].forEach(side => {
+    const s = splits?.[side];
+    if (!s) return;
+    const d = deriveStatRates(s.counts, s.rateSums, type);
+    SPLIT_FIELDS[type].forEach(f => { out[splitKey(side, f)] = d[f]; });
+  });
+  return out;
+}
+
+// Re-derive a stored row's rate stats from its counts (also upgrades legacy rows in memory)
+export function withDerivedRates(p, type) {
+  const { counts, rateSums } = getStatCounts(p, type);
+  const row = { ...p };
+  // Drop previously derived split fields so a side that was removed doesn't linger
+  ['L', 'R'].forEach(side => SPLIT_FIELDS[type].forEach(f => { delete row[splitKey(side, f)]; }));
+  return { ...row, ...deriveStatRates(counts, rateSums, type), ...deriveSplitFields(p._splits, type), _counts: counts, _rateSums: rateSums };
+}
+
+// Normalize one raw CSV row (Name, OVR, ERA, ...) into a single-upload stat row
+export function normalizeStatRow(row, type) {
+  const base = type === 'pitching'
+    ? { name: row.Name?.trim() || 'Unknown', pos: row.POS?.trim() || '', throws: row.T || '',
+        ovr: parseNum(row.OVR), vari: parseVariant(row.VAR), g: parseNum(row.G), gs: parseNum(row.GS), ip: row.IP || '0', bf: parseNum(row.BF),
+        era: row.ERA || '0.00', avg: row.AVG || '.000', obp: row.OBP || '.000', babip: row.BABIP || '.000',
+        whip: row.WHIP || '0.00', braPer9: row['BRA/9'] || '0.00', hrPer9: row['HR/9'] || '0.00', hPer9: row['H/9'] || '0.00',
+        bbPer9: row['BB/9'] || '0.00', kPer9: row['K/9'] || '0.00', lobPct: parsePct(row['LOB%']),
+        eraPlus: parseNum(row['ERA+']), fip: row.FIP || '0.00', fipMinus: parseNum(row['FIP-']),
+        war: row.WAR || '0.0', siera: row.SIERA || '0.00' }
+    : { name: row.Name?.trim() || 'Unknown', pos: row.POS?.trim() || '', bats: row.B || '',
+        ovr: parseNum(row.OVR), vari: parseVariant(row.VAR), g: parseNum(row.G), gs: parseNum(row.GS), pa: parseNum(row.PA), ab: parseNum(row.AB),
+        h: parseNum(row.H), doubles: parseNum(row['2B']), triples: parseNum(row['3B']), hr: parseNum(row.HR), bbPct: parsePct(row['BB%']),
+        so: parseNum(row.K), gidp: parseNum(row.GIDP), avg: row.AVG || '.000', obp: row.OBP || '.000', slg: row.SLG || '.000',
+        woba: row.wOBA || '.000', ops: row.OPS || '.000', opsPlus: parseNum(row['OPS+']), babip: row.BABIP || '.000',
+        wrcPlus: parseNum(row['wRC+']), wraa: row.wRAA || '0.0', war: row.WAR || '0.0', sbPct: parsePct(row['SB%']), ubr: row.UBR || row.BsR || '0.0' };
+  const { counts, rateSums } = getStatCounts(base, type);
+  return { id: crypto.randomUUID(), ...base, _counts: counts, _rateSums: rateSums };
+}
+
+const addSums = (a, b, sign = 1) => {
+  const out = { ...a };
+  Object.keys(b).forEach(k => { out[k] = (out[k] || 0) + sign * (b[k] || 0); });
+  return out;
+};
+
+// Merge raw CSV rows into an existing stat array, one upload instance per row.
+// Rows are keyed by name|ovr|variant so variants stay separate cards.
+export function mergeStatRows(existing, csvRows, type) {
+  const playerMap = new Map();
+  (existing || []).forEach(p => playerMap.set(getPlayerKey(p), p));
+  csvRows.forEach(row => {
+    const instance = normalizeStatRow(row, type);
+    const key = getPlayerKey(instance);
+    const ex = playerMap.get(key);
+    if (!ex) {
+      playerMap.set(key, withDerivedRates({ ...instance, _instanceCount: 1, ...initPositionTracking(instance.pos) }, type));
+      return;
+    }
+    const prev = getStatCounts(ex, type);
+    playerMap.set(key, withDerivedRates({
+      ...ex,
+      ...updatePositionTracking(ex, instance.pos),
+      _instanceCount: (ex._instanceCount || 1) + 1,
+      // Keep latest OVR, VAR and handedness
+      ovr: instance.ovr, vari: instance.vari,
+      ...(type === 'pitching' ? { throws: instance.throws || ex.throws } : { bats: instance.bats || ex.bats }),
+      _counts: addSums(prev.counts, instance._counts),
+      _rateSums: addSums(prev.rateSums, instance._rateSums)
+    }, type));
+  });
+  return Array.from(playerMap.values());
+}
+
+// Remove previously merged CSV rows (used to undo an upload). Cards left with no instances are dropped.
+export function subtractStatRows(existing, csvRows, type) {
+  const playerMap = new Map();
+  (existing || []).forEach(p => playerMap.set(getPlayerKey(p), p));
+  csvRows.forEach(row => {
+    const instance = normalizeStatRow(row, type);
+    const key = getPlayerKey(instance);
+    const ex = playerMap.get(key);
+    if (!ex) return;
+    const remaining = (ex._instanceCount || 1) - 1;
+    if (remaining <= 0) { playerMap.delete(key); return; }
+    const positionCounts = { ...(ex._positionCounts || {}) };
+    const pos = (instance.pos || '').toUpperCase();
+    if (positionCounts[pos]) positionCounts[pos]--;
+    if (positionCounts[pos] === 0) delete positionCounts[pos];
+    const positions = Object.keys(positionCounts).sort((a, b) => positionCounts[b] - positionCounts[a]);
+    const prev = getStatCounts(ex, type);
+    playerMap.set(key, withDerivedRates({
+      ...ex,
+      _instanceCount: remaining,
+      _positionCounts: positionCounts, positions, pos: positions[0] || ex.pos,
+      _counts: addSums(prev.counts, instance._counts, -1),
+      _rateSums: addSums(prev.rateSums, instance._rateSums, -1)
+    }, type));
+  });
+  return Array.from(playerMap.values());
+}
+
+// ---- Platoon splits ----
+// A splits export is the regular batting/pitching view with an extra `Split` column
+// ("vs LHP"/"vs RHP" for hitters, "vs LHB"/"vs RHB" for pitchers), one line per player per side.
+// Split lines are stored on the player's overall row as `_splits.L` / `_splits.R` and never touch the overall line.
+
+// upload_history / pending_uploads file types and the tournament array each one feeds
+export const STAT_FILE_TYPES = { batting: 'batting', pitching: 'pitching', batting_splits: 'batting', pitching_splits: 'pitching' };
+export const isSplitFileType = (fileType) => fileType === 'batting_splits' || fileType === 'pitching_splits';
+
+// "vs LHP", "vs. L", "LHB", "Left" -> 'L'; anything unrecognised -> null
+export function getRowSplitSide(row) {
+  const v = String(row.Split ?? row.SPLIT ?? row.split ?? '').toUpperCase().replace(/^VS\.?\s*/, '').trim();
+  if (/^L(HP|HB|EFT)?$/.test(v)) return 'L';
+  if (/^R(HP|HB|IGHT)?$/.test(v)) return 'R';
+  return null;
+}
+
+// Add (sign 1) or remove (sign -1) split lines. Lines for players with no overall row are skipped.
+export function mergeSplitRows(existing, csvRows, type, sign = 1) {
+  const playerMap = new Map();
+  (existing || []).forEach(p => playerMap.set(getPlayerKey(p), p));
+  csvRows.forEach(row => {
+    const side = getRowSplitSide(row);
+    const instance = normalizeStatRow(row, type);
+    const key = getPlayerKey(instance);
+    const ex = playerMap.get(key);
+    if (!side || !ex) return;
+    const prev = ex._splits?.[side] || { counts: {}, rateSums: {}, n: 0 };
+    const next = { counts: addSums(prev.counts, instance._counts, sign), rateSums: addSums(prev.rateSums, instance._rateSums, sign), n: prev.n + sign };
+    const splits = { ...(ex._splits || {}) };
+    if (next.n <= 0) delete splits[side];
+    else splits[side] = next;
+    playerMap.set(key, withDerivedRates({ ...ex, _splits: splits }, type));
+  });
+  return Array.from(playerMap.values());
+}
+
+// How many split lines in an upload have no overall row to attach to (and would be skipped)
+export function countUnmatchedSplitRows(existing, csvRows, type) {
+  const known = new Set((existing || []).map(getPlayerKey));
+  return csvRows.filter(row => !known.has(getPlayerKey(normalizeStatRow(row, type)))).length;
+}
+
+// Apply / revert one upload's raw CSV rows against the tournament array its file type feeds
+export function applyUploadRows(existing, csvRows, fileType) {
+  const type = STAT_FILE_TYPES[fileType];
+  return isSplitFileType(fileType) ? mergeSplitRows(existing, csvRows, type) : mergeStatRows(existing, csvRows, type);
+}
+
+export function revertUploadRows(existing, csvRows, fileType) {
+  const type = STAT_FILE_TYPES[fileType];
+  return isSplitFileType(fileType) ? mergeSplitRows(existing, csvRows, type, -1) : subtractStatRows(existing, csvRows, type);
+}
+
+// Sum several stored rows of the same card (e.g. variants, or one card across tournaments) into one derived row
+export function combineStatRows(rows, type) {
+  if (!rows?.length) return null;
+  let counts = {}, rateSums = {};
+  rows.forEach(p => {
+    const c = getStatCounts(p, type);
+    counts = addSums(counts, c.counts);
+    rateSums = addSums(rateSums, c.rateSums);
+  });
+  const splits = {};
+  rows.forEach(p => Object.entries(p._splits || {}).forEach(([side, s]) => {
+    const prev = splits[side] || { counts: {}, rateSums: {}, n: 0 };
+    splits[side] = { counts: addSums(prev.counts, s.counts), rateSums: addSums(prev.rateSums, s.rateSums), n: prev.n + s.n };
+  }));
+  const instances = rows.reduce((s, p) => s + (p._instanceCount || 1), 0);
+  return { ...rows[0], ...deriveStatRates(counts, rateSums, type), ...deriveSplitFields(splits, type), _counts: counts, _rateSums: rateSums, _splits: splits, _instanceCount: instances };
+}
+
+// Rebuild a tournament's batting/pitching arrays from upload_history rows (oldest first)
+export function buildStatsFromUploads(uploads) {
+  const stats = { batting: [], pitching: [] };
+  (uploads || []).forEach(u => {
+    const target = STAT_FILE_TYPES[u.file_type];
+    if (u.undone || !target) return;
+    stats[target] = applyUploadRows(stats[target], u.player_data || [], u.file_type);
+  });
+  return stats;
+}
+
+// ---- Cumulative exports ----
+// Some contributors export running totals instead of a single day. Such an upload keeps the whole export in
+// `snapshot_data` and stores only the games since the previous snapshot in `player_data`, rebuilt as export lines,
+// so date ranges, undo and rebuilds read it like any daily file.
+
+// Export columns of a delta line: counts are written as-is, rates as rate sum / weight, per-9 columns from their count
+const DELTA_COUNT_COLUMNS = {
+  batting: { G: 'g', GS: 'gs', PA: 'pa', AB: 'ab', H: 'h', '2B': 'doubles', '3B': 'triples', HR: 'hr', K: 'so', GIDP: 'gidp', WAR: 'war', wRAA: 'wraa', UBR: 'ubr' },
+  pitching: { G: 'g', GS: 'gs', BF: 'bf', WAR: 'war' }
+};
+const DELTA_RATE_COLUMNS = {
+  batting: { OBP: 'obp', wOBA: 'woba', BABIP: 'babip', 'OPS+': 'opsPlus', 'wRC+': 'wrcPlus', 'SB%': 'sbPct' },
+  pitching: { AVG: 'avg', OBP: 'obp', BABIP: 'babip', 'BRA/9': 'braPer9', 'LOB%': 'lobPct', 'ERA+': 'eraPlus', FIP: 'fip', 'FIP-': 'fipMinus', SIERA: 'siera' }
+};
+const DELTA_PER9_COLUMNS = { ERA: 'er', 'H/9': 'h', 'BB/9': 'bb', 'K/9': 'k', 'HR/9': 'hr' };
+// Counts read straight from the export; a running total can never lose any of them.
+// The rest (BB from BB%, pitching H/ER/BB/K/HR from per-9 rates) are rounded and may dip by one.
+const EXACT_COUNTS = { batting: ['g', 'gs', 'pa', 'ab', 'h', 'doubles', 'triples', 'hr', 'so', 'gidp'], pitching: ['g', 'gs', 'outs', 'bf'] };
+const ROUNDED_COUNTS = { batting: ['bb'], pitching: ['er', 'h', 'bb', 'k', 'hr'] };
+
+const snapshotKey = (row, instance, fileType) => isSplitFileType(fileType) ? `${getPlayerKey(instance)}|${getRowSplitSide(row)}` : getPlayerKey(instance);
+
+// Latest snapshot of a file type uploaded for `date` or earlier (same date: the most recent upload)
+export function getLatestSnapshot(uploads, fileType, date) {
+  return (uploads || [])
+    .filter(u => !u.undone && u.file_type === fileType && u.snapshot_data?.length && (!date || u.upload_date <= date))
+    .sort((a, b) => a.upload_date.localeCompare(b.upload_date) || String(a.created_at).localeCompare(String(b.created_at)))
+    .pop() || null;
+}
+
+// Snapshot rows minus the previous snapshot's rows -> { rows, unchanged, regressed }.
+// `rows` has one export line per card with new games; cards whose totals went down are not a continuation of
+// the previous snapshot (filters changed, wrong tournament), so they are left out and listed in `regressed`.
+export function getCumulativeDelta(snapshotRows, previousRows, fileType) {
+  const type = STAT_FILE_TYPES[fileType];
+  const previous = new Map();
+  (previousRows || []).forEach(row => {
+    const instance = normalizeStatRow(row, type);
+    previous.set(snapshotKey(row, instance, fileType), instance);
+  });
+  const num = (v) => String(+v.toFixed(6));
+  const div = (a, b) => b > 0 ? a / b : 0;
+  const rows = [], regressed = [];
+  let unchanged = 0;
+  (snapshotRows || []).forEach(row => {
+    const instance = normalizeStatRow(row, type);
+    const prev = previous.get(snapshotKey(row, instance, fileType));
+    if (!prev) { rows.push(row); return; }
+    const counts = addSums(instance._counts, prev._counts, -1);
+    const rateSums = addSums(instance._rateSums, prev._rateSums, -1);
+    if (EXACT_COUNTS[type].some(f => counts[f] < 0)) { regressed.push({ name: instance.name, ovr: instance.ovr }); return; }
+    if (counts[type === 'pitching' ? 'bf' : 'pa'] === 0) { unchanged++; return; }
+    ROUNDED_COUNTS[type].forEach(f => { counts[f] = Math.max(0, counts[f]); });
+
+    const line = { ...row };
+    Object.entries(DELTA_COUNT_COLUMNS[type]).forEach(([col, f]) => { line[col] = num(counts[f]); });
+    Object.entries(DELTA_RATE_COLUMNS[type]).forEach(([col, key]) => { line[col] = num(div(rateSums[key], counts[RATE_WEIGHTS[type][key]])); });
+    if (type === 'pitching') {
+      line.IP = formatIP(counts.outs / 3);
+      Object.entries(DELTA_PER9_COLUMNS).forEach(([col, f]) => { line[col] = num(div(counts[f] * 27, counts.outs)); });
+      line.WHIP = num(div((counts.h + counts.bb) * 3, counts.outs));
+    } else {
+      const slg = div(counts.h + counts.doubles + 2 * counts.triples + 3 * counts.hr, counts.ab);
+      line['BB%'] = num(div(counts.bb * 100, counts.pa));
+      line.AVG = num(div(counts.h, counts.ab));
+      line.SLG = num(slg);
+      line.OPS = num(div(rateSums.obp, counts.pa) + slg);
+      delete line.BsR;
+    }
+    rows.push(line);
+  });
+  return { rows, unchanged, regressed };
+}
+
+// Fallback game-neutral baselines (from 6 neutral tournament formats), used until enough events are rated to derive them
+export const DEFAULT_ENV_BASELINES = { ops: 0.689, wrcPlus: 97.2, avg: 0.242, slg: 0.383, babip: 0.284, hrPa: 0.040, bbPct: 8.1, era: 3.19, fip: 3.69, siera: 3.32, whip: 1.106, k9: 8.49, hr9: 0.954 };
+const MIN_BASELINE_EVENTS = 3;
+
+// League averages of an event's qualified players (200+ PA, 100+ IP), or null when it has none
+export function getEventAverages(batting, pitching) {
+  if (!batting?.length || !pitching?.length) return null;
+  const qBat = batting.filter(p => (parseFloat(p.pa) || 0) >= 200);
+  const qPit = pitching.filter(p => parseIP(p.ip) >= 100);
+  if (!qBat.length || !qPit.length) return null;
+
+  const mean = (arr, fn) => arr.reduce((s, p) => s + fn(p), 0) / arr.length;
+  const totalHR = qBat.reduce((s, p) => s + (parseFloat(p.hr) || 0), 0);
+  const totalPA = qBat.reduce((s, p) => s + (parseFloat(p.pa) || 0), 0);
+  return {
+    avg: mean(qBat, p => parseFloat(p.avg) || 0),
+    ops: mean(qBat, p => parseFloat(p.ops) || 0),
+    slg: mean(qBat, p => parseFloat(p.slg) || 0),
+    babip: mean(qBat, p => parseFloat(p.babip) || 0),
+    bbPct: mean(qBat, p => parseFloat(p.bbPct) || 0),
+    wrcPlus: mean(qBat, p => parseFloat(p.wrcPlus) || 0),
+    woba: mean(qBat, p => parseFloat(p.woba) || 0),
+    hrPa: totalPA > 0 ? totalHR / totalPA : 0,
+    era: mean(qPit, p => parseFloat(p.era) || 0),
+    fip: mean(qPit, p => parseFloat(p.fip) || 0),
+    fipMinus: mean(qPit, p => parseFloat(p.fipMinus) || 0),
+    siera: mean(qPit, p => parseFloat(p.siera) || 0),
+    whip: mean(qPit, p => parseFloat(p.whip) || 0),
+    k9: mean(qPit, p => parseFloat(p.kPer9) || 0),
+    hr9: mean(qPit, p => parseFloat(p.hrPer9) || 0),
+  };
+}
+
+// Game-neutral baselines derived from the data: the median of each league average across every rated event,
+// so a handful of extreme formats can't drag "neutral" toward them. `_events` / `_derived` describe the source.
+export function buildEnvBaselines(events) {
+  const averages = (events || []).map(e => getEventAverages(e.batting, e.pitching)).filter(Boolean);
+  if (averages.length < MIN_BASELINE_EVENTS) return { ...DEFAULT_ENV_BASELINES, _events: averages.length, _derived: false };
+  const median = (vals) => {
+    const sorted = [...vals].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  };
+  const baselines = {};
+  Object.keys(averages[0]).forEach(key => { baselines[key] = median(averages.map(a => a[key])); });
+  return { ...baselines, _events: averages.length, _derived: true };
+}
+
+// Rate a tournament's run environment against game-neutral baselines (positive envScore = hitter-friendly)
+export function getEventFriendliness(batting, pitching, baselines = DEFAULT_ENV_BASELINES) {
+  // Step 1: League averages
+  const lg = getEventAverages(batting, pitching);
+  if (!lg) return null;
+
+  // Step 2: Percent deviations from the game-neutral baselines (positive = hitter-friendly)
+  const dev = (val, base) => ((val - base) / base) * 100;
+  const metrics = [
+    { key: 'OPS', lg: lg.ops, base: baselines.ops, weight: 2.0, dev: dev(lg.ops, baselines.ops) },
+    { key: 'wRC+', lg: lg.wrcPlus, base: baselines.wrcPlus, weight: 2.0, dev: dev(lg.wrcPlus, baselines.wrcPlus) },
+    { key: 'AVG', lg: lg.avg, base: baselines.avg, weight: 0.5, dev: dev(lg.avg, baselines.avg) },
+    { key: 'SLG', lg: lg.slg, base: baselines.slg, weight: 1.5, dev: dev(lg.slg, baselines.slg) },
+    { key: 'BABIP', lg: lg.babip, base: baselines.babip, weight: 0.5, dev: dev(lg.babip, baselines.babip) },
+    { key: 'HR/PA', lg: lg.hrPa, base: baselines.hrPa, weight: 2.0, dev: dev(lg.hrPa, baselines.hrPa) },
+    { key: 'BB%', lg: lg.bbPct, base: baselines.bbPct, weight: 0.5, dev: dev(lg.bbPct, baselines.bbPct) },
+    { key: 'ERA', lg: lg.era, base: baselines.era, weight: 0.0, dev: dev(lg.era, baselines.era) },
+    { key: 'FIP', lg: lg.fip, base: baselines.fip, weight: 1.0, dev: dev(lg.fip, baselines.fip) },
+    { key: 'SIERA', lg: lg.siera, base: baselines.siera, weight: 1.0, dev: dev(lg.siera, baselines.siera) },
+    { key: 'WHIP', lg: lg.whip, base: baselines.whip, weight: 1.0, dev: dev(lg.whip, baselines.whip) },
+    { key: 'K/9', lg: lg.k9, base: baselines.k9, weight: 1.5, dev: -dev(lg.k9, baselines.k9), displayDev: dev(lg.k9, baselines.k9) },
+    { key: 'HR/9', lg: lg.hr9, base: baselines.hr9, weight: 2.0, dev: dev(lg.hr9, baselines.hr9) },
+  ];
+
+  // Step 3: Weighted composite
+  const totalWeight = metrics.reduce((s, m) => s + m.weight, 0); // 18.5
+  const envScore = metrics.reduce((s, m) => s + m.dev * m.weight, 0) / totalWeight;
+
+  // Step 4: Verdict
+  let label;
+  if (envScore > 5) label = 'Hitter-Friendly';
+  else if (envScore > 2) label = 'Slightly Hitter-Friendly';
+  else if (envScore >= -2) label = 'Neutral';
+  else if (envScore >= -5) label = 'Slightly Pitcher-Friendly';
+  else label = 'Pitcher-Friendly';
+
+  return { label, envScore, metrics, averages: lg };
+}
+
+// Format-neutral versions of the headline rate stats (neutralWoba, neutralFipMinus, ...), shown next to the raw ones
+export const NEUTRAL_FIELDS = { batting: ['woba', 'wrcPlus'], pitching: ['fipMinus', 'siera'] };
+const NEUTRAL_DIGITS = { woba: 3, wrcPlus: 0, fipMinus: 0, siera: 2 };
+export const neutralKey = (f) => `neutral${f[0].toUpperCase()}${f.slice(1)}`;
+
+// Multiplier per neutral field that maps an event's league average onto the baseline (1 when either is missing)
+export function getNeutralFactors(averages, baselines) {
+  const factors = {};
+  [...NEUTRAL_FIELDS.batting, ...NEUTRAL_FIELDS.pitching].forEach(f => {
+    factors[f] = averages?.[f] > 0 && baselines?.[f] > 0 ? baselines[f] / averages[f] : 1;
+  });
+  return factors;
+}
+
+export function withNeutralStats(rows, type, factors) {
+  if (!factors) return rows;
+  return (rows || []).map(p => {
+    const neutral = {};
+    NEUTRAL_FIELDS[type].forEach(f => {
+      const raw = parseFloat(p[f]);
+      if (!isNaN(raw)) neutral[neutralKey(f)] = Number((raw * factors[f]).toFixed(NEUTRAL_DIGITS[f]));
+    });
+    return { ...p, ...neutral };
+  });
+}
+
+// Sample-weighted neutral stats for one card across several events; parts are [{ row, sample }] with neutral fields set
+export function combineNeutralStats(parts, type) {
+  const combined = {};
+  NEUTRAL_FIELDS[type].forEach(f => {
+    const key = neutralKey(f);
+    const withValue = (parts || []).filter(x => x.row?.[key] !== undefined && x.sample > 0);
+    const total = withValue.reduce((s, x) => s + x.sample, 0);
+    if (total > 0) combined[key] = Number((withValue.reduce((s, x) => s + x.row[key] * x.sample, 0) / total).toFixed(NEUTRAL_DIGITS[f]));
+  });
+  return combined;
+}
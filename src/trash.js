@@ -0,0 +1,51 @@
+// Soft delete. Deleting an event or an upload_history row sets its `deleted_at` / `deleted_by` instead of removing it,
+// and replacing the card list first copies the outgoing list into `pt_cards_archive` under a trashed `pt_card_lists` row
+//   pt_card_lists     { id, file_name, card_count, uploaded_at, deleted_at, deleted_by }
+//   pt_cards_archive  the pt_cards columns (without id) plus archive_id (serial) and list_id
+// Everything in the trash can be restored until it is purged, TRASH_RETENTION_DAYS after deletion (api/purge-trash).
+export const TRASH_RETENTION_DAYS = 30;
+
+// Kinds of trashed row -> their table
+export const TRASH_TABLES = { tournaments: 'tournaments', uploads: 'upload_history', cardLists: 'pt_card_lists' };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const purgeCutoff = (now = new Date()) => new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY).toISOString();
+
+export const daysUntilPurge = (deletedAt, now = new Date()) => Math.max(0, Math.ceil(TRASH_RETENTION_DAYS - (now - new Date(deletedAt)) / DAY));
+
+// Ids of everything deleted before `cutoff`: { tournaments, uploads, cardLists }
+export async function findExpiredTrash(client, cutoff = purgeCutoff()) {
+  const expired = {};
+  for (const [kind, table] of Object.entries(TRASH_TABLES)) {
+    const { data, error } = await client.from(table).select('id').not('deleted_at', 'is', null).lt('deleted_at', cutoff);
+    if (error) throw error;
+    expired[kind] = (data || []).map(r => r.id);
+  }
+  return expired;
+}
+
+/**
+ * Permanently delete trashed rows of one kind, with what hangs off them (an event's upload history, a card list's cards).
+ * Only rows that are in the trash are touched, whatever ids are passed. Returns the number of rows purged.
+ */
+export async function purgeTrashed(client, kind, ids) {
+  const table = TRASH_TABLES[kind];
+  if (!table) throw new Error(`Unknown trash kind "${kind}"`);
+  if (!ids?.length) return 0;
+  const { data: trashed, error } = await client.from(table).select('id').in('id', ids).not('deleted_at', 'is', null);
+  if (error) throw error;
+  const trashedIds = (trashed || []).map(r => r.id);
+  if (!trashedIds.length) return 0;
+
+  if (kind === 'tournaments') {
+    const { error: historyError } = await client.from('upload_history').delete().in('tournament_id', trashedIds);
+    if (historyError) throw historyError;
+  } else if (kind === 'cardLists') {
+    const { error: cardsError } = await client.from('pt_cards_archive').delete().in('list_id', trashedIds);
+    if (cardsError) throw cardsError;
+  }
+  const { error: deleteError } = await client.from(table).delete().in('id', trashedIds).not('deleted_at', 'is', null);
+  if (deleteError) throw deleteError;
+  return trashedIds.length;
+}
@@ -0,0 +1,111 @@
+// Anomaly score for a pending upload against the tournament it is assigned to.
+// validateCSV only rejects impossible lines; this asks whether the file looks like *this* event:
+//   shift   - per returning card, a z-score of the upload's wOBA (hitters) / FIP- (pitchers) against the card's line in the event
+//   unseen  - share of cards the event has never had
+//   ovr     - share of cards outside the event's OVR range (a file from an event with a different cap)
+// Each signal maps to 0..1 and the score (0-100) is the strongest one, so one clear mismatch is enough to flag a file.
+import { normalizeStatRow, getStatCounts, getPlayerKey, getRowSplitSide, STAT_FILE_TYPES, isSplitFileType } from './tournamentStats.js';
+
+const METRICS = { batting: { key: 'woba', weight: 'pa', label: 'wOBA', minVolume: 20 }, pitching: { key: 'fipMinus', weight: 'outs', label: 'FIP-', minVolume: 15 } };
+// Fewer scored cards than this and the event's spread (or the upload's shift) says too little
+const MIN_EVENT_CARDS = 20;
+const MIN_RETURNING = 5;
+const OUTLIER_Z = 3;
+// Signal value that counts as fully anomalous
+const SATURATION = { shift: 4, outliers: 0.3, unseen: 0.6, ovr: 0.2 };
+export const ANOMALY_LEVELS = [{ min: 75, level: 'suspect', label: 'Suspect' }, { min: 50, level: 'check', label: 'Check' }, { min: 0, level: 'ok', label: 'Normal' }];
+
+const rateOf = ({ counts, rateSums }, metric) => counts[metric.weight] > 0 ? (rateSums[metric.key] || 0) / counts[metric.weight] : null;
+
+// Event lines the upload is compared with: overall lines, or one line per card and side for splits files
+function eventLines(tournament, fileType) {
+  const type = STAT_FILE_TYPES[fileType];
+  const lines = new Map();
+  (tournament?.[type] || []).forEach(p => {
+    if (isSplitFileType(fileType)) {
+      Object.entries(p._splits || {}).forEach(([side, s]) => lines.set(`${getPlayerKey(p)}|${side}`, { ovr: p.ovr, counts: s.counts, rateSums: s.rateSums }));
+    } else {
+      lines.set(getPlayerKey(p), { ovr: p.ovr, ...getStatCounts(p, type) });
+    }
+  });
+  return lines;
+}
+
+// Volume-weighted spread of the event's rates, scaled to one unit of volume (sd ~ 1/sqrt(volume)).
+// It includes the spread in talent as well as luck, so the z-scores err on the quiet side.
+function unitSpread(lines, metric) {
+  const points = [...lines.values()].map(l => ({ v: l.counts[metric.weight] || 0, r: rateOf(l, metric) })).filter(p => p.v >= metric.minVolume && p.r !== null);
+  if (points.length < MIN_EVENT_CARDS) return null;
+  const total = points.reduce((s, p) => s + p.v, 0);
+  const mean = points.reduce((s, p) => s + p.r * p.v, 0) / total;
+  const variance = points.reduce((s, p) => s + p.v * (p.r - mean) ** 2, 0) / total;
+  const medianVolume = points.map(p => p.v).sort((a, b) => a - b)[Math.floor(points.length / 2)];
+  return Math.sqrt(variance * medianVolume) || null;
+}
+
+/**
+ * rows: the upload's clean CSV rows; fileType: batting | pitching | *_splits; tournament: a tournaments row (with batting/pitching).
+ * Returns { score, level, label, enough, metric, returning, shiftZ, outliers, unseen, unseenShare, ovrRange, ovrOutside, ovrShare, flags }.
+ * `outliers` are the returning cards with |z| >= 3, largest first: { name, ovr, side, prior, value, z }.
+ */
+export function scoreUploadAnomaly(rows, fileType, tournament) {
+  const type = STAT_FILE_TYPES[fileType];
+  const metric = METRICS[type];
+  const lines = eventLines(tournament, fileType);
+  const ovrs = [...lines.values()].map(l => l.ovr).filter(o => o > 0);
+  const ovrRange = ovrs.length >= MIN_EVENT_CARDS ? [Math.min(...ovrs), Math.max(...ovrs)] : null;
+  const sd = unitSpread(lines, metric);
+
+  const seenCards = new Set();
+  const zs = [], outliers = [];
+  let cards = 0, unseen = 0, ovrOutside = 0;
+  (rows || []).forEach(row => {
+    const inst = normalizeStatRow(row, type);
+    const side = isSplitFileType(fileType) ? getRowSplitSide(row) : null;
+    const key = side ? `${getPlayerKey(inst)}|${side}` : getPlayerKey(inst);
+    if (!seenCards.has(getPlayerKey(inst))) {
+      seenCards.add(getPlayerKey(inst));
+      cards++;
+      if (ovrRange && (inst.ovr < ovrRange[0] || inst.ovr > ovrRange[1])) ovrOutside++;
+    }
+    const prior = lines.get(key);
+    if (!prior) { if (!side) unseen++; return; }
+    const volume = inst._counts[metric.weight] || 0, priorVolume = prior.counts[metric.weight] || 0;
+    const value = rateOf({ counts: inst._counts, rateSums: inst._rateSums }, metric), priorValue = rateOf(prior, metric);
+    if (!sd || volume < metric.minVolume || priorVolume < metric.minVolume || value === null || priorValue === null) return;
+    const z = (value - priorValue) / (sd * Math.sqrt(1 / volume + 1 / priorVolume));
+    zs.push(z);
+    if (Math.abs(z) >= OUTLIER_Z) outliers.push({ name: inst.name, ovr: inst.ovr, side, prior: priorValue, value, z });
+  });
+  if (isSplitFileType(fileType)) {
+    // A card is unseen when the event has no overall line for it at all
+    const known = new Set((tournament?.[type] || []).map(getPlayerKey));
+    unseen = [...seenCards].filter(k => !known.has(k)).length;
+  }
+
+  const shiftZ = zs.length >= MIN_RETURNING ? zs.reduce((s, z) => s + z, 0) / Math.sqrt(zs.length) : null;
+  const unseenShare = cards ? unseen / cards : 0;
+  const ovrShare = cards ? ovrOutside / cards : 0;
+  const outlierShare = zs.length >= MIN_RETURNING ? outliers.length / zs.length : 0;
+  const enough = lines.size >= MIN_EVENT_CARDS;
+  const signals = enough ? [
+    shiftZ === null ? 0 : Math.abs(shiftZ) / SATURATION.shift,
+    outlierShare / SATURATION.outliers,
+    unseenShare / SATURATION.unseen,
+    ovrShare / SATURATION.ovr,
+  ] : [];
+  const score = Math.round(100 * Math.min(1, Math.max(0, ...signals)));
+  const { level, label } = ANOMALY_LEVELS.find(l => score >= l.min);
+
+  const pct = (v) => `${Math.round(v * 100)}%`;
+  const flags = [];
+  if (!enough) flags.push('Not enough data in this event to score against yet');
+  else {
+    if (shiftZ !== null && Math.abs(shiftZ) >= 2) flags.push(`${metric.label} of ${zs.length} returning cards is shifted ${shiftZ > 0 ? 'up' : 'down'} (z ${shiftZ.toFixed(1)}) from their event lines`);
+    if (outliers.length && outlierShare >= 0.1) flags.push(`${outliers.length} of ${zs.length} returning cards are ${OUTLIER_Z}+ SD off their event line`);
+    if (unseenShare >= 0.25) flags.push(`${pct(unseenShare)} of cards (${unseen}/${cards}) have never appeared in this event`);
+    if (ovrOutside) flags.push(`${ovrOutside} card${ovrOutside === 1 ? '' : 's'} outside the event's OVR range ${ovrRange[0]}–${ovrRange[1]}`);
+  }
+  outliers.sort((a, b) => Math.abs(b.z) - Math.abs(a.z));
+  return { score, level, label, enough, metric: metric.label, returning: zs.length, shiftZ, outliers, unseen, unseenShare, ovrRange, ovrOutside, ovrShare, flags };
+}
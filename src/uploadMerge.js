@@ -0,0 +1,57 @@
+import { applyUploadRows, getLatestSnapshot, getCumulativeDelta, STAT_FILE_TYPES, isSplitFileType } from './tournamentStats.js';
+
+// Merging an upload into a tournament, shared by the admin pages and /api/uploads so the two paths match.
+// An upload is one or more parts [{ fileType, rows }] (a combined export feeds both batting and pitching).
+// Each merged part becomes an upload_history row; a cumulative (running total) export also stores the full
+// file as snapshot_data, and the next cumulative upload only merges the games since that snapshot.
+
+/**
+ * Cumulative parts -> the games since the tournament's latest earlier snapshot of each file type:
+ *   [{ fileType, rows, snapshot, previousDate, unchanged, regressed }]
+ * client: a Supabase client. `snapshot` is the part's original rows, to be stored as snapshot_data.
+ */
+export async function toCumulativeDeltas(client, tournamentId, date, parts) {
+  const { data, error } = await client.from('upload_history').select('file_type,upload_date,snapshot_data,undone,created_at')
+    .eq('tournament_id', tournamentId).is('deleted_at', null).not('snapshot_data', 'is', null);
+  if (error) throw error;
+  return parts.map(part => {
+    const previous = getLatestSnapshot(data, part.fileType, date);
+    return { ...part, snapshot: part.rows, previousDate: previous?.upload_date || null, ...getCumulativeDelta(part.rows, previous?.snapshot_data, part.fileType) };
+  });
+}
+
+/**
+ * Merge an upload's parts into `tournament` (a tournaments row) for `date`, writing one upload_history row per
+ * part with lines and saving the tournament's stats, uploaded_dates and, given `fileHash`, uploaded_hashes.
+ * Overall lines go first, then platoon splits, so new players have a row to attach their splits to.
+ * Returns { historyIds, parts, tournament }: `parts` as merged (with the toCumulativeDeltas fields when
+ * `cumulative`), `tournament` with the saved columns applied.
+ */
+export async function mergeUploadParts(client, { tournament, parts, date, fileHash = null, cumulative = false }) {
+  let ordered = [...parts].sort((a, b) => isSplitFileType(a.fileType) - isSplitFileType(b.fileType));
+  if (cumulative) ordered = await toCumulativeDeltas(client, tournament.id, date, ordered);
+  const updated = { batting: tournament.batting || [], pitching: tournament.pitching || [] };
+  const historyIds = [];
+  for (const { fileType, rows, snapshot } of ordered) {
+    if (!rows.length) continue;
+    const target = STAT_FILE_TYPES[fileType];
+    updated[target] = applyUploadRows(updated[target], rows, fileType);
+    const { data, error } = await client.from('upload_history').insert({
+      tournament_id: tournament.id, tournament_name: tournament.name,
+      file_type: fileType, upload_date: date,
+      player_count: rows.length, player_data: rows,
+      ...(snapshot && { snapshot_data: snapshot }),
+    }).select('id').single();
+    if (error) throw error;
+    historyIds.push(data.id);
+  }
+  const uploadedDates = [...(tournament.uploaded_dates || [])];
+  if (!uploadedDates.includes(date)) uploadedDates.push(date);
+  const saved = {
+    batting: updated.batting, pitching: updated.pitching, uploaded_dates: uploadedDates,
+    ...(fileHash && { uploaded_hashes: [...(tournament.uploaded_hashes || []), fileHash] }),
+  };
+  const { error } = await client.from('tournaments').update(saved).eq('id', tournament.id);
+  if (error) throw error;
+  return { historyIds, parts: ordered, tournament: { ...tournament, ...saved } };
+}
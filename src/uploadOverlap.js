@@ -0,0 +1,110 @@
+// Content-level overlap between a new upload and the upload_history rows a tournament already has.
+// The file hash only catches byte-identical files, so this compares each card's counting stats instead:
+//   duplicate  - the lines match one earlier upload (the same export saved again, different line endings, ...)
+//   cumulative - returning cards have at least everything already uploaded (a running-total export, or a superset of an uploaded day)
+//   partial    - some lines are identical to lines already uploaded
+// Merging any of these would count the repeated games twice.
+import { normalizeStatRow, getPlayerKey, getRowSplitSide, STAT_FILE_TYPES, isSplitFileType } from './tournamentStats.js';
+
+export const OVERLAP_FIELDS = {
+  batting: ['g', 'pa', 'ab', 'h', 'doubles', 'triples', 'hr', 'bb', 'so'],
+  pitching: ['g', 'gs', 'outs', 'bf', 'h', 'er', 'bb', 'k', 'hr']
+};
+// Counts rebuilt from a rounded rate (BB% x PA, H/9 x IP, ...) can be off by one between exports
+const ROUNDED_FIELDS = { batting: ['bb'], pitching: ['h', 'er', 'bb', 'k', 'hr'] };
+const VOLUME_FIELD = { batting: 'pa', pitching: 'outs' };
+// Tiny lines (a pinch hitter's 1 PA) match by coincidence, so they don't count as repeats
+const MIN_VOLUME = { batting: 10, pitching: 9 };
+const DUPLICATE_SHARE = 0.9;
+const CUMULATIVE_SHARE = 0.8;
+const PARTIAL_SHARE = 0.1;
+
+const addCounts = (a, b) => Object.fromEntries(Object.keys(a).map(f => [f, a[f] + (b[f] || 0)]));
+
+// card key (plus split side for splits files) -> { name, ovr, vari, side, counts }
+function indexLines(rows, fileType) {
+  const type = STAT_FILE_TYPES[fileType];
+  const lines = new Map();
+  (rows || []).forEach(row => {
+    const inst = normalizeStatRow(row, type);
+    const side = isSplitFileType(fileType) ? getRowSplitSide(row) : null;
+    const key = side ? `${getPlayerKey(inst)}|${side}` : getPlayerKey(inst);
+    const counts = Object.fromEntries(OVERLAP_FIELDS[type].map(f => [f, inst._counts[f] || 0]));
+    const prev = lines.get(key);
+    lines.set(key, { name: inst.name, ovr: inst.ovr, vari: inst.vari, side, counts: prev ? addCounts(prev.counts, counts) : counts });
+  });
+  return lines;
+}
+
+const sameCounts = (a, b, type) => !!a && !!b && a[VOLUME_FIELD[type]] >= MIN_VOLUME[type] && OVERLAP_FIELDS[type].every(f => a[f] === b[f]);
+
+// `line` holds everything in `prior` plus more games
+const covers = (line, prior, type) => !!prior && prior[VOLUME_FIELD[type]] > 0 && line[VOLUME_FIELD[type]] > prior[VOLUME_FIELD[type]]
+  && OVERLAP_FIELDS[type].every(f => line[f] >= prior[f] - (ROUNDED_FIELDS[type].includes(f) ? 1 : 0));
+
+/**
+ * rows: raw CSV rows of one file part; fileType: batting | pitching | *_splits;
+ * history: that tournament's upload_history rows (with player_data), any file type.
+ * Returns { verdict, summary, fileType, lines, known, exact, contains, coversAll, matchedUploads, diff }, where diff has one
+ * entry per line: { key, name, ovr, vari, side, status, counts, prior, priorDate } and status is
+ * exact | cumulative | contains | added (returning card, new games) | new (card not uploaded before).
+ */
+export function detectUploadOverlap(rows, fileType, history) {
+  const type = STAT_FILE_TYPES[fileType];
+  const uploads = (history || [])
+    .filter(u => !u.undone && u.file_type === fileType && u.player_data?.length)
+    .map(u => ({ upload: u, lines: indexLines(u.player_data, fileType) }));
+  const lines = indexLines(rows, fileType);
+  const totals = new Map();
+  uploads.forEach(u => u.lines.forEach((line, key) => totals.set(key, totals.has(key) ? addCounts(totals.get(key), line.counts) : line.counts)));
+
+  const exactByUpload = new Map();
+  const diff = [];
+  let known = 0, exact = 0, contains = 0, coversAll = 0;
+  lines.forEach((line, key) => {
+    const entry = { key, name: line.name, ovr: line.ovr, vari: line.vari, side: line.side, counts: line.counts, prior: null, priorDate: null };
+    const total = totals.get(key);
+    if (!total) { diff.push({ ...entry, status: 'new' }); return; }
+    known++;
+    const same = uploads.find(u => sameCounts(u.lines.get(key)?.counts, line.counts, type));
+    if (same) {
+      exact++;
+      exactByUpload.set(same.upload, (exactByUpload.get(same.upload) || 0) + 1);
+      diff.push({ ...entry, status: 'exact', prior: line.counts, priorDate: same.upload.upload_date });
+      return;
+    }
+    if (covers(line.counts, total, type)) {
+      contains++; coversAll++;
+      diff.push({ ...entry, status: 'cumulative', prior: total, priorDate: uploads.length === 1 ? uploads[0].upload.upload_date : null });
+      return;
+    }
+    const within = uploads.find(u => covers(line.counts, u.lines.get(key)?.counts, type));
+    if (within) {
+      contains++;
+      diff.push({ ...entry, status: 'contains', prior: within.lines.get(key).counts, priorDate: within.upload.upload_date });
+      return;
+    }
+    diff.push({ ...entry, status: 'added', prior: total });
+  });
+
+  const n = lines.size;
+  const ranked = [...exactByUpload.entries()].sort((a, b) => b[1] - a[1]);
+  const matchedUploads = ranked.map(([u, count]) => ({ id: u.id, upload_date: u.upload_date, count }));
+  const order = { exact: 0, cumulative: 1, contains: 2, added: 3, new: 4 };
+  diff.sort((a, b) => order[a.status] - order[b.status] || (b.counts[VOLUME_FIELD[type]] - a.counts[VOLUME_FIELD[type]]));
+  const result = { fileType, lines: n, known, exact, contains, coversAll, uploads: uploads.length, matchedUploads, diff };
+
+  if (!n || !uploads.length) return { ...result, verdict: 'clean', summary: uploads.length ? 'No lines to compare' : 'Nothing uploaded for this tournament yet' };
+  if (ranked.length && ranked[0][1] >= DUPLICATE_SHARE * n) {
+    return { ...result, verdict: 'duplicate', summary: `${ranked[0][1]} of ${n} lines are identical to the ${ranked[0][0].upload_date} upload — most likely the same export saved again` };
+  }
+  if (known >= n / 2 && contains >= CUMULATIVE_SHARE * known) {
+    return { ...result, verdict: 'cumulative', summary: coversAll >= CUMULATIVE_SHARE * known
+      ? `${coversAll} of ${known} returning cards have at least everything already uploaded — looks like a cumulative (running total) export`
+      : `${contains} of ${known} returning cards contain the lines of an earlier upload — looks like a superset of an uploaded day` };
+  }
+  if (exact >= Math.max(1, PARTIAL_SHARE * n)) {
+    return { ...result, verdict: 'partial', summary: `${exact} of ${n} lines are identical to already uploaded lines (${matchedUploads.map(m => m.upload_date).join(', ')}) — partial overlap` };
+  }
+  return { ...result, verdict: 'clean', summary: `No overlap with ${uploads.length} earlier upload${uploads.length === 1 ? '' : 's'}` };
+}
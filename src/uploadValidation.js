@@ -0,0 +1,262 @@
+// Stat upload validation shared by the upload forms and the /api/uploads route.
+// Nothing here touches the DOM or Supabase, so the same checks run in the browser and in Node.
+import Papa from 'papaparse';
+import { STAT_FILE_TYPES, isSplitFileType, getRowSplitSide } from './tournamentStats.js';
+
+export const MAX_UPLOAD_SIZE = 1024 * 1024;
+export const PITCHING_HEADERS = ['POS', 'Name', 'T', 'OVR', 'VAR', 'G', 'GS', 'IP', 'BF', 'ERA', 'AVG', 'OBP', 'BABIP', 'WHIP', 'BRA/9', 'HR/9', 'H/9', 'BB/9', 'K/9', 'LOB%', 'ERA+', 'FIP', 'FIP-', 'WAR', 'SIERA'];
+export const BATTING_HEADERS = ['POS', 'Name', 'B', 'OVR', 'VAR', 'G', 'GS', 'PA', 'AB', 'H', '2B', '3B', 'HR', 'BB%', 'K', 'GIDP', 'AVG', 'OBP', 'SLG', 'wOBA', 'OPS', 'OPS+', 'BABIP', 'wRC+', 'wRAA', 'WAR', 'SB%', 'UBR'];
+export const COMBINED_HEADERS = ['POS','Name','B','T','OVR','VAR','G','GS','PA','AB','H','2B','3B','HR','BB%','K','GIDP','AVG','OBP','SLG','wOBA','OPS','OPS+','BABIP','wRC+','wRAA','WAR','SB%','UBR','G_1','GS_1','IP','BF','ERA','AVG_1','OBP_1','BABIP_1','WHIP','BRA/9','HR/9','H/9','BB/9','K/9','LOB%','ERA+','FIP','FIP-','WAR_1','SIERA'];
+export const PITCHER_POSITIONS = ['SP', 'RP', 'CL', 'MR'];
+
+export async function hashContent(content) {
+  const encoder = new TextEncoder();
+  const data = encoder.encode(content);
+  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Strict header check for direct uploads: { valid, type } or { valid: false, error }
+export function validateHeaders(headers) {
+  const h = headers.map(x => x.trim());
+  // Platoon splits export: the regular batting/pitching view plus a Split column
+  const splitCol = h.find(x => x.toUpperCase() === 'SPLIT');
+  if (splitCol) {
+    const rest = h.filter(x => x !== splitCol);
+    if (rest.length === PITCHING_HEADERS.length && PITCHING_HEADERS.every(x => rest.includes(x))) return { valid: true, type: 'pitching_splits' };
+    if (rest.length === BATTING_HEADERS.length && BATTING_HEADERS.every(x => rest.includes(x))) return { valid: true, type: 'batting_splits' };
+    const expected = rest.includes('IP') || rest.includes('ERA') ? PITCHING_HEADERS : BATTING_HEADERS;
+    return { valid: false, error: `Splits export mismatch. Missing: ${expected.filter(x => !rest.includes(x)).join(', ') || 'none (extra columns present)'}` };
+  }
+  // Combined format detection (has _1 suffix columns)
+  if (h.includes('G_1') || h.includes('WAR_1')) {
+    const missing = COMBINED_HEADERS.filter(x => !h.includes(x));
+    if (missing.length === 0) return { valid: true, type: 'combined' };
+    return { valid: false, error: `Combined format mismatch. Missing: ${missing.join(', ')}` };
+  }
+  if (h.length === PITCHING_HEADERS.length && PITCHING_HEADERS.every((x, i) => x === h[i])) return { valid: true, type: 'pitching' };
+  if (h.length === BATTING_HEADERS.length && BATTING_HEADERS.every((x, i) => x === h[i])) return { valid: true, type: 'batting' };
+  // Backward compat: old batting headers with DEF and BsR
+  const OLD_BATTING_HEADERS = ['POS', 'Name', 'B', 'OVR', 'VAR', 'DEF', 'G', 'GS', 'PA', 'AB', 'H', '2B', '3B', 'HR', 'BB%', 'K', 'GIDP', 'AVG', 'OBP', 'SLG', 'wOBA', 'OPS', 'OPS+', 'BABIP', 'wRC+', 'wRAA', 'WAR', 'SB%', 'BsR'];
+  if (h.length === OLD_BATTING_HEADERS.length && OLD_BATTING_HEADERS.every((x, i) => x === h[i])) return { valid: true, type: 'batting' };
+  const isPitch = h.includes('IP') || h.includes('ERA');
+  const isBat = h.includes('AB') || h.includes('PA');
+  if (isPitch) { const missing = PITCHING_HEADERS.filter(x => !h.includes(x)); return { valid: false, error: `Pitching mismatch. Missing: ${missing.join(', ')}` }; }
+  if (isBat) { const missing = BATTING_HEADERS.filter(x => !h.includes(x)); return { valid: false, error: `Batting mismatch. Missing: ${missing.join(', ')}` }; }
+  return { valid: false, error: 'Unrecognized CSV format.' };
+}
+
+// Combined (batting + pitching) export -> separate batting and pitching rows with the regular headers
+export function splitCombinedRows(rows) {
+  const battingRows = [];
+  const pitchingRows = [];
+  rows.forEach(row => {
+    const pos = (row.POS || '').trim().toUpperCase();
+    const isPitcher = PITCHER_POSITIONS.includes(pos);
+    const hasPA = parseFloat(row.PA) > 0;
+    const hasIP = parseFloat(row.IP) >= 1;
+    if (isPitcher || hasIP) {
+      pitchingRows.push({
+        POS: pos, Name: row.Name, T: row.T, OVR: row.OVR, VAR: row.VAR,
+        G: row.G_1, GS: row.GS_1, IP: row.IP, BF: row.BF,
+        ERA: row.ERA, AVG: row.AVG_1, OBP: row.OBP_1, BABIP: row.BABIP_1,
+        WHIP: row.WHIP, 'BRA/9': row['BRA/9'], 'HR/9': row['HR/9'],
+        'H/9': row['H/9'], 'BB/9': row['BB/9'], 'K/9': row['K/9'],
+        'LOB%': row['LOB%'], 'ERA+': row['ERA+'], FIP: row.FIP,
+        'FIP-': row['FIP-'], WAR: row.WAR_1, SIERA: row.SIERA
+      });
+    }
+    if (!isPitcher || hasPA) {
+      battingRows.push({
+        POS: pos, Name: row.Name, B: row.B, OVR: row.OVR, VAR: row.VAR,
+        G: row.G, GS: row.GS, PA: row.PA, AB: row.AB,
+        H: row.H, '2B': row['2B'], '3B': row['3B'], HR: row.HR,
+        'BB%': row['BB%'], K: row.K, GIDP: row.GIDP,
+        AVG: row.AVG, OBP: row.OBP, SLG: row.SLG, wOBA: row.wOBA,
+        OPS: row.OPS, 'OPS+': row['OPS+'], BABIP: row.BABIP,
+        'wRC+': row['wRC+'], wRAA: row.wRAA, WAR: row.WAR,
+        'SB%': row['SB%'], UBR: row.UBR
+      });
+    }
+  });
+  return { battingRows, pitchingRows };
+}
+
+// Row-level sanity checks. Rows that fail go to removedRows with reasons; file-level problems go to issues.
+export function validateCSV(content, filename) {
+  const issues = [];
+  const stats = { rows: 0, players: 0, type: 'unknown' };
+  
+  const parsed = Papa.parse(content, { header: true, skipEmptyLines: true });
+  
+  if (parsed.errors.length > 0) {
+    issues.push({ type: 'critical', title: 'CSV Parse Errors', details: 'The file has structural issues.', data: parsed.errors.map(e => `Row ${e.row}: ${e.message}`).join('\n') });
+  }
+  
+  const headers = parsed.meta.fields || [];
+  const rows = parsed.data || [];
+  stats.rows = rows.length;
+  
+  // Detect combined format (has _1 suffix columns like G_1, WAR_1)
+  const isCombined = headers.includes('G_1') || headers.includes('WAR_1');
+
+  if (isCombined) {
+    stats.type = 'combined';
+  } else {
+    const battingHeaders = ['PA', 'AB', 'H', '2B', '3B', 'HR', 'wOBA', 'wRC+', 'OPS'];
+    const pitchingHeaders = ['IP', 'ERA', 'WHIP', 'FIP', 'K/9', 'BB/9', 'SIERA'];
+
+    const hasBatting = battingHeaders.filter(h => headers.includes(h)).length >= 4;
+    const hasPitching = pitchingHeaders.filter(h => headers.includes(h)).length >= 4;
+
+    if (hasBatting && !hasPitching) {
+      stats.type = 'batting';
+    } else if (hasPitching && !hasBatting) {
+      stats.type = 'pitching';
+    } else if (hasBatting && hasPitching) {
+      stats.type = 'combined';
+    } else {
+      issues.push({ type: 'critical', title: 'Unrecognized Format', details: 'Could not identify as batting or pitching CSV.', data: `Headers: ${headers.join(', ')}` });
+    }
+  }
+  
+  // Platoon splits export: batting or pitching view with a Split column (vs LHP / vs RHP)
+  const hasSplitColumn = headers.some(h => h.trim().toUpperCase() === 'SPLIT');
+  if (hasSplitColumn) {
+    if (stats.type === 'batting' || stats.type === 'pitching') stats.type = `${stats.type}_splits`;
+    else if (stats.type === 'combined') issues.push({ type: 'critical', title: 'Unsupported Splits Format', details: 'Splits exports must be a batting or a pitching view, not the combined view.' });
+  }
+  const baseType = STAT_FILE_TYPES[stats.type] || stats.type;
+  const seenSplitLines = new Set();
+
+  const requiredHeaders = ['Name', 'OVR', 'POS'];
+  const missingRequired = requiredHeaders.filter(h => !headers.includes(h));
+  if (missingRequired.length > 0) {
+    issues.push({ type: 'critical', title: 'Missing Required Headers', details: `Missing: ${missingRequired.join(', ')}` });
+  }
+  
+  const cleanRows = [];
+  const removedRows = [];
+  
+  rows.forEach((row, idx) => {
+    const rowNum = idx + 2;
+    const name = (row.Name || '').trim();
+    const ovr = parseInt(row.OVR) || 0;
+    
+    if (!name) return;
+    stats.players++;
+    
+    const rowIssues = [];
+    
+    // OVR validation
+    if (ovr < 1 || ovr > 125) {
+      rowIssues.push(`Invalid OVR: ${ovr}`);
+    }
+    
+    const pos = (row.POS || '').trim().toUpperCase();
+    const isPitcherRow = ['SP', 'RP', 'CL', 'MR'].includes(pos);
+
+    if (isSplitFileType(stats.type)) {
+      const side = getRowSplitSide(row);
+      const lineKey = `${name}|${ovr}|${row.VAR || ''}|${side}`;
+      if (!side) rowIssues.push(`Unrecognized split: "${row.Split ?? row.SPLIT ?? ''}"`);
+      else if (seenSplitLines.has(lineKey)) rowIssues.push(`Duplicate vs ${side} line`);
+      seenSplitLines.add(lineKey);
+    }
+
+    if (baseType === 'batting' || (baseType === 'combined' && !isPitcherRow)) {
+      const pa = parseInt(row.PA) || 0, ab = parseInt(row.AB) || 0, h = parseInt(row.H) || 0;
+      const hr = parseInt(row.HR) || 0, doubles = parseInt(row['2B']) || 0, triples = parseInt(row['3B']) || 0;
+      const avg = parseFloat(row.AVG) || 0, obp = parseFloat(row.OBP) || 0, slg = parseFloat(row.SLG) || 0;
+      const wrcPlus = parseInt(row['wRC+']) || 0, war = parseFloat(row.WAR) || 0;
+
+      if (h > ab && ab > 0) rowIssues.push(`H > AB (${h} > ${ab})`);
+      if (hr > h && h > 0) rowIssues.push(`HR > H (${hr} > ${h})`);
+      if (doubles + triples + hr > h) rowIssues.push(`XBH > H`);
+      if (ab > pa) rowIssues.push(`AB > PA (${ab} > ${pa})`);
+      if (avg > 0.500 && pa > 100) rowIssues.push(`AVG too high: ${avg}`);
+      if (obp > 0.600 && pa > 100) rowIssues.push(`OBP too high: ${obp}`);
+      if (slg > 1.000 && pa > 100) rowIssues.push(`SLG too high: ${slg}`);
+      if (wrcPlus > 250 && pa > 100) rowIssues.push(`wRC+ too high: ${wrcPlus}`);
+      if (war > 15 || war < -5) rowIssues.push(`WAR unrealistic: ${war}`);
+      if (obp < avg && pa > 50) rowIssues.push(`OBP < AVG (impossible)`);
+    } else if (baseType === 'pitching' || (baseType === 'combined' && isPitcherRow)) {
+      const ipField = row.IP;
+      const gField = stats.type === 'combined' ? (row.G_1 || row.G) : row.G;
+      const gsField = stats.type === 'combined' ? (row.GS_1 || row.GS) : row.GS;
+      const warField = stats.type === 'combined' ? (row.WAR_1 || row.WAR) : row.WAR;
+      const ip = parseFloat(ipField) || 0, era = parseFloat(row.ERA) || 0, whip = parseFloat(row.WHIP) || 0;
+      const kPer9 = parseFloat(row['K/9']) || 0, bbPer9 = parseFloat(row['BB/9']) || 0;
+      const war = parseFloat(warField) || 0, g = parseInt(gField) || 0, gs = parseInt(gsField) || 0;
+
+      if (era < 0) rowIssues.push(`Negative ERA: ${era}`);
+      if (era > 20 && ip > 20) rowIssues.push(`ERA too high: ${era}`);
+      if (whip < 0) rowIssues.push(`Negative WHIP: ${whip}`);
+      if (whip > 3.0 && ip > 20) rowIssues.push(`WHIP too high: ${whip}`);
+      if (kPer9 > 18) rowIssues.push(`K/9 impossible: ${kPer9}`);
+      if (bbPer9 > 15 && ip > 20) rowIssues.push(`BB/9 too high: ${bbPer9}`);
+      if (war > 12 || war < -4) rowIssues.push(`WAR unrealistic: ${war}`);
+      if (gs > g) rowIssues.push(`GS > G (impossible)`);
+    }
+    
+    if (rowIssues.length > 0) {
+      removedRows.push({ row: rowNum, name, ovr, reasons: rowIssues, data: row });
+    } else {
+      cleanRows.push(row);
+    }
+  });
+  
+  // Check wrong file type (skip for combined)
+  if (baseType === 'batting') {
+    const pitcherPositions = rows.filter(r => ['SP', 'RP', 'CL', 'MR'].includes((r.POS || '').toUpperCase())).length;
+    if (pitcherPositions / stats.players > 0.5) {
+      issues.push({ type: 'critical', title: 'Wrong File Type?', details: `${Math.round(pitcherPositions / stats.players * 100)}% pitcher positions in batting file.` });
+    }
+  }
+  
+  const hasCritical = issues.some(i => i.type === 'critical');
+  
+  return { issues, stats, headers, cleanRows, removedRows, hasCritical, rawRows: rows };
+}
+
+// Share of the file's players already in the tournament, 0-100
+export function calculatePlayerMatch(csvRows, tournamentPlayers, fileType) {
+  if (!csvRows || csvRows.length === 0) return 0;
+  if (!tournamentPlayers || tournamentPlayers.length === 0) return 0;
+  
+  // Create set of tournament player names (lowercase for case-insensitive matching)
+  const tournamentNames = new Set(tournamentPlayers.map(p => (p.name || '').toLowerCase().trim()));
+  
+  // Get unique player names from CSV (since same player may appear multiple times)
+  const csvPlayerNames = new Set();
+  csvRows.forEach(row => {
+    const name = (row.Name || '').toLowerCase().trim();
+    if (name) csvPlayerNames.add(name);
+  });
+  
+  // Count how many unique CSV players exist in tournament
+  let matches = 0;
+  csvPlayerNames.forEach(name => {
+    if (tournamentNames.has(name)) matches++;
+  });
+  
+  return Math.round((matches / csvPlayerNames.size) * 100);
+}
+
+// One validated file -> the parts that get stored separately: a combined export yields a pitching and a batting part.
+// Each part is { fileType, validation, matchPercent }, matchPercent against `tournament` (0 without one).
+export function getUploadParts(validation, tournament) {
+  const match = (rows, target) => tournament ? calculatePlayerMatch(rows, tournament[target], target) : 0;
+  if (validation.stats.type === 'combined') {
+    const { battingRows, pitchingRows } = splitCombinedRows(validation.cleanRows);
+    const part = (rows, fileType) => ({
+      fileType,
+      validation: { ...validation, cleanRows: rows, rawRows: rows, removedRows: [], issues: [], hasCritical: false, stats: { ...validation.stats, type: fileType } },
+      matchPercent: match(rows, fileType),
+    });
+    return [pitchingRows.length > 0 && part(pitchingRows, 'pitching'), battingRows.length > 0 && part(battingRows, 'batting')].filter(Boolean);
+  }
+  const target = STAT_FILE_TYPES[validation.stats.type];
+  if (!target) return [];
+  return [{ fileType: validation.stats.type, validation, matchPercent: match(validation.rawRows, target) }];
+}
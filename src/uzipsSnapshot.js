@@ -1,5 +1,6 @@
 // uZIPS snapshot — 2026-06-01
 // Batters: 529 | Pitchers: 620
+// Only loaded until a dated snapshot is stored in uzips_snapshots (see projections.js)
 
 export const UZIPS_SNAPSHOT_DATE = "2026-06-01";
 
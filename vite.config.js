@@ -19,6 +19,7 @@ const ROUTES = [
   '/pack-simulator',
   '/pt-live',
   '/live-spec',
+  '/live-spec/backtest',
 ]
 
 function prerenderPlugin() {